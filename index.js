@@ -5,29 +5,51 @@ const path = require('path');
 // Load environment variables
 require('dotenv').config();
 
+// Logging reads LOG_* from the environment, so it loads right after dotenv
+const logger = require('./src/utils/Logger');
+const log = logger.child('bot');
+const cacheLog = logger.child('cache');
+const preloadLog = logger.child('cache:preload');
+const interactionLog = logger.child('interaction');
+const memberLog = logger.child('members');
+
+// Every other setting goes through the validated config schema
+const config = require('./src/utils/Config');
+
 // Import core systems
-console.log('📁 Loading Connection Manager...');
+log.debug('📁 Loading Connection Manager...');
 const ConnectionManager = require('./src/systems/ConnectionManager');
 
-console.log('📁 Loading DatabaseManager...');
+log.debug('📁 Loading DatabaseManager...');
 const DatabaseManager = require('./src/systems/DatabaseManager');
 
-console.log('📁 Loading RedisCacheManager...');
+log.debug('📁 Loading RedisCacheManager...');
 const RedisCacheManager = require('./src/systems/RedisCacheManager');
 
-console.log('📁 Loading XPManager...');
+log.debug('📁 Loading XPManager...');
 const XPManager = require('./src/systems/XPManager');
 
-console.log('📁 Loading CommandLoader...');
+log.debug('📁 Loading PermissionManager...');
+const PermissionManager = require('./src/systems/PermissionManager');
+
+log.debug('📁 Loading JobScheduler...');
+const JobScheduler = require('./src/systems/JobScheduler');
+
+log.debug('📁 Loading HealthServer...');
+const HealthServer = require('./src/systems/HealthServer');
+
+log.debug('📁 Loading ApiRouter...');
+const ApiRouter = require('./src/systems/ApiRouter');
+
+log.debug('📁 Loading CommandLoader...');
 const { loadCommands, registerSlashCommands } = require('./src/utils/CommandLoader');
 
-// Configuration validation
-const requiredEnvVars = ['DISCORD_TOKEN', 'CLIENT_ID', 'DATABASE_URL'];
-for (const envVar of requiredEnvVars) {
-    if (!process.env[envVar]) {
-        console.error(`❌ Missing required environment variable: ${envVar}`);
-        process.exit(1);
-    }
+log.debug('📁 Loading PluginLoader...');
+const { loadPlugins } = require('./src/utils/PluginLoader');
+
+// Configuration validation - refuse to start on invalid settings instead of running on defaults
+if (!config.printReport(logger.child('config'))) {
+    process.exit(1);
 }
 
 // Create Discord client
@@ -47,19 +69,22 @@ let connectionManager;
 let databaseManager;
 let cacheManager;
 let xpManager;
+let permissionManager;
+let jobScheduler;
+let healthServer;
 
 // Initialize all connections and systems
 async function initializeBot() {
     try {
-        console.log('🚀 Starting One Piece XP Bot initialization...');
+        log.info('🚀 Starting One Piece XP Bot initialization...');
         
         // Initialize connection manager first
         connectionManager = new ConnectionManager();
         const connections = await connectionManager.initialize();
         
-        console.log('📊 Connection Status:');
-        console.log(`   PostgreSQL: ${connections.postgres ? '✅ Connected' : '❌ Failed'}`);
-        console.log(`   Redis: ${connections.redis ? '✅ Connected' : '⚠️ Fallback Mode'}`);
+        log.info('📊 Connection Status:');
+        log.info(`   PostgreSQL: ${connections.postgres ? '✅ Connected' : '❌ Failed'}`);
+        log.info(`   Redis: ${connections.redis ? '✅ Connected' : '⚠️ Fallback Mode'}`);
         
         if (!connections.postgres) {
             throw new Error('PostgreSQL connection required for bot operation');
@@ -68,9 +93,9 @@ async function initializeBot() {
         // Initialize database manager
         const db = connectionManager.getPostgreSQL();
         databaseManager = new DatabaseManager(db);
-        console.log('📋 Initializing database tables...');
+        log.info('📋 Initializing database tables...');
         await databaseManager.initializeTables();
-        console.log('✅ Database tables initialized');
+        log.info('✅ Database tables initialized');
         
         // Initialize cache manager (works with or without Redis)
         const redis = connectionManager.getRedis();
@@ -78,35 +103,55 @@ async function initializeBot() {
         await cacheManager.initialize();
         
         if (connections.redis) {
-            console.log('✅ Redis cache manager initialized with connection');
+            log.info('✅ Redis cache manager initialized with connection');
             
             // Test cache functionality
-            console.log('🧪 Testing cache functionality...');
+            log.info('🧪 Testing cache functionality...');
             const testResult = await cacheManager.testCache();
             if (testResult.success) {
-                console.log('✅ Cache test passed - Redis is working correctly');
+                log.info('✅ Cache test passed - Redis is working correctly');
             } else {
-                console.warn('⚠️ Cache test failed:', testResult.error || 'Unknown error');
+                log.warn('⚠️ Cache test failed:', testResult.error || 'Unknown error');
             }
         } else {
-            console.log('⚠️ Cache manager initialized in fallback mode');
+            log.warn('⚠️ Cache manager initialized in fallback mode');
         }
         
         // Initialize XP manager with cache support
         xpManager = new XPManager(client, db, cacheManager);
         await xpManager.initialize();
-        console.log('✅ XP Manager initialized with cache integration');
+        log.info('✅ XP Manager initialized with cache integration');
+        
+        // Initialize permission manager (guild admin roles + Discord permissions)
+        permissionManager = new PermissionManager(db);
+        
+        // Register background jobs - they start once the client is ready and guilds are cached
+        jobScheduler = new JobScheduler(db);
+        xpManager.registerJobs(jobScheduler);
+        xpManager.webhookManager.registerJobs(jobScheduler);
+        jobScheduler.register('health-check', { interval: config.get('HEALTH_CHECK_INTERVAL'), handler: runHealthCheck });
+        jobScheduler.register('cache-stats', { interval: 1800000, handler: logCacheStats }); // 30 minutes
+        
+        // Load plugins - they subscribe to xpManager.events
+        await loadPlugins({ events: xpManager.events, client, db, xpManager, databaseManager, cacheManager, jobScheduler });
+        
+        // HTTP health, readiness and metrics endpoints, plus the read-only REST API
+        if (config.get('HEALTH_SERVER_ENABLED')) {
+            const apiRouter = config.get('API_ENABLED') ? new ApiRouter(client, db, xpManager, cacheManager) : null;
+            healthServer = new HealthServer(client, connectionManager, jobScheduler, apiRouter);
+            await healthServer.start();
+        }
         
         // Load commands
         client.commands = new Collection();
         await loadCommands(client);
         
         // Register slash commands
-        if (process.env.CLIENT_ID && process.env.DISCORD_TOKEN) {
-            await registerSlashCommands(process.env.CLIENT_ID, process.env.DISCORD_TOKEN);
+        if (config.get('CLIENT_ID') && config.get('DISCORD_TOKEN')) {
+            await registerSlashCommands(config.get('CLIENT_ID'), config.get('DISCORD_TOKEN'));
         }
         
-        console.log('✅ Bot initialization complete');
+        log.info('✅ Bot initialization complete');
         
         // Display connection health
         displayHealthStatus();
@@ -117,7 +162,7 @@ async function initializeBot() {
         }, 5000); // Wait 5 seconds for initial operations
         
     } catch (error) {
-        console.error('❌ Bot initialization failed:', error);
+        log.error('❌ Bot initialization failed:', error);
         process.exit(1);
     }
 }
@@ -126,55 +171,53 @@ async function initializeBot() {
 function displayHealthStatus() {
     const health = connectionManager.getHealthStatus();
     
-    console.log('\n📊 SYSTEM HEALTH STATUS:');
-    console.log('┌─────────────────────────────────────────┐');
-    console.log('│            CONNECTION STATUS            │');
-    console.log('├─────────────────────────────────────────┤');
-    console.log(`│ PostgreSQL: ${health.postgresql.status.padEnd(25)} │`);
-    console.log(`│ Redis:      ${health.redis.status.padEnd(25)} │`);
-    console.log(`│ Cache:      ${health.cache.type.padEnd(25)} │`);
-    console.log('└─────────────────────────────────────────┘');
+    log.info('📊 SYSTEM HEALTH STATUS:');
+    log.info('┌─────────────────────────────────────────┐');
+    log.info('│            CONNECTION STATUS            │');
+    log.info('├─────────────────────────────────────────┤');
+    log.info(`│ PostgreSQL: ${health.postgresql.status.padEnd(25)} │`);
+    log.info(`│ Redis:      ${health.redis.status.padEnd(25)} │`);
+    log.info(`│ Cache:      ${health.cache.type.padEnd(25)} │`);
+    log.info('└─────────────────────────────────────────┘');
     
     if (health.redis.fallbackActive) {
-        console.log('⚠️  NOTICE: Redis unavailable - using in-memory fallback');
-        console.log('   • Bot is fully functional but without caching optimizations');
-        console.log('   • Canvas generation will be slower');
-        console.log('   • User stats queries will hit database directly');
+        log.warn('⚠️  NOTICE: Redis unavailable - using in-memory fallback');
+        log.info('   • Bot is fully functional but without caching optimizations');
+        log.info('   • Canvas generation will be slower');
+        log.info('   • User stats queries will hit database directly');
     }
-    console.log('');
 }
 
 // Display cache statistics
 async function displayCacheStats() {
     try {
-        console.log('📊 CACHE STATISTICS:');
-        console.log('┌─────────────────────────────────────────┐');
-        console.log('│             CACHE STATUS                │');
-        console.log('├─────────────────────────────────────────┤');
+        log.info('📊 CACHE STATISTICS:');
+        log.info('┌─────────────────────────────────────────┐');
+        log.info('│             CACHE STATUS                │');
+        log.info('├─────────────────────────────────────────┤');
         
         if (cacheManager) {
             const stats = await cacheManager.getCacheStats();
-            console.log(`│ Mode:       ${stats.mode.padEnd(25)} │`);
-            console.log(`│ Redis:      ${(stats.redis ? 'Available' : 'Unavailable').padEnd(25)} │`);
-            console.log(`│ Entries:    ${String(stats.total || stats.entries || 0).padEnd(25)} │`);
+            log.info(`│ Mode:       ${stats.mode.padEnd(25)} │`);
+            log.info(`│ Redis:      ${(stats.redis ? 'Available' : 'Unavailable').padEnd(25)} │`);
+            log.info(`│ Entries:    ${String(stats.total || stats.entries || 0).padEnd(25)} │`);
             
             if (stats.redis) {
-                console.log(`│ Avatars:    ${String(stats.avatars || 0).padEnd(25)} │`);
-                console.log(`│ Posters:    ${String(stats.posters || 0).padEnd(25)} │`);
-                console.log(`│ Cooldowns:  ${String(stats.cooldowns || 0).padEnd(25)} │`);
-                console.log(`│ L-boards:   ${String(stats.leaderboards || 0).padEnd(25)} │`);
+                log.info(`│ Avatars:    ${String(stats.avatars || 0).padEnd(25)} │`);
+                log.info(`│ Posters:    ${String(stats.posters || 0).padEnd(25)} │`);
+                log.info(`│ Cooldowns:  ${String(stats.cooldowns || 0).padEnd(25)} │`);
+                log.info(`│ L-boards:   ${String(stats.leaderboards || 0).padEnd(25)} │`);
                 if (stats.memoryUsed) {
-                    console.log(`│ Memory:     ${String(stats.memoryUsed).padEnd(25)} │`);
+                    log.info(`│ Memory:     ${String(stats.memoryUsed).padEnd(25)} │`);
                 }
             }
         } else {
-            console.log('│ Cache:      Not Available               │');
+            log.info('│ Cache:      Not Available               │');
         }
         
-        console.log('└─────────────────────────────────────────┘');
-        console.log('');
+        log.info('└─────────────────────────────────────────┘');
     } catch (error) {
-        console.error('Error displaying cache stats:', error);
+        log.error('Error displaying cache stats:', error);
     }
 }
 
@@ -183,59 +226,62 @@ async function startCachePreloading() {
     try {
         // Only preload if Redis is available
         if (!cacheManager || !connectionManager?.isRedisAvailable()) {
-            console.log('🔄 [PRELOAD] Redis not available, skipping cache preloading');
+            preloadLog.info('Redis not available, skipping cache preloading');
             return;
         }
 
-        console.log('🚀 [PRELOAD] Starting cache preloading system in 30 seconds...');
-        console.log('🚀 [PRELOAD] This will improve leaderboard and poster generation speed');
+        preloadLog.info('Starting cache preloading system in 30 seconds...');
+        preloadLog.info('This will improve leaderboard and poster generation speed');
         
         // Wait for bot to fully settle, then start preloading
         setTimeout(async () => {
-            console.log('🔄 [PRELOAD] Beginning cache preloading...');
+            preloadLog.info('Beginning cache preloading...');
             
             try {
                 const preloadSuccess = await cacheManager.preloadCache(client, databaseManager);
                 
                 if (preloadSuccess) {
                     const stats = cacheManager.getPreloadStats();
-                    console.log('✅ [PRELOAD] Cache preloading completed successfully!');
-                    console.log(`✅ [PRELOAD] Performance boost ready: ${stats.avatarsPreloaded + stats.postersPreloaded} items cached`);
+                    preloadLog.info('Cache preloading completed successfully!');
+                    preloadLog.info(`Performance boost ready: ${stats.avatarsPreloaded + stats.postersPreloaded} items cached`);
                     
                     // Display updated cache stats after preloading
                     setTimeout(async () => {
                         await displayCacheStats();
                     }, 2000);
                 } else {
-                    console.log('⚠️ [PRELOAD] Cache preloading completed with issues');
+                    preloadLog.warn('⚠️ Cache preloading completed with issues');
                 }
             } catch (preloadError) {
-                console.error('❌ [PRELOAD] Cache preloading failed:', preloadError);
+                preloadLog.error('Cache preloading failed:', preloadError);
             }
         }, 30000); // 30 seconds delay to let bot settle
         
     } catch (error) {
-        console.error('❌ [PRELOAD] Error starting cache preloading:', error);
+        preloadLog.error('Error starting cache preloading:', error);
     }
 }
 
 // Bot ready event - ENHANCED WITH CACHE PRELOADING
 client.once('clientReady', async () => {
-    console.log('🏴‍☠️ ═══════════════════════════════════════');
-    console.log('🏴‍☠️           ONE PIECE XP BOT');
-    console.log('🏴‍☠️ ═══════════════════════────');
-    console.log(`⚓ Logged in as ${client.user.tag}`);
-    console.log(`🏴‍☠️ Serving ${client.guilds.cache.size} server(s)`);
-    console.log(`🎯 Commands loaded: ${client.commands.size}`);
+    log.info('🏴‍☠️ ═══════════════════════════════════════');
+    log.info('🏴‍☠️           ONE PIECE XP BOT');
+    log.info('🏴‍☠️ ═══════════════════════────');
+    log.info(`⚓ Logged in as ${client.user.tag}`);
+    log.info(`🏴‍☠️ Serving ${client.guilds.cache.size} server(s)`);
+    log.info(`🎯 Commands loaded: ${client.commands.size}`);
     
     const health = connectionManager.getHealthStatus();
-    console.log(`📊 PostgreSQL: ${health.postgresql.status}`);
-    console.log(`🔴 Redis: ${health.redis.status}`);
-    console.log(`💾 Cache: ${health.cache.type}`);
+    log.info(`📊 PostgreSQL: ${health.postgresql.status}`);
+    log.info(`🔴 Redis: ${health.redis.status}`);
+    log.info(`💾 Cache: ${health.cache.type}`);
     
-    console.log('🏴‍☠️ ═══════════════════════════════════════');
-    console.log('🎯 All systems operational!');
-    console.log('🏴‍☠️ ═══════════════════════════════════════');
+    log.info('🏴‍☠️ ═══════════════════════════════════════');
+    log.info('🎯 All systems operational!');
+    log.info('🏴‍☠️ ═══════════════════════════════════════');
+    
+    // Start scheduled jobs (catches up anything missed while offline)
+    await jobScheduler.start();
     
     // Update cache stats display after bot is fully ready
     setTimeout(async () => {
@@ -246,7 +292,7 @@ client.once('clientReady', async () => {
     await startCachePreloading();
 });
 
-// Message event with ENHANCED DEBUG COMMANDS
+// Message event - XP plus the legacy !ping check (diagnostics live in /debug)
 client.on('messageCreate', async (message) => {
     if (message.author.bot || !message.guild) return;
     
@@ -287,605 +333,6 @@ client.on('messageCreate', async (message) => {
         
         await message.reply({ embeds: [embed] });
     }
-
-    // ==================== NEW REDIS DEBUG COMMANDS ====================
-    
-    // Debug command to check actual Redis keys
-    if (message.content === '!rediskeys' && message.author.id === process.env.ADMIN_USER_ID) {
-        try {
-            await message.reply('🔍 Checking actual Redis keys...');
-            
-            if (!connectionManager || !connectionManager.isRedisAvailable()) {
-                return await message.reply('❌ Redis not available');
-            }
-            
-            const redis = connectionManager.getRedis();
-            
-            // Get ALL keys in Redis (not just bot keys)
-            const allKeys = await redis.keys('*');
-            console.log(`[REDIS DEBUG] Found ${allKeys.length} total keys in Redis`);
-            
-            // Show first 20 keys for debugging
-            const sampleKeys = allKeys.slice(0, 20);
-            console.log('[REDIS DEBUG] Sample keys:', sampleKeys);
-            
-            // Check for Leveling-Bot prefixed keys
-            const botKeys = await redis.keys('Leveling-Bot:*');
-            console.log(`[REDIS DEBUG] Found ${botKeys.length} Leveling-Bot keys`);
-            
-            // Check for other common prefixes
-            const prefixChecks = [
-                'leveling-bot:*',
-                'levelingbot:*',
-                'bot:*',
-                'xp:*',
-                'cache:*',
-                'discord:*'
-            ];
-            
-            for (const prefix of prefixChecks) {
-                const keys = await redis.keys(prefix);
-                if (keys.length > 0) {
-                    console.log(`[REDIS DEBUG] Found ${keys.length} keys with prefix "${prefix.replace('*', '')}"`);
-                    console.log(`[REDIS DEBUG] Sample: ${keys.slice(0, 3)}`);
-                }
-            }
-            
-            const embed = {
-                color: 0x4A90E2,
-                title: '🔍 Redis Keys Debug',
-                description: '```diff\n+ REDIS KEY ANALYSIS\n```',
-                fields: [
-                    {
-                        name: '📊 Key Counts',
-                        value: `**Total Keys:** ${allKeys.length}\n**Leveling-Bot Keys:** ${botKeys.length}`,
-                        inline: false
-                    },
-                    {
-                        name: '🔍 Sample Keys (First 10)',
-                        value: sampleKeys.slice(0, 10).map(key => `\`${key}\``).join('\n') || 'No keys found',
-                        inline: false
-                    }
-                ],
-                footer: { text: 'Check console for detailed analysis' }
-            };
-            
-            await message.reply({ embeds: [embed] });
-            
-        } catch (error) {
-            await message.reply(`❌ Redis debug error: ${error.message}`);
-        }
-    }
-
-    // Debug command to check what patterns the bot is searching for
-    if (message.content === '!cachepatterns' && message.author.id === process.env.ADMIN_USER_ID) {
-        try {
-            await message.reply('🔍 Checking bot cache search patterns...');
-            
-            if (!cacheManager) {
-                return await message.reply('❌ Cache manager not available');
-            }
-            
-            const keyPrefix = cacheManager.keyPrefix || 'Leveling-Bot:';
-            
-            console.log('[CACHE DEBUG] Bot is using key prefix:', keyPrefix);
-            
-            // Test the exact patterns the bot searches for
-            const patterns = [
-                `${keyPrefix}avatar:*`,
-                `${keyPrefix}poster:*`,
-                `${keyPrefix}cooldown:*`,
-                `${keyPrefix}leaderboard:*`,
-                `${keyPrefix}validated:*`
-            ];
-            
-            const embed = {
-                color: 0x4A90E2,
-                title: '🔍 Bot Cache Patterns',
-                description: '```diff\n+ BOT SEARCH PATTERNS\n```',
-                fields: [
-                    {
-                        name: '🏷️ Key Prefix',
-                        value: `\`${keyPrefix}\``,
-                        inline: false
-                    },
-                    {
-                        name: '🔍 Search Patterns',
-                        value: patterns.map(p => `\`${p}\``).join('\n'),
-                        inline: false
-                    }
-                ],
-                footer: { text: 'These are the patterns the bot searches for' }
-            };
-            
-            await message.reply({ embeds: [embed] });
-            
-        } catch (error) {
-            await message.reply(`❌ Pattern debug error: ${error.message}`);
-        }
-    }
-
-    // Debug command to manually check pattern matching
-    if (message.content === '!testpatterns' && message.author.id === process.env.ADMIN_USER_ID) {
-        try {
-            await message.reply('🧪 Testing pattern matching...');
-            
-            if (!connectionManager || !connectionManager.isRedisAvailable()) {
-                return await message.reply('❌ Redis not available');
-            }
-            
-            const redis = connectionManager.getRedis();
-            const keyPrefix = cacheManager?.keyPrefix || 'Leveling-Bot:';
-            
-            // Test each pattern individually
-            const testResults = [];
-            
-            const patterns = [
-                `${keyPrefix}avatar:*`,
-                `${keyPrefix}poster:*`,
-                `${keyPrefix}cooldown:*`,
-                `${keyPrefix}leaderboard:*`,
-                `${keyPrefix}validated:*`,
-                // Also test without prefix
-                'avatar:*',
-                'poster:*',
-                'cooldown:*',
-                // Test other possible prefixes
-                'leveling-bot:*',
-                'bot:*'
-            ];
-            
-            for (const pattern of patterns) {
-                const keys = await redis.keys(pattern);
-                testResults.push(`**${pattern}:** ${keys.length} keys`);
-                
-                if (keys.length > 0) {
-                    console.log(`[PATTERN TEST] ${pattern} found ${keys.length} keys:`, keys.slice(0, 3));
-                }
-            }
-            
-            const embed = {
-                color: testResults.some(r => r.includes(': 0 keys')) ? 0xFF6B6B : 0x00FF00,
-                title: '🧪 Pattern Test Results',
-                description: '```diff\n+ PATTERN MATCHING TEST\n```',
-                fields: [
-                    {
-                        name: '🔍 Results',
-                        value: testResults.join('\n'),
-                        inline: false
-                    }
-                ],
-                footer: { text: 'Check console for sample keys found' }
-            };
-            
-            await message.reply({ embeds: [embed] });
-            
-        } catch (error) {
-            await message.reply(`❌ Pattern test error: ${error.message}`);
-        }
-    }
-
-    // Debug command to check Redis database
-    if (message.content === '!redisdb' && message.author.id === process.env.ADMIN_USER_ID) {
-        try {
-            if (!connectionManager || !connectionManager.isRedisAvailable()) {
-                return await message.reply('❌ Redis not available');
-            }
-            
-            const redis = connectionManager.getRedis();
-            
-            // Check current database
-            const info = await redis.info('keyspace');
-            console.log('[REDIS DB] Keyspace info:', info);
-            
-            // Check what database we're connected to
-            const dbInfo = info.split('\n').filter(line => line.startsWith('db'));
-            
-            let currentDb = 'Unknown';
-            try {
-                // Try to determine current DB (this is tricky with ioredis)
-                const config = redis.options;
-                currentDb = config.db || 0;
-            } catch (error) {
-                console.log('[REDIS DB] Could not determine current DB');
-            }
-            
-            const embed = {
-                color: 0x4A90E2,
-                title: '🗄️ Redis Database Info',
-                description: '```diff\n+ DATABASE INFORMATION\n```',
-                fields: [
-                    {
-                        name: '📊 Current Database',
-                        value: `Database: ${currentDb}`,
-                        inline: true
-                    },
-                    {
-                        name: '🔍 Keyspace Info',
-                        value: dbInfo.length > 0 ? dbInfo.join('\n') : 'No database info available',
-                        inline: false
-                    }
-                ],
-                footer: { text: 'Check console for detailed keyspace info' }
-            };
-            
-            await message.reply({ embeds: [embed] });
-            
-        } catch (error) {
-            await message.reply(`❌ Database info error: ${error.message}`);
-        }
-    }
-    
-    // ==================== EXISTING DEBUG COMMANDS ====================
-    
-    // Admin cache test command
-    if (message.content === '!cachetest' && message.author.id === process.env.ADMIN_USER_ID) {
-        try {
-            const testResult = await xpManager.testCache();
-            const stats = await xpManager.getCacheStats();
-            
-            const embed = {
-                color: testResult.success ? 0x00FF00 : 0xFF0000,
-                title: '🧪 **Cache Test Results**',
-                description: testResult.success ? 
-                    '```diff\n+ Cache test passed successfully\n```' : 
-                    '```diff\n- Cache test failed\n```',
-                fields: [
-                    {
-                        name: '📊 **Cache Stats**',
-                        value: `**Mode:** ${stats.mode}\n**Redis:** ${stats.redis ? 'Connected' : 'Disconnected'}\n**Entries:** ${stats.total || stats.entries || 0}`,
-                        inline: true
-                    },
-                    {
-                        name: '🧪 **Test Result**',
-                        value: testResult.success ? 
-                            `✅ ${testResult.message || 'Test passed'}` : 
-                            `❌ ${testResult.error || 'Test failed'}`,
-                        inline: true
-                    }
-                ],
-                footer: { text: '⚓ Marine Intelligence Division • Cache Test' },
-                timestamp: new Date().toISOString()
-            };
-            
-            await message.reply({ embeds: [embed] });
-        } catch (error) {
-            await message.reply(`❌ Cache test error: ${error.message}`);
-        }
-    }
-
-    // Admin cache preload command
-    if (message.content === '!preload' && message.author.id === process.env.ADMIN_USER_ID) {
-        try {
-            if (cacheManager.isPreloading()) {
-                return await message.reply('⚠️ Cache preloading is already in progress!');
-            }
-
-            await message.reply('🚀 Starting manual cache preloading...');
-            
-            const preloadSuccess = await cacheManager.preloadCache(client, databaseManager);
-            const stats = cacheManager.getPreloadStats();
-            
-            const embed = {
-                color: preloadSuccess ? 0x00FF00 : 0xFFA500,
-                title: '🔄 **Manual Cache Preload Results**',
-                description: preloadSuccess ? 
-                    '```diff\n+ Cache preloading completed successfully\n```' : 
-                    '```diff\n! Cache preloading completed with issues\n```',
-                fields: [
-                    {
-                        name: '📊 **Preload Statistics**',
-                        value: `**Total Users:** ${stats.totalUsers}\n**Avatars Cached:** ${stats.avatarsPreloaded}\n**Posters Cached:** ${stats.postersPreloaded}\n**Errors:** ${stats.errors}`,
-                        inline: true
-                    },
-                    {
-                        name: '⏱️ **Performance**',
-                        value: `**Duration:** ${((stats.endTime - stats.startTime) / 1000).toFixed(2)}s\n**Rate:** ${Math.round(stats.totalUsers / ((stats.endTime - stats.startTime) / 1000))} users/sec`,
-                        inline: true
-                    }
-                ],
-                footer: { text: '⚓ Marine Intelligence Division • Manual Cache Preload' },
-                timestamp: new Date().toISOString()
-            };
-            
-            await message.reply({ embeds: [embed] });
-        } catch (error) {
-            await message.reply(`❌ Cache preload error: ${error.message}`);
-        }
-    }
-    
-    // Admin health check command
-    if (message.content === '!health' && message.author.id === process.env.ADMIN_USER_ID) {
-        const testResults = await connectionManager.testConnections();
-        const health = connectionManager.getHealthStatus();
-        
-        let healthDescription = '```diff\n';
-        healthDescription += testResults.postgresql ? '+ PostgreSQL: Connection Test Passed\n' : '- PostgreSQL: Connection Test Failed\n';
-        healthDescription += testResults.redis ? '+ Redis: Connection Test Passed\n' : '! Redis: Using Fallback Mode\n';
-        healthDescription += '```';
-        
-        const embed = {
-            color: testResults.postgresql ? 0x00FF00 : 0xFF0000,
-            title: '🏥 **System Health Check**',
-            description: healthDescription,
-            fields: [
-                {
-                    name: '📊 **Detailed Status**',
-                    value: `**PostgreSQL:** ${health.postgresql.status}\n**Redis:** ${health.redis.status}\n**Cache:** ${health.cache.type}`,
-                    inline: false
-                }
-            ],
-            footer: { text: `Test completed at ${testResults.timestamp}` }
-        };
-        
-        await message.reply({ embeds: [embed] });
-    }
-
-    // Enhanced cache debug command - COMPREHENSIVE DIAGNOSTICS
-    if (message.content === '!cachedebug' && message.author.id === process.env.ADMIN_USER_ID) {
-        try {
-            const stats = await cacheManager.getCacheStats();
-            const redis = connectionManager.getRedis();
-            
-            // Get raw Redis key count
-            let redisKeyCount = 0;
-            let redisKeys = [];
-            if (redis) {
-                const allKeys = await redis.keys('Leveling-Bot:*');
-                redisKeyCount = allKeys.length;
-                redisKeys = allKeys.slice(0, 10); // Show first 10 keys
-            }
-            
-            const embed = {
-                color: 0x4A90E2,
-                title: '🔍 **Comprehensive Cache Debug Information**',
-                description: '```diff\n+ DETAILED CACHE DIAGNOSIS\n```',
-                fields: [
-                    {
-                        name: '🔴 **Redis Connection**',
-                        value: `**Available:** ${connectionManager.isRedisAvailable()}\n**Direct Keys:** ${redisKeyCount}\n**Stats Keys:** ${stats.total || 0}`,
-                        inline: true
-                    },
-                    {
-                        name: '📊 **Key Breakdown**',
-                        value: `**Avatar Pattern:** ${await cacheManager.countKeys('Leveling-Bot:avatar:*')}\n**Poster Pattern:** ${await cacheManager.countKeys('Leveling-Bot:poster:*')}\n**Cooldown Pattern:** ${await cacheManager.countKeys('Leveling-Bot:cooldown:*')}`,
-                        inline: true
-                    },
-                    {
-                        name: '🔍 **Sample Keys**',
-                        value: redisKeys.length > 0 ? redisKeys.slice(0, 5).map(key => `\`${key.replace('Leveling-Bot:', '')}\``).join('\n') : 'No keys found',
-                        inline: false
-                    },
-                    {
-                        name: '🚀 **Preload Status**',
-                        value: `**In Progress:** ${cacheManager.isPreloading()}\n**Total Users:** ${cacheManager.getPreloadStats().totalUsers}\n**Avatars:** ${cacheManager.getPreloadStats().avatarsPreloaded}\n**Posters:** ${cacheManager.getPreloadStats().postersPreloaded}`,
-                        inline: false
-                    }
-                ],
-                footer: { text: '⚓ Marine Intelligence Division • Cache Debug' },
-                timestamp: new Date().toISOString()
-            };
-            
-            await message.reply({ embeds: [embed] });
-        } catch (error) {
-            await message.reply(`❌ Cache debug error: ${error.message}`);
-        }
-    }
-
-    // Rest of existing debug commands...
-    if (message.content === '!cachemanualtest' && message.author.id === process.env.ADMIN_USER_ID) {
-        try {
-            await message.reply('🧪 Starting manual cache test...');
-            
-            if (cacheManager && typeof cacheManager.manualCacheTest === 'function') {
-                await cacheManager.manualCacheTest();
-                await message.reply('✅ Manual cache test completed - check console logs');
-            } else {
-                await message.reply('❌ Manual cache test not available');
-            }
-        } catch (error) {
-            await message.reply(`❌ Cache test error: ${error.message}`);
-        }
-    }
-
-    if (message.content === '!cachecontents' && message.author.id === process.env.ADMIN_USER_ID) {
-        try {
-            await message.reply('🔍 Debugging cache contents...');
-            
-            if (cacheManager && typeof cacheManager.debugCacheContents === 'function') {
-                await cacheManager.debugCacheContents();
-                await message.reply('✅ Cache contents debug completed - check console logs');
-            } else {
-                await message.reply('❌ Cache contents debug not available');
-            }
-        } catch (error) {
-            await message.reply(`❌ Cache contents debug error: ${error.message}`);
-        }
-    }
-
-    if (message.content.startsWith('!preloaduser ') && message.author.id === process.env.ADMIN_USER_ID) {
-        try {
-            const userId = message.content.split(' ')[1];
-            if (!userId) {
-                return await message.reply('❌ Usage: !preloaduser <user_id>');
-            }
-
-            await message.reply(`🚀 Force preloading user ${userId}...`);
-            
-            if (cacheManager && typeof cacheManager.debugPreloadUser === 'function') {
-                const result = await cacheManager.debugPreloadUser(message.guild, userId);
-                if (result) {
-                    await message.reply(`✅ Successfully preloaded user ${userId}`);
-                } else {
-                    await message.reply(`❌ Failed to preload user ${userId}`);
-                }
-            } else {
-                await message.reply('❌ User preload debug not available');
-            }
-        } catch (error) {
-            await message.reply(`❌ User preload error: ${error.message}`);
-        }
-    }
-
-    // Clear cache command (USE WITH CAUTION)
-    if (message.content === '!clearcache' && message.author.id === process.env.ADMIN_USER_ID) {
-        try {
-            await message.reply('⚠️ **WARNING:** This will clear ALL cache data. Type `!clearcache confirm` to proceed.');
-        } catch (error) {
-            await message.reply(`❌ Error: ${error.message}`);
-        }
-    }
-
-    if (message.content === '!clearcache confirm' && message.author.id === process.env.ADMIN_USER_ID) {
-        try {
-            await message.reply('🧹 Clearing all cache data...');
-            
-            if (cacheManager && typeof cacheManager.debugClearAllCache === 'function') {
-                const cleared = await cacheManager.debugClearAllCache();
-                if (cleared !== false) {
-                    await message.reply(`✅ Cleared ${cleared} cache entries`);
-                } else {
-                    await message.reply('❌ Failed to clear cache');
-                }
-            } else {
-                await message.reply('❌ Cache clear not available');
-            }
-        } catch (error) {
-            await message.reply(`❌ Cache clear error: ${error.message}`);
-        }
-    }
-
-    // Advanced cache statistics command
-    if (message.content === '!cachestats' && message.author.id === process.env.ADMIN_USER_ID) {
-        try {
-            const stats = await cacheManager.getCacheStats();
-            const preloadStats = cacheManager.getPreloadStats();
-            
-            const embed = {
-                color: 0x4A90E2,
-                title: '📊 **Detailed Cache Statistics**',
-                description: '```diff\n+ CACHE PERFORMANCE REPORT\n```',
-                fields: [
-                    {
-                        name: '🔴 **Redis Status**',
-                        value: `**Mode:** ${stats.mode}\n**Connected:** ${stats.redis ? 'Yes' : 'No'}\n**Total Entries:** ${stats.total || 0}`,
-                        inline: true
-                    },
-                    {
-                        name: '📊 **Cache Breakdown**',
-                        value: `**Avatars:** ${stats.avatars || 0}\n**Posters:** ${stats.posters || 0}\n**Cooldowns:** ${stats.cooldowns || 0}\n**Leaderboards:** ${stats.leaderboards || 0}`,
-                        inline: true
-                    },
-                    {
-                        name: '🚀 **Preload Stats**',
-                        value: `**Users Processed:** ${preloadStats.totalUsers || 0}\n**Avatars Preloaded:** ${preloadStats.avatarsPreloaded || 0}\n**Posters Preloaded:** ${preloadStats.postersPreloaded || 0}\n**Errors:** ${preloadStats.errors || 0}`,
-                        inline: false
-                    }
-                ],
-                footer: { text: '⚓ Marine Intelligence Division • Cache Analytics' },
-                timestamp: new Date().toISOString()
-            };
-            
-            if (stats.memoryUsed) {
-                embed.fields.push({
-                    name: '💾 **Memory Usage**',
-                    value: `**Redis Memory:** ${stats.memoryUsed}`,
-                    inline: true
-                });
-            }
-            
-            await message.reply({ embeds: [embed] });
-        } catch (error) {
-            await message.reply(`❌ Cache stats error: ${error.message}`);
-        }
-    }
-
-    // Test cache functionality with actual operations
-    if (message.content === '!testcachefull' && message.author.id === process.env.ADMIN_USER_ID) {
-        try {
-            await message.reply('🧪 Starting comprehensive cache functionality test...');
-            
-            // Test avatar caching
-            const user = message.author;
-            const avatarURL = user.displayAvatarURL({ extension: 'png', size: 512, forceStatic: true });
-            console.log(`[CACHE TEST] Testing avatar caching for ${user.username}`);
-            console.log(`[CACHE TEST] Avatar URL: ${avatarURL}`);
-            
-            // Try to extract avatar hash
-            const avatarHash = cacheManager.extractAvatarHash ? cacheManager.extractAvatarHash(avatarURL) : 'test-hash';
-            console.log(`[CACHE TEST] Avatar hash: ${avatarHash}`);
-            
-            // Test basic cache operations
-            const testResults = [];
-            
-            // Test 1: Basic string cache
-            try {
-                const testKey = `${cacheManager.keyPrefix}test:basic:${Date.now()}`;
-                const testValue = JSON.stringify({ test: true, user: user.username });
-                
-                const setResult = await connectionManager.setCache(testKey, testValue, 300);
-                const getResult = await connectionManager.getCache(testKey);
-                
-                testResults.push(`**Basic Cache:** ${setResult && getResult ? '✅ PASS' : '❌ FAIL'}`);
-            } catch (error) {
-                testResults.push(`**Basic Cache:** ❌ ERROR - ${error.message}`);
-            }
-            
-            // Test 2: Binary cache (simulate avatar)
-            try {
-                const testKey = `${cacheManager.keyPrefix}test:binary:${Date.now()}`;
-                const testBuffer = Buffer.from('test-image-data-simulation');
-                
-                const setResult = await connectionManager.setBinaryCache(testKey, testBuffer, 300);
-                const getResult = await connectionManager.getBinaryCache(testKey);
-                
-                testResults.push(`**Binary Cache:** ${setResult && getResult && Buffer.isBuffer(getResult) ? '✅ PASS' : '❌ FAIL'}`);
-            } catch (error) {
-                testResults.push(`**Binary Cache:** ❌ ERROR - ${error.message}`);
-            }
-            
-            // Test 3: Pattern clearing
-            try {
-                const testPattern = `${cacheManager.keyPrefix}test:pattern:*`;
-                const testKey1 = `${cacheManager.keyPrefix}test:pattern:1`;
-                const testKey2 = `${cacheManager.keyPrefix}test:pattern:2`;
-                
-                await connectionManager.setCache(testKey1, 'test1', 300);
-                await connectionManager.setCache(testKey2, 'test2', 300);
-                
-                const clearedCount = await connectionManager.clearPattern(testPattern);
-                
-                testResults.push(`**Pattern Clear:** ${clearedCount >= 2 ? '✅ PASS' : '❌ FAIL'} (cleared ${clearedCount})`);
-            } catch (error) {
-                testResults.push(`**Pattern Clear:** ❌ ERROR - ${error.message}`);
-            }
-            
-            const embed = {
-                color: testResults.every(r => r.includes('✅')) ? 0x00FF00 : 0xFF6B6B,
-                title: '🧪 **Comprehensive Cache Test Results**',
-                description: '```diff\n+ CACHE FUNCTIONALITY VERIFICATION\n```',
-                fields: [
-                    {
-                        name: '📊 **Test Results**',
-                        value: testResults.join('\n'),
-                        inline: false
-                    },
-                    {
-                        name: '🔍 **Connection Info**',
-                        value: `**Redis Available:** ${connectionManager.isRedisAvailable()}\n**Cache Mode:** ${(await cacheManager.getCacheStats()).mode}\n**Test User:** ${user.username}`,
-                        inline: false
-                    }
-                ],
-                footer: { text: '⚓ Marine Intelligence Division • Cache Functionality Test' },
-                timestamp: new Date().toISOString()
-            };
-            
-            await message.reply({ embeds: [embed] });
-            
-        } catch (error) {
-            await message.reply(`❌ Comprehensive cache test error: ${error.message}`);
-        }
-    }
 });
 
 // Reaction event
@@ -915,7 +362,7 @@ client.on('guildMemberUpdate', async (oldMember, newMember) => {
         if (oldRoles.size !== newRoles.size || 
             !oldRoles.every(role => newRoles.has(role.id))) {
             
-            console.log(`[ROLE CHANGE] Detected role change for ${newMember.user.username}`);
+            memberLog.debug(`Detected role change for ${newMember.user.username}`);
             
             // Invalidate cache when user roles change (affects daily caps and potentially avatars)
             if (cacheManager) {
@@ -930,7 +377,7 @@ client.on('guildMemberUpdate', async (oldMember, newMember) => {
             // Check if any tier roles were affected
             const tierRoles = [];
             for (let tier = 1; tier <= 10; tier++) {
-                const roleId = process.env[`TIER_${tier}_ROLE`];
+                const roleId = config.get(`TIER_${tier}_ROLE`);
                 if (roleId) {
                     tierRoles.push({ tier, roleId });
                 }
@@ -944,9 +391,9 @@ client.on('guildMemberUpdate', async (oldMember, newMember) => {
                 if (hadRole !== hasRole) {
                     tierRoleChanged = true;
                     if (hasRole) {
-                        console.log(`[ROLE CHANGE] ${newMember.user.username} gained Tier ${tier} role`);
+                        memberLog.debug(`${newMember.user.username} gained Tier ${tier} role`);
                     } else {
-                        console.log(`[ROLE CHANGE] ${newMember.user.username} lost Tier ${tier} role`);
+                        memberLog.debug(`${newMember.user.username} lost Tier ${tier} role`);
                     }
                 }
             }
@@ -957,14 +404,14 @@ client.on('guildMemberUpdate', async (oldMember, newMember) => {
             }
         }
     } catch (error) {
-        console.error('Error handling guild member update:', error);
+        log.error('Error handling guild member update:', error);
     }
 });
 
 // Guild member remove event (invalidate cache when users leave)
 client.on('guildMemberRemove', async (member) => {
     try {
-        console.log(`[MEMBER LEAVE] ${member.user.username} left ${member.guild.name}`);
+        memberLog.debug(`${member.user.username} left ${member.guild.name}`);
         
         // Invalidate relevant caches when users leave
         if (cacheManager) {
@@ -979,10 +426,10 @@ client.on('guildMemberRemove', async (member) => {
                 cacheManager.getCurrentDateKey()
             );
             
-            console.log(`[CACHE] Invalidated caches for user ${member.user.username} who left`);
+            cacheLog.debug(`Invalidated caches for user ${member.user.username} who left`);
         }
     } catch (error) {
-        console.error('Error handling guild member remove:', error);
+        log.error('Error handling guild member remove:', error);
     }
 });
 
@@ -990,11 +437,11 @@ client.on('guildMemberRemove', async (member) => {
 client.on('interactionCreate', async (interaction) => {
     try {
         if (interaction.isChatInputCommand()) {
-            console.log(`[INTERACTION] Processing slash command: ${interaction.commandName} by ${interaction.user.username}`);
+            interactionLog.debug(`Processing slash command: ${interaction.commandName} by ${interaction.user.username}`);
             
             const command = client.commands.get(interaction.commandName);
             if (!command) {
-                console.error(`[INTERACTION] Command not found: ${interaction.commandName}`);
+                interactionLog.error(`Command not found: ${interaction.commandName}`);
                 return;
             }
 
@@ -1003,11 +450,13 @@ client.on('interactionCreate', async (interaction) => {
                     xpManager, 
                     databaseManager, 
                     cacheManager,
-                    connectionManager 
+                    connectionManager,
+                    permissionManager,
+                    jobScheduler
                 });
-                console.log(`[INTERACTION] ✅ Successfully executed command: ${interaction.commandName}`);
+                interactionLog.debug(`✅ Successfully executed command: ${interaction.commandName}`);
             } catch (error) {
-                console.error(`[INTERACTION] ❌ Error executing command ${interaction.commandName}:`, error);
+                interactionLog.error(`❌ Error executing command ${interaction.commandName}:`, error);
                 
                 const errorMessage = '❌ There was an error executing this command!';
                 
@@ -1018,11 +467,29 @@ client.on('interactionCreate', async (interaction) => {
                         await interaction.reply({ content: errorMessage, ephemeral: true });
                     }
                 } catch (replyError) {
-                    console.error(`[INTERACTION] ❌ Failed to send error response:`, replyError);
+                    interactionLog.error(`❌ Failed to send error response:`, replyError);
                 }
             }
+        } else if (interaction.isAutocomplete()) {
+            const command = client.commands.get(interaction.commandName);
+            if (!command || typeof command.autocomplete !== 'function') {
+                return;
+            }
+
+            try {
+                await command.autocomplete(interaction, {
+                    xpManager,
+                    databaseManager,
+                    cacheManager,
+                    connectionManager,
+                    permissionManager,
+                    jobScheduler
+                });
+            } catch (error) {
+                interactionLog.error(`❌ Error handling autocomplete for ${interaction.commandName}:`, error);
+            }
         } else if (interaction.isButton()) {
-            console.log(`[BUTTON] Processing button interaction: ${interaction.customId} by ${interaction.user.username}`);
+            interactionLog.debug(`Processing button interaction: ${interaction.customId} by ${interaction.user.username}`);
             
             // Handle button interactions for leaderboard navigation
             if (interaction.customId.startsWith('leaderboard_')) {
@@ -1035,11 +502,13 @@ client.on('interactionCreate', async (interaction) => {
                             xpManager, 
                             databaseManager, 
                             cacheManager,
-                            connectionManager 
+                            connectionManager,
+                            permissionManager,
+                            jobScheduler
                         });
-                        console.log(`[BUTTON] ✅ Successfully executed leaderboard button: ${interaction.customId}`);
+                        interactionLog.debug(`✅ Successfully executed leaderboard button: ${interaction.customId}`);
                     } catch (error) {
-                        console.error(`[BUTTON] ❌ Error handling leaderboard button ${interaction.customId}:`, error);
+                        interactionLog.error(`❌ Error handling leaderboard button ${interaction.customId}:`, error);
                         
                         try {
                             if (interaction.replied || interaction.deferred) {
@@ -1054,52 +523,68 @@ client.on('interactionCreate', async (interaction) => {
                                 });
                             }
                         } catch (replyError) {
-                            console.error(`[BUTTON] ❌ Error sending button error message:`, replyError);
+                            interactionLog.error(`❌ Error sending button error message:`, replyError);
                         }
                     }
                 } else {
-                    console.error(`[BUTTON] ❌ Leaderboard command not found for button interaction`);
+                    interactionLog.error(`❌ Leaderboard command not found for button interaction`);
                     try {
                         await interaction.reply({ 
                             content: '❌ Command not found!', 
                             ephemeral: true 
                         });
                     } catch (replyError) {
-                        console.error(`[BUTTON] ❌ Error sending button not found message:`, replyError);
+                        interactionLog.error(`❌ Error sending button not found message:`, replyError);
                     }
                 }
+            } else if (interaction.customId.startsWith('debug_')) {
+                const debugCommand = client.commands.get('debug');
+
+                if (debugCommand) {
+                    // handleButton reports its own errors and re-checks permissions
+                    await debugCommand.handleButton(interaction, {
+                        xpManager,
+                        databaseManager,
+                        cacheManager,
+                        connectionManager,
+                        permissionManager,
+                        jobScheduler
+                    });
+                } else {
+                    interactionLog.error(`❌ Debug command not found for button interaction`);
+                }
             } else {
-                console.log(`[BUTTON] ⚠️ Unknown button interaction: ${interaction.customId}`);
+                interactionLog.warn(`⚠️ Unknown button interaction: ${interaction.customId}`);
             }
         } else {
-            console.log(`[INTERACTION] ⚠️ Unknown interaction type: ${interaction.type}`);
+            interactionLog.warn(`⚠️ Unknown interaction type: ${interaction.type}`);
         }
     } catch (error) {
-        console.error(`[INTERACTION] ❌ Critical error in interaction handler:`, error);
+        interactionLog.error(`❌ Critical error in interaction handler:`, error);
     }
 });
 
 // Error handling
 client.on('error', error => {
-    console.error('❌ Discord client error:', error);
+    log.error('❌ Discord client error:', error);
 });
 
 client.on('warn', warning => {
-    console.warn('⚠️ Discord client warning:', warning);
+    log.warn('⚠️ Discord client warning:', warning);
 });
 
 process.on('unhandledRejection', error => {
-    console.error('❌ Unhandled promise rejection:', error);
+    log.error('❌ Unhandled promise rejection:', error);
     
     // If it's a connection error, try to reconnect
     if (error.message && error.message.includes('Redis')) {
-        console.log('🔄 Attempting Redis reconnection...');
+        log.info('🔄 Attempting Redis reconnection...');
         connectionManager?.reconnectRedis();
     }
 });
 
 process.on('uncaughtException', error => {
-    console.error('❌ Uncaught exception:', error);
+    log.error('❌ Uncaught exception:', error);
     process.exit(1);
 });
 
@@ -1108,9 +593,17 @@ process.on('SIGINT', gracefulShutdown);
 process.on('SIGTERM', gracefulShutdown);
 
 async function gracefulShutdown() {
-    console.log('🛑 Shutting down bot gracefully...');
+    log.info('🛑 Shutting down bot gracefully...');
     
     try {
+        if (healthServer) {
+            await healthServer.stop();
+        }
+        
+        if (jobScheduler) {
+            await jobScheduler.stop();
+        }
+        
         if (xpManager) {
             await xpManager.cleanup();
         }
@@ -1124,70 +617,70 @@ async function gracefulShutdown() {
         }
         
         client.destroy();
-        console.log('👋 Bot shutdown complete!');
+        log.info('👋 Bot shutdown complete!');
     } catch (error) {
-        console.error('❌ Error during shutdown:', error);
+        log.error('❌ Error during shutdown:', error);
     }
     
     process.exit(0);
 }
 
-// Periodic health checks (every 30 minutes)
-setInterval(async () => {
+// Periodic health check (scheduled job)
+async function runHealthCheck() {
     try {
         if (connectionManager) {
             const health = connectionManager.getHealthStatus();
             
             // Log status if there are issues
             if (!health.postgresql.connected) {
-                console.error('❌ PostgreSQL connection lost!');
+                log.error('❌ PostgreSQL connection lost!');
             }
             
             if (!health.redis.connected && connectionManager.isRedisAvailable()) {
-                console.warn('⚠️ Redis connection lost, attempting reconnection...');
+                log.warn('⚠️ Redis connection lost, attempting reconnection...');
                 await connectionManager.reconnectRedis();
             }
         }
     } catch (error) {
-        console.error('❌ Health check error:', error);
+        log.error('❌ Health check error:', error);
     }
-}, 1800000); // 30 minutes
+}
 
-// Periodic cache stats (every 30 minutes) with performance insights
-setInterval(async () => {
+// Periodic cache stats (scheduled job) with performance insights
+async function logCacheStats() {
     try {
         if (cacheManager) {
             const stats = await cacheManager.getCacheStats();
             const preloadStats = cacheManager.getPreloadStats();
             
-            console.log(`📊 [CACHE STATS] Mode: ${stats.mode}, Entries: ${stats.total || stats.entries || 0}`);
+            cacheLog.debug(`Mode: ${stats.mode}, Entries: ${stats.total || stats.entries || 0}`);
             
             if (stats.redis && stats.total > 0) {
-                console.log(`📊 [CACHE BREAKDOWN] Avatars: ${stats.avatars || 0}, Posters: ${stats.posters || 0}, Cooldowns: ${stats.cooldowns || 0}, Leaderboards: ${stats.leaderboards || 0}`);
+                cacheLog.debug(`Avatars: ${stats.avatars || 0}, Posters: ${stats.posters || 0}, Cooldowns: ${stats.cooldowns || 0}, Leaderboards: ${stats.leaderboards || 0}`);
                 
                 // Performance insights
                 if (preloadStats.totalUsers > 0) {
-                    console.log(`🚀 [PERFORMANCE] Preloaded: ${preloadStats.avatarsPreloaded + preloadStats.postersPreloaded} items, Users: ${preloadStats.totalUsers}`);
+                    cacheLog.debug(`Preloaded: ${preloadStats.avatarsPreloaded + preloadStats.postersPreloaded} items, Users: ${preloadStats.totalUsers}`);
                 }
                 
                 // Cache hit rate estimation (avatars + posters vs total users processed)
                 if (preloadStats.totalUsers > 0) {
                     const cacheHitRate = Math.round(((stats.avatars || 0) + (stats.posters || 0)) / preloadStats.totalUsers * 100);
-                    console.log(`⚡ [PERFORMANCE] Estimated cache efficiency: ${cacheHitRate}%`);
+                    cacheLog.debug(`Estimated cache efficiency: ${cacheHitRate}%`);
                 }
             }
         }
     } catch (error) {
-        console.error('❌ Cache stats error:', error);
+        log.error('❌ Cache stats error:', error);
     }
-}, 1800000); // 30 minutes
+}
 
 // Start the bot
 async function startBot() {
-    console.log('🚀 Starting One Piece XP Bot...');
+    log.info('🚀 Starting One Piece XP Bot...');
     
     await initializeBot();
-    await client.login(process.env.DISCORD_TOKEN);
+    await client.login(config.get('DISCORD_TOKEN'));
 }
 
 // Export for other modules
@@ -1196,8 +689,9 @@ module.exports = {
     databaseManager, 
     xpManager, 
     cacheManager, 
-    connectionManager 
+    connectionManager,
+    jobScheduler
 };
 
 // Start the bot
-startBot().catch(console.error);
+startBot().catch(error => log.error('❌ Failed to start bot:', error));
@@ -0,0 +1,32 @@
+/**
+ * Example plugin - files starting with "_" are not loaded
+ * Copy this file to plugins/weekend-xp.js to enable it
+ *
+ * Events:
+ *   xp.grant             hook before earned XP is awarded - return false to veto or { amount } to change it
+ *   xp.awarded           XP was added to a member
+ *   level.up             a member reached a new level
+ *   level.down           a member dropped to a lower level (admin XP removal)
+ *   cap.reached          a member hit their daily XP cap
+ *   voice.session.start  a member joined or moved into a voice channel
+ *   voice.session.end    a member left or moved out of a voice channel
+ *   admin.xp.changed     an admin added, removed, set, reset or undid XP
+ *   admin.xp.bulk_changed an admin imported levels or restored an archive
+ */
+module.exports = {
+    name: 'weekend-xp',
+
+    setup({ events }) {
+        // Double earned XP on Saturdays and Sundays (UTC) - the daily cap still applies afterwards
+        events.on('xp.grant', (grant) => {
+            const day = new Date().getUTCDay();
+            if (day === 0 || day === 6) {
+                return { amount: grant.amount * 2 };
+            }
+        });
+
+        events.on('level.up', ({ user, newLevel }) => {
+            console.log(`[WEEKEND XP] ${user.username} reached level ${newLevel}`);
+        });
+    }
+};
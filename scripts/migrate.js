@@ -0,0 +1,79 @@
+/**
+ * Schema migration CLI
+ *
+ *   node scripts/migrate.js status        Show applied and pending migrations
+ *   node scripts/migrate.js up [version]  Apply pending migrations (optionally up to a version)
+ *   node scripts/migrate.js down [steps]  Roll back the last N migrations (default 1)
+ */
+require('dotenv').config();
+
+const { Pool } = require('pg');
+const MigrationManager = require('../src/systems/MigrationManager');
+const config = require('../src/utils/Config');
+
+async function main() {
+    const [command = 'status', argument] = process.argv.slice(2);
+
+    if (!config.get('DATABASE_URL')) {
+        console.error('❌ DATABASE_URL is not set');
+        process.exit(1);
+    }
+
+    const db = new Pool({
+        connectionString: config.get('DATABASE_URL'),
+        ssl: config.get('NODE_ENV') === 'production' ? { rejectUnauthorized: false } : false,
+        max: 2
+    });
+    const migrationManager = new MigrationManager(db);
+
+    try {
+        switch (command) {
+            case 'status': {
+                const status = await migrationManager.getStatus();
+                console.log(`🗄️ Schema version: ${status.current} (latest available: ${status.latest})\n`);
+
+                for (const row of status.applied) {
+                    const flag = status.unknown.includes(row) ? '⚠️  unknown' : '✅ applied';
+                    console.log(`  ${flag}  ${String(row.version).padStart(3, '0')}_${row.name}  (${new Date(row.applied_at).toISOString()})`);
+                }
+                for (const migration of status.pending) {
+                    console.log(`  ⏳ pending  ${migration.file}`);
+                }
+
+                if (status.unknown.length > 0) {
+                    console.log('\n⚠️ The database has migrations this version of the bot does not know about.');
+                }
+                break;
+            }
+
+            case 'up': {
+                const target = argument ? parseInt(argument) : null;
+                if (argument && isNaN(target)) throw new Error(`Invalid target version: ${argument}`);
+
+                const applied = await migrationManager.migrate(target);
+                console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date');
+                break;
+            }
+
+            case 'down': {
+                const steps = argument ? parseInt(argument) : 1;
+                if (isNaN(steps) || steps < 1) throw new Error(`Invalid step count: ${argument}`);
+
+                const rolledBack = await migrationManager.rollback(steps);
+                console.log(rolledBack.length > 0 ? `✅ Rolled back ${rolledBack.length} migration(s)` : 'ℹ️ Nothing to roll back');
+                break;
+            }
+
+            default:
+                console.log('Usage: node scripts/migrate.js <status|up [version]|down [steps]>');
+                process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await db.end();
+    }
+}
+
+main();
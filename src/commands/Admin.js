@@ -1,9 +1,16 @@
-const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder, PermissionFlagsBits } = require('discord.js');
+const LevelImporter = require('../utils/LevelImporter');
+const GuildBackupManager = require('../systems/GuildBackupManager');
+const logger = require('../utils/Logger');
+const config = require('../utils/Config');
+
+const log = logger.child('admin');
 
-// Admin user ID from environment
-const ADMIN_USER_ID = process.env.ADMIN_USER_ID || '1095470472390508658';
 // Commands channel restriction
-const COMMANDS_CHANNEL = process.env.COMMANDS_CHANNEL || null;
+const COMMANDS_CHANNEL = config.get('COMMANDS_CHANNEL');
+
+// Stop editing a deferred reply a minute before Discord's 15 minute interaction token expires
+const SYNC_REPLY_WINDOW = 14 * 60 * 1000;
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -20,7 +27,17 @@ module.exports = {
                     { name: '🔄 Set User XP Total', value: 'set-xp' },
                     { name: '🗑️ Reset User Completely', value: 'reset-user' },
                     { name: '📊 View User Stats', value: 'user-stats' },
-                    { name: '🔄 Force Daily Reset', value: 'daily-reset' }
+                    { name: '🔄 Force Daily Reset', value: 'daily-reset' },
+                    { name: '🧊 Freeze User XP', value: 'freeze' },
+                    { name: '🔥 Unfreeze User XP', value: 'unfreeze' },
+                    { name: '📋 List Frozen Users', value: 'list-frozen' },
+                    { name: '📜 View XP History', value: 'xp-history' },
+                    { name: '↩️ Undo Admin Operation', value: 'undo' },
+                    { name: '📥 Import Levels (MEE6/Arcane/Tatsu)', value: 'import' },
+                    { name: '💾 Export Server Data', value: 'export' },
+                    { name: '♻️ Restore Server Data', value: 'restore' },
+                    { name: '🔁 Sync Level Roles', value: 'sync-roles' },
+                    { name: '🪵 Log Level (Bot Owner)', value: 'log-level' }
                 )
         )
         .addUserOption(option =>
@@ -42,27 +59,104 @@ module.exports = {
                 .setName('reason')
                 .setDescription('Reason for this action')
                 .setRequired(false)
+        )
+        .addStringOption(option =>
+            option
+                .setName('duration')
+                .setDescription('Freeze duration, e.g. 30m, 12h, 7d, 2w (omit for permanent)')
+                .setRequired(false)
+        )
+        .addIntegerOption(option =>
+            option
+                .setName('operation')
+                .setDescription('Operation ID to undo (omit to undo the latest operation on the user)')
+                .setRequired(false)
+                .setMinValue(1)
+        )
+        .addAttachmentOption(option =>
+            option
+                .setName('file')
+                .setDescription('JSON or CSV file to import, or a server archive to restore')
+                .setRequired(false)
+        )
+        .addStringOption(option =>
+            option
+                .setName('mode')
+                .setDescription('How to map imported progress onto this bot (default: keep levels)')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Keep levels (recommended)', value: 'level' },
+                    { name: 'Keep raw XP', value: 'xp' }
+                )
+        )
+        .addBooleanOption(option =>
+            option
+                .setName('apply')
+                .setDescription('Write the changes for import/restore/role sync (omit for a preview only)')
+                .setRequired(false)
+        )
+        .addBooleanOption(option =>
+            option
+                .setName('sync-roles')
+                .setDescription('Also update level roles for imported members')
+                .setRequired(false)
+        )
+        .addStringOption(option =>
+            option
+                .setName('format')
+                .setDescription('Export format (default: JSON archive)')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'JSON archive (restorable)', value: 'json' },
+                    { name: 'CSV tables + JSON archive', value: 'csv' }
+                )
+        )
+        .addStringOption(option =>
+            option
+                .setName('level')
+                .setDescription('Log level to set (omit to view the current levels)')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Error', value: 'error' },
+                    { name: 'Warn', value: 'warn' },
+                    { name: 'Info', value: 'info' },
+                    { name: 'Debug', value: 'debug' },
+                    { name: 'Trace', value: 'trace' },
+                    { name: 'Reset namespace override', value: 'reset' }
+                )
+        )
+        .addStringOption(option =>
+            option
+                .setName('namespace')
+                .setDescription('Only change this log namespace, e.g. voice, cache:preload (omit for the whole bot)')
+                .setRequired(false)
+                .setMaxLength(50)
         ),
 
-    async execute(interaction, { xpManager, databaseManager }) {
+    async execute(interaction, { xpManager, databaseManager, permissionManager }) {
         try {
-            // Check if user is authorized admin
-            if (interaction.user.id !== ADMIN_USER_ID) {
+            const action = interaction.options.getString('action');
+
+            // Check the caller holds the permission level this action needs
+            const requiredLevel = this.getRequiredPermission(action);
+            if (!await permissionManager.hasPermission(interaction.member, requiredLevel)) {
                 return await interaction.reply({
-                    content: '❌ **Access Denied**\n\n⚓ **Marine Command Center** requires special authorization.\n\nOnly authorized Marine officers may access these commands.',
+                    content: permissionManager.getDeniedMessage(requiredLevel),
                     ephemeral: true
                 });
             }
 
             // Admin can use anywhere - no channel restriction for admin
 
-            const action = interaction.options.getString('action');
             const targetUser = interaction.options.getUser('user');
             const amount = interaction.options.getInteger('amount');
             const reason = interaction.options.getString('reason') || 'No reason specified';
+            const duration = interaction.options.getString('duration');
+            const operationId = interaction.options.getInteger('operation');
+            const file = interaction.options.getAttachment('file');
 
             // Handle XP operations that require a target user
-            if (['add-xp', 'remove-xp', 'set-xp', 'reset-user', 'user-stats'].includes(action)) {
+            if (['add-xp', 'remove-xp', 'set-xp', 'reset-user', 'user-stats', 'freeze', 'unfreeze'].includes(action)) {
                 if (!targetUser) {
                     return await interaction.reply({
                         content: '❌ **Missing Target User**\n\nPlease specify a user for this operation.',
@@ -122,6 +216,85 @@ module.exports = {
                     await this.handleDailyReset(interaction, xpManager);
                     break;
 
+                case 'freeze': {
+                    const durationSeconds = duration ? this.parseDuration(duration) : null;
+                    if (duration && !durationSeconds) {
+                        return await interaction.reply({
+                            content: '❌ **Invalid Duration**\n\nUse a number followed by m, h, d or w (e.g. `30m`, `12h`, `7d`, `2w`), up to 1 year.',
+                            ephemeral: true
+                        });
+                    }
+                    await this.handleFreeze(interaction, targetUser, durationSeconds, interaction.options.getString('reason'), databaseManager);
+                    break;
+                }
+
+                case 'unfreeze':
+                    await this.handleUnfreeze(interaction, targetUser, databaseManager);
+                    break;
+
+                case 'list-frozen':
+                    await this.handleListFrozen(interaction, databaseManager);
+                    break;
+
+                case 'xp-history':
+                    await this.handleXPHistory(interaction, targetUser, databaseManager);
+                    break;
+
+                case 'undo':
+                    if (!operationId && !targetUser) {
+                        return await interaction.reply({
+                            content: '❌ **Missing Operation**\n\nSpecify an operation ID, or a user to undo their latest admin operation.',
+                            ephemeral: true
+                        });
+                    }
+                    await this.handleUndo(interaction, operationId, targetUser, xpManager, databaseManager);
+                    break;
+
+                case 'import':
+                    if (!file) {
+                        return await interaction.reply({
+                            content: '❌ **Missing File**\n\nAttach a JSON or CSV export using the `file` option.',
+                            ephemeral: true
+                        });
+                    }
+                    await this.handleImport(
+                        interaction, file,
+                        interaction.options.getString('mode') || 'level',
+                        interaction.options.getBoolean('apply') || false,
+                        interaction.options.getBoolean('sync-roles') || false,
+                        xpManager, databaseManager
+                    );
+                    break;
+
+                case 'export':
+                    await this.handleExport(interaction, interaction.options.getString('format') || 'json', databaseManager);
+                    break;
+
+                case 'restore':
+                    if (!file) {
+                        return await interaction.reply({
+                            content: '❌ **Missing File**\n\nAttach a server archive (`.json`) using the `file` option.',
+                            ephemeral: true
+                        });
+                    }
+                    await this.handleRestore(interaction, file, interaction.options.getBoolean('apply') || false, xpManager, databaseManager);
+                    break;
+
+                case 'sync-roles':
+                    await this.handleSyncRoles(interaction, interaction.options.getBoolean('apply') || false, xpManager);
+                    break;
+
+                case 'log-level':
+                    // Log levels are process-wide, so a single server's staff can't change them
+                    if (!permissionManager.isBotOwner(interaction.user.id)) {
+                        return await interaction.reply({
+                            content: '❌ **Bot Owner Only**\n\nLog levels apply to the bot in every server, so only the bot owner (`ADMIN_USER_ID`) can change them.',
+                            ephemeral: true
+                        });
+                    }
+                    await this.handleLogLevel(interaction, interaction.options.getString('level'), interaction.options.getString('namespace'));
+                    break;
+
                 default:
                     return await interaction.reply({
                         content: '❌ **Unknown Action**\n\nPlease use a valid action from the dropdown.',
@@ -171,14 +344,21 @@ module.exports = {
                 });
             }
 
+            const before = await xpManager.getUserStateSnapshot(targetUser.id, interaction.guild.id, member);
+
             // Award XP using the XP manager
-            await xpManager.awardXP(targetUser.id, interaction.guild.id, amount, 'admin', targetUser, member);
+            await xpManager.awardXP(targetUser.id, interaction.guild.id, amount, 'admin', targetUser, member, null, {
+                actorId: interaction.user.id,
+                reason
+            });
 
             // Get updated stats
             const updatedStats = await xpManager.getUserStats(targetUser.id, interaction.guild.id);
             const newLevel = updatedStats?.level || 0;
             const newTotalXP = updatedStats?.total_xp || 0;
 
+            const operationId = await this.recordOperation(interaction, targetUser, member, 'add-xp', reason, before, xpManager, databaseManager);
+
             // Create response embed with RED text for admin
             const embed = new EmbedBuilder()
                 .setColor('#FF0000') // Red color
@@ -204,6 +384,11 @@ module.exports = {
                         name: '📝 Reason',
                         value: reason,
                         inline: false
+                    },
+                    {
+                        name: '🆔 Operation',
+                        value: operationId ? `#${operationId} • Undo with \`/admin action:undo operation:${operationId}\`` : 'Not recorded (undo unavailable)',
+                        inline: false
                     }
                 )
                 .setFooter({ text: `⚓ Authorized by ${interaction.user.username} • Marine Intelligence` })
@@ -246,17 +431,33 @@ module.exports = {
             const oldLevel = currentStats.level;
             const oldTotalXP = currentStats.total_xp;
 
+            const member = await interaction.guild.members.fetch(targetUser.id).catch(() => null);
+            const before = await xpManager.getUserStateSnapshot(targetUser.id, interaction.guild.id, member);
+
             // Calculate new XP (ensure it doesn't go below 0)
             const newTotalXP = Math.max(0, oldTotalXP - amount);
             
             // Use database manager to directly set the XP
             await databaseManager.updateUserXP(targetUser.id, interaction.guild.id, -(oldTotalXP - newTotalXP), 'admin');
+            await databaseManager.recordXPTransaction({
+                userId: targetUser.id,
+                guildId: interaction.guild.id,
+                amount: -(oldTotalXP - newTotalXP),
+                source: 'admin_remove',
+                actorId: interaction.user.id,
+                reason,
+                balanceAfter: newTotalXP
+            });
             
             // Calculate and update new level
             const LevelCalculator = require('../utils/LevelCalculator');
             const levelCalc = new LevelCalculator();
             const newLevel = levelCalc.calculateLevel(newTotalXP);
-            await databaseManager.updateUserLevel(targetUser.id, interaction.guild.id, newLevel);
+            const roleChanges = await xpManager.handleLevelChange(
+                targetUser.id, interaction.guild.id, oldLevel, newLevel, newTotalXP, targetUser, member, 'admin_remove'
+            );
+
+            const operationId = await this.recordOperation(interaction, targetUser, member, 'remove-xp', reason, before, xpManager, databaseManager);
 
             // Create response embed with RED text for admin
             const embed = new EmbedBuilder()
@@ -283,11 +484,18 @@ module.exports = {
                         name: '📝 Reason',
                         value: reason,
                         inline: false
+                    },
+                    {
+                        name: '🆔 Operation',
+                        value: operationId ? `#${operationId} • Undo with \`/admin action:undo operation:${operationId}\`` : 'Not recorded (undo unavailable)',
+                        inline: false
                     }
                 )
                 .setFooter({ text: `⚓ Authorized by ${interaction.user.username} • Marine Intelligence` })
                 .setTimestamp();
 
+            this.addLevelDownField(embed, targetUser, oldLevel, newLevel, roleChanges);
+
             await interaction.editReply({ embeds: [embed] });
 
         } catch (error) {
@@ -310,6 +518,9 @@ module.exports = {
             const oldLevel = currentStats?.level || 0;
             const oldTotalXP = currentStats?.total_xp || 0;
 
+            const member = await interaction.guild.members.fetch(targetUser.id).catch(() => null);
+            const before = await xpManager.getUserStateSnapshot(targetUser.id, interaction.guild.id, member);
+
             // Calculate new level
             const LevelCalculator = require('../utils/LevelCalculator');
             const levelCalc = new LevelCalculator();
@@ -317,7 +528,20 @@ module.exports = {
 
             // Set XP directly in database
             await databaseManager.updateUserXP(targetUser.id, interaction.guild.id, amount - oldTotalXP, 'admin');
-            await databaseManager.updateUserLevel(targetUser.id, interaction.guild.id, newLevel);
+            await databaseManager.recordXPTransaction({
+                userId: targetUser.id,
+                guildId: interaction.guild.id,
+                amount: amount - oldTotalXP,
+                source: 'admin_set',
+                actorId: interaction.user.id,
+                reason,
+                balanceAfter: amount
+            });
+            const roleChanges = await xpManager.handleLevelChange(
+                targetUser.id, interaction.guild.id, oldLevel, newLevel, amount, targetUser, member, 'admin_set'
+            );
+
+            const operationId = await this.recordOperation(interaction, targetUser, member, 'set-xp', reason, before, xpManager, databaseManager);
 
             // Create response embed with RED text for admin
             const embed = new EmbedBuilder()
@@ -344,11 +568,18 @@ module.exports = {
                         name: '📝 Reason',
                         value: reason,
                         inline: false
+                    },
+                    {
+                        name: '🆔 Operation',
+                        value: operationId ? `#${operationId} • Undo with \`/admin action:undo operation:${operationId}\`` : 'Not recorded (undo unavailable)',
+                        inline: false
                     }
                 )
                 .setFooter({ text: `⚓ Authorized by ${interaction.user.username} • Marine Intelligence` })
                 .setTimestamp();
 
+            this.addLevelDownField(embed, targetUser, oldLevel, newLevel, roleChanges);
+
             await interaction.editReply({ embeds: [embed] });
 
         } catch (error) {
@@ -371,9 +602,25 @@ module.exports = {
             const oldLevel = currentStats?.level || 0;
             const oldTotalXP = currentStats?.total_xp || 0;
 
+            const member = await interaction.guild.members.fetch(targetUser.id).catch(() => null);
+            const before = await xpManager.getUserStateSnapshot(targetUser.id, interaction.guild.id, member);
+
             // Reset user by setting XP to 0
             await databaseManager.updateUserXP(targetUser.id, interaction.guild.id, -oldTotalXP, 'admin');
-            await databaseManager.updateUserLevel(targetUser.id, interaction.guild.id, 0);
+            await databaseManager.recordXPTransaction({
+                userId: targetUser.id,
+                guildId: interaction.guild.id,
+                amount: -oldTotalXP,
+                source: 'admin_reset',
+                actorId: interaction.user.id,
+                reason,
+                balanceAfter: 0
+            });
+            const roleChanges = await xpManager.handleLevelChange(
+                targetUser.id, interaction.guild.id, oldLevel, 0, 0, targetUser, member, 'admin_reset'
+            );
+
+            const operationId = await this.recordOperation(interaction, targetUser, member, 'reset-user', reason, before, xpManager, databaseManager);
 
             // Create response embed with RED text for admin
             const embed = new EmbedBuilder()
@@ -400,11 +647,18 @@ module.exports = {
                         name: '📝 Reason',
                         value: reason,
                         inline: false
+                    },
+                    {
+                        name: '🆔 Operation',
+                        value: operationId ? `#${operationId} • Undo with \`/admin action:undo operation:${operationId}\`` : 'Not recorded (undo unavailable)',
+                        inline: false
                     }
                 )
                 .setFooter({ text: `⚓ Authorized by ${interaction.user.username} • Marine Intelligence` })
                 .setTimestamp();
 
+            this.addLevelDownField(embed, targetUser, oldLevel, 0, roleChanges);
+
             await interaction.editReply({ embeds: [embed] });
 
         } catch (error) {
@@ -415,6 +669,23 @@ module.exports = {
         }
     },
 
+    /**
+     * Add a level down notice listing the level roles that were taken away
+     */
+    addLevelDownField(embed, targetUser, oldLevel, newLevel, roleChanges) {
+        if (newLevel >= oldLevel) return;
+
+        const lines = [`${targetUser.username} dropped ${oldLevel - newLevel} level(s) (Level ${oldLevel} → ${newLevel}).`];
+        if (roleChanges.removed.length > 0) lines.push(`**Roles removed:** ${roleChanges.removed.join(', ')}`);
+        if (roleChanges.added.length > 0) lines.push(`**Roles restored:** ${roleChanges.added.join(', ')}`);
+
+        embed.addFields({
+            name: '📉 Level Down Detected',
+            value: lines.join('\n'),
+            inline: false
+        });
+    },
+
     /**
      * Handle viewing user stats - ENHANCED WITH DAILY CAP AND TIER INFO - RED TEXT FOR ADMIN
      */
@@ -449,7 +720,7 @@ module.exports = {
             let tierLevel = 0;
             if (member) {
                 for (let tier = 10; tier >= 1; tier--) {
-                    const roleId = process.env[`TIER_${tier}_ROLE`];
+                    const roleId = config.get(`TIER_${tier}_ROLE`);
                     if (roleId && member.roles.cache.has(roleId)) {
                         tierInfo = `Tier ${tier}`;
                         tierLevel = tier;
@@ -503,7 +774,7 @@ module.exports = {
 
                 // Add tier bonus information if applicable
                 if (tierLevel > 0) {
-                    const baseCap = parseInt(process.env.DAILY_XP_CAP) || 15000;
+                    const baseCap = config.get('DAILY_XP_CAP');
                     const bonus = daily.dailyCap - baseCap;
                     embed.addFields({
                         name: '⭐ Tier Benefits',
@@ -512,31 +783,18 @@ module.exports = {
                     });
                 }
 
-                // Add cap status with proper reset time calculation
+                // Add cap status with the guild's reset schedule
+                const nextResetTimestamp = await xpManager.dailyCapManager.getNextResetTimestamp(interaction.guild.id);
                 if (daily.isAtCap) {
                     embed.addFields({
                         name: '🚫 Daily Cap Status',
-                        value: '```diff\n- DAILY CAP REACHED\n- No more XP can be gained today\n- Cap resets at 7:35 PM EDT\n```',
+                        value: `\`\`\`diff\n- DAILY CAP REACHED\n- No more XP can be gained today\n\`\`\`**Resets:** <t:${nextResetTimestamp}:t> (<t:${nextResetTimestamp}:R>)`,
                         inline: false
                     });
                 } else {
-                    // Use DailyCapManager's method for consistent reset timestamp
-                    let nextResetTimestamp;
-                    try {
-                        if (xpManager?.dailyCapManager?.getNextResetTimestamp) {
-                            nextResetTimestamp = xpManager.dailyCapManager.getNextResetTimestamp();
-                        } else {
-                            // Fallback calculation
-                            nextResetTimestamp = this.calculateNextResetTimestamp();
-                        }
-                    } catch (error) {
-                        // Ultimate fallback
-                        nextResetTimestamp = this.calculateNextResetTimestamp();
-                    }
-                    
                     embed.addFields({
                         name: '✅ Daily Cap Status',
-                        value: `\`\`\`diff\n+ CAN STILL GAIN XP\n+ Remaining: ${daily.remaining.toLocaleString()} XP\n+ Next Reset: <t:${nextResetTimestamp}:R>\n\`\`\``,
+                        value: `\`\`\`diff\n+ CAN STILL GAIN XP\n+ Remaining: ${daily.remaining.toLocaleString()} XP\n\`\`\`**Resets:** <t:${nextResetTimestamp}:t> (<t:${nextResetTimestamp}:R>)`,
                         inline: false
                     });
                 }
@@ -564,12 +822,24 @@ module.exports = {
 
             // Trigger daily reset
             if (xpManager.dailyCapManager) {
-                await xpManager.dailyCapManager.resetDaily();
+                const dailyCapManager = xpManager.dailyCapManager;
+                const reset = await dailyCapManager.resetDaily(interaction.guild.id, true);
+                if (!reset) {
+                    throw new Error('Daily reset failed');
+                }
+
+                const schedule = await dailyCapManager.getResetSchedule(interaction.guild.id);
+                const nextResetTimestamp = dailyCapManager.resetSchedule.getNextResetTimestamp(schedule);
                 
                 const resetEmbed = new EmbedBuilder()
                     .setColor(0xFF0000) // Red color for admin
                     .setTitle('🌅 DAILY RESET COMPLETE')
-                    .setDescription('```diff\n- Daily XP caps have been reset\n- All users can now gain XP again\n- Reset triggered manually by admin\n```') // Red text
+                    .setDescription(`\`\`\`diff\n- Daily XP caps have been reset\n- All users can now gain XP again\n- Reset triggered manually by admin\n- Records cleared: ${reset.removed}\n\`\`\``) // Red text
+                    .addFields({
+                        name: '🕒 Reset Schedule',
+                        value: `**Day:** ${reset.currentDay}\n**Daily Reset:** ${dailyCapManager.resetSchedule.describe(schedule)}\n**Next Reset:** <t:${nextResetTimestamp}:F> (<t:${nextResetTimestamp}:R>)`,
+                        inline: false
+                    })
                     .setTimestamp()
                     .setFooter({ text: `⚓ Authorized by ${interaction.user.username} • Marine Intelligence` });
 
@@ -589,48 +859,896 @@ module.exports = {
     },
 
     /**
-     * Calculate next reset timestamp (matches DailyCapManager logic)
+     * Handle freezing a user's XP
+     */
+    async handleFreeze(interaction, targetUser, durationSeconds, reason, databaseManager) {
+        try {
+            await interaction.deferReply();
+
+            const freeze = await databaseManager.freezeUser(
+                targetUser.id, interaction.guild.id, interaction.user.id, reason, durationSeconds
+            );
+
+            if (!freeze) {
+                return await interaction.editReply({
+                    content: '❌ **Operation Failed**\n\nFailed to freeze XP. Please try again.'
+                });
+            }
+
+            const expiresText = freeze.expires_at
+                ? `<t:${Math.floor(new Date(freeze.expires_at).getTime() / 1000)}:F> (<t:${Math.floor(new Date(freeze.expires_at).getTime() / 1000)}:R>)`
+                : 'Never (until unfrozen)';
+
+            const embed = new EmbedBuilder()
+                .setColor('#FF0000')
+                .setTitle('⚓ MARINE COMMAND CENTER')
+                .setDescription('```diff\n- XP FROZEN\n- Subject can no longer earn message, reaction or voice XP\n```')
+                .addFields(
+                    {
+                        name: '🎯 Target',
+                        value: `${targetUser.username} (${targetUser.id})`,
+                        inline: true
+                    },
+                    {
+                        name: '⏳ Expires',
+                        value: expiresText,
+                        inline: true
+                    },
+                    {
+                        name: '📝 Reason',
+                        value: reason || 'No reason specified',
+                        inline: false
+                    }
+                )
+                .setFooter({ text: `⚓ Authorized by ${interaction.user.username} • Marine Intelligence` })
+                .setTimestamp();
+
+            await interaction.editReply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Freeze XP error:', error);
+            await interaction.editReply({
+                content: '❌ **Operation Failed**\n\nFailed to freeze XP. Please try again.'
+            });
+        }
+    },
+
+    /**
+     * Handle unfreezing a user's XP
+     */
+    async handleUnfreeze(interaction, targetUser, databaseManager) {
+        try {
+            await interaction.deferReply();
+
+            const removed = await databaseManager.unfreezeUser(targetUser.id, interaction.guild.id);
+            if (!removed) {
+                return await interaction.editReply({
+                    content: '❌ **Not Frozen**\n\nThis user does not have an XP freeze.'
+                });
+            }
+
+            const embed = new EmbedBuilder()
+                .setColor('#FF0000')
+                .setTitle('⚓ MARINE COMMAND CENTER')
+                .setDescription('```diff\n- XP FREEZE LIFTED\n```')
+                .addFields(
+                    {
+                        name: '🎯 Target',
+                        value: `${targetUser.username} (${targetUser.id})`,
+                        inline: true
+                    },
+                    {
+                        name: '🧊 Previous Freeze',
+                        value: `**By:** <@${removed.frozen_by}>\n**Reason:** ${removed.reason || 'No reason specified'}`,
+                        inline: false
+                    }
+                )
+                .setFooter({ text: `⚓ Authorized by ${interaction.user.username} • Marine Intelligence` })
+                .setTimestamp();
+
+            await interaction.editReply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Unfreeze XP error:', error);
+            await interaction.editReply({
+                content: '❌ **Operation Failed**\n\nFailed to unfreeze XP. Please try again.'
+            });
+        }
+    },
+
+    /**
+     * Handle listing users with active XP freezes
+     */
+    async handleListFrozen(interaction, databaseManager) {
+        try {
+            await interaction.deferReply();
+
+            const freezes = await databaseManager.getFrozenUsers(interaction.guild.id);
+
+            const embed = new EmbedBuilder()
+                .setColor('#FF0000')
+                .setTitle('🧊 FROZEN XP ACCOUNTS')
+                .setFooter({ text: `⚓ Marine Intelligence • Requested by ${interaction.user.username}` })
+                .setTimestamp();
+
+            if (freezes.length === 0) {
+                embed.setDescription('```diff\n- No users currently have frozen XP\n```');
+                return await interaction.editReply({ embeds: [embed] });
+            }
+
+            const lines = freezes.slice(0, 25).map(freeze => {
+                const expires = freeze.expires_at
+                    ? `expires <t:${Math.floor(new Date(freeze.expires_at).getTime() / 1000)}:R>`
+                    : 'permanent';
+                return `<@${freeze.user_id}> - ${expires} - by <@${freeze.frozen_by}>${freeze.reason ? `\n└ *${freeze.reason.slice(0, 80)}*` : ''}`;
+            });
+
+            embed.setDescription(`\`\`\`diff\n- ${freezes.length} ACTIVE FREEZE(S)\n\`\`\`\n${lines.join('\n').slice(0, 3800)}`);
+            if (freezes.length > 25) {
+                embed.addFields({ name: '📋 Note', value: `Showing 25 of ${freezes.length} frozen users.`, inline: false });
+            }
+
+            await interaction.editReply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('List frozen error:', error);
+            await interaction.editReply({
+                content: '❌ **Operation Failed**\n\nFailed to list frozen users. Please try again.'
+            });
+        }
+    },
+
+    /**
+     * Handle viewing or changing the runtime log level
+     */
+    async handleLogLevel(interaction, level, namespace) {
+        try {
+            const target = namespace ? namespace.trim().toLowerCase() : null;
+            let change = null;
+
+            if (level === 'reset') {
+                if (!target) {
+                    return await interaction.reply({
+                        content: '❌ **Missing Namespace**\n\nChoose the `namespace` whose override should be removed.',
+                        ephemeral: true
+                    });
+                }
+                change = logger.clearLevel(target)
+                    ? `- ${target} now follows the bot-wide level`
+                    : `- ${target} had no override`;
+            } else if (level) {
+                logger.setLevel(level, target);
+                change = `- ${target || 'Bot-wide'} level set to ${level.toUpperCase()}`;
+            }
+
+            const { level: current, namespaces } = logger.getLevels();
+            const overrides = Object.entries(namespaces)
+                .map(([name, value]) => `**${name}:** ${value.toUpperCase()}`)
+                .join('\n') || 'None';
+
+            const embed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('🪵 LOG LEVEL')
+                .setDescription(`\`\`\`diff\n${change || '- Current logging configuration'}\n\`\`\``)
+                .addFields(
+                    {
+                        name: '📶 Bot-wide Level',
+                        value: current.toUpperCase(),
+                        inline: true
+                    },
+                    {
+                        name: '🧭 Namespace Overrides',
+                        value: overrides,
+                        inline: true
+                    }
+                )
+                .setFooter({ text: `⚓ Authorized by ${interaction.user.username} • Resets to LOG_LEVEL on restart` })
+                .setTimestamp();
+
+            if (change) {
+                log.info(`Log level changed by ${interaction.user.username}: ${change.slice(2)}`);
+            }
+
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+
+        } catch (error) {
+            console.error('Log level error:', error);
+            await interaction.reply({
+                content: '❌ **Operation Failed**\n\nFailed to change the log level. Please try again.',
+                ephemeral: true
+            });
+        }
+    },
+
+    /**
+     * Permission level required for each action
      */
-    calculateNextResetTimestamp() {
-        const now = new Date();
-        const resetHour = parseInt(process.env.DAILY_RESET_HOUR_EDT) || 19;
-        const resetMinute = parseInt(process.env.DAILY_RESET_MINUTE_EDT) || 35;
-        
-        // Check if current time is EDT or EST
-        const isEDT = this.isEDT(now);
-        const edtOffset = isEDT ? -4 : -5;
-        
-        // Convert current time to EDT/EST
-        const edtNow = new Date(now.getTime() + (edtOffset * 60 * 60 * 1000));
-        
-        // Set up next reset time in EDT/EST
-        let nextReset = new Date(edtNow);
-        nextReset.setHours(resetHour, resetMinute, 0, 0);
-        
-        // If reset time has passed today, schedule for tomorrow
-        if (edtNow.getTime() >= nextReset.getTime()) {
-            nextReset.setDate(nextReset.getDate() + 1);
+    getRequiredPermission(action) {
+        switch (action) {
+            case 'user-stats':
+            case 'list-frozen':
+            case 'xp-history':
+                return 'view-stats';
+            case 'daily-reset':
+            case 'import':
+            case 'export':
+            case 'restore':
+            case 'sync-roles':
+            case 'log-level':
+                return 'settings';
+            default:
+                return 'modify-xp';
         }
-        
-        // Convert back to UTC for Discord timestamp
-        const utcReset = new Date(nextReset.getTime() - (edtOffset * 60 * 60 * 1000));
-        return Math.floor(utcReset.getTime() / 1000);
     },
 
     /**
-     * Check if date is EDT (Eastern Daylight Time)
+     * Snapshot the user after an admin change and store the operation for undo
+     */
+    async recordOperation(interaction, targetUser, member, action, reason, before, xpManager, databaseManager) {
+        const after = await xpManager.getUserStateSnapshot(targetUser.id, interaction.guild.id, member);
+
+        const operationId = await databaseManager.createAdminOperation({
+            guildId: interaction.guild.id,
+            userId: targetUser.id,
+            actorId: interaction.user.id,
+            action,
+            reason,
+            before,
+            after
+        });
+
+        await this.emitAdminXPChanged(interaction, xpManager, { action, operationId, userId: targetUser.id, reason, before, after });
+        return operationId;
+    },
+
+    /**
+     * Emit admin.xp.changed for an admin XP change
+     */
+    async emitAdminXPChanged(interaction, xpManager, { action, operationId, userId, reason, before, after }) {
+        await xpManager.events.emit('admin.xp.changed', {
+            guildId: interaction.guild.id,
+            userId,
+            actorId: interaction.user.id,
+            actor: interaction.user,
+            action,
+            operationId: operationId || null,
+            reason: reason || null,
+            before: { total_xp: before.total_xp, level: before.level },
+            after: { total_xp: after.total_xp, level: after.level }
+        });
+    },
+
+    /**
+     * Emit admin.xp.bulk_changed for an import or restore - changes: [{ userId, beforeXP, afterXP }]
      */
-    isEDT(date) {
-        const year = date.getFullYear();
-        
-        // Second Sunday in March
-        const marchSecondSunday = new Date(year, 2, 8);
-        marchSecondSunday.setDate(marchSecondSunday.getDate() + (7 - marchSecondSunday.getDay()) % 7);
-        
-        // First Sunday in November  
-        const novemberFirstSunday = new Date(year, 10, 1);
-        novemberFirstSunday.setDate(novemberFirstSunday.getDate() + (7 - novemberFirstSunday.getDay()) % 7);
-        
-        return date >= marchSecondSunday && date < novemberFirstSunday;
+    async emitAdminXPBulkChanged(interaction, xpManager, { action, reason, changes }) {
+        const levelOf = (totalXP) => xpManager.levelCalculator.calculateLevel(totalXP);
+
+        await xpManager.events.emit('admin.xp.bulk_changed', {
+            guildId: interaction.guild.id,
+            actorId: interaction.user.id,
+            actor: interaction.user,
+            action,
+            reason: reason || null,
+            changes: changes.map(({ userId, beforeXP, afterXP }) => ({
+                userId,
+                before: { total_xp: beforeXP, level: levelOf(beforeXP) },
+                after: { total_xp: afterXP, level: levelOf(afterXP) }
+            }))
+        });
+    },
+
+    /**
+     * Handle undoing an admin XP operation
+     */
+    async handleUndo(interaction, operationId, targetUser, xpManager, databaseManager) {
+        try {
+            await interaction.deferReply();
+
+            const guildId = interaction.guild.id;
+            const operation = operationId
+                ? await databaseManager.getAdminOperation(operationId, guildId)
+                : await databaseManager.getLatestAdminOperation(targetUser.id, guildId);
+
+            if (!operation) {
+                return await interaction.editReply({
+                    content: operationId
+                        ? `❌ **Operation Not Found**\n\nNo admin operation #${operationId} exists in this server.`
+                        : '❌ **Nothing To Undo**\n\nThis user has no admin operations that can be undone.'
+                });
+            }
+
+            if (targetUser && operation.user_id !== targetUser.id) {
+                return await interaction.editReply({
+                    content: `❌ **Wrong User**\n\nOperation #${operation.id} was performed on <@${operation.user_id}>, not ${targetUser.username}.`
+                });
+            }
+
+            const member = await interaction.guild.members.fetch(operation.user_id).catch(() => null);
+            const result = await xpManager.undoAdminOperation(operation, interaction.user.id, member);
+
+            if (!result.success) {
+                return await interaction.editReply({
+                    content: `❌ **Undo Refused**\n\n${result.error}`
+                });
+            }
+
+            const { previous, restored, roleChanges } = result;
+            await this.emitAdminXPChanged(interaction, xpManager, {
+                action: 'undo',
+                operationId: operation.id,
+                userId: operation.user_id,
+                reason: `Undo of operation #${operation.id} (${operation.action})`,
+                before: previous,
+                after: restored
+            });
+            const roleSummary = [
+                ...roleChanges.added.map(name => `+ ${name}`),
+                ...roleChanges.removed.map(name => `- ${name}`)
+            ];
+
+            const embed = new EmbedBuilder()
+                .setColor('#FF0000')
+                .setTitle('⚓ MARINE COMMAND CENTER')
+                .setDescription(`\`\`\`diff\n- OPERATION #${operation.id} (${operation.action.toUpperCase()}) UNDONE\n\`\`\``)
+                .addFields(
+                    {
+                        name: '🎯 Target',
+                        value: `<@${operation.user_id}> (${operation.user_id})`,
+                        inline: true
+                    },
+                    {
+                        name: '👮 Original Operator',
+                        value: `<@${operation.actor_id}> • <t:${Math.floor(new Date(operation.created_at).getTime() / 1000)}:R>`,
+                        inline: true
+                    },
+                    {
+                        name: '📊 Results',
+                        value: `**Before Undo:** ${previous.total_xp.toLocaleString()} XP (Level ${previous.level})\n**After Undo:** ${restored.total_xp.toLocaleString()} XP (Level ${restored.level})`,
+                        inline: false
+                    },
+                    {
+                        name: '🎭 Level Roles',
+                        value: roleSummary.length > 0 ? roleSummary.join('\n') : 'No changes',
+                        inline: false
+                    }
+                )
+                .setFooter({ text: `⚓ Authorized by ${interaction.user.username} • Marine Intelligence` })
+                .setTimestamp();
+
+            await interaction.editReply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Undo operation error:', error);
+            await interaction.editReply({
+                content: '❌ **Operation Failed**\n\nFailed to undo operation. Please try again.'
+            });
+        }
+    },
+
+    /**
+     * Handle importing levels from another bot's export - previews unless apply is set
+     */
+    async handleImport(interaction, file, mode, apply, syncRoles, xpManager, databaseManager) {
+        try {
+            await interaction.deferReply();
+
+            const maxSize = 5 * 1024 * 1024;
+            if (file.size > maxSize || !/\.(json|csv|txt)$/i.test(file.name)) {
+                return await interaction.editReply({
+                    content: '❌ **Invalid File**\n\nPlease attach a `.json` or `.csv` file no larger than 5 MB.'
+                });
+            }
+
+            const response = await fetch(file.url);
+            if (!response.ok) {
+                return await interaction.editReply({
+                    content: '❌ **Download Failed**\n\nCould not download the attached file. Please try again.'
+                });
+            }
+
+            const importer = new LevelImporter();
+            let parsed;
+            try {
+                parsed = importer.parse(await response.text(), file.name);
+            } catch (error) {
+                return await interaction.editReply({
+                    content: `❌ **Unreadable File**\n\nCould not parse \`${file.name}\`: ${error.message}`
+                });
+            }
+
+            if (parsed.rows.length === 0) {
+                return await interaction.editReply({
+                    content: `❌ **Nothing To Import**\n\nNo valid rows were found in \`${file.name}\` (${parsed.skipped.length} skipped).`
+                });
+            }
+
+            const guildId = interaction.guild.id;
+            const mapped = importer.mapToCurve(parsed.rows, mode);
+
+            // Never lower progress a member already has with this bot
+            const existing = new Map(
+                (await databaseManager.getUsersXP(guildId, mapped.map(row => row.userId)))
+                    .map(row => [row.user_id, parseInt(row.total_xp) || 0])
+            );
+            const changes = mapped.filter(row => row.totalXP > (existing.get(row.userId) || 0));
+            const newMembers = changes.filter(row => !existing.has(row.userId)).length;
+            const kept = mapped.length - changes.length;
+
+            const distribution = importer.getDistribution(mapped)
+                .map(({ range, count }) => `Lv ${range.padEnd(6)} ${'█'.repeat(Math.max(1, Math.round(count / mapped.length * 20)))} ${count}`)
+                .join('\n');
+
+            const embed = new EmbedBuilder()
+                .setColor('#FF0000')
+                .setTitle('📥 LEVEL IMPORT')
+                .setDescription(`\`\`\`diff\n- ${apply ? 'IMPORT APPLIED' : 'PREVIEW ONLY - NO CHANGES WRITTEN'}\n\`\`\``)
+                .addFields(
+                    {
+                        name: '📄 Source',
+                        value: `**File:** ${file.name}\n**Format:** ${parsed.format.toUpperCase()} (${parsed.source})\n**Mapping:** ${mode === 'xp' ? 'Raw XP' : 'Keep levels'}`,
+                        inline: true
+                    },
+                    {
+                        name: '👥 Members',
+                        value: `**Parsed:** ${mapped.length.toLocaleString()}\n**New:** ${newMembers.toLocaleString()}\n**Raised:** ${(changes.length - newMembers).toLocaleString()}\n**Kept (already higher):** ${kept.toLocaleString()}\n**Skipped rows:** ${parsed.skipped.length.toLocaleString()}`,
+                        inline: true
+                    },
+                    {
+                        name: '📊 Resulting Level Distribution',
+                        value: `\`\`\`\n${distribution.slice(0, 1000)}\n\`\`\``,
+                        inline: false
+                    }
+                )
+                .setFooter({ text: `⚓ Authorized by ${interaction.user.username} • Marine Intelligence` })
+                .setTimestamp();
+
+            if (parsed.skipped.length > 0) {
+                embed.addFields({
+                    name: '⚠️ Skipped Rows',
+                    value: parsed.skipped.slice(0, 5).map(entry => `Row ${entry.line}: ${entry.reason}`).join('\n') +
+                        (parsed.skipped.length > 5 ? `\n...and ${parsed.skipped.length - 5} more` : ''),
+                    inline: false
+                });
+            }
+
+            if (!apply) {
+                embed.addFields({
+                    name: '▶️ Next Step',
+                    value: 'Run the same command with `apply:True` to write these levels' + (syncRoles ? ' and sync level roles.' : '.'),
+                    inline: false
+                });
+                return await interaction.editReply({ embeds: [embed] });
+            }
+
+            const written = await databaseManager.bulkSetUserXP(guildId, changes);
+            await databaseManager.recordXPTransactionsBulk(changes.map(row => ({
+                userId: row.userId,
+                guildId,
+                amount: row.totalXP - (existing.get(row.userId) || 0),
+                source: 'import',
+                actorId: interaction.user.id,
+                reason: `Imported from ${file.name}`,
+                balanceAfter: row.totalXP
+            }))).catch(error => log.error('Import ledger error:', error));
+
+            await this.emitAdminXPBulkChanged(interaction, xpManager, {
+                action: 'import',
+                reason: `Imported from ${file.name}`,
+                changes: changes.map(row => ({ userId: row.userId, beforeXP: existing.get(row.userId) || 0, afterXP: row.totalXP }))
+            });
+
+            if (xpManager.cacheManager) {
+                for (const row of changes) {
+                    await xpManager.cacheManager.invalidateUserPosters(row.userId);
+                }
+            }
+
+            let rolesUpdated = 0;
+            if (syncRoles && changes.length > 0) {
+                const levels = new Map(changes.map(row => [row.userId, row.level]));
+                const ids = [...levels.keys()];
+
+                // Fetch members in batches - members who left the server are skipped
+                for (let i = 0; i < ids.length; i += 100) {
+                    const members = await interaction.guild.members.fetch({ user: ids.slice(i, i + 100) }).catch(() => null);
+                    if (!members) continue;
+
+                    for (const member of members.values()) {
+                        const awarded = await xpManager.levelUpHandler.awardLevelRoles(member, levels.get(member.id));
+                        if (awarded) rolesUpdated++;
+                    }
+                }
+            }
+
+            embed.addFields({
+                name: '✅ Result',
+                value: `**Rows written:** ${written.toLocaleString()}${syncRoles ? `\n**Level roles updated:** ${rolesUpdated.toLocaleString()}` : ''}`,
+                inline: false
+            });
+
+            log.info(`${interaction.user.username} imported ${written} member(s) from ${file.name} into ${interaction.guild.name}`);
+
+            await interaction.editReply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Import levels error:', error);
+            await interaction.editReply({
+                content: '❌ **Operation Failed**\n\nFailed to import levels. Please try again.'
+            });
+        }
+    },
+
+    /**
+     * Handle exporting a versioned archive of this server's leveling data
+     */
+    async handleExport(interaction, format, databaseManager) {
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            const backupManager = new GuildBackupManager(databaseManager.db);
+            const archive = await backupManager.createArchive(interaction.guild);
+            const date = archive.exported_at.slice(0, 10);
+
+            const files = [
+                new AttachmentBuilder(Buffer.from(JSON.stringify(archive, null, 2)), {
+                    name: `leveling-archive-${interaction.guild.id}-${date}.json`
+                })
+            ];
+
+            if (format === 'csv') {
+                for (const [name, content] of Object.entries(backupManager.toCSV(archive))) {
+                    files.push(new AttachmentBuilder(Buffer.from(content), { name: `${date}-${name}` }));
+                }
+            }
+
+            const embed = new EmbedBuilder()
+                .setColor('#FF0000')
+                .setTitle('💾 SERVER DATA EXPORT')
+                .setDescription(`\`\`\`diff\n- ARCHIVE VERSION ${archive.version} GENERATED\n\`\`\``)
+                .addFields(
+                    {
+                        name: '📦 Contents',
+                        value: `**Members:** ${archive.user_levels.length.toLocaleString()}\n**Daily XP rows:** ${archive.daily_xp.length.toLocaleString()}\n**Boost roles:** ${archive.boost_roles.length}\n**Settings:** included`,
+                        inline: true
+                    },
+                    {
+                        name: '♻️ Restoring',
+                        value: 'Use `/admin action:Restore Server Data` with the `.json` archive.',
+                        inline: true
+                    }
+                )
+                .setFooter({ text: `⚓ Requested by ${interaction.user.username} • Marine Intelligence` })
+                .setTimestamp();
+
+            log.info(`${interaction.user.username} exported ${archive.user_levels.length} members from ${interaction.guild.name}`);
+
+            await interaction.editReply({ embeds: [embed], files });
+
+        } catch (error) {
+            console.error('Export data error:', error);
+            await interaction.editReply({
+                content: '❌ **Operation Failed**\n\nFailed to export server data. Please try again.'
+            });
+        }
+    },
+
+    /**
+     * Handle bringing every member's level roles in line with their level - lists the changes unless apply is set
+     */
+    async handleSyncRoles(interaction, apply, xpManager) {
+        // Interaction tokens expire 15 minutes after the command - big syncs can outlive them
+        const replyDeadline = (interaction.createdTimestamp || Date.now()) + SYNC_REPLY_WINDOW;
+
+        try {
+            await interaction.deferReply();
+
+            const phases = { scan: 'CHECKING MEMBERS', apply: 'APPLYING ROLE CHANGES' };
+            let lastUpdate = 0;
+            let notifiedDeadline = false;
+
+            // Message edits are rate limited too, so progress is shown at most every few seconds
+            const onProgress = async ({ phase, done, total }) => {
+                if (Date.now() >= replyDeadline) {
+                    if (!notifiedDeadline) {
+                        notifiedDeadline = true;
+                        log.info(`Sync roles reply window closed in ${interaction.guild.name}, the result will be posted in the channel`);
+                    }
+                    return;
+                }
+                if (Date.now() - lastUpdate < 3000 && done < total) return;
+                lastUpdate = Date.now();
+
+                const bar = '█'.repeat(Math.round(done / total * 20)).padEnd(20, '░');
+                await interaction.editReply({
+                    embeds: [new EmbedBuilder()
+                        .setColor('#FFA500')
+                        .setTitle('🔁 LEVEL ROLE SYNC')
+                        .setDescription(`\`\`\`diff\n+ ${phases[phase]}\n\`\`\`\n\`${bar}\` ${done.toLocaleString()}/${total.toLocaleString()}`)
+                        .setFooter({ text: `⚓ Authorized by ${interaction.user.username} • Marine Intelligence` })
+                    ]
+                }).catch(() => null);
+            };
+
+            const result = await xpManager.levelUpHandler.updateAllLevelRoles(interaction.guild.id, { dryRun: !apply, onProgress });
+            if (!result.success) {
+                return await this.sendSyncReply(interaction, replyDeadline, {
+                    content: `❌ **Sync Failed**\n\n${result.error}`,
+                    embeds: []
+                });
+            }
+
+            const changeLines = result.changes.slice(0, 10).map(change =>
+                `**${change.name}** (Lv ${change.level}): ${[...change.add.map(name => `+${name}`), ...change.remove.map(name => `-${name}`)].join(', ')}`
+            );
+            if (result.changes.length > 10) {
+                changeLines.push(`...and ${result.changes.length - 10} more`);
+            }
+
+            const embed = new EmbedBuilder()
+                .setColor('#FF0000')
+                .setTitle('🔁 LEVEL ROLE SYNC')
+                .setDescription(`\`\`\`diff\n- ${apply ? 'SYNC COMPLETE' : 'PREVIEW ONLY - NO ROLES CHANGED'}\n\`\`\``)
+                .addFields(
+                    {
+                        name: '👥 Members',
+                        value: `**With XP:** ${result.total.toLocaleString()}\n**Left the server:** ${result.missing.toLocaleString()}\n**Need changes:** ${result.changes.length.toLocaleString()}\n**Mode:** ${result.mode === 'stack' ? 'Stack' : 'Replace'}`,
+                        inline: true
+                    },
+                    {
+                        name: '📋 Changes',
+                        value: changeLines.length > 0 ? changeLines.join('\n').slice(0, 1024) : 'Every member already has the right level roles.',
+                        inline: false
+                    }
+                )
+                .setFooter({ text: `⚓ Authorized by ${interaction.user.username} • Marine Intelligence` })
+                .setTimestamp();
+
+            if (apply) {
+                embed.addFields({
+                    name: '✅ Result',
+                    value: `**Roles added:** ${result.added.toLocaleString()}\n**Roles removed:** ${result.removed.toLocaleString()}\n**Failed:** ${result.errors.toLocaleString()}`,
+                    inline: true
+                });
+            }
+
+            if (result.issues.length > 0) {
+                embed.addFields({
+                    name: '⚠️ Skipped Rewards',
+                    value: result.issues.slice(0, 5).join('\n') + (result.issues.length > 5 ? `\n...and ${result.issues.length - 5} more` : ''),
+                    inline: false
+                });
+            }
+
+            if (!apply && result.changes.length > 0) {
+                embed.addFields({
+                    name: '▶️ Next Step',
+                    value: 'Run the same command with `apply:True` to change these roles.',
+                    inline: false
+                });
+            }
+
+            log.info(`${interaction.user.username} ${apply ? 'synced' : 'previewed'} level roles for ${result.changes.length} member(s) in ${interaction.guild.name}`);
+
+            await this.sendSyncReply(interaction, replyDeadline, { embeds: [embed] });
+
+        } catch (error) {
+            log.error('Sync level roles error:', error);
+            await this.sendSyncReply(interaction, replyDeadline, {
+                content: '❌ **Operation Failed**\n\nFailed to sync level roles. Please try again.',
+                embeds: []
+            }).catch(sendError => log.error('Sync level roles reply error:', sendError));
+        }
+    },
+
+    /**
+     * Edit the sync reply while the interaction token is valid, otherwise post in the channel and mention the admin
+     */
+    async sendSyncReply(interaction, replyDeadline, payload) {
+        if (Date.now() < replyDeadline) {
+            return await interaction.editReply(payload);
+        }
+
+        if (!interaction.channel) {
+            log.warn(`Sync roles reply window closed and no channel to post the result in for ${interaction.guild.name}`);
+            return null;
+        }
+
+        return await interaction.channel.send({
+            ...payload,
+            content: `<@${interaction.user.id}> ${payload.content || 'Level role sync finished after the command reply expired.'}`
+        });
+    },
+
+    /**
+     * Handle restoring a server archive - shows a dry-run diff unless apply is set
+     */
+    async handleRestore(interaction, file, apply, xpManager, databaseManager) {
+        try {
+            await interaction.deferReply();
+
+            const maxSize = 25 * 1024 * 1024;
+            if (file.size > maxSize || !/\.json$/i.test(file.name)) {
+                return await interaction.editReply({
+                    content: '❌ **Invalid File**\n\nPlease attach a `.json` server archive no larger than 25 MB.'
+                });
+            }
+
+            const response = await fetch(file.url);
+            if (!response.ok) {
+                return await interaction.editReply({
+                    content: '❌ **Download Failed**\n\nCould not download the attached file. Please try again.'
+                });
+            }
+
+            let archive;
+            try {
+                archive = JSON.parse(await response.text());
+            } catch (error) {
+                return await interaction.editReply({
+                    content: `❌ **Unreadable File**\n\nCould not parse \`${file.name}\`: ${error.message}`
+                });
+            }
+
+            const backupManager = new GuildBackupManager(databaseManager.db);
+            const errors = backupManager.validateArchive(archive);
+            if (errors.length > 0) {
+                return await interaction.editReply({
+                    content: `❌ **Invalid Archive**\n\n${errors.slice(0, 10).map(error => `• ${error}`).join('\n')}${errors.length > 10 ? `\n...and ${errors.length - 10} more` : ''}`
+                });
+            }
+
+            const guildId = interaction.guild.id;
+            const result = apply
+                ? await backupManager.restoreArchive(archive, interaction.guild, interaction.user.id)
+                : { diff: await backupManager.diffArchive(archive, interaction.guild) };
+            const { diff } = result;
+
+            const sourceGuild = archive.guild?.id === guildId ? 'this server' : `${archive.guild?.name || 'unknown'} (${archive.guild?.id || '?'})`;
+            const topChanges = diff.changes.slice(0, 8)
+                .map(change => `${change.after >= change.before ? '+' : '-'} <@${change.userId}>: ${change.before.toLocaleString()} → ${change.after.toLocaleString()} XP`)
+                .join('\n');
+
+            const embed = new EmbedBuilder()
+                .setColor('#FF0000')
+                .setTitle('♻️ SERVER DATA RESTORE')
+                .setDescription(`\`\`\`diff\n- ${apply ? 'ARCHIVE RESTORED' : 'DRY RUN - NO CHANGES WRITTEN'}\n\`\`\``)
+                .addFields(
+                    {
+                        name: '📄 Archive',
+                        value: `**From:** ${sourceGuild}\n**Exported:** ${archive.exported_at ? `<t:${Math.floor(new Date(archive.exported_at).getTime() / 1000)}:f>` : 'Unknown'}\n**Version:** ${archive.version}`,
+                        inline: true
+                    },
+                    {
+                        name: '👥 Members',
+                        value: `**New:** ${diff.newUsers.toLocaleString()}\n**Raised:** ${diff.raised.toLocaleString()}\n**Lowered:** ${diff.lowered.toLocaleString()}\n**Unchanged:** ${diff.unchanged.toLocaleString()}\n**Not in archive (kept):** ${diff.untouched.toLocaleString()}`,
+                        inline: true
+                    },
+                    {
+                        name: '⚙️ Settings',
+                        value: diff.settingsChanged.length > 0 ? diff.settingsChanged.map(column => `\`${column}\``).join(', ') : 'No changes',
+                        inline: false
+                    }
+                )
+                .setFooter({ text: `⚓ Authorized by ${interaction.user.username} • Marine Intelligence` })
+                .setTimestamp();
+
+            if (topChanges) {
+                embed.addFields({ name: '📊 Largest XP Changes', value: topChanges.slice(0, 1024), inline: false });
+            }
+
+            if (diff.warnings.length > 0) {
+                embed.addFields({
+                    name: '⚠️ Missing Channels/Roles',
+                    value: diff.warnings.slice(0, 8).join('\n') + (diff.warnings.length > 8 ? `\n...and ${diff.warnings.length - 8} more` : ''),
+                    inline: false
+                });
+            }
+
+            if (apply) {
+                await this.emitAdminXPBulkChanged(interaction, xpManager, {
+                    action: 'restore',
+                    reason: `Restored from archive exported ${archive.exported_at || 'unknown'}`,
+                    changes: diff.changes.map(change => ({ userId: change.userId, beforeXP: change.before, afterXP: change.after }))
+                });
+
+                await xpManager.invalidateGuildConfig(guildId);
+                if (xpManager.cacheManager) {
+                    for (const change of diff.changes) {
+                        await xpManager.cacheManager.invalidateUserPosters(change.userId);
+                    }
+                }
+
+                embed.addFields({
+                    name: '✅ Result',
+                    value: `**Members written:** ${result.usersWritten.toLocaleString()}\n**Daily XP rows written:** ${result.dailyWritten.toLocaleString()}`,
+                    inline: false
+                });
+            } else {
+                embed.addFields({
+                    name: '▶️ Next Step',
+                    value: `Run the same command with \`apply:True\` to restore. ${diff.dailyRows.toLocaleString()} daily XP rows will also be written.`,
+                    inline: false
+                });
+            }
+
+            await interaction.editReply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Restore data error:', error);
+            await interaction.editReply({
+                content: '❌ **Operation Failed**\n\nFailed to restore server data. Please try again.'
+            });
+        }
+    },
+
+    /**
+     * Handle viewing the XP transaction ledger for a user or the whole server
+     */
+    async handleXPHistory(interaction, targetUser, databaseManager) {
+        try {
+            await interaction.deferReply();
+
+            const guildId = interaction.guild.id;
+            const transactions = await databaseManager.getXPTransactions(guildId, {
+                userId: targetUser?.id || null,
+                limit: 15
+            });
+
+            const embed = new EmbedBuilder()
+                .setColor('#FF0000')
+                .setTitle('📜 XP TRANSACTION LEDGER')
+                .setFooter({ text: `⚓ Marine Intelligence • Requested by ${interaction.user.username}` })
+                .setTimestamp();
+
+            if (transactions.length === 0) {
+                embed.setDescription(`\`\`\`diff\n- No XP transactions recorded${targetUser ? ` for ${targetUser.username}` : ''}\n\`\`\``);
+                return await interaction.editReply({ embeds: [embed] });
+            }
+
+            const lines = transactions.map(tx => {
+                const time = `<t:${Math.floor(new Date(tx.created_at).getTime() / 1000)}:R>`;
+                const amount = `${tx.amount >= 0 ? '+' : ''}${tx.amount.toLocaleString()} XP`;
+                const who = targetUser ? '' : ` <@${tx.user_id}>`;
+                const where = tx.channel_id ? ` in <#${tx.channel_id}>` : '';
+                const actor = tx.actor_id ? ` by <@${tx.actor_id}>` : '';
+                return `${time}${who} **${amount}** (${tx.source})${where}${actor}${tx.reason ? `\n└ *${tx.reason.slice(0, 80)}*` : ''}`;
+            });
+
+            embed.setDescription(`\`\`\`diff\n- ${targetUser ? `HISTORY FOR ${targetUser.username.toUpperCase()}` : 'RECENT SERVER ACTIVITY'}\n\`\`\`\n${lines.join('\n').slice(0, 3800)}`);
+
+            if (targetUser) {
+                const summary = await databaseManager.getXPTransactionSummary(targetUser.id, guildId, 30);
+                if (summary.length > 0) {
+                    embed.addFields({
+                        name: '📊 Last 30 Days by Source',
+                        value: summary.map(row => 
+                            `**${row.source}:** +${row.gained.toLocaleString()}${row.removed < 0 ? ` / ${row.removed.toLocaleString()}` : ''} XP (${row.transactions} entries)`
+                        ).join('\n'),
+                        inline: false
+                    });
+                }
+            }
+
+            await interaction.editReply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('XP history error:', error);
+            await interaction.editReply({
+                content: '❌ **Operation Failed**\n\nFailed to load XP history. Please try again.'
+            });
+        }
+    },
+
+    /**
+     * Parse a duration like 30m, 12h, 7d or 2w into seconds (null if invalid)
+     */
+    parseDuration(input) {
+        const match = /^(\d+)\s*([mhdw])$/i.exec(input.trim());
+        if (!match) return null;
+
+        const units = { m: 60, h: 3600, d: 86400, w: 604800 };
+        const seconds = parseInt(match[1]) * units[match[2].toLowerCase()];
+        return seconds > 0 && seconds <= 31536000 ? seconds : null; // Max 1 year
     }
 };
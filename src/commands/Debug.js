@@ -0,0 +1,614 @@
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const logger = require('../utils/Logger');
+
+const log = logger.child('debug');
+
+// Key listings are scanned once per page view, so keep both bounds small
+const KEYS_PER_PAGE = 15;
+const MAX_LISTED_KEYS = 1000;
+
+// These read, write or wipe keys of every server the bot is in, so only the bot owner may run them
+const OWNER_ONLY = ['cache-test', 'keys', 'patterns', 'redis-db', 'cache-contents', 'clear-cache'];
+
+// Patterns the cache manager reads and writes (without the key prefix)
+const CACHE_PATTERNS = ['avatar', 'poster', 'cooldown', 'leaderboard', 'validated', 'daily', 'recentmsg', 'invalidated', 'guildconfig'];
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('debug')
+        .setDescription('🛠️ Cache and connection diagnostics (Admin Only)')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('health')
+                .setDescription('Test the database and Redis connections and show scheduled jobs'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('cache-stats')
+                .setDescription('Cache entry counts, memory use and preload statistics'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('cache-test')
+                .setDescription('Run read/write tests against the cache')
+                .addStringOption(option =>
+                    option
+                        .setName('mode')
+                        .setDescription('Which tests to run (default: quick)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Quick - set and get one value', value: 'quick' },
+                            { name: 'Full - string, binary and pattern clear', value: 'full' },
+                            { name: 'Verbose - step-by-step results in the bot logs', value: 'verbose' }
+                        )))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('keys')
+                .setDescription('List Redis keys page by page')
+                .addStringOption(option =>
+                    option
+                        .setName('pattern')
+                        .setDescription('Glob pattern to match (default: every bot key)')
+                        .setRequired(false)
+                        .setMaxLength(80)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('patterns')
+                .setDescription('Count keys for each cache pattern the bot uses'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('redis-db')
+                .setDescription('Show the Redis database and keyspace the bot is connected to'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('cache-contents')
+                .setDescription('Write sample keys, types and TTLs for each cache category to the bot logs'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('preload')
+                .setDescription('Warm the avatar and poster cache now')
+                .addUserOption(option =>
+                    option
+                        .setName('user')
+                        .setDescription('Only preload this member (default: every tracked member)')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('clear-cache')
+                .setDescription('Delete every cached entry (asks for confirmation)')),
+
+    async execute(interaction, context) {
+        try {
+            // Diagnostics expose cache internals and can wipe the cache - same level as /settings
+            if (!await this.checkAccess(interaction, context.permissionManager)) return;
+
+            const subcommand = interaction.options.getSubcommand();
+            log.debug(`/debug ${subcommand} by ${interaction.user.username}`);
+
+            // Preloading without a user warms every server's members
+            const crossGuild = OWNER_ONLY.includes(subcommand) || (subcommand === 'preload' && !interaction.options.getUser('user'));
+            if (crossGuild && !await this.checkOwner(interaction, context.permissionManager)) return;
+
+            switch (subcommand) {
+                case 'health':
+                    return await this.handleHealth(interaction, context);
+
+                case 'cache-stats':
+                    return await this.handleCacheStats(interaction, context);
+
+                case 'cache-test':
+                    return await this.handleCacheTest(interaction, context, interaction.options.getString('mode') || 'quick');
+
+                case 'keys':
+                    return await this.handleKeys(interaction, context, interaction.options.getString('pattern'), 0);
+
+                case 'patterns':
+                    return await this.handlePatterns(interaction, context);
+
+                case 'redis-db':
+                    return await this.handleRedisDB(interaction, context);
+
+                case 'cache-contents':
+                    return await this.handleCacheContents(interaction, context);
+
+                case 'preload':
+                    return await this.handlePreload(interaction, context, interaction.options.getUser('user'));
+
+                case 'clear-cache':
+                    return await this.handleClearPrompt(interaction, context);
+
+                default:
+                    return await interaction.reply({
+                        content: '❌ **Invalid Subcommand**\n\nPlease choose a valid debug subcommand.',
+                        ephemeral: true
+                    });
+            }
+
+        } catch (error) {
+            log.error('Error in debug command:', error);
+            await this.replyError(interaction, error);
+        }
+    },
+
+    /**
+     * Buttons on debug replies - key list pages and clear-cache confirmation
+     */
+    async handleButton(interaction, context) {
+        try {
+            // Re-check on every click: the admin role may have been removed since the reply was sent
+            // Both key pages and clear-cache confirmation touch every server's keys
+            if (!await this.checkAccess(interaction, context.permissionManager)) return;
+            if (!await this.checkOwner(interaction, context.permissionManager)) return;
+
+            const [action, ...rest] = interaction.customId.split(':');
+
+            switch (action) {
+                case 'debug_keys':
+                    // debug_keys:<page>:<pattern> - the pattern may itself contain ':'
+                    return await this.handleKeys(interaction, context, rest.slice(1).join(':'), parseInt(rest[0]) || 0);
+
+                case 'debug_clear':
+                    return rest[0] === 'confirm'
+                        ? await this.handleClearConfirm(interaction, context)
+                        : await interaction.update({ content: '✅ Cache clear cancelled - nothing was deleted.', embeds: [], components: [] });
+
+                default:
+                    log.warn(`Unknown debug button: ${interaction.customId}`);
+            }
+
+        } catch (error) {
+            log.error('Error handling debug button:', error);
+            await this.replyError(interaction, error);
+        }
+    },
+
+    /**
+     * Reply with the denied message unless the member holds the settings permission level
+     */
+    async checkAccess(interaction, permissionManager) {
+        if (permissionManager && await permissionManager.hasPermission(interaction.member, 'settings')) {
+            return true;
+        }
+
+        await interaction.reply({
+            content: permissionManager ? permissionManager.getDeniedMessage('settings') : '❌ **Access Denied**\n\nPermissions are unavailable.',
+            ephemeral: true
+        });
+        return false;
+    },
+
+    /**
+     * Reply with the bot owner message unless the user is the bot owner (ADMIN_USER_ID)
+     */
+    async checkOwner(interaction, permissionManager) {
+        if (permissionManager.isBotOwner(interaction.user.id)) {
+            return true;
+        }
+
+        await interaction.reply({
+            content: '❌ **Bot Owner Only**\n\nThis reaches the cache of every server the bot is in, so only the bot owner (`ADMIN_USER_ID`) can run it.',
+            ephemeral: true
+        });
+        return false;
+    },
+
+    /**
+     * Connection tests plus scheduled job status
+     */
+    async handleHealth(interaction, { connectionManager, jobScheduler }) {
+        if (!connectionManager) {
+            return await interaction.reply({ content: '❌ **Unavailable**\n\nThe connection manager is not running.', ephemeral: true });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const testResults = await connectionManager.testConnections();
+        const health = connectionManager.getHealthStatus();
+
+        let description = '```diff\n';
+        description += testResults.postgresql ? '+ PostgreSQL: Connection Test Passed\n' : '- PostgreSQL: Connection Test Failed\n';
+        description += testResults.redis ? '+ Redis: Connection Test Passed\n' : '! Redis: Using Fallback Mode\n';
+        description += '```';
+
+        const embed = new EmbedBuilder()
+            .setColor(testResults.postgresql ? 0x00FF00 : 0xFF0000)
+            .setTitle('🏥 **System Health Check**')
+            .setDescription(description)
+            .addFields(
+                {
+                    name: '📊 **Detailed Status**',
+                    value: `**PostgreSQL:** ${health.postgresql.status}\n**Redis:** ${health.redis.status}\n**Cache:** ${health.cache.type}`,
+                    inline: false
+                },
+                {
+                    name: '⏱️ **Scheduled Jobs**',
+                    value: jobScheduler ? this.formatJobStatus(await jobScheduler.getStatus()) : 'Job scheduler not running',
+                    inline: false
+                }
+            )
+            .setFooter({ text: `Test completed at ${testResults.timestamp}` });
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    /**
+     * Cache counts by category, Redis memory and the last preload run
+     */
+    async handleCacheStats(interaction, { cacheManager }) {
+        if (!cacheManager) {
+            return await interaction.reply({ content: '❌ **Unavailable**\n\nThe cache manager is not running.', ephemeral: true });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const stats = await cacheManager.getCacheStats();
+        const preloadStats = cacheManager.getPreloadStats();
+
+        const embed = new EmbedBuilder()
+            .setColor(0x4A90E2)
+            .setTitle('📊 **Detailed Cache Statistics**')
+            .setDescription('```diff\n+ CACHE PERFORMANCE REPORT\n```')
+            .addFields(
+                {
+                    name: '🔴 **Redis Status**',
+                    value: `**Mode:** ${stats.mode}\n**Connected:** ${stats.redis ? 'Yes' : 'No'}\n**Total Entries:** ${stats.total || stats.entries || 0}`,
+                    inline: true
+                },
+                {
+                    name: '📊 **Cache Breakdown**',
+                    value: `**Avatars:** ${stats.avatars || 0}\n**Posters:** ${stats.posters || 0}\n**Cooldowns:** ${stats.cooldowns || 0}\n**Leaderboards:** ${stats.leaderboards || 0}\n**Daily Progress:** ${stats.daily || 0}`,
+                    inline: true
+                },
+                {
+                    name: '🚀 **Preload Stats**',
+                    value: `**In Progress:** ${cacheManager.isPreloading() ? 'Yes' : 'No'}\n**Users Processed:** ${preloadStats.totalUsers || 0}\n**Avatars Preloaded:** ${preloadStats.avatarsPreloaded || 0}\n**Posters Preloaded:** ${preloadStats.postersPreloaded || 0}\n**Errors:** ${preloadStats.errors || 0}`,
+                    inline: false
+                }
+            )
+            .setFooter({ text: '⚓ Marine Intelligence Division • Cache Analytics' })
+            .setTimestamp();
+
+        if (stats.memoryUsed) {
+            embed.addFields({ name: '💾 **Memory Usage**', value: `**Redis Memory:** ${stats.memoryUsed}`, inline: true });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    /**
+     * Quick, full or verbose cache read/write test
+     */
+    async handleCacheTest(interaction, { xpManager, cacheManager, connectionManager }, mode) {
+        if (!cacheManager) {
+            return await interaction.reply({ content: '❌ **Unavailable**\n\nThe cache manager is not running.', ephemeral: true });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const results = [];
+
+        if (mode === 'verbose') {
+            const passed = await cacheManager.manualCacheTest();
+            results.push(`**Verbose Test:** ${passed ? '✅ PASS' : '❌ FAIL'} - step-by-step results are in the bot logs`);
+        } else {
+            const quick = await xpManager.testCache();
+            results.push(`**Set/Get:** ${quick.success ? `✅ PASS` : `❌ FAIL - ${quick.error || quick.message || 'Test failed'}`}`);
+        }
+
+        if (mode === 'full') {
+            if (!connectionManager) {
+                results.push('**String/Binary/Pattern:** ⚠️ SKIPPED - connection manager not running');
+            } else {
+                results.push(...await this.runFullCacheTest(cacheManager, connectionManager, interaction.user));
+            }
+        }
+
+        const stats = await cacheManager.getCacheStats();
+        const passed = results.every(result => !result.includes('❌'));
+
+        const embed = new EmbedBuilder()
+            .setColor(passed ? 0x00FF00 : 0xFF6B6B)
+            .setTitle('🧪 **Cache Test Results**')
+            .setDescription(passed ? '```diff\n+ Cache test passed successfully\n```' : '```diff\n- Cache test failed\n```')
+            .addFields(
+                { name: '📊 **Test Results**', value: results.join('\n'), inline: false },
+                { name: '🔍 **Cache Mode**', value: `**Mode:** ${stats.mode}\n**Redis:** ${stats.redis ? 'Connected' : 'Disconnected'}`, inline: false }
+            )
+            .setFooter({ text: '⚓ Marine Intelligence Division • Cache Test' })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    /**
+     * String, binary and pattern-clear round trips through the connection manager
+     */
+    async runFullCacheTest(cacheManager, connectionManager, user) {
+        const results = [];
+        const base = `${cacheManager.keyPrefix}test:${Date.now()}`;
+
+        try {
+            const value = JSON.stringify({ test: true, user: user.username });
+            const setResult = await connectionManager.setCache(`${base}:basic`, value, 300);
+            const getResult = await connectionManager.getCache(`${base}:basic`);
+            results.push(`**Basic Cache:** ${setResult && getResult ? '✅ PASS' : '❌ FAIL'}`);
+        } catch (error) {
+            results.push(`**Basic Cache:** ❌ ERROR - ${error.message}`);
+        }
+
+        try {
+            const setResult = await connectionManager.setBinaryCache(`${base}:binary`, Buffer.from('test-image-data-simulation'), 300);
+            const getResult = await connectionManager.getBinaryCache(`${base}:binary`);
+            results.push(`**Binary Cache:** ${setResult && Buffer.isBuffer(getResult) ? '✅ PASS' : '❌ FAIL'}`);
+        } catch (error) {
+            results.push(`**Binary Cache:** ❌ ERROR - ${error.message}`);
+        }
+
+        try {
+            await connectionManager.setCache(`${base}:pattern:1`, 'test1', 300);
+            await connectionManager.setCache(`${base}:pattern:2`, 'test2', 300);
+            const cleared = await connectionManager.clearPattern(`${base}:pattern:*`);
+            results.push(`**Pattern Clear:** ${cleared >= 2 ? '✅ PASS' : '❌ FAIL'} (cleared ${cleared})`);
+        } catch (error) {
+            results.push(`**Pattern Clear:** ❌ ERROR - ${error.message}`);
+        }
+
+        return results;
+    },
+
+    /**
+     * One page of matching keys with previous/next buttons
+     */
+    async handleKeys(interaction, { cacheManager }, pattern, page) {
+        const isButton = interaction.isButton();
+        const respond = (payload) => isButton ? interaction.update(payload) : interaction.reply({ ...payload, ephemeral: true });
+        const search = pattern || `${cacheManager?.keyPrefix || 'Leveling-Bot:'}*`;
+
+        const result = cacheManager ? await cacheManager.listKeys(search, MAX_LISTED_KEYS) : null;
+        if (!result) {
+            return await respond({ content: '❌ **Redis Unavailable**\n\nThe bot is running on the in-memory fallback, so there are no keys to list.', embeds: [], components: [] });
+        }
+
+        const totalPages = Math.max(1, Math.ceil(result.keys.length / KEYS_PER_PAGE));
+        const current = Math.min(Math.max(page, 0), totalPages - 1);
+        const pageKeys = result.keys.slice(current * KEYS_PER_PAGE, (current + 1) * KEYS_PER_PAGE);
+        const total = `${result.keys.length}${result.truncated ? '+' : ''}`;
+
+        const embed = new EmbedBuilder()
+            .setColor(0x4A90E2)
+            .setTitle('🔍 Redis Keys')
+            .setDescription(pageKeys.length > 0
+                ? `\`\`\`\n${pageKeys.map(key => key.length > 100 ? `${key.slice(0, 97)}...` : key).join('\n')}\n\`\`\``
+                : '```diff\n- No keys match this pattern\n```')
+            .addFields(
+                { name: '🔎 Pattern', value: `\`${search}\``, inline: true },
+                { name: '📊 Matches', value: total, inline: true }
+            )
+            .setFooter({ text: `Page ${current + 1}/${totalPages}${result.truncated ? ` • Only the first ${MAX_LISTED_KEYS} keys are listed` : ''}` });
+
+        const components = totalPages > 1 ? [
+            new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`debug_keys:${current - 1}:${search}`)
+                    .setLabel('◀ Previous')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(current === 0),
+                new ButtonBuilder()
+                    .setCustomId(`debug_keys:${current + 1}:${search}`)
+                    .setLabel('Next ▶')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(current >= totalPages - 1)
+            )
+        ] : [];
+
+        await respond({ embeds: [embed], components });
+    },
+
+    /**
+     * Key counts for every pattern the cache manager uses
+     */
+    async handlePatterns(interaction, { cacheManager }) {
+        if (!cacheManager) {
+            return await interaction.reply({ content: '❌ **Unavailable**\n\nThe cache manager is not running.', ephemeral: true });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const lines = [];
+        for (const name of CACHE_PATTERNS) {
+            const pattern = `${cacheManager.keyPrefix}${name}:*`;
+            const result = await cacheManager.listKeys(pattern, MAX_LISTED_KEYS);
+            if (!result) {
+                return await interaction.editReply({ content: '❌ **Redis Unavailable**\n\nThe bot is running on the in-memory fallback.' });
+            }
+            lines.push(`**${pattern}** ${result.keys.length}${result.truncated ? '+' : ''} keys`);
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(lines.some(line => line.endsWith(' 0 keys')) ? 0xFFA500 : 0x00FF00)
+            .setTitle('🧪 Cache Pattern Counts')
+            .setDescription('```diff\n+ PATTERN MATCHING TEST\n```')
+            .addFields(
+                { name: '🏷️ Key Prefix', value: `\`${cacheManager.keyPrefix}\``, inline: false },
+                { name: '🔍 Results', value: lines.join('\n'), inline: false }
+            )
+            .setFooter({ text: 'Use /debug keys with one of these patterns to see the keys' });
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    /**
+     * Connected Redis database and keyspace summary
+     */
+    async handleRedisDB(interaction, { connectionManager }) {
+        if (!connectionManager || !connectionManager.isRedisAvailable()) {
+            return await interaction.reply({ content: '❌ **Redis Unavailable**\n\nThe bot is running on the in-memory fallback.', ephemeral: true });
+        }
+
+        const redis = connectionManager.getRedis();
+        const info = await redis.info('keyspace');
+        const keyspace = info.split('\n').map(line => line.trim()).filter(line => line.startsWith('db'));
+        const health = connectionManager.getHealthStatus();
+
+        const embed = new EmbedBuilder()
+            .setColor(0x4A90E2)
+            .setTitle('🗄️ Redis Database Info')
+            .setDescription('```diff\n+ DATABASE INFORMATION\n```')
+            .addFields(
+                { name: '📊 Current Database', value: `Database: ${redis.options?.db ?? health.redis.database}`, inline: true },
+                { name: '🏷️ Key Prefix', value: `\`${health.redis.keyPrefix}\``, inline: true },
+                { name: '🔍 Keyspace Info', value: keyspace.length > 0 ? keyspace.join('\n') : 'No database info available', inline: false }
+            );
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    },
+
+    /**
+     * Sample keys with type/TTL per category - detailed output goes to the logs
+     */
+    async handleCacheContents(interaction, { cacheManager }) {
+        if (!cacheManager) {
+            return await interaction.reply({ content: '❌ **Unavailable**\n\nThe cache manager is not running.', ephemeral: true });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+        const logged = await cacheManager.debugCacheContents();
+
+        await interaction.editReply({
+            content: logged
+                ? '✅ **Cache Contents Logged**\n\nSample keys, types and TTLs for each category were written to the bot logs under the `cache` namespace.'
+                : '❌ **Redis Unavailable**\n\nThe bot is running on the in-memory fallback.'
+        });
+    },
+
+    /**
+     * Run the cache preload for everyone, or force it for one member
+     */
+    async handlePreload(interaction, { cacheManager, databaseManager }, user) {
+        if (!cacheManager) {
+            return await interaction.reply({ content: '❌ **Unavailable**\n\nThe cache manager is not running.', ephemeral: true });
+        }
+
+        if (cacheManager.isPreloading()) {
+            return await interaction.reply({ content: '⚠️ **Preload Running**\n\nCache preloading is already in progress.', ephemeral: true });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        if (user) {
+            const loaded = await cacheManager.debugPreloadUser(interaction.guild, user.id);
+            return await interaction.editReply({
+                content: loaded
+                    ? `✅ **Preload Complete**\n\nCached the avatar and poster for ${user}.`
+                    : `❌ **Preload Failed**\n\nCould not preload ${user} - check the bot logs.`
+            });
+        }
+
+        const success = await cacheManager.preloadCache(interaction.client, databaseManager);
+        const stats = cacheManager.getPreloadStats();
+        const seconds = (stats.endTime - stats.startTime) / 1000;
+
+        const embed = new EmbedBuilder()
+            .setColor(success ? 0x00FF00 : 0xFFA500)
+            .setTitle('🔄 **Manual Cache Preload Results**')
+            .setDescription(success
+                ? '```diff\n+ Cache preloading completed successfully\n```'
+                : '```diff\n! Cache preloading completed with issues\n```')
+            .addFields(
+                {
+                    name: '📊 **Preload Statistics**',
+                    value: `**Total Users:** ${stats.totalUsers}\n**Avatars Cached:** ${stats.avatarsPreloaded}\n**Posters Cached:** ${stats.postersPreloaded}\n**Errors:** ${stats.errors}`,
+                    inline: true
+                },
+                {
+                    name: '⏱️ **Performance**',
+                    value: `**Duration:** ${seconds.toFixed(2)}s\n**Rate:** ${seconds > 0 ? Math.round(stats.totalUsers / seconds) : stats.totalUsers} users/sec`,
+                    inline: true
+                }
+            )
+            .setFooter({ text: '⚓ Marine Intelligence Division • Manual Cache Preload' })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    /**
+     * Ask before wiping the cache
+     */
+    async handleClearPrompt(interaction, { cacheManager }) {
+        if (!cacheManager) {
+            return await interaction.reply({ content: '❌ **Unavailable**\n\nThe cache manager is not running.', ephemeral: true });
+        }
+
+        const result = await cacheManager.listKeys(`${cacheManager.keyPrefix}*`, MAX_LISTED_KEYS);
+        const count = result ? `${result.keys.length}${result.truncated ? '+' : ''}` : 'unknown';
+
+        const embed = new EmbedBuilder()
+            .setColor(0xFFA500)
+            .setTitle('⚠️ Clear All Cache Data?')
+            .setDescription(`\`\`\`diff\n- This deletes every ${cacheManager.keyPrefix}* key (${count} found)\n- Avatars, posters and leaderboards are rebuilt on demand\n- Cooldowns and daily progress caches are lost\n\`\`\``)
+            .setFooter({ text: 'XP totals in the database are not affected' });
+
+        const buttons = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId('debug_clear:confirm')
+                .setLabel('Clear Cache')
+                .setStyle(ButtonStyle.Danger),
+            new ButtonBuilder()
+                .setCustomId('debug_clear:cancel')
+                .setLabel('Cancel')
+                .setStyle(ButtonStyle.Secondary)
+        );
+
+        await interaction.reply({ embeds: [embed], components: [buttons], ephemeral: true });
+    },
+
+    /**
+     * Confirmed clear - replaces the prompt with the result
+     */
+    async handleClearConfirm(interaction, { cacheManager }) {
+        if (!cacheManager) {
+            return await interaction.update({ content: '❌ **Unavailable**\n\nThe cache manager is not running.', embeds: [], components: [] });
+        }
+
+        const cleared = await cacheManager.debugClearAllCache();
+        log.warn(`Cache cleared by ${interaction.user.username}: ${cleared === false ? 'failed' : `${cleared} keys`}`);
+
+        await interaction.update({
+            content: cleared === false
+                ? '❌ **Clear Failed**\n\nRedis is unavailable or the clear failed - check the bot logs.'
+                : `✅ **Cache Cleared**\n\nDeleted ${cleared} cache entries.`,
+            embeds: [],
+            components: []
+        });
+    },
+
+    /**
+     * One line per scheduled job with its last and next run
+     */
+    formatJobStatus(jobs) {
+        if (jobs.length === 0) return 'No jobs registered';
+
+        return jobs.map(job => {
+            const icon = job.running ? '🔄' : job.lastStatus === 'failed' ? '❌' : job.lastStatus ? '✅' : '⏳';
+            const lastRun = job.lastRunAt ? `<t:${Math.floor(new Date(job.lastRunAt).getTime() / 1000)}:R>` : 'never';
+            const nextRun = job.nextRunAt ? `<t:${Math.floor(new Date(job.nextRunAt).getTime() / 1000)}:R>` : 'unscheduled';
+            return `${icon} **${job.name}** - last ${lastRun}, next ${nextRun}${job.lastError ? `\n└ ${job.lastError.slice(0, 100)}` : ''}`;
+        }).join('\n');
+    },
+
+    /**
+     * Error reply that works whether or not the interaction was already answered
+     */
+    async replyError(interaction, error) {
+        const content = `❌ **Debug Error**\n\n${error.message}`;
+
+        try {
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp({ content, ephemeral: true });
+            } else {
+                await interaction.reply({ content, ephemeral: true });
+            }
+        } catch (replyError) {
+            log.error('Failed to send debug error reply:', replyError);
+        }
+    }
+};
@@ -1,9 +1,8 @@
 const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, AttachmentBuilder } = require('discord.js');
+const config = require('../utils/Config');
 
-// Admin user ID from environment
-const ADMIN_USER_ID = process.env.ADMIN_USER_ID || '1095470472390508658';
 // Commands channel restriction
-const COMMANDS_CHANNEL = process.env.COMMANDS_CHANNEL || null;
+const COMMANDS_CHANNEL = config.get('COMMANDS_CHANNEL');
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -19,7 +18,7 @@ module.exports = {
                     { name: 'All The Bounties', value: 'full' }
                 )),
 
-    async execute(interaction, { xpManager, databaseManager, cacheManager, connectionManager }) {
+    async execute(interaction, { xpManager, databaseManager, cacheManager, connectionManager, permissionManager }) {
         try {
             // Check if this is a button interaction or regular slash command
             const isButtonInteraction = interaction.isButton();
@@ -32,8 +31,8 @@ module.exports = {
 
             console.log(`[LEADERBOARD] Processing ${isButtonInteraction ? 'button' : 'slash'} interaction`);
 
-            // Check channel restriction (admin can use anywhere)
-            if (interaction.user.id !== ADMIN_USER_ID && COMMANDS_CHANNEL && interaction.channel.id !== COMMANDS_CHANNEL) {
+            // Check channel restriction (staff with any bot permission level can use anywhere)
+            if (COMMANDS_CHANNEL && interaction.channel.id !== COMMANDS_CHANNEL && !await permissionManager?.hasPermission(interaction.member, 'view-stats')) {
                 const errorMessage = `❌ **Channel Restriction**\n\nThis command can only be used in <#${COMMANDS_CHANNEL}>.`;
                 
                 if (isButtonInteraction) {
@@ -134,7 +133,7 @@ module.exports = {
             console.log(`[LEADERBOARD] Found ${validUsers.length} valid users in leaderboard (${fromCache ? 'cached' : 'fresh'})`);
 
             // Check for Pirate King
-            const excludedRoleId = process.env.LEADERBOARD_EXCLUDE_ROLE;
+            const excludedRoleId = config.get('LEADERBOARD_EXCLUDE_ROLE');
             let pirateKing = null;
             
             if (excludedRoleId) {
@@ -1,9 +1,8 @@
 const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const config = require('../utils/Config');
 
-// Admin user ID from environment
-const ADMIN_USER_ID = process.env.ADMIN_USER_ID || '1095470472390508658';
 // Commands channel restriction
-const COMMANDS_CHANNEL = process.env.COMMANDS_CHANNEL || null;
+const COMMANDS_CHANNEL = config.get('COMMANDS_CHANNEL');
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -14,10 +13,10 @@ module.exports = {
                 .setDescription('User to check level for')
                 .setRequired(false)),
 
-    async execute(interaction, { xpManager, databaseManager, cacheManager }) {
+    async execute(interaction, { xpManager, databaseManager, cacheManager, permissionManager }) {
         try {
-            // Check channel restriction (admin can use anywhere)
-            if (interaction.user.id !== ADMIN_USER_ID && COMMANDS_CHANNEL && interaction.channel.id !== COMMANDS_CHANNEL) {
+            // Check channel restriction (staff with any bot permission level can use anywhere)
+            if (COMMANDS_CHANNEL && interaction.channel.id !== COMMANDS_CHANNEL && !await permissionManager?.hasPermission(interaction.member, 'view-stats')) {
                 return await interaction.reply({
                     content: `❌ **Channel Restriction**\n\nThis command can only be used in <#${COMMANDS_CHANNEL}>.`,
                     ephemeral: true
@@ -43,7 +42,7 @@ module.exports = {
             await interaction.deferReply();
 
             // Check if user has excluded role (Pirate King)
-            const excludedRoleId = process.env.LEADERBOARD_EXCLUDE_ROLE;
+            const excludedRoleId = config.get('LEADERBOARD_EXCLUDE_ROLE');
             const isPirateKing = excludedRoleId && member.roles.cache.has(excludedRoleId);
 
             // Get user stats
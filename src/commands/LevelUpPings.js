@@ -0,0 +1,57 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('levelup-pings')
+        .setDescription('🔔 Choose whether level up announcements mention you')
+        .addBooleanOption(option =>
+            option
+                .setName('enabled')
+                .setDescription('Mention me in my level up announcements (leave empty to see the current setting)')
+                .setRequired(false)
+        ),
+
+    async execute(interaction, { xpManager, databaseManager }) {
+        try {
+            const enabled = interaction.options.getBoolean('enabled');
+            const userId = interaction.user.id;
+            const guildId = interaction.guild.id;
+
+            if (enabled !== null) {
+                const saved = await databaseManager.setLevelUpPing(userId, guildId, enabled);
+                if (!saved) {
+                    throw new Error('Failed to save level up ping preference');
+                }
+            }
+
+            const pingsOn = !await databaseManager.hasLevelUpPingOptOut(userId, guildId);
+            const { levelup_ping: guildPings } = await xpManager.getGuildConfig(guildId);
+
+            const embed = new EmbedBuilder()
+                .setColor(pingsOn ? '#00FF00' : '#FF6B6B')
+                .setTitle(pingsOn ? '🔔 Level Up Pings On' : '🔕 Level Up Pings Off')
+                .setDescription(pingsOn
+                    ? 'Your level up announcements will mention you.'
+                    : 'Your level up announcements will still be posted, but without mentioning you.')
+                .setFooter({ text: '⚓ Marine Intelligence • Notification Preferences' })
+                .setTimestamp();
+
+            if (pingsOn && !guildPings) {
+                embed.addFields({
+                    name: 'ℹ️ Note',
+                    value: 'This server has level up pings turned off for everyone.',
+                    inline: false
+                });
+            }
+
+            return await interaction.reply({ embeds: [embed], ephemeral: true });
+
+        } catch (error) {
+            console.error('Level up pings command error:', error);
+            return await interaction.reply({
+                content: '❌ **Error**\n\nCould not update your level up ping preference. Please try again.',
+                ephemeral: true
+            });
+        }
+    }
+};
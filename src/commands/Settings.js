@@ -1,9 +1,15 @@
 const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const GuildConfig = require('../utils/GuildConfig');
+const ApiKeys = require('../utils/ApiKeys');
+const LevelUpTemplate = require('../utils/LevelUpTemplate');
+const config = require('../utils/Config');
 
-// Admin user ID from environment
-const ADMIN_USER_ID = process.env.ADMIN_USER_ID || '1095470472390508658';
 // Commands channel restriction
-const COMMANDS_CHANNEL = process.env.COMMANDS_CHANNEL || null;
+const COMMANDS_CHANNEL = config.get('COMMANDS_CHANNEL');
+
+const guildConfig = new GuildConfig();
+const apiKeys = new ApiKeys();
+const levelUpTemplate = new LevelUpTemplate();
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -22,6 +28,23 @@ module.exports = {
                     { name: '⚡ Add XP Boost Role', value: 'add-boost-role' },
                     { name: '❌ Remove XP Boost Role', value: 'remove-boost-role' },
                     { name: '🧹 Clear All Boost Roles', value: 'clear-boost-roles' },
+                    { name: '⚙️ Set XP Config Value', value: 'set-config' },
+                    { name: '♻️ Reset XP Config to Defaults', value: 'reset-config' },
+                    { name: '📋 View XP Config', value: 'view-config' },
+                    { name: '🚧 Add Channel XP Rule', value: 'add-channel-rule' },
+                    { name: '🗑️ Remove Channel XP Rule', value: 'remove-channel-rule' },
+                    { name: '🗺️ View Channel XP Rules', value: 'view-channel-rules' },
+                    { name: '🚫 Add No-XP Role', value: 'add-no-xp-role' },
+                    { name: '♻️ Remove No-XP Role', value: 'remove-no-xp-role' },
+                    { name: '🛡️ Set Admin Role Permission', value: 'add-admin-role' },
+                    { name: '🗑️ Remove Admin Role', value: 'remove-admin-role' },
+                    { name: '🏅 Add Level Role Reward', value: 'add-level-role' },
+                    { name: '🗑️ Remove Level Role Reward', value: 'remove-level-role' },
+                    { name: '🎖️ View Level Role Rewards', value: 'view-level-roles' },
+                    { name: '🖼️ Preview Level Up Message', value: 'preview-levelup' },
+                    { name: '🔑 Create API Key', value: 'create-api-key' },
+                    { name: '⛔ Revoke API Key', value: 'revoke-api-key' },
+                    { name: '🗝️ View API Keys', value: 'view-api-keys' },
                     { name: '👁️ View Current Settings', value: 'view' }
                 )
         )
@@ -35,7 +58,7 @@ module.exports = {
         .addRoleOption(option =>
             option
                 .setName('role')
-                .setDescription('Role for XP boost configuration')
+                .setDescription('Role for XP boost, no-XP, admin or level reward configuration')
                 .setRequired(false)
         )
         .addNumberOption(option =>
@@ -45,25 +68,80 @@ module.exports = {
                 .setRequired(false)
                 .setMinValue(0.1)
                 .setMaxValue(5.0)
+        )
+        .addStringOption(option =>
+            option
+                .setName('key')
+                .setDescription('XP config key (for set-config / reset-config)')
+                .setRequired(false)
+                .setAutocomplete(true)
+        )
+        .addStringOption(option =>
+            option
+                .setName('value')
+                .setDescription('New value (seconds, comma-separated lists, HH:MM times, {placeholder} templates) or API key label/ID')
+                .setRequired(false)
+        )
+        .addChannelOption(option =>
+            option
+                .setName('target')
+                .setDescription('Channel or category for a channel XP rule')
+                .setRequired(false)
+                .addChannelTypes(0, 2, 4, 5, 13, 15) // Text, voice, category, announcement, stage, forum
+        )
+        .addStringOption(option =>
+            option
+                .setName('rule')
+                .setDescription('Channel XP rule type')
+                .setRequired(false)
+                .addChoices(
+                    { name: '🚫 Blacklist (no XP)', value: 'blacklist' },
+                    { name: '✅ Whitelist (only listed channels earn XP)', value: 'whitelist' },
+                    { name: '⚡ Multiplier (uses multiplier option)', value: 'multiplier' }
+                )
+        )
+        .addStringOption(option =>
+            option
+                .setName('permission')
+                .setDescription('Permission level for an admin role')
+                .setRequired(false)
+                .addChoices(
+                    { name: '👁️ View Stats (user stats, history, settings overview)', value: 'view-stats' },
+                    { name: '📈 Modify XP (add/remove/set/reset, freezes, undo)', value: 'modify-xp' },
+                    { name: '🔧 Full Settings (everything, including /settings)', value: 'settings' }
+                )
+        )
+        .addIntegerOption(option =>
+            option
+                .setName('level')
+                .setDescription('Level a role reward is granted at, or the level to preview')
+                .setRequired(false)
+                .setMinValue(0)
+                .setMaxValue(1000)
         ),
 
-    async execute(interaction, { xpManager, databaseManager }) {
+    async execute(interaction, { xpManager, databaseManager, permissionManager }) {
         try {
-            // Check if user is authorized admin
-            if (interaction.user.id !== ADMIN_USER_ID) {
+            const action = interaction.options.getString('action');
+
+            // Viewing needs View Stats, every change needs Full Settings
+            const requiredLevel = ['view', 'view-config', 'view-channel-rules', 'view-level-roles', 'preview-levelup'].includes(action) ? 'view-stats' : 'settings';
+            if (!await permissionManager.hasPermission(interaction.member, requiredLevel)) {
                 return await interaction.reply({
-                    content: '❌ **Access Denied**\n\n⚓ **Marine Command Center** requires special authorization.\n\nOnly authorized Marine officers may access these commands.',
+                    content: permissionManager.getDeniedMessage(requiredLevel),
                     ephemeral: true
                 });
             }
 
-            // Check channel restriction for non-admin users (admin can use anywhere)
-            // Since we already checked admin above, this section is now irrelevant but keeping for consistency
-
-            const action = interaction.options.getString('action');
             const channel = interaction.options.getChannel('channel');
             const role = interaction.options.getRole('role');
             const multiplier = interaction.options.getNumber('multiplier');
+            const key = interaction.options.getString('key');
+            const value = interaction.options.getString('value');
+            const target = interaction.options.getChannel('target');
+            const ruleType = interaction.options.getString('rule');
+            const permission = interaction.options.getString('permission');
+            const level = interaction.options.getInteger('level');
             const guildId = interaction.guild.id;
 
             switch (action) {
@@ -158,8 +236,59 @@ module.exports = {
                 case 'clear-boost-roles':
                     return await this.handleClearBoostRoles(interaction, databaseManager, guildId);
 
+                case 'set-config':
+                    return await this.handleSetConfig(interaction, xpManager, databaseManager, guildId, key, value);
+
+                case 'reset-config':
+                    return await this.handleResetConfig(interaction, xpManager, databaseManager, guildId, key);
+
+                case 'view-config':
+                    return await this.handleViewConfig(interaction, xpManager, databaseManager, guildId);
+
+                case 'add-channel-rule':
+                    return await this.handleAddChannelRule(interaction, databaseManager, guildId, target, ruleType, multiplier);
+
+                case 'remove-channel-rule':
+                    return await this.handleRemoveChannelRule(interaction, databaseManager, guildId, target);
+
+                case 'view-channel-rules':
+                    return await this.handleViewChannelRules(interaction, databaseManager, guildId);
+
+                case 'add-no-xp-role':
+                    return await this.handleAddNoXPRole(interaction, databaseManager, guildId, role);
+
+                case 'remove-no-xp-role':
+                    return await this.handleRemoveNoXPRole(interaction, databaseManager, guildId, role);
+
+                case 'add-admin-role':
+                    return await this.handleAddAdminRole(interaction, databaseManager, permissionManager, guildId, role, permission);
+
+                case 'remove-admin-role':
+                    return await this.handleRemoveAdminRole(interaction, databaseManager, guildId, role);
+
+                case 'add-level-role':
+                    return await this.handleAddLevelRole(interaction, xpManager, databaseManager, guildId, role, level);
+
+                case 'remove-level-role':
+                    return await this.handleRemoveLevelRole(interaction, databaseManager, guildId, role, level);
+
+                case 'view-level-roles':
+                    return await this.handleViewLevelRoles(interaction, xpManager, databaseManager, guildId);
+
+                case 'preview-levelup':
+                    return await this.handlePreviewLevelUp(interaction, xpManager, guildId, level);
+
+                case 'create-api-key':
+                    return await this.handleCreateApiKey(interaction, databaseManager, guildId, value);
+
+                case 'revoke-api-key':
+                    return await this.handleRevokeApiKey(interaction, databaseManager, guildId, value);
+
+                case 'view-api-keys':
+                    return await this.handleViewApiKeys(interaction, databaseManager, guildId);
+
                 case 'view':
-                    return await this.handleViewSettings(interaction, databaseManager, guildId);
+                    return await this.handleViewSettings(interaction, xpManager, databaseManager, permissionManager, guildId);
 
                 default:
                     return await interaction.reply({
@@ -181,202 +310,1077 @@ module.exports = {
     },
 
     /**
-     * Handle adding XP boost role
+     * Autocomplete XP config keys
      */
-    async handleAddBoostRole(interaction, databaseManager, guildId, role, multiplier) {
-        if (!role) {
-            return await interaction.reply({
-                content: '❌ **Missing Parameter**\n\nPlease specify a role for XP boost.',
-                ephemeral: true
-            });
-        }
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        
+        const choices = guildConfig.getKeys()
+            .filter(key => key.includes(focused) || guildConfig.getDefinition(key).label.toLowerCase().includes(focused))
+            .slice(0, 25)
+            .map(key => ({ name: `${key} - ${guildConfig.getDefinition(key).label}`, value: key }));
 
-        if (!multiplier) {
+        await interaction.respond(choices);
+    },
+
+    /**
+     * Handle setting a per-guild XP config value
+     */
+    async handleSetConfig(interaction, xpManager, databaseManager, guildId, key, value) {
+        if (!key || value === null) {
             return await interaction.reply({
-                content: '❌ **Missing Parameter**\n\nPlease specify an XP multiplier (e.g., 1.5 for 50% boost).',
+                content: '❌ **Missing Parameter**\n\nPlease specify both a `key` and a `value`.\nUse `/settings action:View XP Config` to see all keys.',
                 ephemeral: true
             });
         }
 
-        if (multiplier < 0.1 || multiplier > 5.0) {
+        const parsed = guildConfig.parseValue(key, value);
+        if (!parsed.valid) {
             return await interaction.reply({
-                content: '❌ **Invalid Multiplier**\n\nMultiplier must be between 0.1 and 5.0.',
+                content: `❌ **Invalid Value**\n\n${parsed.error}`,
                 ephemeral: true
             });
         }
 
         try {
-            // Get current boost roles
-            const currentBoosts = await this.getBoostRoles(databaseManager, guildId);
-            
-            // Check if role already exists
-            if (currentBoosts.some(boost => boost.role_id === role.id)) {
+            const overrides = await databaseManager.getGuildConfigOverrides(guildId);
+            const updatedOverrides = { ...overrides, [key]: parsed.value };
+
+            const errors = guildConfig.validate(guildConfig.resolve(updatedOverrides));
+            if (errors.length > 0) {
                 return await interaction.reply({
-                    content: '❌ **Role Already Configured**\n\nThis role already has an XP boost. Remove it first to change the multiplier.',
+                    content: `❌ **Invalid Configuration**\n\n${errors.join('\n')}`,
                     ephemeral: true
                 });
             }
 
-            // Add new boost role
-            await databaseManager.updateGuildSetting(guildId, 'xp_boost_roles', JSON.stringify([
-                ...currentBoosts,
-                { role_id: role.id, multiplier: multiplier }
-            ]));
+            const saved = await databaseManager.setGuildConfigOverrides(guildId, updatedOverrides);
+            if (!saved) {
+                throw new Error('Failed to save config overrides');
+            }
+            await xpManager.invalidateGuildConfig(guildId);
 
+            const definition = guildConfig.getDefinition(key);
             const embed = new EmbedBuilder()
                 .setColor('#00FF00')
-                .setTitle('⚡ XP Boost Role Added')
-                .setDescription(`**${role.name}** now provides **${multiplier}x** XP multiplier!`)
+                .setTitle('⚙️ XP Config Updated')
+                .setDescription(`**${definition.label}** is now **${guildConfig.formatValue(key, parsed.value)}** for this server.`)
                 .addFields({
                     name: '📋 Details',
-                    value: `**Role:** ${role.name}\n**Multiplier:** ${multiplier}x (${Math.round((multiplier - 1) * 100)}% boost)\n**Stacks:** Yes, with other boost roles`,
+                    value: `**Key:** \`${key}\`\n**Previous:** ${key in overrides ? guildConfig.formatValue(key, overrides[key]) : 'Default'}\n**Default:** ${guildConfig.formatValue(key, guildConfig.getDefaults()[key])}`,
                     inline: false
                 })
-                .setFooter({ text: '⚓ Marine Intelligence • XP Boost System' })
+                .setFooter({ text: '⚓ Marine Intelligence • Settings Updated' })
                 .setTimestamp();
 
             return await interaction.reply({ embeds: [embed] });
 
         } catch (error) {
-            console.error('Add boost role error:', error);
+            console.error('Set config error:', error);
             return await interaction.reply({
-                content: '❌ **Operation Failed**\n\nFailed to add XP boost role. Please try again.',
+                content: '❌ **Operation Failed**\n\nFailed to update XP config. Please try again.',
                 ephemeral: true
             });
         }
     },
 
     /**
-     * Handle removing XP boost role
+     * Handle resetting one or all per-guild XP config values
      */
-    async handleRemoveBoostRole(interaction, databaseManager, guildId, role) {
-        if (!role) {
+    async handleResetConfig(interaction, xpManager, databaseManager, guildId, key) {
+        if (key && !guildConfig.getDefinition(key)) {
             return await interaction.reply({
-                content: '❌ **Missing Parameter**\n\nPlease specify a role to remove from XP boost.',
+                content: `❌ **Invalid Key**\n\nUnknown setting \`${key}\`.`,
                 ephemeral: true
             });
         }
 
         try {
-            // Get current boost roles
-            const currentBoosts = await this.getBoostRoles(databaseManager, guildId);
-            
-            // Check if role exists
-            const roleBoost = currentBoosts.find(boost => boost.role_id === role.id);
-            if (!roleBoost) {
+            const overrides = await databaseManager.getGuildConfigOverrides(guildId);
+
+            if (key && !(key in overrides)) {
                 return await interaction.reply({
-                    content: '❌ **Role Not Found**\n\nThis role is not configured for XP boost.',
+                    content: `❌ **Not Overridden**\n\n\`${key}\` is already using the default value.`,
                     ephemeral: true
                 });
             }
 
-            // Remove the role
-            const updatedBoosts = currentBoosts.filter(boost => boost.role_id !== role.id);
-            await databaseManager.updateGuildSetting(guildId, 'xp_boost_roles', JSON.stringify(updatedBoosts));
+            let updatedOverrides = {};
+            if (key) {
+                updatedOverrides = { ...overrides };
+                delete updatedOverrides[key];
+
+                const errors = guildConfig.validate(guildConfig.resolve(updatedOverrides));
+                if (errors.length > 0) {
+                    return await interaction.reply({
+                        content: `❌ **Invalid Configuration**\n\n${errors.join('\n')}`,
+                        ephemeral: true
+                    });
+                }
+            }
+
+            const saved = await databaseManager.setGuildConfigOverrides(guildId, updatedOverrides);
+            if (!saved) {
+                throw new Error('Failed to save config overrides');
+            }
+            await xpManager.invalidateGuildConfig(guildId);
 
+            const resetCount = key ? 1 : Object.keys(overrides).length;
             const embed = new EmbedBuilder()
                 .setColor('#FF6B6B')
-                .setTitle('❌ XP Boost Role Removed')
-                .setDescription(`**${role.name}** no longer provides XP boost.`)
-                .addFields({
-                    name: '📋 Removed Details',
-                    value: `**Role:** ${role.name}\n**Previous Multiplier:** ${roleBoost.multiplier}x`,
-                    inline: false
-                })
-                .setFooter({ text: '⚓ Marine Intelligence • XP Boost System' })
+                .setTitle('♻️ XP Config Reset')
+                .setDescription(key
+                    ? `\`${key}\` now uses the default value (**${guildConfig.formatValue(key, guildConfig.getDefaults()[key])}**).`
+                    : `Reset ${resetCount} XP config value(s) to defaults.`)
+                .setFooter({ text: '⚓ Marine Intelligence • Settings Updated' })
                 .setTimestamp();
 
             return await interaction.reply({ embeds: [embed] });
 
         } catch (error) {
-            console.error('Remove boost role error:', error);
+            console.error('Reset config error:', error);
             return await interaction.reply({
-                content: '❌ **Operation Failed**\n\nFailed to remove XP boost role. Please try again.',
+                content: '❌ **Operation Failed**\n\nFailed to reset XP config. Please try again.',
                 ephemeral: true
             });
         }
     },
 
     /**
-     * Handle clearing all boost roles
+     * Handle viewing the effective per-guild XP config
      */
-    async handleClearBoostRoles(interaction, databaseManager, guildId) {
+    async handleViewConfig(interaction, xpManager, databaseManager, guildId) {
         try {
-            // Get current boost roles
-            const currentBoosts = await this.getBoostRoles(databaseManager, guildId);
-            
-            if (currentBoosts.length === 0) {
+            const overrides = await databaseManager.getGuildConfigOverrides(guildId);
+            const config = await xpManager.getGuildConfig(guildId);
+
+            const categories = {
+                message: '💬 Message XP',
+                reaction: '😀 Reaction XP',
+                voice: '🎤 Voice XP',
+                quality: '🧹 Message Quality Filter',
+                global: '🌐 Global',
+                reset: '🌅 Daily Reset',
+                roles: '🏅 Level Roles',
+                announce: '📢 Level Announcements'
+            };
+
+            const embed = new EmbedBuilder()
+                .setColor('#4A90E2')
+                .setTitle('📋 Server XP Config')
+                .setDescription('Effective XP configuration for this server.\n✏️ = server override, everything else uses the bot default.')
+                .setFooter({ text: '⚓ Marine Intelligence • Settings Overview' })
+                .setTimestamp();
+
+            for (const [category, title] of Object.entries(categories)) {
+                const lines = guildConfig.getKeys()
+                    .filter(key => guildConfig.getDefinition(key).category === category)
+                    .map(key => `\`${key}\`: **${guildConfig.formatValue(key, config[key])}**${key in overrides ? ' ✏️' : ''}`);
+
+                embed.addFields({ name: title, value: lines.join('\n'), inline: false });
+            }
+
+            // Show today's quality filter rejections
+            const rejections = await xpManager.getQualityFilterStats(guildId);
+            const rejectionLines = Object.entries(rejections)
+                .sort((a, b) => b[1] - a[1])
+                .map(([reason, count]) => `**${xpManager.messageQualityFilter.getReasonLabel(reason)}:** ${count.toLocaleString()}`);
+
+            embed.addFields({
+                name: '🚫 Messages Rejected Today',
+                value: rejectionLines.length > 0 ? rejectionLines.join('\n') : 'None',
+                inline: false
+            });
+
+            return await interaction.reply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('View config error:', error);
+            return await interaction.reply({
+                content: '❌ **Error**\n\nCould not load XP config. Please try again.',
+                ephemeral: true
+            });
+        }
+    },
+
+    /**
+     * Handle adding a channel/category XP rule
+     */
+    async handleAddChannelRule(interaction, databaseManager, guildId, target, ruleType, multiplier) {
+        if (!target || !ruleType) {
+            return await interaction.reply({
+                content: '❌ **Missing Parameter**\n\nPlease specify a `target` channel/category and a `rule` type.',
+                ephemeral: true
+            });
+        }
+
+        if (ruleType === 'multiplier' && !multiplier) {
+            return await interaction.reply({
+                content: '❌ **Missing Parameter**\n\nPlease specify a `multiplier` for multiplier rules (e.g., 1.5 for 50% more XP).',
+                ephemeral: true
+            });
+        }
+
+        try {
+            const currentRules = await databaseManager.getChannelRules(guildId);
+            const existingRule = currentRules.find(rule => rule.channel_id === target.id);
+
+            const newRule = {
+                channel_id: target.id,
+                target_type: target.type === 4 ? 'category' : 'channel',
+                type: ruleType,
+                multiplier: ruleType === 'multiplier' ? multiplier : 1.0
+            };
+
+            // Replace any existing rule for the same target
+            const updatedRules = [...currentRules.filter(rule => rule.channel_id !== target.id), newRule];
+            await databaseManager.updateGuildSetting(guildId, 'xp_channel_rules', JSON.stringify(updatedRules));
+
+            const hadWhitelist = currentRules.some(rule => rule.type === 'whitelist');
+            let details = `**Target:** ${target} (${newRule.target_type})\n**Rule:** ${this.formatChannelRule(newRule)}`;
+            if (existingRule) {
+                details += `\n**Replaced:** ${this.formatChannelRule(existingRule)}`;
+            }
+            if (ruleType === 'whitelist' && !hadWhitelist) {
+                details += '\n\n⚠️ *Whitelist mode is now active: only whitelisted channels/categories (and multiplier rules) earn XP.*';
+            }
+
+            const embed = new EmbedBuilder()
+                .setColor('#00FF00')
+                .setTitle('🚧 Channel XP Rule Saved')
+                .addFields({ name: '📋 Details', value: details, inline: false })
+                .setFooter({ text: '⚓ Marine Intelligence • Settings Updated' })
+                .setTimestamp();
+
+            return await interaction.reply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Add channel rule error:', error);
+            return await interaction.reply({
+                content: '❌ **Operation Failed**\n\nFailed to save channel XP rule. Please try again.',
+                ephemeral: true
+            });
+        }
+    },
+
+    /**
+     * Handle removing a channel/category XP rule
+     */
+    async handleRemoveChannelRule(interaction, databaseManager, guildId, target) {
+        if (!target) {
+            return await interaction.reply({
+                content: '❌ **Missing Parameter**\n\nPlease specify the `target` channel/category to remove the rule from.',
+                ephemeral: true
+            });
+        }
+
+        try {
+            const currentRules = await databaseManager.getChannelRules(guildId);
+            const existingRule = currentRules.find(rule => rule.channel_id === target.id);
+
+            if (!existingRule) {
                 return await interaction.reply({
-                    content: '❌ **No Boost Roles**\n\nThere are no XP boost roles configured.',
+                    content: `❌ **Rule Not Found**\n\n${target} has no channel XP rule.`,
                     ephemeral: true
                 });
             }
 
-            // Clear all boost roles
-            await databaseManager.updateGuildSetting(guildId, 'xp_boost_roles', JSON.stringify([]));
+            const updatedRules = currentRules.filter(rule => rule.channel_id !== target.id);
+            await databaseManager.updateGuildSetting(guildId, 'xp_channel_rules', JSON.stringify(updatedRules));
 
             const embed = new EmbedBuilder()
                 .setColor('#FF6B6B')
-                .setTitle('🧹 All XP Boost Roles Cleared')
-                .setDescription(`Removed ${currentBoosts.length} XP boost role(s).`)
+                .setTitle('🗑️ Channel XP Rule Removed')
+                .setDescription(`${target} no longer has a channel XP rule.`)
                 .addFields({
-                    name: '📋 Cleared Roles',
-                    value: currentBoosts.map(boost => {
-                        const role = interaction.guild.roles.cache.get(boost.role_id);
-                        return `**${role?.name || 'Unknown Role'}:** ${boost.multiplier}x`;
-                    }).join('\n') || 'None',
+                    name: '📋 Removed Details',
+                    value: `**Previous Rule:** ${this.formatChannelRule(existingRule)}`,
                     inline: false
                 })
-                .setFooter({ text: '⚓ Marine Intelligence • XP Boost System' })
+                .setFooter({ text: '⚓ Marine Intelligence • Settings Updated' })
                 .setTimestamp();
 
             return await interaction.reply({ embeds: [embed] });
 
         } catch (error) {
-            console.error('Clear boost roles error:', error);
+            console.error('Remove channel rule error:', error);
             return await interaction.reply({
-                content: '❌ **Operation Failed**\n\nFailed to clear XP boost roles. Please try again.',
+                content: '❌ **Operation Failed**\n\nFailed to remove channel XP rule. Please try again.',
                 ephemeral: true
             });
         }
     },
 
     /**
-     * Handle view settings
+     * Handle listing all channel/category XP rules
      */
-    async handleViewSettings(interaction, databaseManager, guildId) {
+    async handleViewChannelRules(interaction, databaseManager, guildId) {
         try {
-            const guildSettings = await databaseManager.getGuildSettings(guildId);
-            const boostRoles = await this.getBoostRoles(databaseManager, guildId);
-            
+            const rules = await databaseManager.getChannelRules(guildId);
+
             const embed = new EmbedBuilder()
                 .setColor('#4A90E2')
-                .setTitle('🔧 Server XP Settings')
-                .setDescription('Current configuration for this server')
-                .addFields(
-                    {
-                        name: '📢 Level Up Announcements',
-                        value: `**Status:** ${guildSettings?.levelup_enabled ? '✅ Enabled' : '❌ Disabled'}\n**Channel:** ${guildSettings?.levelup_channel ? `<#${guildSettings.levelup_channel}>` : '❌ Not Set'}`,
-                        inline: false
-                    },
-                    {
-                        name: '📊 XP Activity Logging',
-                        value: `**Status:** ${guildSettings?.xp_log_enabled ? '✅ Enabled' : '❌ Disabled'}\n**Channel:** ${guildSettings?.xp_log_channel ? `<#${guildSettings.xp_log_channel}>` : '❌ Not Set'}`,
-                        inline: false
-                    },
-                    {
-                        name: '⚙️ XP Configuration',
-                        value: `**Message XP:** ${process.env.MESSAGE_XP_MIN || 75}-${process.env.MESSAGE_XP_MAX || 100} per message\n**Voice XP:** ${process.env.VOICE_XP_MIN || 250}-${process.env.VOICE_XP_MAX || 350} per 5 minutes\n**Reaction XP:** ${process.env.REACTION_XP_MIN || 75}-${process.env.REACTION_XP_MAX || 100} per reaction\n**Daily Cap:** ${parseInt(process.env.DAILY_XP_CAP || 15000).toLocaleString()} XP`,
-                        inline: false
-                    },
-                    {
-                        name: '🏆 Level System',
-                        value: `**Max Level:** ${process.env.MAX_LEVEL || 50}\n**Formula:** ${process.env.FORMULA_CURVE || 'exponential'}\n**Multiplier:** ${process.env.FORMULA_MULTIPLIER || 1.75}x\n**Global Multiplier:** ${process.env.XP_MULTIPLIER || 1.0}x`,
-                        inline: false
-                    },
-                    {
-                        name: '⚡ XP Boost Roles',
-                        value: this.getBoostRolesInfo(boostRoles, interaction.guild),
+                .setTitle('🗺️ Channel XP Rules')
+                .setFooter({ text: '⚓ Marine Intelligence • Settings Overview' })
+                .setTimestamp();
+
+            if (rules.length === 0) {
+                embed.setDescription('No channel XP rules configured. XP is earned in every channel.\nUse `/settings action:Add Channel XP Rule` to add one.');
+                return await interaction.reply({ embeds: [embed] });
+            }
+
+            const hasWhitelist = rules.some(rule => rule.type === 'whitelist');
+            embed.setDescription(hasWhitelist
+                ? '✅ **Whitelist mode active** - channels without a rule earn no XP.\n*Channel rules override thread parent rules, which override category rules.*'
+                : '*Channel rules override thread parent rules, which override category rules.*');
+
+            const sections = {
+                category: '📁 Categories',
+                channel: '💬 Channels'
+            };
+
+            for (const [targetType, title] of Object.entries(sections)) {
+                const lines = rules
+                    .filter(rule => rule.target_type === targetType)
+                    .map(rule => {
+                        const exists = interaction.guild.channels.cache.has(rule.channel_id);
+                        return `<#${rule.channel_id}> - ${this.formatChannelRule(rule)}${exists ? '' : ' *(deleted)*'}`;
+                    });
+
+                if (lines.length > 0) {
+                    embed.addFields({ name: title, value: lines.join('\n').slice(0, 1024), inline: false });
+                }
+            }
+
+            return await interaction.reply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('View channel rules error:', error);
+            return await interaction.reply({
+                content: '❌ **Error**\n\nCould not load channel XP rules. Please try again.',
+                ephemeral: true
+            });
+        }
+    },
+
+    /**
+     * Format a channel XP rule for display
+     */
+    formatChannelRule(rule) {
+        switch (rule.type) {
+            case 'blacklist':
+                return '🚫 No XP';
+            case 'whitelist':
+                return '✅ Whitelisted';
+            case 'multiplier':
+                return `⚡ ${rule.multiplier}x XP`;
+            default:
+                return rule.type;
+        }
+    },
+
+    /**
+     * Handle adding a role that blocks XP gain
+     */
+    async handleAddNoXPRole(interaction, databaseManager, guildId, role) {
+        if (!role) {
+            return await interaction.reply({
+                content: '❌ **Missing Parameter**\n\nPlease specify a role that should not earn XP.',
+                ephemeral: true
+            });
+        }
+
+        try {
+            const currentRoles = await databaseManager.getNoXPRoles(guildId);
+
+            if (currentRoles.includes(role.id)) {
+                return await interaction.reply({
+                    content: '❌ **Role Already Configured**\n\nThis role is already blocked from earning XP.',
+                    ephemeral: true
+                });
+            }
+
+            await databaseManager.updateGuildSetting(guildId, 'no_xp_roles', JSON.stringify([...currentRoles, role.id]));
+
+            const embed = new EmbedBuilder()
+                .setColor('#00FF00')
+                .setTitle('🚫 No-XP Role Added')
+                .setDescription(`Members with **${role.name}** can no longer earn message, reaction or voice XP.`)
+                .setFooter({ text: '⚓ Marine Intelligence • Settings Updated' })
+                .setTimestamp();
+
+            return await interaction.reply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Add no-XP role error:', error);
+            return await interaction.reply({
+                content: '❌ **Operation Failed**\n\nFailed to add no-XP role. Please try again.',
+                ephemeral: true
+            });
+        }
+    },
+
+    /**
+     * Handle removing a role that blocks XP gain
+     */
+    async handleRemoveNoXPRole(interaction, databaseManager, guildId, role) {
+        if (!role) {
+            return await interaction.reply({
+                content: '❌ **Missing Parameter**\n\nPlease specify a role to remove from the no-XP list.',
+                ephemeral: true
+            });
+        }
+
+        try {
+            const currentRoles = await databaseManager.getNoXPRoles(guildId);
+
+            if (!currentRoles.includes(role.id)) {
+                return await interaction.reply({
+                    content: '❌ **Role Not Found**\n\nThis role is not on the no-XP list.',
+                    ephemeral: true
+                });
+            }
+
+            await databaseManager.updateGuildSetting(guildId, 'no_xp_roles', JSON.stringify(currentRoles.filter(id => id !== role.id)));
+
+            const embed = new EmbedBuilder()
+                .setColor('#FF6B6B')
+                .setTitle('♻️ No-XP Role Removed')
+                .setDescription(`Members with **${role.name}** can earn XP again.`)
+                .setFooter({ text: '⚓ Marine Intelligence • Settings Updated' })
+                .setTimestamp();
+
+            return await interaction.reply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Remove no-XP role error:', error);
+            return await interaction.reply({
+                content: '❌ **Operation Failed**\n\nFailed to remove no-XP role. Please try again.',
+                ephemeral: true
+            });
+        }
+    },
+
+    /**
+     * Handle granting a role a bot permission level (replaces any existing level for the role)
+     */
+    async handleAddAdminRole(interaction, databaseManager, permissionManager, guildId, role, permission) {
+        if (!role || !permission) {
+            return await interaction.reply({
+                content: '❌ **Missing Parameter**\n\nPlease specify both a role and a permission level.',
+                ephemeral: true
+            });
+        }
+
+        if (!permissionManager.isValidLevel(permission)) {
+            return await interaction.reply({
+                content: '❌ **Invalid Permission**\n\nPlease choose a permission level from the dropdown.',
+                ephemeral: true
+            });
+        }
+
+        if (role.id === guildId) {
+            return await interaction.reply({
+                content: '❌ **Invalid Role**\n\nThe @everyone role cannot be given admin permissions.',
+                ephemeral: true
+            });
+        }
+
+        try {
+            const currentRoles = await databaseManager.getAdminRoles(guildId);
+            const existing = currentRoles.find(entry => entry.role_id === role.id);
+            const updatedRoles = currentRoles.filter(entry => entry.role_id !== role.id);
+            updatedRoles.push({ role_id: role.id, level: permission });
+
+            await databaseManager.updateGuildSetting(guildId, 'admin_roles', JSON.stringify(updatedRoles));
+
+            const embed = new EmbedBuilder()
+                .setColor('#00FF00')
+                .setTitle('🛡️ Admin Role Updated')
+                .setDescription(`Members with **${role.name}** now have the **${permissionManager.getLevelLabel(permission)}** permission level.${existing ? `\n\n*Previous level: ${permissionManager.getLevelLabel(existing.level)}*` : ''}`)
+                .setFooter({ text: '⚓ Marine Intelligence • Settings Updated' })
+                .setTimestamp();
+
+            return await interaction.reply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Add admin role error:', error);
+            return await interaction.reply({
+                content: '❌ **Operation Failed**\n\nFailed to update admin role. Please try again.',
+                ephemeral: true
+            });
+        }
+    },
+
+    /**
+     * Handle removing a role's bot permission level
+     */
+    async handleRemoveAdminRole(interaction, databaseManager, guildId, role) {
+        if (!role) {
+            return await interaction.reply({
+                content: '❌ **Missing Parameter**\n\nPlease specify an admin role to remove.',
+                ephemeral: true
+            });
+        }
+
+        try {
+            const currentRoles = await databaseManager.getAdminRoles(guildId);
+
+            if (!currentRoles.some(entry => entry.role_id === role.id)) {
+                return await interaction.reply({
+                    content: '❌ **Role Not Found**\n\nThis role does not have admin permissions.',
+                    ephemeral: true
+                });
+            }
+
+            await databaseManager.updateGuildSetting(guildId, 'admin_roles', JSON.stringify(currentRoles.filter(entry => entry.role_id !== role.id)));
+
+            const embed = new EmbedBuilder()
+                .setColor('#FF6B6B')
+                .setTitle('🗑️ Admin Role Removed')
+                .setDescription(`Members with **${role.name}** no longer have bot admin permissions.`)
+                .setFooter({ text: '⚓ Marine Intelligence • Settings Updated' })
+                .setTimestamp();
+
+            return await interaction.reply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Remove admin role error:', error);
+            return await interaction.reply({
+                content: '❌ **Operation Failed**\n\nFailed to remove admin role. Please try again.',
+                ephemeral: true
+            });
+        }
+    },
+
+    /**
+     * Handle adding a level role reward - the first change copies any LEVEL_N_ROLE defaults into the server's list
+     */
+    async handleAddLevelRole(interaction, xpManager, databaseManager, guildId, role, level) {
+        if (!role || level === null) {
+            return await interaction.reply({
+                content: '❌ **Missing Parameter**\n\nPlease specify both a role and the level it is granted at.',
+                ephemeral: true
+            });
+        }
+
+        if (level > config.get('MAX_LEVEL')) {
+            return await interaction.reply({
+                content: `❌ **Invalid Level**\n\nThe level must be between 0 and ${config.get('MAX_LEVEL')}.`,
+                ephemeral: true
+            });
+        }
+
+        const issue = xpManager.levelUpHandler.getLevelRoleIssue(interaction.guild, role);
+        if (issue) {
+            return await interaction.reply({
+                content: `❌ **Cannot Use Role**\n\n${issue}`,
+                ephemeral: true
+            });
+        }
+
+        try {
+            const guildSettings = await databaseManager.getGuildSettings(guildId);
+            const currentRoles = await databaseManager.getLevelRoles(guildId);
+            const existing = currentRoles.find(entry => entry.role_id === role.id);
+
+            if (existing) {
+                return await interaction.reply({
+                    content: `❌ **Role Already Configured**\n\nThis role is already the reward for level ${existing.level}. Remove it first to change the level.`,
+                    ephemeral: true
+                });
+            }
+
+            const updatedRoles = [...currentRoles, { level, role_id: role.id }].sort((a, b) => a.level - b.level);
+            await databaseManager.updateGuildSetting(guildId, 'level_roles', JSON.stringify(updatedRoles));
+
+            const { level_role_mode: mode } = await xpManager.getGuildConfig(guildId);
+            const copiedDefaults = !guildSettings?.level_roles && currentRoles.length > 0;
+
+            const embed = new EmbedBuilder()
+                .setColor('#00FF00')
+                .setTitle('🏅 Level Role Reward Added')
+                .setDescription(`Members reaching **Level ${level}** now receive **${role.name}**.\n\n*Mode: ${this.formatLevelRoleMode(mode)}. Members already past this level receive it on their next level up.*${copiedDefaults ? `\n*The ${currentRoles.length} level role(s) from the bot's environment config were copied to this server's list.*` : ''}`)
+                .setFooter({ text: '⚓ Marine Intelligence • Settings Updated' })
+                .setTimestamp();
+
+            return await interaction.reply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Add level role error:', error);
+            return await interaction.reply({
+                content: '❌ **Operation Failed**\n\nFailed to add level role reward. Please try again.',
+                ephemeral: true
+            });
+        }
+    },
+
+    /**
+     * Handle removing a level role reward by role, or every reward at a level (works for deleted roles)
+     */
+    async handleRemoveLevelRole(interaction, databaseManager, guildId, role, level) {
+        if (!role && level === null) {
+            return await interaction.reply({
+                content: '❌ **Missing Parameter**\n\nPlease specify the reward role, or the level to remove rewards from.',
+                ephemeral: true
+            });
+        }
+
+        try {
+            const currentRoles = await databaseManager.getLevelRoles(guildId);
+            const removed = currentRoles.filter(entry => role ? entry.role_id === role.id : entry.level === level);
+
+            if (removed.length === 0) {
+                return await interaction.reply({
+                    content: `❌ **Reward Not Found**\n\n${role ? 'This role is not a level reward.' : `There is no level role reward at level ${level}.`}`,
+                    ephemeral: true
+                });
+            }
+
+            await databaseManager.updateGuildSetting(guildId, 'level_roles', JSON.stringify(currentRoles.filter(entry => !removed.includes(entry))));
+
+            const embed = new EmbedBuilder()
+                .setColor('#FF6B6B')
+                .setTitle('🗑️ Level Role Reward Removed')
+                .setDescription(`${removed.map(entry => `**Level ${entry.level}:** <@&${entry.role_id}>`).join('\n')}\n\n*Members keep the role until it is removed manually.*`)
+                .setFooter({ text: '⚓ Marine Intelligence • Settings Updated' })
+                .setTimestamp();
+
+            return await interaction.reply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Remove level role error:', error);
+            return await interaction.reply({
+                content: '❌ **Operation Failed**\n\nFailed to remove level role reward. Please try again.',
+                ephemeral: true
+            });
+        }
+    },
+
+    /**
+     * Handle listing level role rewards with any problems the bot has assigning them
+     */
+    async handleViewLevelRoles(interaction, xpManager, databaseManager, guildId) {
+        try {
+            const guildSettings = await databaseManager.getGuildSettings(guildId);
+            const levelRoles = await databaseManager.getLevelRoles(guildId);
+            const { level_role_mode: mode } = await xpManager.getGuildConfig(guildId);
+
+            const embed = new EmbedBuilder()
+                .setColor('#4A90E2')
+                .setTitle('🎖️ Level Role Rewards')
+                .setDescription(`**Mode:** ${this.formatLevelRoleMode(mode)}\n*Change it with \`/settings action:Set XP Config Value key:level_role_mode value:stack\` (or \`replace\`).*`)
+                .setFooter({ text: '⚓ Marine Intelligence • Settings Overview' })
+                .setTimestamp();
+
+            if (levelRoles.length === 0) {
+                embed.addFields({ name: '🏅 Rewards', value: 'No level role rewards configured.\nUse `/settings action:Add Level Role Reward` to add one.', inline: false });
+                return await interaction.reply({ embeds: [embed] });
+            }
+
+            const lines = levelRoles.map(({ level, role_id: roleId }) => {
+                const role = interaction.guild.roles.cache.get(roleId);
+                const issue = role ? xpManager.levelUpHandler.getLevelRoleIssue(interaction.guild, role) : 'Role was deleted';
+                return `**Level ${level}** - <@&${roleId}>${issue ? `\n└ ⚠️ ${issue}` : ''}`;
+            });
+
+            embed.addFields({
+                name: guildSettings?.level_roles ? '🏅 Rewards' : '🏅 Rewards (bot environment defaults)',
+                value: lines.join('\n').slice(0, 1024),
+                inline: false
+            });
+
+            return await interaction.reply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('View level roles error:', error);
+            return await interaction.reply({
+                content: '❌ **Error**\n\nCould not load level role rewards. Please try again.',
+                ephemeral: true
+            });
+        }
+    },
+
+    /**
+     * Handle previewing the level up announcement for the invoking member - nothing is posted or awarded
+     */
+    async handlePreviewLevelUp(interaction, xpManager, guildId, level) {
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            const stats = await xpManager.getUserStats(interaction.user.id, guildId);
+            const newLevel = Math.max(1, level ?? (stats?.level || 0) + 1);
+            const guildConfig = await xpManager.getGuildConfig(guildId);
+
+            const { embeds, files, milestone, template } = await xpManager.levelUpHandler.buildLevelUpMessage({
+                userId: interaction.user.id,
+                oldLevel: newLevel - 1,
+                newLevel,
+                totalXP: xpManager.levelCalculator.getXPForLevel(newLevel),
+                member: interaction.member,
+                roleReward: null,
+                source: 'message',
+                guildConfig
+            });
+
+            const placeholders = Object.keys(levelUpTemplate.placeholders).map(name => `\`{${name}}\``).join(' ');
+
+            return await interaction.editReply({
+                content: `👁️ **Preview - Level ${newLevel}** (${milestone ? 'milestone' : 'regular'} level, ${template ? 'custom template' : 'built-in report'}, ${files.length > 0 ? 'with' : 'without'} poster)\n` +
+                    `*Templates are set with \`/settings action:Set XP Config Value key:levelup_template\` (or \`levelup_milestone_template\`). Placeholders: ${placeholders}*`,
+                embeds,
+                files
+            });
+
+        } catch (error) {
+            console.error('Preview level up error:', error);
+            return await interaction.editReply({
+                content: '❌ **Error**\n\nCould not render the level up preview. Please try again.'
+            });
+        }
+    },
+
+    /**
+     * Describe a level up destination mode for display
+     */
+    formatLevelUpMode(mode) {
+        switch (mode) {
+            case 'origin':
+                return '💬 Channel where the XP was earned (level up channel as fallback)';
+            case 'dm':
+                return '✉️ Direct message (level up channel if DMs are closed)';
+            case 'off':
+                return '🔕 Off';
+            default:
+                return '📢 Level up channel';
+        }
+    },
+
+    /**
+     * Describe a level role mode for display
+     */
+    formatLevelRoleMode(mode) {
+        return mode === 'stack' ? '📚 Stack (members keep every earned role)' : '🔁 Replace (members keep only their highest role)';
+    },
+
+    /**
+     * Handle creating a REST API key - the key is only ever shown in this ephemeral reply
+     */
+    async handleCreateApiKey(interaction, databaseManager, guildId, label) {
+        if (label && label.length > 100) {
+            return await interaction.reply({
+                content: '❌ **Invalid Label**\n\nAPI key labels can be at most 100 characters.',
+                ephemeral: true
+            });
+        }
+
+        try {
+            const { key, hash, prefix } = apiKeys.generate();
+            const stored = await databaseManager.createApiKey(guildId, hash, prefix, label || null, interaction.user.id);
+
+            const embed = new EmbedBuilder()
+                .setColor('#00FF00')
+                .setTitle('🔑 API Key Created')
+                .setDescription(`\`\`\`\n${key}\n\`\`\`\n**Copy this key now - it will not be shown again.**\nSend it as \`Authorization: Bearer <key>\` or \`X-API-Key: <key>\`.`)
+                .addFields({
+                    name: '📋 Details',
+                    value: `**ID:** ${stored.id}\n**Label:** ${stored.label || 'None'}\n**Endpoints:** \`/api/v1/guilds/${guildId}/...\``,
+                    inline: false
+                })
+                .setFooter({ text: '⚓ Marine Intelligence • Settings Updated' })
+                .setTimestamp();
+
+            return await interaction.reply({ embeds: [embed], ephemeral: true });
+
+        } catch (error) {
+            console.error('Create API key error:', error);
+            return await interaction.reply({
+                content: '❌ **Operation Failed**\n\nFailed to create API key. Please try again.',
+                ephemeral: true
+            });
+        }
+    },
+
+    /**
+     * Handle revoking a REST API key by ID
+     */
+    async handleRevokeApiKey(interaction, databaseManager, guildId, value) {
+        const keyId = parseInt(value);
+        if (!keyId || keyId < 1) {
+            return await interaction.reply({
+                content: '❌ **Missing Parameter**\n\nPlease specify the API key ID as the `value`.\nUse `/settings action:View API Keys` to see key IDs.',
+                ephemeral: true
+            });
+        }
+
+        try {
+            const revoked = await databaseManager.revokeApiKey(guildId, keyId);
+            if (!revoked) {
+                return await interaction.reply({
+                    content: `❌ **Key Not Found**\n\nNo active API key with ID ${keyId} exists for this server.`,
+                    ephemeral: true
+                });
+            }
+
+            const embed = new EmbedBuilder()
+                .setColor('#FF6B6B')
+                .setTitle('⛔ API Key Revoked')
+                .setDescription(`API key **${revoked.id}** (\`${revoked.key_prefix}…\`${revoked.label ? `, ${revoked.label}` : ''}) can no longer be used.`)
+                .setFooter({ text: '⚓ Marine Intelligence • Settings Updated' })
+                .setTimestamp();
+
+            return await interaction.reply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Revoke API key error:', error);
+            return await interaction.reply({
+                content: '❌ **Operation Failed**\n\nFailed to revoke API key. Please try again.',
+                ephemeral: true
+            });
+        }
+    },
+
+    /**
+     * Handle listing active REST API keys (prefixes only)
+     */
+    async handleViewApiKeys(interaction, databaseManager, guildId) {
+        const keys = await databaseManager.getApiKeys(guildId);
+
+        const embed = new EmbedBuilder()
+            .setColor('#4A90E2')
+            .setTitle('🗝️ API Keys')
+            .setDescription(keys.length > 0
+                ? keys.map(entry => `**${entry.id}.** \`${entry.key_prefix}…\`${entry.label ? ` - ${entry.label}` : ''}\nCreated by <@${entry.created_by}> <t:${Math.floor(new Date(entry.created_at).getTime() / 1000)}:R> • Last used: ${entry.last_used_at ? `<t:${Math.floor(new Date(entry.last_used_at).getTime() / 1000)}:R>` : 'Never'}`).join('\n\n').slice(0, 4000)
+                : 'No API keys configured.\nUse `/settings action:Create API Key` to create one.')
+            .setFooter({ text: '⚓ Marine Intelligence • REST API' })
+            .setTimestamp();
+
+        return await interaction.reply({ embeds: [embed], ephemeral: true });
+    },
+
+    /**
+     * Handle adding XP boost role
+     */
+    async handleAddBoostRole(interaction, databaseManager, guildId, role, multiplier) {
+        if (!role) {
+            return await interaction.reply({
+                content: '❌ **Missing Parameter**\n\nPlease specify a role for XP boost.',
+                ephemeral: true
+            });
+        }
+
+        if (!multiplier) {
+            return await interaction.reply({
+                content: '❌ **Missing Parameter**\n\nPlease specify an XP multiplier (e.g., 1.5 for 50% boost).',
+                ephemeral: true
+            });
+        }
+
+        if (multiplier < 0.1 || multiplier > 5.0) {
+            return await interaction.reply({
+                content: '❌ **Invalid Multiplier**\n\nMultiplier must be between 0.1 and 5.0.',
+                ephemeral: true
+            });
+        }
+
+        try {
+            // Get current boost roles
+            const currentBoosts = await this.getBoostRoles(databaseManager, guildId);
+            
+            // Check if role already exists
+            if (currentBoosts.some(boost => boost.role_id === role.id)) {
+                return await interaction.reply({
+                    content: '❌ **Role Already Configured**\n\nThis role already has an XP boost. Remove it first to change the multiplier.',
+                    ephemeral: true
+                });
+            }
+
+            // Add new boost role
+            await databaseManager.updateGuildSetting(guildId, 'xp_boost_roles', JSON.stringify([
+                ...currentBoosts,
+                { role_id: role.id, multiplier: multiplier }
+            ]));
+
+            const embed = new EmbedBuilder()
+                .setColor('#00FF00')
+                .setTitle('⚡ XP Boost Role Added')
+                .setDescription(`**${role.name}** now provides **${multiplier}x** XP multiplier!`)
+                .addFields({
+                    name: '📋 Details',
+                    value: `**Role:** ${role.name}\n**Multiplier:** ${multiplier}x (${Math.round((multiplier - 1) * 100)}% boost)\n**Stacks:** Yes, with other boost roles`,
+                    inline: false
+                })
+                .setFooter({ text: '⚓ Marine Intelligence • XP Boost System' })
+                .setTimestamp();
+
+            return await interaction.reply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Add boost role error:', error);
+            return await interaction.reply({
+                content: '❌ **Operation Failed**\n\nFailed to add XP boost role. Please try again.',
+                ephemeral: true
+            });
+        }
+    },
+
+    /**
+     * Handle removing XP boost role
+     */
+    async handleRemoveBoostRole(interaction, databaseManager, guildId, role) {
+        if (!role) {
+            return await interaction.reply({
+                content: '❌ **Missing Parameter**\n\nPlease specify a role to remove from XP boost.',
+                ephemeral: true
+            });
+        }
+
+        try {
+            // Get current boost roles
+            const currentBoosts = await this.getBoostRoles(databaseManager, guildId);
+            
+            // Check if role exists
+            const roleBoost = currentBoosts.find(boost => boost.role_id === role.id);
+            if (!roleBoost) {
+                return await interaction.reply({
+                    content: '❌ **Role Not Found**\n\nThis role is not configured for XP boost.',
+                    ephemeral: true
+                });
+            }
+
+            // Remove the role
+            const updatedBoosts = currentBoosts.filter(boost => boost.role_id !== role.id);
+            await databaseManager.updateGuildSetting(guildId, 'xp_boost_roles', JSON.stringify(updatedBoosts));
+
+            const embed = new EmbedBuilder()
+                .setColor('#FF6B6B')
+                .setTitle('❌ XP Boost Role Removed')
+                .setDescription(`**${role.name}** no longer provides XP boost.`)
+                .addFields({
+                    name: '📋 Removed Details',
+                    value: `**Role:** ${role.name}\n**Previous Multiplier:** ${roleBoost.multiplier}x`,
+                    inline: false
+                })
+                .setFooter({ text: '⚓ Marine Intelligence • XP Boost System' })
+                .setTimestamp();
+
+            return await interaction.reply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Remove boost role error:', error);
+            return await interaction.reply({
+                content: '❌ **Operation Failed**\n\nFailed to remove XP boost role. Please try again.',
+                ephemeral: true
+            });
+        }
+    },
+
+    /**
+     * Handle clearing all boost roles
+     */
+    async handleClearBoostRoles(interaction, databaseManager, guildId) {
+        try {
+            // Get current boost roles
+            const currentBoosts = await this.getBoostRoles(databaseManager, guildId);
+            
+            if (currentBoosts.length === 0) {
+                return await interaction.reply({
+                    content: '❌ **No Boost Roles**\n\nThere are no XP boost roles configured.',
+                    ephemeral: true
+                });
+            }
+
+            // Clear all boost roles
+            await databaseManager.updateGuildSetting(guildId, 'xp_boost_roles', JSON.stringify([]));
+
+            const embed = new EmbedBuilder()
+                .setColor('#FF6B6B')
+                .setTitle('🧹 All XP Boost Roles Cleared')
+                .setDescription(`Removed ${currentBoosts.length} XP boost role(s).`)
+                .addFields({
+                    name: '📋 Cleared Roles',
+                    value: currentBoosts.map(boost => {
+                        const role = interaction.guild.roles.cache.get(boost.role_id);
+                        return `**${role?.name || 'Unknown Role'}:** ${boost.multiplier}x`;
+                    }).join('\n') || 'None',
+                    inline: false
+                })
+                .setFooter({ text: '⚓ Marine Intelligence • XP Boost System' })
+                .setTimestamp();
+
+            return await interaction.reply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Clear boost roles error:', error);
+            return await interaction.reply({
+                content: '❌ **Operation Failed**\n\nFailed to clear XP boost roles. Please try again.',
+                ephemeral: true
+            });
+        }
+    },
+
+    /**
+     * Handle view settings
+     */
+    async handleViewSettings(interaction, xpManager, databaseManager, permissionManager, guildId) {
+        try {
+            const guildSettings = await databaseManager.getGuildSettings(guildId);
+            const boostRoles = await this.getBoostRoles(databaseManager, guildId);
+            const xpConfig = await xpManager.getGuildConfig(guildId);
+            const channelRules = await databaseManager.getChannelRules(guildId);
+            const noXPRoles = await databaseManager.getNoXPRoles(guildId);
+            const adminRoles = await databaseManager.getAdminRoles(guildId);
+            const levelRoles = await databaseManager.getLevelRoles(guildId);
+            
+            const embed = new EmbedBuilder()
+                .setColor('#4A90E2')
+                .setTitle('🔧 Server XP Settings')
+                .setDescription('Current configuration for this server')
+                .addFields(
+                    {
+                        name: '📢 Level Up Announcements',
+                        value: `**Status:** ${guildSettings?.levelup_enabled ? '✅ Enabled' : '❌ Disabled'}\n**Destination:** ${this.formatLevelUpMode(xpConfig.levelup_mode)}\n**Channel:** ${guildSettings?.levelup_channel ? `<#${guildSettings.levelup_channel}>` : '❌ Not Set'}\n**Pings:** ${xpConfig.levelup_ping ? 'On (members can opt out with `/levelup-pings`)' : 'Off'}`,
+                        inline: false
+                    },
+                    {
+                        name: '📊 XP Activity Logging',
+                        value: `**Status:** ${guildSettings?.xp_log_enabled ? '✅ Enabled' : '❌ Disabled'}\n**Channel:** ${guildSettings?.xp_log_channel ? `<#${guildSettings.xp_log_channel}>` : '❌ Not Set'}`,
+                        inline: false
+                    },
+                    {
+                        name: '⚙️ XP Configuration',
+                        value: `**Message XP:** ${xpConfig.message_xp_min}-${xpConfig.message_xp_max} per message (${guildConfig.formatValue('message_cooldown', xpConfig.message_cooldown)} cooldown)\n**Voice XP:** ${xpConfig.voice_xp_min}-${xpConfig.voice_xp_max} per ${guildConfig.formatValue('voice_cooldown', xpConfig.voice_cooldown)}\n**Reaction XP:** ${xpConfig.reaction_xp_min}-${xpConfig.reaction_xp_max} per reaction (${guildConfig.formatValue('reaction_cooldown', xpConfig.reaction_cooldown)} cooldown)\n**Daily Cap:** ${parseInt(config.get('DAILY_XP_CAP') || 15000).toLocaleString()} XP\n*Use \`/settings action:View XP Config\` for the full list*`,
+                        inline: false
+                    },
+                    {
+                        name: '🏆 Level System',
+                        value: `**Max Level:** ${config.get('MAX_LEVEL')}\n**Formula:** ${config.get('FORMULA_CURVE')}\n**Multiplier:** ${config.get('FORMULA_MULTIPLIER') || 1.75}x\n**Global Multiplier:** ${xpConfig.xp_multiplier}x`,
+                        inline: false
+                    },
+                    {
+                        name: '⚡ XP Boost Roles',
+                        value: this.getBoostRolesInfo(boostRoles, interaction.guild),
+                        inline: false
+                    },
+                    {
+                        name: '🗺️ Channel XP Rules',
+                        value: channelRules.length > 0
+                            ? `${channelRules.length} rule(s) active${channelRules.some(rule => rule.type === 'whitelist') ? ' (whitelist mode)' : ''}\nUse \`/settings action:View Channel XP Rules\` for details`
+                            : 'No channel XP rules configured',
+                        inline: false
+                    },
+                    {
+                        name: '🚫 No-XP Roles',
+                        value: noXPRoles.length > 0
+                            ? noXPRoles.map(roleId => `<@&${roleId}>`).join(', ')
+                            : 'No roles blocked from earning XP',
+                        inline: false
+                    },
+                    {
+                        name: '🏅 Level Role Rewards',
+                        value: levelRoles.length > 0
+                            ? `${levelRoles.length} reward(s) • ${this.formatLevelRoleMode(xpConfig.level_role_mode)}\nUse \`/settings action:View Level Role Rewards\` for details`
+                            : 'No level role rewards configured',
                         inline: false
                     },
                     {
@@ -386,7 +1390,7 @@ module.exports = {
                     },
                     {
                         name: '🔐 Access Control',
-                        value: `**Admin User:** <@${ADMIN_USER_ID}>\n**Commands Channel:** ${COMMANDS_CHANNEL ? `<#${COMMANDS_CHANNEL}>` : 'Any Channel (Admin Only)'}`,
+                        value: `**Full Access:** Server owner and members with Manage Server${permissionManager.botOwnerId ? ` • Bot owner <@${permissionManager.botOwnerId}>` : ''}\n**Admin Roles:** ${adminRoles.length > 0 ? adminRoles.map(entry => `<@&${entry.role_id}> (${permissionManager.getLevelLabel(entry.level)})`).join(', ') : 'None configured'}\n**Commands Channel:** ${COMMANDS_CHANNEL ? `<#${COMMANDS_CHANNEL}>` : 'Any Channel'}`,
                         inline: false
                     }
                 )
@@ -460,8 +1464,8 @@ module.exports = {
         let foundTiers = 0;
         
         for (let tier = 1; tier <= 10; tier++) {
-            const roleId = process.env[`TIER_${tier}_ROLE`];
-            const capAmount = process.env[`TIER_${tier}_XP_CAP`];
+            const roleId = config.get(`TIER_${tier}_ROLE`);
+            const capAmount = config.get(`TIER_${tier}_XP_CAP`);
             
             if (roleId && capAmount && roleId !== '' && capAmount !== '') {
                 tierInfo += `**Tier ${tier}:** ${parseInt(capAmount).toLocaleString()} XP daily cap\n`;
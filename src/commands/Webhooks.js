@@ -0,0 +1,275 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('webhooks')
+        .setDescription('🔗 Send level-ups, milestones, daily caps and admin XP changes to other tools (Admin Only)')
+        .addStringOption(option =>
+            option
+                .setName('action')
+                .setDescription('What would you like to do?')
+                .setRequired(true)
+                .addChoices(
+                    { name: '➕ Add Webhook', value: 'add' },
+                    { name: '🗑️ Remove Webhook', value: 'remove' },
+                    { name: '📋 List Webhooks', value: 'list' },
+                    { name: '🧪 Send Test Event', value: 'test' },
+                    { name: '📮 View Dead Letters', value: 'dead-letters' },
+                    { name: '🔁 Retry Dead Letters', value: 'retry' }
+                )
+        )
+        .addStringOption(option =>
+            option
+                .setName('url')
+                .setDescription('Endpoint that receives the signed JSON POST requests (for add)')
+                .setRequired(false)
+        )
+        .addStringOption(option =>
+            option
+                .setName('events')
+                .setDescription('Comma-separated: level_up, milestone, daily_cap, admin_xp, admin_xp_bulk (default: all)')
+                .setRequired(false)
+        )
+        .addStringOption(option =>
+            option
+                .setName('label')
+                .setDescription('Name to recognise this webhook by (for add)')
+                .setRequired(false)
+                .setMaxLength(100)
+        )
+        .addIntegerOption(option =>
+            option
+                .setName('id')
+                .setDescription('Webhook ID (remove/test) or dead letter ID (retry - omit to retry all)')
+                .setRequired(false)
+                .setMinValue(1)
+        ),
+
+    async execute(interaction, { xpManager, databaseManager, permissionManager }) {
+        try {
+            if (!await permissionManager.hasPermission(interaction.member, 'settings')) {
+                return await interaction.reply({
+                    content: permissionManager.getDeniedMessage('settings'),
+                    ephemeral: true
+                });
+            }
+
+            const action = interaction.options.getString('action');
+            const id = interaction.options.getInteger('id');
+            const guildId = interaction.guild.id;
+            const webhookManager = xpManager.webhookManager;
+
+            switch (action) {
+                case 'add':
+                    return await this.handleAdd(interaction, webhookManager, databaseManager, guildId);
+
+                case 'remove':
+                    return await this.handleRemove(interaction, databaseManager, guildId, id);
+
+                case 'list':
+                    return await this.handleList(interaction, databaseManager, guildId);
+
+                case 'test':
+                    return await this.handleTest(interaction, webhookManager, databaseManager, guildId, id);
+
+                case 'dead-letters':
+                    return await this.handleDeadLetters(interaction, databaseManager, guildId);
+
+                case 'retry':
+                    return await this.handleRetry(interaction, databaseManager, guildId, id);
+
+                default:
+                    return await interaction.reply({
+                        content: '❌ **Unknown Action**\n\nPlease use a valid action from the dropdown.',
+                        ephemeral: true
+                    });
+            }
+
+        } catch (error) {
+            console.error('Webhooks command error:', error);
+
+            if (!interaction.replied && !interaction.deferred) {
+                return await interaction.reply({
+                    content: '❌ **Error**\n\nSomething went wrong while managing webhooks. Please try again.',
+                    ephemeral: true
+                });
+            }
+        }
+    },
+
+    /**
+     * Handle adding a webhook - the signing secret is only shown in this ephemeral reply
+     */
+    async handleAdd(interaction, webhookManager, databaseManager, guildId) {
+        const rawUrl = interaction.options.getString('url');
+        const url = rawUrl ? await webhookManager.validateUrl(rawUrl) : { valid: false, error: 'Please specify the `url` to send events to.' };
+        if (!url.valid) {
+            return await interaction.reply({
+                content: `❌ **Invalid URL**\n\n${url.error}`,
+                ephemeral: true
+            });
+        }
+
+        const events = webhookManager.parseEvents(interaction.options.getString('events'));
+        if (!events.valid) {
+            return await interaction.reply({
+                content: `❌ **Invalid Events**\n\n${events.error}`,
+                ephemeral: true
+            });
+        }
+
+        try {
+            const secret = webhookManager.generateSecret();
+            const webhook = await databaseManager.createWebhook(guildId, url.url, secret, events.events, interaction.options.getString('label'), interaction.user.id);
+
+            const embed = new EmbedBuilder()
+                .setColor('#00FF00')
+                .setTitle('🔗 Webhook Added')
+                .setDescription(`Events will be sent to \`${webhook.url}\`.\n\n**Signing secret** (copy it now - it will not be shown again):\n\`\`\`\n${secret}\n\`\`\``)
+                .addFields({
+                    name: '📋 Details',
+                    value: `**ID:** ${webhook.id}\n**Label:** ${webhook.label || 'None'}\n**Events:** ${webhook.events.map(event => `\`${event}\``).join(', ')}`,
+                    inline: false
+                }, {
+                    name: '🔏 Verifying Requests',
+                    value: 'Each POST carries `X-Leveling-Timestamp` and `X-Leveling-Signature: sha256=<hex>`, an HMAC-SHA256 of `<timestamp>.<body>` keyed with the secret.',
+                    inline: false
+                })
+                .setFooter({ text: '⚓ Marine Intelligence • Webhooks' })
+                .setTimestamp();
+
+            return await interaction.reply({ embeds: [embed], ephemeral: true });
+
+        } catch (error) {
+            console.error('Add webhook error:', error);
+            return await interaction.reply({
+                content: '❌ **Operation Failed**\n\nFailed to add webhook. Please try again.',
+                ephemeral: true
+            });
+        }
+    },
+
+    /**
+     * Handle removing a webhook and its pending deliveries
+     */
+    async handleRemove(interaction, databaseManager, guildId, webhookId) {
+        if (!webhookId) {
+            return await interaction.reply({
+                content: '❌ **Missing Parameter**\n\nPlease specify the webhook `id`.\nUse `/webhooks action:List Webhooks` to see IDs.',
+                ephemeral: true
+            });
+        }
+
+        const removed = await databaseManager.deleteWebhook(guildId, webhookId);
+        if (!removed) {
+            return await interaction.reply({
+                content: `❌ **Webhook Not Found**\n\nNo webhook with ID ${webhookId} exists for this server.`,
+                ephemeral: true
+            });
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor('#FF6B6B')
+            .setTitle('🗑️ Webhook Removed')
+            .setDescription(`Webhook **${removed.id}**${removed.label ? ` (${removed.label})` : ''} will no longer receive events. Its queued deliveries were discarded.`)
+            .setFooter({ text: '⚓ Marine Intelligence • Webhooks' })
+            .setTimestamp();
+
+        return await interaction.reply({ embeds: [embed] });
+    },
+
+    /**
+     * Handle listing the server's webhooks
+     */
+    async handleList(interaction, databaseManager, guildId) {
+        const webhooks = await databaseManager.getWebhooks(guildId);
+
+        const embed = new EmbedBuilder()
+            .setColor('#4A90E2')
+            .setTitle('🔗 Webhooks')
+            .setDescription(webhooks.length > 0
+                ? webhooks.map(webhook => `**${webhook.id}.** ${webhook.label ? `${webhook.label} - ` : ''}\`${webhook.url}\`\n${webhook.events.map(event => `\`${event}\``).join(', ')} • Added by <@${webhook.created_by}>`).join('\n\n').slice(0, 4000)
+                : 'No webhooks configured.\nUse `/webhooks action:Add Webhook url:<endpoint>` to add one.')
+            .setFooter({ text: '⚓ Marine Intelligence • Webhooks' })
+            .setTimestamp();
+
+        return await interaction.reply({ embeds: [embed], ephemeral: true });
+    },
+
+    /**
+     * Handle sending a test event and reporting the endpoint's response
+     */
+    async handleTest(interaction, webhookManager, databaseManager, guildId, webhookId) {
+        if (!webhookId) {
+            return await interaction.reply({
+                content: '❌ **Missing Parameter**\n\nPlease specify the webhook `id` to test.',
+                ephemeral: true
+            });
+        }
+
+        const webhook = await databaseManager.getWebhook(guildId, webhookId);
+        if (!webhook) {
+            return await interaction.reply({
+                content: `❌ **Webhook Not Found**\n\nNo webhook with ID ${webhookId} exists for this server.`,
+                ephemeral: true
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+        const result = await webhookManager.sendTest(webhook);
+
+        const embed = new EmbedBuilder()
+            .setColor(result.delivered ? '#00FF00' : '#FF6B6B')
+            .setTitle(result.delivered ? '🧪 Test Delivered' : '🧪 Test Failed')
+            .setDescription(result.delivered
+                ? `\`${webhook.url}\` answered with **HTTP ${result.statusCode}**.`
+                : `\`${webhook.url}\` did not accept the test event.\n**Error:** ${result.error}`)
+            .setFooter({ text: '⚓ Marine Intelligence • Webhooks' })
+            .setTimestamp();
+
+        return await interaction.editReply({ embeds: [embed] });
+    },
+
+    /**
+     * Handle listing deliveries that ran out of retries
+     */
+    async handleDeadLetters(interaction, databaseManager, guildId) {
+        const deliveries = await databaseManager.getDeadWebhookDeliveries(guildId, 15);
+
+        const embed = new EmbedBuilder()
+            .setColor('#FFA500')
+            .setTitle('📮 Webhook Dead Letters')
+            .setDescription(deliveries.length > 0
+                ? deliveries.map(delivery => `**#${delivery.id}** \`${delivery.event}\` → webhook ${delivery.webhook_id} • <t:${Math.floor(new Date(delivery.created_at).getTime() / 1000)}:R>\n${delivery.attempts} attempt(s) • ${delivery.last_error || 'Unknown error'}`).join('\n\n').slice(0, 4000)
+                : 'No failed deliveries. 🎉')
+            .setFooter({ text: '⚓ Marine Intelligence • Retry with /webhooks action:Retry Dead Letters' })
+            .setTimestamp();
+
+        return await interaction.reply({ embeds: [embed], ephemeral: true });
+    },
+
+    /**
+     * Handle putting dead letters back into the delivery queue
+     */
+    async handleRetry(interaction, databaseManager, guildId, deliveryId) {
+        const requeued = await databaseManager.requeueDeadWebhookDeliveries(guildId, deliveryId);
+
+        if (requeued === 0) {
+            return await interaction.reply({
+                content: deliveryId
+                    ? `❌ **Not Found**\n\nNo dead letter #${deliveryId} exists for this server.`
+                    : '❌ **Nothing To Retry**\n\nThere are no dead letters for this server.',
+                ephemeral: true
+            });
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor('#00FF00')
+            .setTitle('🔁 Dead Letters Requeued')
+            .setDescription(`${requeued} deliver${requeued === 1 ? 'y' : 'ies'} will be retried with the next webhook retry run.`)
+            .setFooter({ text: '⚓ Marine Intelligence • Webhooks' })
+            .setTimestamp();
+
+        return await interaction.reply({ embeds: [embed] });
+    }
+};
@@ -0,0 +1,85 @@
+/**
+ * 001 - Core tables: user levels, daily XP, voice sessions and guild settings
+ * Uses IF NOT EXISTS so databases created before migrations existed are adopted as-is
+ */
+module.exports = {
+    async up(db, tables) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ${tables.userLevels} (
+                user_id VARCHAR(20) NOT NULL,
+                guild_id VARCHAR(20) NOT NULL,
+                total_xp BIGINT DEFAULT 0,
+                level INTEGER DEFAULT 0,
+                messages INTEGER DEFAULT 0,
+                reactions INTEGER DEFAULT 0,
+                voice_time INTEGER DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, guild_id)
+            )
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ${tables.dailyXP} (
+                user_id VARCHAR(20) NOT NULL,
+                guild_id VARCHAR(20) NOT NULL,
+                date DATE NOT NULL,
+                total_xp INTEGER DEFAULT 0,
+                message_xp INTEGER DEFAULT 0,
+                voice_xp INTEGER DEFAULT 0,
+                reaction_xp INTEGER DEFAULT 0,
+                daily_cap INTEGER DEFAULT 15000,
+                tier_level INTEGER DEFAULT 0,
+                tier_role_id VARCHAR(20) DEFAULT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, guild_id, date)
+            )
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ${tables.voiceSessions} (
+                user_id VARCHAR(20) NOT NULL,
+                guild_id VARCHAR(20) NOT NULL,
+                channel_id VARCHAR(20) NOT NULL,
+                join_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_xp_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                is_muted BOOLEAN DEFAULT false,
+                is_deafened BOOLEAN DEFAULT false,
+                PRIMARY KEY (user_id, guild_id)
+            )
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ${tables.guildSettings} (
+                guild_id VARCHAR(20) PRIMARY KEY,
+                levelup_channel VARCHAR(20) DEFAULT NULL,
+                levelup_enabled BOOLEAN DEFAULT false,
+                xp_log_channel VARCHAR(20) DEFAULT NULL,
+                xp_log_enabled BOOLEAN DEFAULT false,
+                xp_boost_roles TEXT DEFAULT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Older installs created guild_settings before boost roles existed
+        await db.query(`ALTER TABLE ${tables.guildSettings} ADD COLUMN IF NOT EXISTS xp_boost_roles TEXT DEFAULT NULL`);
+
+        await db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_user_levels_total_xp" ON ${tables.userLevels}(guild_id, total_xp DESC)`);
+        await db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_user_levels_level" ON ${tables.userLevels}(guild_id, level DESC)`);
+        await db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_daily_xp_date" ON ${tables.dailyXP}(date)`);
+        await db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_daily_xp_user_date" ON ${tables.dailyXP}(user_id, guild_id, date)`);
+        await db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_daily_xp_tier" ON ${tables.dailyXP}(tier_level, tier_role_id)`);
+        await db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_voice_sessions_guild" ON ${tables.voiceSessions}(guild_id)`);
+        await db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_voice_sessions_channel" ON ${tables.voiceSessions}(channel_id)`);
+        await db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_guild_settings_guild" ON ${tables.guildSettings}(guild_id)`);
+    },
+
+    async down(db, tables) {
+        await db.query(`DROP TABLE IF EXISTS ${tables.guildSettings}`);
+        await db.query(`DROP TABLE IF EXISTS ${tables.voiceSessions}`);
+        await db.query(`DROP TABLE IF EXISTS ${tables.dailyXP}`);
+        await db.query(`DROP TABLE IF EXISTS ${tables.userLevels}`);
+    }
+};
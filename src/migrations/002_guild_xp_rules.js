@@ -0,0 +1,14 @@
+/**
+ * 002 - Per-guild XP config overrides and channel/category XP rules
+ */
+module.exports = {
+    async up(db, tables) {
+        await db.query(`ALTER TABLE ${tables.guildSettings} ADD COLUMN IF NOT EXISTS config_overrides TEXT DEFAULT NULL`);
+        await db.query(`ALTER TABLE ${tables.guildSettings} ADD COLUMN IF NOT EXISTS xp_channel_rules TEXT DEFAULT NULL`);
+    },
+
+    async down(db, tables) {
+        await db.query(`ALTER TABLE ${tables.guildSettings} DROP COLUMN IF EXISTS xp_channel_rules`);
+        await db.query(`ALTER TABLE ${tables.guildSettings} DROP COLUMN IF EXISTS config_overrides`);
+    }
+};
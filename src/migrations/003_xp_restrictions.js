@@ -0,0 +1,27 @@
+/**
+ * 003 - No-XP roles and admin-managed XP freezes
+ */
+module.exports = {
+    async up(db, tables) {
+        await db.query(`ALTER TABLE ${tables.guildSettings} ADD COLUMN IF NOT EXISTS no_xp_roles TEXT DEFAULT NULL`);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ${tables.xpFreezes} (
+                user_id VARCHAR(20) NOT NULL,
+                guild_id VARCHAR(20) NOT NULL,
+                frozen_by VARCHAR(20) NOT NULL,
+                reason TEXT DEFAULT NULL,
+                expires_at TIMESTAMP DEFAULT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, guild_id)
+            )
+        `);
+
+        await db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_xp_freezes_guild" ON ${tables.xpFreezes}(guild_id, expires_at)`);
+    },
+
+    async down(db, tables) {
+        await db.query(`DROP TABLE IF EXISTS ${tables.xpFreezes}`);
+        await db.query(`ALTER TABLE ${tables.guildSettings} DROP COLUMN IF EXISTS no_xp_roles`);
+    }
+};
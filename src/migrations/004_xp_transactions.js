@@ -0,0 +1,30 @@
+/**
+ * 004 - Append-only XP transaction ledger
+ */
+module.exports = {
+    async up(db, tables) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ${tables.xpTransactions} (
+                id BIGSERIAL PRIMARY KEY,
+                user_id VARCHAR(20) NOT NULL,
+                guild_id VARCHAR(20) NOT NULL,
+                amount INTEGER NOT NULL,
+                source VARCHAR(20) NOT NULL,
+                channel_id VARCHAR(20) DEFAULT NULL,
+                base_xp INTEGER DEFAULT NULL,
+                multipliers TEXT DEFAULT NULL,
+                actor_id VARCHAR(20) DEFAULT NULL,
+                reason TEXT DEFAULT NULL,
+                balance_after BIGINT DEFAULT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_xp_transactions_user" ON ${tables.xpTransactions}(guild_id, user_id, created_at DESC)`);
+        await db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_xp_transactions_created" ON ${tables.xpTransactions}(created_at)`);
+    },
+
+    async down(db, tables) {
+        await db.query(`DROP TABLE IF EXISTS ${tables.xpTransactions}`);
+    }
+};
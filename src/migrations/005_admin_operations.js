@@ -0,0 +1,28 @@
+/**
+ * 005 - Admin operation snapshots for /admin undo
+ */
+module.exports = {
+    async up(db, tables) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ${tables.adminOperations} (
+                id BIGSERIAL PRIMARY KEY,
+                guild_id VARCHAR(20) NOT NULL,
+                user_id VARCHAR(20) NOT NULL,
+                actor_id VARCHAR(20) NOT NULL,
+                action VARCHAR(20) NOT NULL,
+                reason TEXT DEFAULT NULL,
+                before_state TEXT NOT NULL,
+                after_state TEXT NOT NULL,
+                undone_by VARCHAR(20) DEFAULT NULL,
+                undone_at TIMESTAMP DEFAULT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_admin_operations_user" ON ${tables.adminOperations}(guild_id, user_id, id DESC)`);
+    },
+
+    async down(db, tables) {
+        await db.query(`DROP TABLE IF EXISTS ${tables.adminOperations}`);
+    }
+};
@@ -0,0 +1,12 @@
+/**
+ * 006 - Per-guild admin roles with permission levels
+ */
+module.exports = {
+    async up(db, tables) {
+        await db.query(`ALTER TABLE ${tables.guildSettings} ADD COLUMN IF NOT EXISTS admin_roles TEXT DEFAULT NULL`);
+    },
+
+    async down(db, tables) {
+        await db.query(`ALTER TABLE ${tables.guildSettings} DROP COLUMN IF EXISTS admin_roles`);
+    }
+};
@@ -0,0 +1,25 @@
+/**
+ * 007 - Persistent state for the job scheduler
+ */
+module.exports = {
+    async up(db, tables) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ${tables.scheduledJobs} (
+                name VARCHAR(100) PRIMARY KEY,
+                last_run_at TIMESTAMPTZ DEFAULT NULL,
+                next_run_at TIMESTAMPTZ DEFAULT NULL,
+                last_status VARCHAR(20) DEFAULT NULL,
+                last_error TEXT DEFAULT NULL,
+                last_duration_ms INTEGER DEFAULT NULL,
+                last_instance VARCHAR(100) DEFAULT NULL,
+                run_count INTEGER DEFAULT 0,
+                state TEXT DEFAULT NULL,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    async down(db, tables) {
+        await db.query(`DROP TABLE IF EXISTS ${tables.scheduledJobs}`);
+    }
+};
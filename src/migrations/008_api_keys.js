@@ -0,0 +1,26 @@
+/**
+ * 008 - Per-guild API keys for the read-only REST API (only SHA-256 hashes are stored)
+ */
+module.exports = {
+    async up(db, tables) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ${tables.apiKeys} (
+                id SERIAL PRIMARY KEY,
+                guild_id VARCHAR(20) NOT NULL,
+                key_hash VARCHAR(64) NOT NULL UNIQUE,
+                key_prefix VARCHAR(16) NOT NULL,
+                label VARCHAR(100) DEFAULT NULL,
+                created_by VARCHAR(20) NOT NULL,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                last_used_at TIMESTAMPTZ DEFAULT NULL,
+                revoked_at TIMESTAMPTZ DEFAULT NULL
+            )
+        `);
+
+        await db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_api_keys_guild" ON ${tables.apiKeys}(guild_id)`);
+    },
+
+    async down(db, tables) {
+        await db.query(`DROP TABLE IF EXISTS ${tables.apiKeys}`);
+    }
+};
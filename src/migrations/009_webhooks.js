@@ -0,0 +1,45 @@
+/**
+ * 009 - Outgoing webhook subscriptions and their delivery queue (failed deliveries end up as dead letters)
+ */
+module.exports = {
+    async up(db, tables) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ${tables.webhooks} (
+                id SERIAL PRIMARY KEY,
+                guild_id VARCHAR(20) NOT NULL,
+                url TEXT NOT NULL,
+                secret VARCHAR(128) NOT NULL,
+                events TEXT NOT NULL,
+                label VARCHAR(100) DEFAULT NULL,
+                created_by VARCHAR(20) NOT NULL,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ${tables.webhookDeliveries} (
+                id BIGSERIAL PRIMARY KEY,
+                webhook_id INTEGER NOT NULL REFERENCES ${tables.webhooks}(id) ON DELETE CASCADE,
+                guild_id VARCHAR(20) NOT NULL,
+                event VARCHAR(50) NOT NULL,
+                payload TEXT NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                attempts INTEGER DEFAULT 0,
+                next_attempt_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                last_status_code INTEGER DEFAULT NULL,
+                last_error TEXT DEFAULT NULL,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                delivered_at TIMESTAMPTZ DEFAULT NULL
+            )
+        `);
+
+        await db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_webhooks_guild" ON ${tables.webhooks}(guild_id)`);
+        await db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_webhook_deliveries_due" ON ${tables.webhookDeliveries}(status, next_attempt_at)`);
+        await db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_webhook_deliveries_guild" ON ${tables.webhookDeliveries}(guild_id, status, id DESC)`);
+    },
+
+    async down(db, tables) {
+        await db.query(`DROP TABLE IF EXISTS ${tables.webhookDeliveries}`);
+        await db.query(`DROP TABLE IF EXISTS ${tables.webhooks}`);
+    }
+};
@@ -0,0 +1,12 @@
+/**
+ * 010 - Per-guild level role rewards (NULL keeps the LEVEL_N_ROLE environment defaults)
+ */
+module.exports = {
+    async up(db, tables) {
+        await db.query(`ALTER TABLE ${tables.guildSettings} ADD COLUMN IF NOT EXISTS level_roles TEXT DEFAULT NULL`);
+    },
+
+    async down(db, tables) {
+        await db.query(`ALTER TABLE ${tables.guildSettings} DROP COLUMN IF EXISTS level_roles`);
+    }
+};
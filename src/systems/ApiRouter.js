@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const DatabaseManager = require('./DatabaseManager');
+const ApiKeys = require('../utils/ApiKeys');
+const BountyCalculator = require('../utils/BountyCalculator');
+const LevelCalculator = require('../utils/LevelCalculator');
+const metrics = require('../utils/Metrics');
+
+/**
+ * ApiRouter - Read-only REST API for leaderboards and user profiles, mounted on the HealthServer
+ *   GET /api/v1/guilds/:guildId/leaderboard?page=&limit=
+ *   GET /api/v1/guilds/:guildId/users/:userId
+ *   GET /api/v1/guilds/:guildId/users/:userId/poster.png
+ * Requests need a guild API key (Authorization: Bearer <key> or X-API-Key) created with /settings
+ */
+class ApiRouter {
+    constructor(client, db, xpManager, cacheManager) {
+        this.client = client;
+        this.dbManager = new DatabaseManager(db);
+        this.xpManager = xpManager;
+        this.cacheManager = cacheManager;
+        this.apiKeys = new ApiKeys();
+        this.bountyCalculator = new BountyCalculator();
+        this.levelCalculator = new LevelCalculator();
+        this.maxPageSize = 100;
+
+        metrics.counter('leveling_api_requests_total', 'REST API requests by route and status', ['route', 'status']);
+    }
+
+    /**
+     * Match a path to a route - returns { name, guildId, userId } or null
+     */
+    matchRoute(pathname) {
+        const parts = pathname.replace(/\/+$/, '').split('/').slice(1);
+        if (parts[0] !== 'api' || parts[1] !== 'v1' || parts[2] !== 'guilds' || !/^\d{17,20}$/.test(parts[3] || '')) {
+            return null;
+        }
+
+        const guildId = parts[3];
+        const rest = parts.slice(4);
+
+        if (rest.length === 1 && rest[0] === 'leaderboard') {
+            return { name: 'leaderboard', guildId };
+        }
+        if (rest[0] === 'users' && /^\d{17,20}$/.test(rest[1] || '')) {
+            if (rest.length === 2) return { name: 'user', guildId, userId: rest[1] };
+            if (rest.length === 3 && rest[2] === 'poster.png') return { name: 'poster', guildId, userId: rest[1] };
+        }
+
+        return null;
+    }
+
+    /**
+     * Handle a request under /api/
+     */
+    async handle(req, res, url) {
+        const route = this.matchRoute(url.pathname);
+        if (!route) {
+            return this.sendJSON(req, res, 404, { error: 'Not found' }, 'unknown');
+        }
+
+        const apiKey = await this.authenticate(req);
+        if (!apiKey) {
+            return this.sendJSON(req, res, 401, { error: 'Missing or invalid API key' }, route.name, { 'WWW-Authenticate': 'Bearer' });
+        }
+        if (apiKey.guild_id !== route.guildId) {
+            return this.sendJSON(req, res, 403, { error: 'API key is not valid for this guild' }, route.name);
+        }
+
+        const guild = this.client.guilds.cache.get(route.guildId);
+        if (!guild) {
+            return this.sendJSON(req, res, 404, { error: 'Guild not found' }, route.name);
+        }
+
+        switch (route.name) {
+            case 'leaderboard':
+                return this.handleLeaderboard(req, res, guild, url.searchParams);
+            case 'user':
+                return this.handleUser(req, res, guild, route.userId);
+            case 'poster':
+                return this.handlePoster(req, res, guild, route.userId);
+        }
+    }
+
+    /**
+     * Resolve the API key sent with a request
+     */
+    async authenticate(req) {
+        const authorization = req.headers.authorization || '';
+        const key = authorization.startsWith('Bearer ')
+            ? authorization.slice(7).trim()
+            : req.headers['x-api-key'];
+
+        if (!key) return null;
+        return await this.dbManager.useApiKey(this.apiKeys.hash(key));
+    }
+
+    /**
+     * GET /api/v1/guilds/:guildId/leaderboard
+     */
+    async handleLeaderboard(req, res, guild, searchParams) {
+        const limit = Math.min(Math.max(parseInt(searchParams.get('limit')) || 25, 1), this.maxPageSize);
+        const page = Math.max(parseInt(searchParams.get('page')) || 1, 1);
+        const offset = (page - 1) * limit;
+
+        return this.sendCachedJSON(req, res, 'leaderboard', `${guild.id}:leaderboard:${page}:${limit}`, async () => {
+            const [rows, total] = await Promise.all([
+                this.dbManager.getLeaderboard(guild.id, limit, offset),
+                this.dbManager.getLeaderboardCount(guild.id)
+            ]);
+
+            return {
+                guild: { id: guild.id, name: guild.name },
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+                entries: rows.map((row, index) => ({
+                    rank: offset + index + 1,
+                    ...this.formatUser(guild, row)
+                }))
+            };
+        });
+    }
+
+    /**
+     * GET /api/v1/guilds/:guildId/users/:userId
+     */
+    async handleUser(req, res, guild, userId) {
+        return this.sendCachedJSON(req, res, 'user', `${guild.id}:user:${userId}`, async () => {
+            const stats = await this.xpManager.getUserStats(userId, guild.id);
+            if (!stats) return null;
+
+            const progress = this.levelCalculator.getLevelProgress(stats.total_xp);
+            const daily = stats.dailyStats;
+            const nextReset = await this.xpManager.dailyCapManager.getNextResetTimestamp(guild.id);
+
+            return {
+                guild: { id: guild.id, name: guild.name },
+                rank: stats.rank,
+                ...this.formatUser(guild, stats),
+                progress: {
+                    current_level_xp: progress.currentLevelXP,
+                    next_level_xp: progress.nextLevelXP,
+                    xp_to_next: progress.xpToNext ?? 0,
+                    percentage: progress.percentage
+                },
+                daily: {
+                    date: daily.date,
+                    total_xp: daily.totalXP,
+                    message_xp: daily.messageXP,
+                    voice_xp: daily.voiceXP,
+                    reaction_xp: daily.reactionXP,
+                    cap: daily.dailyCap,
+                    remaining: daily.remaining,
+                    percentage: daily.percentage,
+                    at_cap: daily.isAtCap,
+                    tier: daily.tierName,
+                    resets_at: new Date(nextReset * 1000).toISOString()
+                },
+                poster_url: `/api/v1/guilds/${guild.id}/users/${userId}/poster.png`
+            };
+        });
+    }
+
+    /**
+     * GET /api/v1/guilds/:guildId/users/:userId/poster.png
+     * The ETag is derived from the same level/bounty identity the poster cache uses, so
+     * revalidation never renders
+     */
+    async handlePoster(req, res, guild, userId) {
+        const stats = await this.xpManager.getUserStats(userId, guild.id);
+        const member = stats ? await guild.members.fetch(userId).catch(() => null) : null;
+        if (!stats || !member) {
+            return this.sendJSON(req, res, 404, { error: 'User not found' }, 'poster');
+        }
+
+        const level = this.levelCalculator.calculateLevel(stats.total_xp);
+        const bounty = this.bountyCalculator.getBountyForLevel(level);
+        const etag = this.createETag(`poster:${userId}:${level}:${bounty}`);
+
+        if (this.isNotModified(req, etag)) {
+            return this.sendNotModified(res, etag, 'poster');
+        }
+
+        const CanvasGenerator = require('../utils/CanvasGenerator');
+        const canvas = await new CanvasGenerator(this.cacheManager).createWantedPoster({
+            userId,
+            level,
+            total_xp: stats.total_xp,
+            messages: stats.messages || 0,
+            reactions: stats.reactions || 0,
+            voice_time: stats.voice_time || 0,
+            member,
+            isPirateKing: false,
+            rank: stats.rank || 'Unknown',
+            bounty
+        }, guild);
+
+        const buffer = canvas.toBuffer();
+        metrics.inc('leveling_api_requests_total', { route: 'poster', status: 200 });
+        res.writeHead(200, {
+            'Content-Type': 'image/png',
+            'Content-Length': buffer.length,
+            'Cache-Control': 'private, no-cache',
+            ETag: etag
+        });
+        res.end(req.method === 'HEAD' ? undefined : buffer);
+    }
+
+    /**
+     * Public fields for a user row
+     */
+    formatUser(guild, row) {
+        const member = guild.members.cache.get(row.user_id);
+
+        return {
+            user_id: row.user_id,
+            display_name: member ? member.displayName : null,
+            avatar_url: member ? member.displayAvatarURL({ extension: 'png', size: 256 }) : null,
+            level: row.level,
+            total_xp: parseInt(row.total_xp) || 0,
+            bounty: this.bountyCalculator.getBountyForLevel(row.level),
+            messages: row.messages || 0,
+            reactions: row.reactions || 0,
+            voice_time: row.voice_time || 0
+        };
+    }
+
+    /**
+     * Serve a JSON body through the API response cache, answering 304 when the ETag still matches
+     * build() returning null means not found
+     */
+    async sendCachedJSON(req, res, routeName, cacheKey, build) {
+        let entry = await this.cacheManager.getCachedApiResponse(cacheKey);
+
+        if (!entry) {
+            const body = await build();
+            if (body === null) {
+                return this.sendJSON(req, res, 404, { error: 'User not found' }, routeName);
+            }
+
+            const json = JSON.stringify(body);
+            entry = { etag: this.createETag(json), body: json };
+            await this.cacheManager.cacheApiResponse(cacheKey, entry);
+        }
+
+        if (this.isNotModified(req, entry.etag)) {
+            return this.sendNotModified(res, entry.etag, routeName);
+        }
+
+        return this.sendJSON(req, res, 200, entry.body, routeName, { ETag: entry.etag });
+    }
+
+    /**
+     * Strong ETag for a response body or identity string
+     */
+    createETag(value) {
+        return `"${crypto.createHash('sha1').update(value).digest('hex')}"`;
+    }
+
+    /**
+     * Whether the client's If-None-Match covers the current ETag
+     */
+    isNotModified(req, etag) {
+        const header = req.headers['if-none-match'];
+        if (!header) return false;
+
+        return header.trim() === '*' || header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+    }
+
+    sendNotModified(res, etag, routeName) {
+        metrics.inc('leveling_api_requests_total', { route: routeName, status: 304 });
+        res.writeHead(304, { ETag: etag, 'Cache-Control': 'private, no-cache' });
+        res.end();
+    }
+
+    /**
+     * Send a JSON response (body may already be serialized)
+     */
+    sendJSON(req, res, statusCode, body, routeName, headers = {}) {
+        metrics.inc('leveling_api_requests_total', { route: routeName, status: statusCode });
+        if (res.headersSent) return res.end();
+
+        res.writeHead(statusCode, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Cache-Control': 'private, no-cache',
+            ...headers
+        });
+        res.end(req.method === 'HEAD' ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)));
+    }
+}
+
+module.exports = ApiRouter;
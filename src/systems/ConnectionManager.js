@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const config = require('../utils/Config');
 
 // Try to load Redis, but make it optional - handle require-time errors
 let Redis = null;
@@ -24,7 +25,7 @@ try {
 class ConnectionManager {
     constructor(botType = null) {
         // Determine bot type from environment or parameter
-        this.botType = botType || process.env.BOT_TYPE || 'xp';
+        this.botType = botType || config.get('BOT_TYPE');
         
         this.postgres = null;
         this.redis = null;
@@ -32,8 +33,8 @@ class ConnectionManager {
         this.postgresConnected = false;
         
         // Get Redis database and prefix from environment variables
-        this.redisDB = parseInt(process.env.REDIS_DB) || this.getDefaultDB(this.botType);
-        this.keyPrefix = process.env.REDIS_KEY_PREFIX || this.getDefaultPrefix(this.botType);
+        this.redisDB = config.get('REDIS_DB') ?? this.getDefaultDB(this.botType);
+        this.keyPrefix = config.get('REDIS_KEY_PREFIX') || this.getDefaultPrefix(this.botType);
         
         console.log(`🔧 ConnectionManager initialized for ${this.botType.toUpperCase()} bot`);
         console.log(`🔧 Redis DB: ${this.redisDB}, Key Prefix: ${this.keyPrefix}`);
@@ -43,8 +44,8 @@ class ConnectionManager {
         this.memoryCacheTTL = new Map();
         
         // Connection retry settings
-        this.retryAttempts = parseInt(process.env.REDIS_RETRY_ATTEMPTS) || 3;
-        this.retryDelay = parseInt(process.env.REDIS_RETRY_DELAY) || 5000;
+        this.retryAttempts = config.get('REDIS_RETRY_ATTEMPTS');
+        this.retryDelay = config.get('REDIS_RETRY_DELAY');
     }
 
     /**
@@ -116,11 +117,11 @@ class ConnectionManager {
             console.log(`🗄️ ${this.botType.toUpperCase()}: Connecting to PostgreSQL...`);
             
             this.postgres = new Pool({
-                connectionString: process.env.DATABASE_URL,
-                ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+                connectionString: config.get('DATABASE_URL'),
+                ssl: config.get('NODE_ENV') === 'production' ? { rejectUnauthorized: false } : false,
                 max: 20, // Maximum pool connections
                 idleTimeoutMillis: 30000,
-                connectionTimeoutMillis: parseInt(process.env.DB_CONNECTION_TIMEOUT) || 10000,
+                connectionTimeoutMillis: config.get('DB_CONNECTION_TIMEOUT'),
             });
 
             // Test connection
@@ -172,31 +173,31 @@ class ConnectionManager {
             let redisConfig;
             
             // Check if REDIS_URL is provided (Railway format)
-            if (process.env.REDIS_URL) {
+            if (config.get('REDIS_URL')) {
                 console.log(`🔗 Using REDIS_URL for ${this.botType} bot (DB: ${this.redisDB})`);
                 
                 // Parse REDIS_URL and modify for specific database
-                const url = new URL(process.env.REDIS_URL);
+                const url = new URL(config.get('REDIS_URL'));
                 url.pathname = `/${this.redisDB}`; // Set database number from env
                 
                 redisConfig = {
                     connectString: url.toString(),
                     keyPrefix: this.keyPrefix,
                     retryDelayOnFailover: this.retryDelay,
-                    maxRetriesPerRequest: parseInt(process.env.REDIS_MAX_RETRIES_PER_REQUEST) || 2,
+                    maxRetriesPerRequest: config.get('REDIS_MAX_RETRIES_PER_REQUEST'),
                     lazyConnect: true,
-                    connectTimeout: parseInt(process.env.REDIS_CONNECTION_TIMEOUT) || 10000,
+                    connectTimeout: config.get('REDIS_CONNECTION_TIMEOUT'),
                     commandTimeout: 5000,
-                    enableOfflineQueue: process.env.REDIS_ENABLE_OFFLINE_QUEUE === 'true',
+                    enableOfflineQueue: config.get('REDIS_ENABLE_OFFLINE_QUEUE'),
                     family: 0,
                     retryDelayOnClusterDown: 10000,
                     retryDelayOnReconnect: 10000
                 };
             } else {
                 // Use individual Redis variables - SUPPORTS BOTH RAILWAY AND STANDARD NAMING
-                const redisHost = process.env.REDIS_HOST || process.env.REDISHOST || 'localhost';
-                const redisPort = parseInt(process.env.REDIS_PORT || process.env.REDISPORT) || 6379;
-                const redisPassword = process.env.REDIS_PASSWORD || undefined;
+                const redisHost = config.get('REDIS_HOST') || config.get('REDISHOST') || 'localhost';
+                const redisPort = config.get('REDIS_PORT') || config.get('REDISPORT') || 6379;
+                const redisPassword = config.get('REDIS_PASSWORD') || undefined;
                 
                 redisConfig = {
                     host: redisHost,
@@ -205,11 +206,11 @@ class ConnectionManager {
                     db: this.redisDB, // Use environment variable
                     keyPrefix: this.keyPrefix, // Use environment variable
                     retryDelayOnFailover: this.retryDelay,
-                    maxRetriesPerRequest: parseInt(process.env.REDIS_MAX_RETRIES_PER_REQUEST) || 2,
+                    maxRetriesPerRequest: config.get('REDIS_MAX_RETRIES_PER_REQUEST'),
                     lazyConnect: true,
-                    connectTimeout: parseInt(process.env.REDIS_CONNECTION_TIMEOUT) || 10000,
+                    connectTimeout: config.get('REDIS_CONNECTION_TIMEOUT'),
                     commandTimeout: 5000,
-                    enableOfflineQueue: process.env.REDIS_ENABLE_OFFLINE_QUEUE === 'true',
+                    enableOfflineQueue: config.get('REDIS_ENABLE_OFFLINE_QUEUE'),
                     family: 0,
                     retryDelayOnClusterDown: 10000,
                     retryDelayOnReconnect: 10000
@@ -313,9 +314,9 @@ class ConnectionManager {
     async setCache(key, value, ttlSeconds = null) {
         // Use environment variable for TTL if not specified
         if (!ttlSeconds) {
-            if (key.includes('avatar')) ttlSeconds = parseInt(process.env.CACHE_AVATAR_TTL) || 43200;
-            else if (key.includes('poster')) ttlSeconds = parseInt(process.env.CACHE_POSTER_TTL) || 86400;
-            else if (key.includes('leaderboard')) ttlSeconds = parseInt(process.env.CACHE_LEADERBOARD_TTL) || 300;
+            if (key.includes('avatar')) ttlSeconds = config.get('CACHE_AVATAR_TTL');
+            else if (key.includes('poster')) ttlSeconds = config.get('CACHE_POSTER_TTL');
+            else if (key.includes('leaderboard')) ttlSeconds = config.get('CACHE_LEADERBOARD_TTL');
             else ttlSeconds = 3600; // Default 1 hour
         }
 
@@ -409,7 +410,7 @@ class ConnectionManager {
     async setBinaryCache(key, buffer, ttlSeconds = null) {
         // Use environment variable for TTL if not specified
         if (!ttlSeconds) {
-            ttlSeconds = parseInt(process.env.CACHE_AVATAR_TTL) || 43200; // Default for binary is avatar TTL
+            ttlSeconds = config.get('CACHE_AVATAR_TTL'); // Default for binary is avatar TTL
         }
 
         try {
@@ -542,9 +543,9 @@ class ConnectionManager {
                 redisDB: this.redisDB,
                 keyPrefix: this.keyPrefix,
                 configuredFromEnv: {
-                    db: !!process.env.REDIS_DB,
-                    prefix: !!process.env.REDIS_KEY_PREFIX,
-                    botType: !!process.env.BOT_TYPE
+                    db: config.isSet('REDIS_DB'),
+                    prefix: config.isSet('REDIS_KEY_PREFIX'),
+                    botType: config.isSet('BOT_TYPE')
                 }
             },
             postgresql: {
@@ -560,7 +561,7 @@ class ConnectionManager {
                 required: false,
                 fallbackActive: !this.redisConnected,
                 priority: true,
-                connectionType: process.env.REDIS_URL ? 'Railway URL' : 'Individual Variables'
+                connectionType: config.get('REDIS_URL') ? 'Railway URL' : 'Individual Variables'
             },
             cache: {
                 type: this.redisConnected ? `Redis DB${this.redisDB} (Optimized)` : 'In-Memory Fallback',
@@ -615,7 +616,7 @@ class ConnectionManager {
                         keyPrefix: this.keyPrefix,
                         entries: dbSize,
                         botType: this.botType.toUpperCase(),
-                        connectionType: process.env.REDIS_URL ? 'Railway URL' : 'Individual Variables'
+                        connectionType: config.get('REDIS_URL') ? 'Railway URL' : 'Individual Variables'
                     };
                 }
                 
@@ -628,7 +629,7 @@ class ConnectionManager {
                     database: this.redisDB,
                     keyPrefix: this.keyPrefix,
                     botType: this.botType.toUpperCase(),
-                    connectionType: process.env.REDIS_URL ? 'Railway URL (failed)' : 'Individual Variables (failed)'
+                    connectionType: config.get('REDIS_URL') ? 'Railway URL (failed)' : 'Individual Variables (failed)'
                 };
             }
         } catch (error) {
@@ -686,7 +687,7 @@ class ConnectionManager {
                 available: this.isRedisAvailable(),
                 connected: this.redisConnected,
                 priority: true,
-                connectionType: process.env.REDIS_URL ? 'Railway URL' : 'Individual Variables'
+                connectionType: config.get('REDIS_URL') ? 'Railway URL' : 'Individual Variables'
             },
             memory: {
                 entries: this.memoryCache.size,
@@ -708,12 +709,12 @@ class ConnectionManager {
     debugEnvironmentConfig() {
         console.log(`🔍 [${this.botType.toUpperCase()}] Environment Configuration:`);
         console.log(`  Bot Type: ${this.botType}`);
-        console.log(`  Redis DB: ${this.redisDB} (from ${process.env.REDIS_DB ? 'env' : 'default'})`);
-        console.log(`  Key Prefix: ${this.keyPrefix} (from ${process.env.REDIS_KEY_PREFIX ? 'env' : 'default'})`);
-        console.log(`  Redis Host: ${process.env.REDIS_HOST || process.env.REDISHOST || 'default'}`);
-        console.log(`  Redis Port: ${process.env.REDIS_PORT || process.env.REDISPORT || 'default'}`);
-        console.log(`  Redis URL: ${process.env.REDIS_URL ? 'configured' : 'not set'}`);
-        console.log(`  Connection Timeout: ${process.env.REDIS_CONNECTION_TIMEOUT || 'default'}`);
+        console.log(`  Redis DB: ${this.redisDB} (from ${config.isSet('REDIS_DB') ? 'env' : 'default'})`);
+        console.log(`  Key Prefix: ${this.keyPrefix} (from ${config.isSet('REDIS_KEY_PREFIX') ? 'env' : 'default'})`);
+        console.log(`  Redis Host: ${config.get('REDIS_HOST') || config.get('REDISHOST') || 'default'}`);
+        console.log(`  Redis Port: ${config.get('REDIS_PORT') || config.get('REDISPORT') || 'default'}`);
+        console.log(`  Redis URL: ${config.get('REDIS_URL') ? 'configured' : 'not set'}`);
+        console.log(`  Connection Timeout: ${config.get('REDIS_CONNECTION_TIMEOUT')}ms`);
         console.log(`  Retry Attempts: ${this.retryAttempts}`);
     }
 
@@ -760,8 +761,8 @@ class ConnectionManager {
                     entries: this.memoryCache.size,
                     redis: false,
                     environment: {
-                        configuredFromEnv: !!process.env.REDIS_DB,
-                        prefixFromEnv: !!process.env.REDIS_KEY_PREFIX
+                        configuredFromEnv: config.isSet('REDIS_DB'),
+                        prefixFromEnv: config.isSet('REDIS_KEY_PREFIX')
                     }
                 };
             }
@@ -782,9 +783,9 @@ class ConnectionManager {
                     fragmentation: info.match(/mem_fragmentation_ratio:([0-9.]+)/)?.[1] || 'Unknown'
                 },
                 environment: {
-                    configuredFromEnv: !!process.env.REDIS_DB,
-                    prefixFromEnv: !!process.env.REDIS_KEY_PREFIX,
-                    connectionType: process.env.REDIS_URL ? 'Railway URL' : 'Individual Variables'
+                    configuredFromEnv: config.isSet('REDIS_DB'),
+                    prefixFromEnv: config.isSet('REDIS_KEY_PREFIX'),
+                    connectionType: config.get('REDIS_URL') ? 'Railway URL' : 'Individual Variables'
                 }
             };
         } catch (error) {
@@ -1014,22 +1015,22 @@ class ConnectionManager {
                 database: this.redisDB,
                 keyPrefix: this.keyPrefix,
                 connected: this.redisConnected,
-                host: process.env.REDIS_HOST || process.env.REDISHOST,
-                port: process.env.REDIS_PORT || process.env.REDISPORT,
-                hasUrl: !!process.env.REDIS_URL,
+                host: config.get('REDIS_HOST') || config.get('REDISHOST'),
+                port: config.get('REDIS_PORT') || config.get('REDISPORT'),
+                hasUrl: config.isSet('REDIS_URL'),
                 retryAttempts: this.retryAttempts,
                 retryDelay: this.retryDelay
             },
             postgres: {
                 connected: this.postgresConnected,
-                hasUrl: !!process.env.DATABASE_URL
+                hasUrl: config.isSet('DATABASE_URL')
             },
             environment: {
-                nodeEnv: process.env.NODE_ENV,
+                nodeEnv: config.get('NODE_ENV'),
                 configuredFromEnv: {
-                    botType: !!process.env.BOT_TYPE,
-                    redisDB: !!process.env.REDIS_DB,
-                    keyPrefix: !!process.env.REDIS_KEY_PREFIX
+                    botType: config.isSet('BOT_TYPE'),
+                    redisDB: config.isSet('REDIS_DB'),
+                    keyPrefix: config.isSet('REDIS_KEY_PREFIX')
                 }
             },
             cache: {
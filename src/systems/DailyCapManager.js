@@ -1,12 +1,21 @@
 const DatabaseManager = require('./DatabaseManager');
+const GuildConfig = require('../utils/GuildConfig');
+const ResetSchedule = require('../utils/ResetSchedule');
+const config = require('../utils/Config');
 
 /**
  * DailyCapManager - Manages daily XP caps including tier bonuses with proper tracking
  */
 class DailyCapManager {
-    constructor(db) {
+    constructor(db, getGuildConfig = null, events = null) {
         this.db = db;
+        this.events = events;
         this.dbManager = new DatabaseManager(db);
+        this.guildConfig = new GuildConfig();
+        this.resetSchedule = new ResetSchedule();
+
+        // Cached effective config lookup (XPManager.getGuildConfig) - falls back to a direct DB read
+        this.getGuildConfig = getGuildConfig;
     }
 
     /**
@@ -27,35 +36,27 @@ class DailyCapManager {
     }
 
     /**
-     * Get current day string (EDT timezone)
+     * Get a guild's daily reset schedule { timezone, time }
      */
-    getCurrentDay() {
-        const now = new Date();
-        const edtOffset = this.isEDT(now) ? -4 : -5;
-        const edtTime = new Date(now.getTime() + (edtOffset * 60 * 60 * 1000));
-        
-        // Daily reset is at configured hour, so if before that time, use previous day
-        const resetHour = parseInt(process.env.DAILY_RESET_HOUR_EDT) || 19;
-        const resetMinute = parseInt(process.env.DAILY_RESET_MINUTE_EDT) || 35;
-        
-        if (edtTime.getHours() < resetHour || 
-            (edtTime.getHours() === resetHour && edtTime.getMinutes() < resetMinute)) {
-            edtTime.setDate(edtTime.getDate() - 1);
+    async getResetSchedule(guildId) {
+        try {
+            const config = this.getGuildConfig
+                ? await this.getGuildConfig(guildId)
+                : this.guildConfig.resolve(await this.dbManager.getGuildConfigOverrides(guildId));
+
+            return { timezone: config.reset_timezone, time: config.reset_time };
+        } catch (error) {
+            console.error('Error getting reset schedule:', error);
+            const defaults = this.guildConfig.getDefaults();
+            return { timezone: defaults.reset_timezone, time: defaults.reset_time };
         }
-        
-        return edtTime.toISOString().split('T')[0];
     }
 
     /**
-     * Check if date is EDT
+     * Get a guild's current daily-cap day (YYYY-MM-DD in its reset timezone)
      */
-    isEDT(date) {
-        const year = date.getFullYear();
-        const marchSecondSunday = new Date(year, 2, 8);
-        marchSecondSunday.setDate(marchSecondSunday.getDate() + (7 - marchSecondSunday.getDay()));
-        const novemberFirstSunday = new Date(year, 10, 1);
-        novemberFirstSunday.setDate(novemberFirstSunday.getDate() + (7 - novemberFirstSunday.getDay()));
-        return date >= marchSecondSunday && date < novemberFirstSunday;
+    async getCurrentDay(guildId, now = new Date()) {
+        return this.resetSchedule.getCurrentDay(await this.getResetSchedule(guildId), now);
     }
 
     /**
@@ -63,8 +64,8 @@ class DailyCapManager {
      */
     async getUserDailyCap(userId, guildId, member = null) {
         try {
-            const baseCap = parseInt(process.env.DAILY_XP_CAP) || 15000;
-            const currentDay = this.getCurrentDay();
+            const baseCap = config.get('DAILY_XP_CAP');
+            const currentDay = await this.getCurrentDay(guildId);
             
             if (!member) {
                 return { cap: baseCap, tier: 0, roleId: null };
@@ -76,8 +77,8 @@ class DailyCapManager {
             let tierRoleId = null;
 
             for (let tier = 10; tier >= 1; tier--) {
-                const roleId = process.env[`TIER_${tier}_ROLE`];
-                const tierCap = parseInt(process.env[`TIER_${tier}_XP_CAP`]) || 0;
+                const roleId = config.get(`TIER_${tier}_ROLE`);
+                const tierCap = config.get(`TIER_${tier}_XP_CAP`) || 0;
                 
                 if (roleId && tierCap > 0 && member.roles.cache.has(roleId)) {
                     console.log(`[DAILY CAP] ${member.displayName} has Tier ${tier} role: ${tierCap.toLocaleString()} XP cap`);
@@ -96,7 +97,7 @@ class DailyCapManager {
             
         } catch (error) {
             console.error('Error getting user daily cap:', error);
-            const baseCap = parseInt(process.env.DAILY_XP_CAP) || 15000;
+            const baseCap = config.get('DAILY_XP_CAP');
             return { cap: baseCap, tier: 0, roleId: null };
         }
     }
@@ -106,12 +107,12 @@ class DailyCapManager {
      */
     async getUserDailyXP(userId, guildId) {
         try {
-            const currentDay = this.getCurrentDay();
+            const currentDay = await this.getCurrentDay(guildId);
             const progress = await this.dbManager.getUserDailyProgress(userId, guildId, currentDay);
             return progress;
         } catch (error) {
             console.error('Error getting user daily XP:', error);
-            const baseCap = parseInt(process.env.DAILY_XP_CAP) || 15000;
+            const baseCap = config.get('DAILY_XP_CAP');
             return {
                 total_xp: 0,
                 message_xp: 0,
@@ -140,7 +141,7 @@ class DailyCapManager {
             if (member && (tierInfo.tier !== dailyProgress.tier_level || tierInfo.roleId !== dailyProgress.tier_role_id)) {
                 console.log(`[DAILY CAP] Tier change detected for ${member.displayName}: ${dailyProgress.tier_level} → ${tierInfo.tier}`);
                 
-                const currentDay = this.getCurrentDay();
+                const currentDay = await this.getCurrentDay(guildId);
                 await this.dbManager.updateUserTierInfo(userId, guildId, currentDay, tierInfo.tier, tierInfo.roleId, tierInfo.cap);
                 
                 // Update the daily progress with new cap
@@ -170,7 +171,7 @@ class DailyCapManager {
             };
         } catch (error) {
             console.error('Error checking if user can gain XP:', error);
-            const baseCap = parseInt(process.env.DAILY_XP_CAP) || 15000;
+            const baseCap = config.get('DAILY_XP_CAP');
             return { 
                 allowed: true, 
                 currentXP: 0, 
@@ -189,7 +190,7 @@ class DailyCapManager {
      */
     async addXP(userId, guildId, xpAmount, source, member = null) {
         try {
-            const currentDay = this.getCurrentDay();
+            const currentDay = await this.getCurrentDay(guildId);
             const tierInfo = await this.getUserDailyCap(userId, guildId, member);
             
             const newTotal = await this.dbManager.updateDailyXP(
@@ -210,12 +211,30 @@ class DailyCapManager {
         }
     }
 
+    /**
+     * Take XP back off the daily total, e.g. when an admin grant is undone
+     * Only the current day is touched - a grant from an earlier day already reset
+     */
+    async removeXP(userId, guildId, xpAmount, awardedAt) {
+        try {
+            const currentDay = await this.getCurrentDay(guildId);
+            if (await this.getCurrentDay(guildId, new Date(awardedAt)) !== currentDay) {
+                return null;
+            }
+
+            return await this.dbManager.reduceDailyXP(userId, guildId, currentDay, xpAmount);
+        } catch (error) {
+            console.error('Error removing XP from daily total:', error);
+            return null;
+        }
+    }
+
     /**
      * Get daily XP stats for user - ENHANCED
      */
     async getDailyStats(userId, guildId, member = null) {
         try {
-            const currentDay = this.getCurrentDay();
+            const currentDay = await this.getCurrentDay(guildId);
             const progress = await this.dbManager.getUserDailyProgress(userId, guildId, currentDay);
             const tierInfo = await this.getUserDailyCap(userId, guildId, member);
             
@@ -239,9 +258,9 @@ class DailyCapManager {
             };
         } catch (error) {
             console.error('Error getting daily stats:', error);
-            const baseCap = parseInt(process.env.DAILY_XP_CAP) || 15000;
+            const baseCap = config.get('DAILY_XP_CAP');
             return {
-                date: this.getCurrentDay(),
+                date: await this.getCurrentDay(guildId),
                 totalXP: 0,
                 messageXP: 0,
                 voiceXP: 0,
@@ -275,7 +294,7 @@ class DailyCapManager {
             // Check if any tier roles were affected
             const tierRoles = [];
             for (let tier = 1; tier <= 10; tier++) {
-                const roleId = process.env[`TIER_${tier}_ROLE`];
+                const roleId = config.get(`TIER_${tier}_ROLE`);
                 if (roleId) {
                     tierRoles.push({ tier, roleId });
                 }
@@ -300,7 +319,7 @@ class DailyCapManager {
                 console.log(`[DAILY CAP] Updating daily cap for ${member.displayName} due to tier role change`);
                 
                 // Update the user's daily cap information
-                const currentDay = this.getCurrentDay();
+                const currentDay = await this.getCurrentDay(member.guild.id);
                 const tierInfo = await this.getUserDailyCap(member.id, member.guild.id, member);
                 
                 await this.dbManager.updateUserTierInfo(
@@ -320,43 +339,27 @@ class DailyCapManager {
     }
 
     /**
-     * Get next reset timestamp (Unix)
+     * Get a guild's next reset timestamp (Unix)
      */
-    getNextResetTimestamp() {
-        const now = new Date();
-        const resetHour = parseInt(process.env.DAILY_RESET_HOUR_EDT) || 19;
-        const resetMinute = parseInt(process.env.DAILY_RESET_MINUTE_EDT) || 35;
-        
-        // Calculate next reset time in EDT
-        const edtOffset = this.isEDT(now) ? -4 : -5;
-        const edtNow = new Date(now.getTime() + (edtOffset * 60 * 60 * 1000));
-        
-        let nextReset = new Date(edtNow);
-        nextReset.setHours(resetHour, resetMinute, 0, 0);
-        
-        // If reset time has passed today, schedule for tomorrow
-        if (edtNow.getTime() >= nextReset.getTime()) {
-            nextReset.setDate(nextReset.getDate() + 1);
-        }
-        
-        // Convert back to UTC
-        const utcReset = new Date(nextReset.getTime() - (edtOffset * 60 * 60 * 1000));
-        return Math.floor(utcReset.getTime() / 1000);
+    async getNextResetTimestamp(guildId) {
+        return this.resetSchedule.getNextResetTimestamp(await this.getResetSchedule(guildId));
     }
 
     /**
-     * Reset daily XP for all users
+     * Reset daily XP for a guild - a manual reset also clears the current day so caps start over
      */
-    async resetDaily() {
+    async resetDaily(guildId, manual = false) {
         try {
-            console.log('🔄 Performing daily XP reset...');
+            const currentDay = await this.getCurrentDay(guildId);
+            console.log(`🔄 Performing ${manual ? 'manual' : 'scheduled'} daily XP reset for guild ${guildId} (day ${currentDay})...`);
             
-            await this.dbManager.resetDailyXP();
-            await this.cleanupOldRecords();
+            const removed = await this.dbManager.resetDailyXP(guildId, currentDay, manual);
             
             console.log('✅ Daily XP reset complete');
+            return { currentDay, removed };
         } catch (error) {
             console.error('❌ Error during daily reset:', error);
+            return null;
         }
     }
 
@@ -366,6 +369,9 @@ class DailyCapManager {
     async cleanupOldRecords() {
         try {
             await this.dbManager.cleanupOldDailyXP();
+            await this.dbManager.cleanupExpiredFreezes();
+            await this.dbManager.cleanupOldXPTransactions();
+            await this.dbManager.cleanupOldAdminOperations();
         } catch (error) {
             console.error('Error cleaning up old records:', error);
         }
@@ -376,7 +382,7 @@ class DailyCapManager {
      */
     async getGuildDailyStats(guildId) {
         try {
-            const currentDay = this.getCurrentDay();
+            const currentDay = await this.getCurrentDay(guildId);
             const stats = await this.dbManager.getDailyXPStats(guildId, currentDay);
             const usersAtCap = await this.dbManager.getUsersAtDailyCap(guildId, currentDay);
             const tierUsers = await this.dbManager.getUsersWithTierRoles(guildId, currentDay);
@@ -394,12 +400,12 @@ class DailyCapManager {
                 usersAtCap: parseInt(stats.users_at_cap) || 0,
                 usersAtCapList: usersAtCap,
                 tierUsers: tierUsers,
-                nextReset: this.getNextResetTimestamp()
+                nextReset: await this.getNextResetTimestamp(guildId)
             };
         } catch (error) {
             console.error('Error getting guild daily stats:', error);
                             return {
-                date: this.getCurrentDay(),
+                date: await this.getCurrentDay(guildId),
                 activeUsers: 0,
                 totalGuildXP: 0,
                 averageUserXP: 0,
@@ -407,11 +413,11 @@ class DailyCapManager {
                 totalMessageXP: 0,
                 totalVoiceXP: 0,
                 totalReactionXP: 0,
-                averageDailyCap: parseInt(process.env.DAILY_XP_CAP) || 15000,
+                averageDailyCap: config.get('DAILY_XP_CAP'),
                 usersAtCap: 0,
                 usersAtCapList: [],
                 tierUsers: [],
-                nextReset: this.getNextResetTimestamp()
+                nextReset: await this.getNextResetTimestamp(guildId)
             };
         }
     }
@@ -421,7 +427,7 @@ class DailyCapManager {
      */
     async getDailyLeaderboard(guildId, limit = 10) {
         try {
-            const currentDay = this.getCurrentDay();
+            const currentDay = await this.getCurrentDay(guildId);
             const result = await this.db.query(`
                 SELECT 
                     user_id, 
@@ -473,6 +479,19 @@ class DailyCapManager {
                     const tierName = this.getTierName(progress.tierLevel);
                     await xpLogger.logDailyCapReached(member.user, guildId, progress.dailyCap, tierName);
                 }
+
+                if (this.events) {
+                    await this.events.emit('cap.reached', {
+                        userId,
+                        guildId,
+                        date: await this.getCurrentDay(guildId),
+                        dailyXP: progress.currentXP,
+                        dailyCap: progress.dailyCap,
+                        tierLevel: progress.tierLevel,
+                        nextResetAt: new Date(await this.getNextResetTimestamp(guildId) * 1000),
+                        member
+                    });
+                }
                 
                 return true;
             }
@@ -491,8 +510,8 @@ class DailyCapManager {
         const tiers = [];
         
         for (let tier = 1; tier <= 10; tier++) {
-            const roleId = process.env[`TIER_${tier}_ROLE`];
-            const capAmount = process.env[`TIER_${tier}_XP_CAP`];
+            const roleId = config.get(`TIER_${tier}_ROLE`);
+            const capAmount = config.get(`TIER_${tier}_XP_CAP`);
             
             if (roleId && capAmount && roleId !== '' && capAmount !== '') {
                 tiers.push({
@@ -519,11 +538,11 @@ class DailyCapManager {
      */
     validateTierConfiguration() {
         const issues = [];
-        const baseCap = parseInt(process.env.DAILY_XP_CAP) || 15000;
+        const baseCap = config.get('DAILY_XP_CAP');
         
         for (let tier = 1; tier <= 10; tier++) {
-            const roleId = process.env[`TIER_${tier}_ROLE`];
-            const capAmount = parseInt(process.env[`TIER_${tier}_XP_CAP`]) || 0;
+            const roleId = config.get(`TIER_${tier}_ROLE`);
+            const capAmount = config.get(`TIER_${tier}_XP_CAP`) || 0;
             
             if (roleId && !capAmount) {
                 issues.push(`Tier ${tier}: Role ID provided but no XP cap specified`);
@@ -550,15 +569,16 @@ class DailyCapManager {
             const guildStats = await this.getGuildDailyStats(guildId);
             const leaderboard = await this.getDailyLeaderboard(guildId, 5);
             const validation = this.validateTierConfiguration();
+            const schedule = await this.getResetSchedule(guildId);
             
             return {
                 ...guildStats,
                 topDailyUsers: leaderboard,
                 tierConfiguration: validation,
                 resetInfo: {
-                    nextResetTimestamp: this.getNextResetTimestamp(),
-                    resetTime: `${process.env.DAILY_RESET_HOUR_EDT || 19}:${String(process.env.DAILY_RESET_MINUTE_EDT || 35).padStart(2, '0')} EDT`,
-                    currentDay: this.getCurrentDay()
+                    nextResetTimestamp: this.resetSchedule.getNextResetTimestamp(schedule),
+                    resetTime: this.resetSchedule.describe(schedule),
+                    currentDay: this.resetSchedule.getCurrentDay(schedule)
                 }
             };
         } catch (error) {
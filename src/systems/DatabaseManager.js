@@ -2,6 +2,8 @@
  * DatabaseManager - Handles all database operations and schema management
  * FIXED: XP Boost Roles calculation bug
  */
+const config = require('../utils/Config');
+
 class DatabaseManager {
     constructor(db) {
         this.db = db;
@@ -11,163 +13,873 @@ class DatabaseManager {
             userLevels: '"Leveling-Bot_user_levels"',
             dailyXP: '"Leveling-Bot_daily_xp"',
             voiceSessions: '"Leveling-Bot_voice_sessions"',
-            guildSettings: '"Leveling-Bot_guild_settings"'
+            guildSettings: '"Leveling-Bot_guild_settings"',
+            xpFreezes: '"Leveling-Bot_xp_freezes"',
+            xpTransactions: '"Leveling-Bot_xp_transactions"',
+            adminOperations: '"Leveling-Bot_admin_operations"',
+            scheduledJobs: '"Leveling-Bot_scheduled_jobs"',
+            apiKeys: '"Leveling-Bot_api_keys"',
+            webhooks: '"Leveling-Bot_webhooks"',
+            webhookDeliveries: '"Leveling-Bot_webhook_deliveries"',
+            levelupPingOptouts: '"Leveling-Bot_levelup_ping_optouts"',
+            schemaMigrations: '"Leveling-Bot_schema_migrations"'
         };
     }
 
     /**
-     * Initialize all required database tables
+     * Initialize all required database tables by applying schema migrations
      */
     async initializeTables() {
         try {
             console.log('🗄️ Initializing Leveling-Bot database tables...');
 
-            // User levels table - main XP tracking
+            // Required here - MigrationManager reads table names from this class
+            const MigrationManager = require('./MigrationManager');
+            const migrationManager = new MigrationManager(this.db);
+
+            // Throws if the database was migrated by a newer bot version
+            const status = await migrationManager.checkCompatibility();
+
+            if (status.pending.length > 0) {
+                if (!config.get('AUTO_MIGRATE')) {
+                    throw new Error(`${status.pending.length} pending migration(s) - run "npm run migrate" before starting the bot`);
+                }
+                await migrationManager.migrate();
+            }
+
+            console.log(`✅ Leveling-Bot database tables initialized successfully (schema version ${status.latest})`);
+
+        } catch (error) {
+            console.error('❌ Error initializing Leveling-Bot database tables:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Run fn with a DatabaseManager bound to one client inside BEGIN/COMMIT - rolls back and rethrows on error
+     */
+    async transaction(fn) {
+        const client = await this.db.connect();
+
+        try {
+            await client.query('BEGIN');
+            const result = await fn(new DatabaseManager(client));
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Get user XP data
+     */
+    async getUserXP(userId, guildId) {
+        try {
+            const result = await this.db.query(
+                `SELECT * FROM ${this.tables.userLevels} WHERE user_id = $1 AND guild_id = $2`,
+                [userId, guildId]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error getting user XP:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Update user XP and stats
+     */
+    async updateUserXP(userId, guildId, xpGain, source) {
+        try {
+            const sourceColumns = {
+                message: `messages = ${this.tables.userLevels}.messages + 1`,
+                reaction: `reactions = ${this.tables.userLevels}.reactions + 1`,
+                voice: `voice_time = ${this.tables.userLevels}.voice_time + 1`
+            };
+
+            const sourceColumn = sourceColumns[source] || '';
+
+            const query = `
+                INSERT INTO ${this.tables.userLevels} (user_id, guild_id, total_xp, messages, reactions, voice_time)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                ON CONFLICT (user_id, guild_id)
+                DO UPDATE SET
+                    total_xp = ${this.tables.userLevels}.total_xp + $3,
+                    ${sourceColumn ? sourceColumn + ',' : ''}
+                    updated_at = CURRENT_TIMESTAMP
+                RETURNING total_xp, level
+            `;
+
+            const params = [
+                userId, guildId, xpGain,
+                source === 'message' ? 1 : 0,
+                source === 'reaction' ? 1 : 0,
+                source === 'voice' ? 1 : 0
+            ];
+
+            const result = await this.db.query(query, params);
+            return result.rows[0];
+
+        } catch (error) {
+            console.error('Error updating user XP:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Append an entry to the XP transaction ledger
+     */
+    async recordXPTransaction({ userId, guildId, amount, source, channelId = null, baseXP = null, multipliers = null, actorId = null, reason = null, balanceAfter = null }) {
+        try {
+            const result = await this.db.query(`
+                INSERT INTO ${this.tables.xpTransactions} 
+                (user_id, guild_id, amount, source, channel_id, base_xp, multipliers, actor_id, reason, balance_after)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                RETURNING *
+            `, [
+                userId, guildId, amount, source, channelId, baseXP,
+                multipliers ? JSON.stringify(multipliers) : null,
+                actorId, reason, balanceAfter
+            ]);
+            
+            return result.rows[0];
+        } catch (error) {
+            console.error('Error recording XP transaction:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Query XP transaction history - filters: userId, source, actorId, since, until, limit, offset
+     */
+    async getXPTransactions(guildId, { userId = null, source = null, actorId = null, since = null, until = null, limit = 50, offset = 0 } = {}) {
+        try {
+            const conditions = ['guild_id = $1'];
+            const params = [guildId];
+
+            if (userId) {
+                params.push(userId);
+                conditions.push(`user_id = $${params.length}`);
+            }
+            if (source) {
+                params.push(source);
+                conditions.push(`source = $${params.length}`);
+            }
+            if (actorId) {
+                params.push(actorId);
+                conditions.push(`actor_id = $${params.length}`);
+            }
+            if (since) {
+                params.push(since);
+                conditions.push(`created_at >= $${params.length}`);
+            }
+            if (until) {
+                params.push(until);
+                conditions.push(`created_at < $${params.length}`);
+            }
+
+            params.push(Math.min(limit, 500), offset);
+
+            const result = await this.db.query(`
+                SELECT * FROM ${this.tables.xpTransactions}
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY created_at DESC, id DESC
+                LIMIT $${params.length - 1} OFFSET $${params.length}
+            `, params);
+
+            return result.rows.map(row => ({
+                ...row,
+                multipliers: row.multipliers ? JSON.parse(row.multipliers) : null
+            }));
+        } catch (error) {
+            console.error('Error getting XP transactions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Summarize a user's XP transactions by source over the last N days
+     */
+    async getXPTransactionSummary(userId, guildId, days = 30) {
+        try {
+            const result = await this.db.query(`
+                SELECT 
+                    source,
+                    COUNT(*) as transactions,
+                    COALESCE(SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END), 0) as gained,
+                    COALESCE(SUM(CASE WHEN amount < 0 THEN amount ELSE 0 END), 0) as removed
+                FROM ${this.tables.xpTransactions}
+                WHERE user_id = $1 AND guild_id = $2 
+                AND created_at >= CURRENT_TIMESTAMP - ($3::int * INTERVAL '1 day')
+                GROUP BY source
+                ORDER BY gained DESC
+            `, [userId, guildId, days]);
+
+            return result.rows.map(row => ({
+                source: row.source,
+                transactions: parseInt(row.transactions),
+                gained: parseInt(row.gained),
+                removed: parseInt(row.removed)
+            }));
+        } catch (error) {
+            console.error('Error getting XP transaction summary:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Delete ledger entries past retention (admin entries are kept separately for audits)
+     */
+    async cleanupOldXPTransactions() {
+        try {
+            const retentionDays = config.get('XP_TRANSACTION_RETENTION_DAYS');
+            const adminRetentionDays = config.get('XP_TRANSACTION_ADMIN_RETENTION_DAYS');
+
+            // SAFETY: Only affects Leveling-Bot prefixed table
+            const result = await this.db.query(`
+                DELETE FROM ${this.tables.xpTransactions}
+                WHERE (actor_id IS NULL AND created_at < CURRENT_TIMESTAMP - ($1::int * INTERVAL '1 day'))
+                OR (actor_id IS NOT NULL AND created_at < CURRENT_TIMESTAMP - ($2::int * INTERVAL '1 day'))
+            `, [retentionDays, adminRetentionDays]);
+            
+            if (result.rowCount > 0) {
+                console.log(`🧹 [Leveling-Bot] Cleaned up ${result.rowCount} old XP transactions (retention: ${retentionDays}d, admin: ${adminRetentionDays}d)`);
+            }
+        } catch (error) {
+            console.error('[Leveling-Bot] Error cleaning up old XP transactions:', error);
+        }
+    }
+
+    /**
+     * Record an admin XP operation with before/after snapshots
+     */
+    async createAdminOperation({ guildId, userId, actorId, action, reason = null, before, after }) {
+        try {
+            const result = await this.db.query(`
+                INSERT INTO ${this.tables.adminOperations} 
+                (guild_id, user_id, actor_id, action, reason, before_state, after_state)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING id
+            `, [guildId, userId, actorId, action, reason, JSON.stringify(before), JSON.stringify(after)]);
+            
+            return result.rows[0]?.id || null;
+        } catch (error) {
+            console.error('Error creating admin operation:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Parse JSON snapshot columns on an admin operation row
+     */
+    parseAdminOperation(row) {
+        if (!row) return null;
+        return {
+            ...row,
+            before_state: JSON.parse(row.before_state),
+            after_state: JSON.parse(row.after_state)
+        };
+    }
+
+    /**
+     * Get an admin operation by ID within a guild
+     */
+    async getAdminOperation(operationId, guildId) {
+        try {
+            const result = await this.db.query(
+                `SELECT * FROM ${this.tables.adminOperations} WHERE id = $1 AND guild_id = $2`,
+                [operationId, guildId]
+            );
+            return this.parseAdminOperation(result.rows[0]);
+        } catch (error) {
+            console.error('Error getting admin operation:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the most recent admin operation on a user that has not been undone
+     */
+    async getLatestAdminOperation(userId, guildId, afterId = 0) {
+        try {
+            const result = await this.db.query(`
+                SELECT * FROM ${this.tables.adminOperations} 
+                WHERE user_id = $1 AND guild_id = $2 AND undone_at IS NULL AND id > $3
+                ORDER BY id DESC 
+                LIMIT 1
+            `, [userId, guildId, afterId]);
+            return this.parseAdminOperation(result.rows[0]);
+        } catch (error) {
+            console.error('Error getting latest admin operation:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Mark an admin operation as undone - returns false if it was already undone
+     */
+    async markAdminOperationUndone(operationId, undoneBy) {
+        try {
+            const result = await this.db.query(`
+                UPDATE ${this.tables.adminOperations} 
+                SET undone_by = $2, undone_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND undone_at IS NULL
+                RETURNING id
+            `, [operationId, undoneBy]);
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error('Error marking admin operation undone:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Clear the undone marker if restoring the user failed
+     */
+    async clearAdminOperationUndone(operationId) {
+        try {
+            await this.db.query(
+                `UPDATE ${this.tables.adminOperations} SET undone_by = NULL, undone_at = NULL WHERE id = $1`,
+                [operationId]
+            );
+        } catch (error) {
+            console.error('Error clearing admin operation undo:', error);
+        }
+    }
+
+    /**
+     * Overwrite a user's totals and counters - only applies if total XP still matches expectedXP
+     */
+    async restoreUserState(userId, guildId, state, expectedXP) {
+        try {
+            const result = await this.db.query(`
+                UPDATE ${this.tables.userLevels} 
+                SET total_xp = $3, level = $4, messages = $5, reactions = $6, voice_time = $7, updated_at = CURRENT_TIMESTAMP
+                WHERE user_id = $1 AND guild_id = $2 AND total_xp = $8
+                RETURNING *
+            `, [userId, guildId, state.total_xp, state.level, state.messages, state.reactions, state.voice_time, expectedXP]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error restoring user state:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete admin operations past the admin retention period
+     */
+    async cleanupOldAdminOperations() {
+        try {
+            const retentionDays = config.get('XP_TRANSACTION_ADMIN_RETENTION_DAYS');
+
+            // SAFETY: Only affects Leveling-Bot prefixed table
+            const result = await this.db.query(`
+                DELETE FROM ${this.tables.adminOperations}
+                WHERE created_at < CURRENT_TIMESTAMP - ($1::int * INTERVAL '1 day')
+            `, [retentionDays]);
+            
+            if (result.rowCount > 0) {
+                console.log(`🧹 [Leveling-Bot] Cleaned up ${result.rowCount} old admin operations`);
+            }
+        } catch (error) {
+            console.error('[Leveling-Bot] Error cleaning up old admin operations:', error);
+        }
+    }
+
+    /**
+     * Get persisted state for all scheduled jobs
+     */
+    async getScheduledJobs() {
+        try {
+            const result = await this.db.query(`SELECT * FROM ${this.tables.scheduledJobs} ORDER BY name`);
+            return result.rows.map(row => ({ ...row, state: row.state ? JSON.parse(row.state) : null }));
+        } catch (error) {
+            console.error('[Leveling-Bot] Error getting scheduled jobs:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get persisted state for one scheduled job (null if never registered)
+     */
+    async getScheduledJob(name) {
+        try {
+            const result = await this.db.query(`SELECT * FROM ${this.tables.scheduledJobs} WHERE name = $1`, [name]);
+            const row = result.rows[0];
+            return row ? { ...row, state: row.state ? JSON.parse(row.state) : null } : null;
+        } catch (error) {
+            console.error('[Leveling-Bot] Error getting scheduled job:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Create a scheduled job row if it does not exist yet - returns the stored row
+     */
+    async ensureScheduledJob(name, nextRunAt) {
+        await this.db.query(`
+            INSERT INTO ${this.tables.scheduledJobs} (name, next_run_at)
+            VALUES ($1, $2)
+            ON CONFLICT (name) DO NOTHING
+        `, [name, nextRunAt]);
+
+        return await this.getScheduledJob(name);
+    }
+
+    /**
+     * Record the outcome of a scheduled job run and its next run time
+     */
+    async recordScheduledJobRun(name, { status, error = null, durationMs, instanceId, nextRunAt, state }) {
+        try {
             await this.db.query(`
-                CREATE TABLE IF NOT EXISTS ${this.tables.userLevels} (
-                    user_id VARCHAR(20) NOT NULL,
-                    guild_id VARCHAR(20) NOT NULL,
-                    total_xp BIGINT DEFAULT 0,
-                    level INTEGER DEFAULT 0,
-                    messages INTEGER DEFAULT 0,
-                    reactions INTEGER DEFAULT 0,
-                    voice_time INTEGER DEFAULT 0,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    PRIMARY KEY (user_id, guild_id)
-                )
-            `);
+                UPDATE ${this.tables.scheduledJobs}
+                SET last_run_at = CURRENT_TIMESTAMP, next_run_at = $2, last_status = $3, last_error = $4,
+                    last_duration_ms = $5, last_instance = $6, run_count = run_count + 1,
+                    state = COALESCE($7, state), updated_at = CURRENT_TIMESTAMP
+                WHERE name = $1
+            `, [name, nextRunAt, status, error, durationMs, instanceId, state === undefined ? null : JSON.stringify(state)]);
+        } catch (err) {
+            console.error('[Leveling-Bot] Error recording scheduled job run:', err);
+        }
+    }
+
+    /**
+     * Store a new API key hash for a guild - returns the stored row
+     */
+    async createApiKey(guildId, keyHash, keyPrefix, label, createdBy) {
+        const result = await this.db.query(`
+            INSERT INTO ${this.tables.apiKeys} (guild_id, key_hash, key_prefix, label, created_by)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING id, guild_id, key_prefix, label, created_by, created_at
+        `, [guildId, keyHash, keyPrefix, label, createdBy]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Get a guild's active API keys (hashes are not returned)
+     */
+    async getApiKeys(guildId) {
+        try {
+            const result = await this.db.query(`
+                SELECT id, guild_id, key_prefix, label, created_by, created_at, last_used_at
+                FROM ${this.tables.apiKeys}
+                WHERE guild_id = $1 AND revoked_at IS NULL
+                ORDER BY id
+            `, [guildId]);
+            return result.rows;
+        } catch (error) {
+            console.error('[Leveling-Bot] Error getting API keys:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Look up an active API key by its hash and mark it as used
+     */
+    async useApiKey(keyHash) {
+        try {
+            const result = await this.db.query(`
+                UPDATE ${this.tables.apiKeys}
+                SET last_used_at = CURRENT_TIMESTAMP
+                WHERE key_hash = $1 AND revoked_at IS NULL
+                RETURNING id, guild_id, key_prefix, label
+            `, [keyHash]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('[Leveling-Bot] Error checking API key:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Revoke a guild's API key - returns the revoked row or null
+     */
+    async revokeApiKey(guildId, keyId) {
+        try {
+            const result = await this.db.query(`
+                UPDATE ${this.tables.apiKeys}
+                SET revoked_at = CURRENT_TIMESTAMP
+                WHERE guild_id = $1 AND id = $2 AND revoked_at IS NULL
+                RETURNING id, key_prefix, label
+            `, [guildId, keyId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('[Leveling-Bot] Error revoking API key:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Create a webhook subscription - returns the stored row
+     */
+    async createWebhook(guildId, url, secret, events, label, createdBy) {
+        const result = await this.db.query(`
+            INSERT INTO ${this.tables.webhooks} (guild_id, url, secret, events, label, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [guildId, url, secret, events.join(','), label, createdBy]);
+
+        return this.parseWebhook(result.rows[0]);
+    }
+
+    /**
+     * Split a webhook row's stored event list
+     */
+    parseWebhook(row) {
+        return row ? { ...row, events: row.events.split(',').filter(Boolean) } : null;
+    }
+
+    /**
+     * Get a guild's webhook subscriptions
+     */
+    async getWebhooks(guildId) {
+        try {
+            const result = await this.db.query(`SELECT * FROM ${this.tables.webhooks} WHERE guild_id = $1 ORDER BY id`, [guildId]);
+            return result.rows.map(row => this.parseWebhook(row));
+        } catch (error) {
+            console.error('[Leveling-Bot] Error getting webhooks:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get one of a guild's webhook subscriptions
+     */
+    async getWebhook(guildId, webhookId) {
+        try {
+            const result = await this.db.query(`SELECT * FROM ${this.tables.webhooks} WHERE guild_id = $1 AND id = $2`, [guildId, webhookId]);
+            return this.parseWebhook(result.rows[0]);
+        } catch (error) {
+            console.error('[Leveling-Bot] Error getting webhook:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete a webhook subscription and its deliveries - returns the deleted row or null
+     */
+    async deleteWebhook(guildId, webhookId) {
+        try {
+            const result = await this.db.query(`DELETE FROM ${this.tables.webhooks} WHERE guild_id = $1 AND id = $2 RETURNING *`, [guildId, webhookId]);
+            return this.parseWebhook(result.rows[0]);
+        } catch (error) {
+            console.error('[Leveling-Bot] Error deleting webhook:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Queue a webhook delivery to be retried at nextAttemptAt if the first attempt does not finish - returns the delivery id
+     */
+    async createWebhookDelivery(webhookId, guildId, event, payload, nextAttemptAt) {
+        const result = await this.db.query(`
+            INSERT INTO ${this.tables.webhookDeliveries} (webhook_id, guild_id, event, payload, next_attempt_at)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING id
+        `, [webhookId, guildId, event, payload, nextAttemptAt]);
+
+        return result.rows[0].id;
+    }
+
+    /**
+     * Get pending deliveries whose next attempt is due, oldest first
+     */
+    async getDueWebhookDeliveries(limit = 50) {
+        try {
+            const result = await this.db.query(`
+                SELECT d.*, w.url, w.secret
+                FROM ${this.tables.webhookDeliveries} d
+                JOIN ${this.tables.webhooks} w ON w.id = d.webhook_id
+                WHERE d.status = 'pending' AND d.next_attempt_at <= CURRENT_TIMESTAMP
+                ORDER BY d.next_attempt_at
+                LIMIT $1
+            `, [limit]);
+            return result.rows;
+        } catch (error) {
+            console.error('[Leveling-Bot] Error getting due webhook deliveries:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Record a delivery attempt
+     */
+    async updateWebhookDelivery(deliveryId, { status, attempts, nextAttemptAt = null, statusCode = null, error = null }) {
+        try {
+            await this.db.query(`
+                UPDATE ${this.tables.webhookDeliveries}
+                SET status = $2, attempts = $3, next_attempt_at = $4, last_status_code = $5, last_error = $6,
+                    delivered_at = CASE WHEN $2 = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+                WHERE id = $1
+            `, [deliveryId, status, attempts, nextAttemptAt, statusCode, error]);
+        } catch (err) {
+            console.error('[Leveling-Bot] Error updating webhook delivery:', err);
+        }
+    }
+
+    /**
+     * Get a guild's dead-lettered deliveries, newest first
+     */
+    async getDeadWebhookDeliveries(guildId, limit = 10) {
+        try {
+            const result = await this.db.query(`
+                SELECT id, webhook_id, event, attempts, last_status_code, last_error, created_at
+                FROM ${this.tables.webhookDeliveries}
+                WHERE guild_id = $1 AND status = 'dead'
+                ORDER BY id DESC
+                LIMIT $2
+            `, [guildId, limit]);
+            return result.rows;
+        } catch (error) {
+            console.error('[Leveling-Bot] Error getting dead webhook deliveries:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Move a guild's dead letters (or one of them) back into the queue - returns the number requeued
+     */
+    async requeueDeadWebhookDeliveries(guildId, deliveryId = null) {
+        try {
+            const result = await this.db.query(`
+                UPDATE ${this.tables.webhookDeliveries}
+                SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+                WHERE guild_id = $1 AND status = 'dead' AND ($2::bigint IS NULL OR id = $2)
+            `, [guildId, deliveryId]);
+            return result.rowCount;
+        } catch (error) {
+            console.error('[Leveling-Bot] Error requeueing webhook deliveries:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Delete delivered webhook deliveries older than the retention window
+     */
+    async cleanupWebhookDeliveries(daysToKeep = 7) {
+        try {
+            const result = await this.db.query(`
+                DELETE FROM ${this.tables.webhookDeliveries}
+                WHERE status = 'delivered' AND delivered_at < CURRENT_TIMESTAMP - ($1::int * INTERVAL '1 day')
+            `, [daysToKeep]);
+            return result.rowCount;
+        } catch (error) {
+            console.error('[Leveling-Bot] Error cleaning up webhook deliveries:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Count users with XP in a guild (leaderboard size)
+     */
+    async getLeaderboardCount(guildId) {
+        try {
+            const result = await this.db.query(
+                `SELECT COUNT(*) AS total FROM ${this.tables.userLevels} WHERE guild_id = $1 AND total_xp > 0`,
+                [guildId]
+            );
+            return parseInt(result.rows[0].total) || 0;
+        } catch (error) {
+            console.error('Error counting leaderboard:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Get XP rows for a set of users in one query
+     */
+    async getUsersXP(guildId, userIds) {
+        try {
+            if (userIds.length === 0) return [];
+
+            const result = await this.db.query(
+                `SELECT * FROM ${this.tables.userLevels} WHERE guild_id = $1 AND user_id = ANY($2::varchar[])`,
+                [guildId, userIds]
+            );
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting users XP:', error);
+            return [];
+        }
+    }
 
-            // Daily XP tracking table - ENHANCED with tier tracking
-            await this.db.query(`
-                CREATE TABLE IF NOT EXISTS ${this.tables.dailyXP} (
-                    user_id VARCHAR(20) NOT NULL,
-                    guild_id VARCHAR(20) NOT NULL,
-                    date DATE NOT NULL,
-                    total_xp INTEGER DEFAULT 0,
-                    message_xp INTEGER DEFAULT 0,
-                    voice_xp INTEGER DEFAULT 0,
-                    reaction_xp INTEGER DEFAULT 0,
-                    daily_cap INTEGER DEFAULT 15000,
-                    tier_level INTEGER DEFAULT 0,
-                    tier_role_id VARCHAR(20) DEFAULT NULL,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    PRIMARY KEY (user_id, guild_id, date)
-                )
-            `);
+    /**
+     * Bulk set total XP and level for many users - rows: [{ userId, totalXP, level, messages }]
+     */
+    async bulkSetUserXP(guildId, rows, chunkSize = 500) {
+        let written = 0;
 
-            // Voice sessions table - track active sessions
-            await this.db.query(`
-                CREATE TABLE IF NOT EXISTS ${this.tables.voiceSessions} (
-                    user_id VARCHAR(20) NOT NULL,
-                    guild_id VARCHAR(20) NOT NULL,
-                    channel_id VARCHAR(20) NOT NULL,
-                    join_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    last_xp_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    is_muted BOOLEAN DEFAULT false,
-                    is_deafened BOOLEAN DEFAULT false,
-                    PRIMARY KEY (user_id, guild_id)
-                )
-            `);
+        try {
+            for (let i = 0; i < rows.length; i += chunkSize) {
+                const chunk = rows.slice(i, i + chunkSize);
 
-            // Guild settings table - ENHANCED with XP boost roles
-            await this.db.query(`
-                CREATE TABLE IF NOT EXISTS ${this.tables.guildSettings} (
-                    guild_id VARCHAR(20) PRIMARY KEY,
-                    levelup_channel VARCHAR(20) DEFAULT NULL,
-                    levelup_enabled BOOLEAN DEFAULT false,
-                    xp_log_channel VARCHAR(20) DEFAULT NULL,
-                    xp_log_enabled BOOLEAN DEFAULT false,
-                    xp_boost_roles TEXT DEFAULT NULL,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+                const result = await this.db.query(`
+                    INSERT INTO ${this.tables.userLevels} (user_id, guild_id, total_xp, level, messages)
+                    SELECT user_id, $1, total_xp, level, messages
+                    FROM unnest($2::varchar[], $3::bigint[], $4::int[], $5::int[]) AS t(user_id, total_xp, level, messages)
+                    ON CONFLICT (user_id, guild_id)
+                    DO UPDATE SET
+                        total_xp = EXCLUDED.total_xp,
+                        level = EXCLUDED.level,
+                        messages = GREATEST(${this.tables.userLevels}.messages, EXCLUDED.messages),
+                        updated_at = CURRENT_TIMESTAMP
+                `, [
+                    guildId,
+                    chunk.map(row => row.userId),
+                    chunk.map(row => row.totalXP),
+                    chunk.map(row => row.level),
+                    chunk.map(row => row.messages || 0)
+                ]);
 
-            // Check if xp_boost_roles column exists, if not add it
-            try {
-                await this.db.query(`
-                    ALTER TABLE ${this.tables.guildSettings} 
-                    ADD COLUMN IF NOT EXISTS xp_boost_roles TEXT DEFAULT NULL
-                `);
-                console.log('✅ Added xp_boost_roles column to guild_settings');
-            } catch (error) {
-                // Column might already exist, which is fine
-                console.log('🔄 xp_boost_roles column already exists or could not be added');
+                written += result.rowCount;
             }
 
-            // Create indexes for better performance
-            await this.db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_user_levels_total_xp" ON ${this.tables.userLevels}(guild_id, total_xp DESC)`);
-            await this.db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_user_levels_level" ON ${this.tables.userLevels}(guild_id, level DESC)`);
-            await this.db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_daily_xp_date" ON ${this.tables.dailyXP}(date)`);
-            await this.db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_daily_xp_user_date" ON ${this.tables.dailyXP}(user_id, guild_id, date)`);
-            await this.db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_daily_xp_tier" ON ${this.tables.dailyXP}(tier_level, tier_role_id)`);
-            await this.db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_voice_sessions_guild" ON ${this.tables.voiceSessions}(guild_id)`);
-            await this.db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_voice_sessions_channel" ON ${this.tables.voiceSessions}(channel_id)`);
-            await this.db.query(`CREATE INDEX IF NOT EXISTS "idx_Leveling-Bot_guild_settings_guild" ON ${this.tables.guildSettings}(guild_id)`);
-
-            console.log('✅ Leveling-Bot database tables initialized successfully');
-
+            return written;
         } catch (error) {
-            console.error('❌ Error initializing Leveling-Bot database tables:', error);
-            throw error;
+            console.error('Error bulk setting user XP:', error);
+            return written;
         }
     }
 
     /**
-     * Get user XP data
+     * Get every user_levels row for a guild (used for exports)
      */
-    async getUserXP(userId, guildId) {
+    async getAllUserLevels(guildId) {
         try {
             const result = await this.db.query(
-                `SELECT * FROM ${this.tables.userLevels} WHERE user_id = $1 AND guild_id = $2`,
-                [userId, guildId]
+                `SELECT * FROM ${this.tables.userLevels} WHERE guild_id = $1 ORDER BY total_xp DESC`,
+                [guildId]
             );
-            return result.rows[0] || null;
+            return result.rows;
         } catch (error) {
-            console.error('Error getting user XP:', error);
-            return null;
+            console.error('Error getting all user levels:', error);
+            return [];
         }
     }
 
     /**
-     * Update user XP and stats
+     * Get every daily_xp row for a guild (used for exports)
      */
-    async updateUserXP(userId, guildId, xpGain, source) {
+    async getAllDailyXP(guildId) {
         try {
-            const sourceColumns = {
-                message: `messages = ${this.tables.userLevels}.messages + 1`,
-                reaction: `reactions = ${this.tables.userLevels}.reactions + 1`,
-                voice: `voice_time = ${this.tables.userLevels}.voice_time + 1`
-            };
+            const result = await this.db.query(
+                `SELECT user_id, to_char(date, 'YYYY-MM-DD') AS date, total_xp, message_xp, voice_xp, reaction_xp, daily_cap, tier_level, tier_role_id
+                 FROM ${this.tables.dailyXP} WHERE guild_id = $1 ORDER BY 2, user_id`,
+                [guildId]
+            );
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting all daily XP:', error);
+            return [];
+        }
+    }
 
-            const sourceColumn = sourceColumns[source] || '';
+    /**
+     * Bulk overwrite user_levels rows exactly (used for restores) - throws so a transaction can roll back
+     */
+    async bulkRestoreUserLevels(guildId, rows, chunkSize = 500) {
+        let written = 0;
 
-            const query = `
-                INSERT INTO ${this.tables.userLevels} (user_id, guild_id, total_xp, messages, reactions, voice_time)
-                VALUES ($1, $2, $3, $4, $5, $6)
+        for (let i = 0; i < rows.length; i += chunkSize) {
+            const chunk = rows.slice(i, i + chunkSize);
+
+            const result = await this.db.query(`
+                INSERT INTO ${this.tables.userLevels} (user_id, guild_id, total_xp, level, messages, reactions, voice_time)
+                SELECT user_id, $1, total_xp, level, messages, reactions, voice_time
+                FROM unnest($2::varchar[], $3::bigint[], $4::int[], $5::int[], $6::int[], $7::int[]) 
+                    AS t(user_id, total_xp, level, messages, reactions, voice_time)
                 ON CONFLICT (user_id, guild_id)
                 DO UPDATE SET
-                    total_xp = ${this.tables.userLevels}.total_xp + $3,
-                    ${sourceColumn ? sourceColumn + ',' : ''}
+                    total_xp = EXCLUDED.total_xp,
+                    level = EXCLUDED.level,
+                    messages = EXCLUDED.messages,
+                    reactions = EXCLUDED.reactions,
+                    voice_time = EXCLUDED.voice_time,
                     updated_at = CURRENT_TIMESTAMP
-                RETURNING total_xp, level
-            `;
+            `, [
+                guildId,
+                chunk.map(row => row.user_id),
+                chunk.map(row => row.total_xp),
+                chunk.map(row => row.level),
+                chunk.map(row => row.messages),
+                chunk.map(row => row.reactions),
+                chunk.map(row => row.voice_time)
+            ]);
 
-            const params = [
-                userId, guildId, xpGain,
-                source === 'message' ? 1 : 0,
-                source === 'reaction' ? 1 : 0,
-                source === 'voice' ? 1 : 0
-            ];
+            written += result.rowCount;
+        }
 
-            const result = await this.db.query(query, params);
-            return result.rows[0];
+        return written;
+    }
 
-        } catch (error) {
-            console.error('Error updating user XP:', error);
-            return null;
+    /**
+     * Bulk overwrite daily_xp rows exactly (used for restores) - throws so a transaction can roll back
+     */
+    async bulkRestoreDailyXP(guildId, rows, chunkSize = 500) {
+        let written = 0;
+
+        for (let i = 0; i < rows.length; i += chunkSize) {
+            const chunk = rows.slice(i, i + chunkSize);
+
+            const result = await this.db.query(`
+                INSERT INTO ${this.tables.dailyXP} 
+                (user_id, guild_id, date, total_xp, message_xp, voice_xp, reaction_xp, daily_cap, tier_level, tier_role_id)
+                SELECT user_id, $1, date, total_xp, message_xp, voice_xp, reaction_xp, daily_cap, tier_level, tier_role_id
+                FROM unnest($2::varchar[], $3::date[], $4::int[], $5::int[], $6::int[], $7::int[], $8::int[], $9::int[], $10::varchar[]) 
+                    AS t(user_id, date, total_xp, message_xp, voice_xp, reaction_xp, daily_cap, tier_level, tier_role_id)
+                ON CONFLICT (user_id, guild_id, date)
+                DO UPDATE SET
+                    total_xp = EXCLUDED.total_xp,
+                    message_xp = EXCLUDED.message_xp,
+                    voice_xp = EXCLUDED.voice_xp,
+                    reaction_xp = EXCLUDED.reaction_xp,
+                    daily_cap = EXCLUDED.daily_cap,
+                    tier_level = EXCLUDED.tier_level,
+                    tier_role_id = EXCLUDED.tier_role_id,
+                    updated_at = CURRENT_TIMESTAMP
+            `, [
+                guildId,
+                chunk.map(row => row.user_id),
+                chunk.map(row => row.date),
+                chunk.map(row => row.total_xp),
+                chunk.map(row => row.message_xp),
+                chunk.map(row => row.voice_xp),
+                chunk.map(row => row.reaction_xp),
+                chunk.map(row => row.daily_cap),
+                chunk.map(row => row.tier_level),
+                chunk.map(row => row.tier_role_id)
+            ]);
+
+            written += result.rowCount;
+        }
+
+        return written;
+    }
+
+    /**
+     * Append many ledger entries at once - entries use the recordXPTransaction fields, throws on failure
+     */
+    async recordXPTransactionsBulk(entries, chunkSize = 500) {
+        for (let i = 0; i < entries.length; i += chunkSize) {
+            const chunk = entries.slice(i, i + chunkSize);
+
+            await this.db.query(`
+                INSERT INTO ${this.tables.xpTransactions} (user_id, guild_id, amount, source, actor_id, reason, balance_after)
+                SELECT * FROM unnest($1::varchar[], $2::varchar[], $3::int[], $4::varchar[], $5::varchar[], $6::text[], $7::bigint[])
+            `, [
+                chunk.map(entry => entry.userId),
+                chunk.map(entry => entry.guildId),
+                chunk.map(entry => entry.amount),
+                chunk.map(entry => entry.source),
+                chunk.map(entry => entry.actorId || null),
+                chunk.map(entry => entry.reason || null),
+                chunk.map(entry => entry.balanceAfter ?? null)
+            ]);
         }
     }
 
@@ -204,7 +916,7 @@ class DatabaseManager {
                 message_xp: 0, 
                 voice_xp: 0, 
                 reaction_xp: 0,
-                daily_cap: parseInt(process.env.DAILY_XP_CAP) || 15000,
+                daily_cap: config.get('DAILY_XP_CAP'),
                 tier_level: 0,
                 tier_role_id: null
             };
@@ -215,7 +927,7 @@ class DatabaseManager {
                 message_xp: 0, 
                 voice_xp: 0, 
                 reaction_xp: 0,
-                daily_cap: parseInt(process.env.DAILY_XP_CAP) || 15000,
+                daily_cap: config.get('DAILY_XP_CAP'),
                 tier_level: 0,
                 tier_role_id: null
             };
@@ -234,7 +946,7 @@ class DatabaseManager {
             };
 
             const sourceColumn = sourceColumns[source] || '';
-            const finalDailyCap = dailyCap || parseInt(process.env.DAILY_XP_CAP) || 15000;
+            const finalDailyCap = dailyCap || config.get('DAILY_XP_CAP');
 
             const query = `
                 INSERT INTO ${this.tables.dailyXP} (user_id, guild_id, date, total_xp, message_xp, voice_xp, reaction_xp, daily_cap, tier_level, tier_role_id)
@@ -269,6 +981,25 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Subtract XP from a user's daily total (never below zero)
+     */
+    async reduceDailyXP(userId, guildId, date, xpAmount) {
+        try {
+            const result = await this.db.query(`
+                UPDATE ${this.tables.dailyXP}
+                SET total_xp = GREATEST(0, total_xp - $4::int), updated_at = CURRENT_TIMESTAMP
+                WHERE user_id = $1 AND guild_id = $2 AND date = $3
+                RETURNING total_xp
+            `, [userId, guildId, date, xpAmount]);
+
+            return result.rows[0]?.total_xp ?? null;
+        } catch (error) {
+            console.error('Error reducing daily XP:', error);
+            return null;
+        }
+    }
+
     /**
      * Get leaderboard data
      */
@@ -479,7 +1210,9 @@ class DatabaseManager {
             const validSettings = [
                 'levelup_channel', 'levelup_enabled', 
                 'xp_log_channel', 'xp_log_enabled',
-                'xp_boost_roles'
+                'xp_boost_roles', 'config_overrides',
+                'xp_channel_rules', 'no_xp_roles', 'admin_roles',
+                'level_roles'
             ];
             
             if (!validSettings.includes(settingName)) {
@@ -514,6 +1247,32 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Get per-guild XP configuration overrides
+     */
+    async getGuildConfigOverrides(guildId) {
+        try {
+            const guildSettings = await this.getGuildSettings(guildId);
+            const overridesJson = guildSettings?.config_overrides;
+            
+            if (!overridesJson) return {};
+            
+            const overrides = JSON.parse(overridesJson);
+            return overrides && typeof overrides === 'object' && !Array.isArray(overrides) ? overrides : {};
+        } catch (error) {
+            console.error('[Leveling-Bot] Error getting guild config overrides:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Replace per-guild XP configuration overrides
+     */
+    async setGuildConfigOverrides(guildId, overrides) {
+        const hasOverrides = overrides && Object.keys(overrides).length > 0;
+        return await this.updateGuildSetting(guildId, 'config_overrides', hasOverrides ? JSON.stringify(overrides) : null);
+    }
+
     /**
      * Get XP boost roles for a guild
      */
@@ -564,6 +1323,258 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Get channel/category XP rules for a guild
+     */
+    async getChannelRules(guildId) {
+        try {
+            const guildSettings = await this.getGuildSettings(guildId);
+            const rulesJson = guildSettings?.xp_channel_rules;
+            
+            if (!rulesJson) return [];
+            
+            const rules = JSON.parse(rulesJson);
+            return Array.isArray(rules) ? rules : [];
+        } catch (error) {
+            console.error('Error getting channel XP rules:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Resolve the XP rule for a channel - most specific rule wins (channel > thread parent > category)
+     * Returns { allowed, multiplier, rule }
+     */
+    async calculateChannelXPRule(channel, guildId) {
+        try {
+            if (!channel) return { allowed: true, multiplier: 1.0, rule: null };
+
+            const rules = await this.getChannelRules(guildId);
+            if (rules.length === 0) return { allowed: true, multiplier: 1.0, rule: null };
+
+            // Build lookup chain from most to least specific
+            const chain = [channel.id];
+            const parentChannel = typeof channel.isThread === 'function' && channel.isThread() ? channel.parent : channel;
+            if (parentChannel && parentChannel.id !== channel.id) {
+                chain.push(parentChannel.id);
+            }
+            if (parentChannel?.parentId) {
+                chain.push(parentChannel.parentId);
+            }
+
+            for (const targetId of chain) {
+                const rule = rules.find(r => r.channel_id === targetId);
+                if (!rule) continue;
+
+                switch (rule.type) {
+                    case 'blacklist':
+                        return { allowed: false, multiplier: 0, rule };
+                    case 'multiplier':
+                        return { allowed: true, multiplier: rule.multiplier, rule };
+                    default:
+                        return { allowed: true, multiplier: 1.0, rule };
+                }
+            }
+
+            // Whitelist mode: once any whitelist rule exists, unlisted channels earn nothing
+            const hasWhitelist = rules.some(r => r.type === 'whitelist');
+            return { allowed: !hasWhitelist, multiplier: hasWhitelist ? 0 : 1.0, rule: null };
+        } catch (error) {
+            console.error('Error calculating channel XP rule:', error);
+            return { allowed: true, multiplier: 1.0, rule: null };
+        }
+    }
+
+    /**
+     * Get roles that block XP gain for a guild
+     */
+    async getNoXPRoles(guildId) {
+        try {
+            const guildSettings = await this.getGuildSettings(guildId);
+            const rolesJson = guildSettings?.no_xp_roles;
+            
+            if (!rolesJson) return [];
+            
+            const roles = JSON.parse(rolesJson);
+            return Array.isArray(roles) ? roles : [];
+        } catch (error) {
+            console.error('Error getting no-XP roles:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get roles granted bot permission levels for a guild
+     */
+    async getAdminRoles(guildId) {
+        try {
+            const guildSettings = await this.getGuildSettings(guildId);
+            const rolesJson = guildSettings?.admin_roles;
+            
+            if (!rolesJson) return [];
+            
+            const roles = JSON.parse(rolesJson);
+            return Array.isArray(roles) ? roles : [];
+        } catch (error) {
+            console.error('Error getting admin roles:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get level role rewards for a guild as [{ level, role_id }], lowest level first
+     * Guilds that never stored their own rewards use the LEVEL_N_ROLE environment defaults
+     */
+    async getLevelRoles(guildId) {
+        try {
+            const guildSettings = await this.getGuildSettings(guildId);
+            const rolesJson = guildSettings?.level_roles;
+
+            const roles = rolesJson
+                ? JSON.parse(rolesJson)
+                : Object.entries(config.getLevelRoles())
+                    .filter(([, roleId]) => roleId)
+                    .map(([level, roleId]) => ({ level: Number(level), role_id: roleId }));
+
+            return Array.isArray(roles) ? roles.sort((a, b) => a.level - b.level) : [];
+        } catch (error) {
+            console.error('Error getting level roles:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Freeze a user's XP - durationSeconds null means until unfrozen
+     */
+    async freezeUser(userId, guildId, frozenBy, reason = null, durationSeconds = null) {
+        try {
+            const result = await this.db.query(`
+                INSERT INTO ${this.tables.xpFreezes} (user_id, guild_id, frozen_by, reason, expires_at)
+                VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5::int * INTERVAL '1 second'))
+                ON CONFLICT (user_id, guild_id)
+                DO UPDATE SET
+                    frozen_by = $3,
+                    reason = $4,
+                    expires_at = CURRENT_TIMESTAMP + ($5::int * INTERVAL '1 second'),
+                    created_at = CURRENT_TIMESTAMP
+                RETURNING *
+            `, [userId, guildId, frozenBy, reason, durationSeconds]);
+            
+            return result.rows[0];
+        } catch (error) {
+            console.error('Error freezing user XP:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Remove a user's XP freeze - returns the removed freeze or null
+     */
+    async unfreezeUser(userId, guildId) {
+        try {
+            const result = await this.db.query(
+                `DELETE FROM ${this.tables.xpFreezes} WHERE user_id = $1 AND guild_id = $2 RETURNING *`,
+                [userId, guildId]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error unfreezing user XP:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get active XP freeze for a user (expired freezes are ignored)
+     */
+    async getUserFreeze(userId, guildId) {
+        try {
+            const result = await this.db.query(`
+                SELECT * FROM ${this.tables.xpFreezes} 
+                WHERE user_id = $1 AND guild_id = $2 
+                AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+            `, [userId, guildId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error getting user XP freeze:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get all active XP freezes for a guild
+     */
+    async getFrozenUsers(guildId) {
+        try {
+            const result = await this.db.query(`
+                SELECT * FROM ${this.tables.xpFreezes} 
+                WHERE guild_id = $1 
+                AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+                ORDER BY created_at DESC
+            `, [guildId]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting frozen users:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Delete expired XP freezes
+     */
+    async cleanupExpiredFreezes() {
+        try {
+            const result = await this.db.query(
+                `DELETE FROM ${this.tables.xpFreezes} WHERE expires_at IS NOT NULL AND expires_at <= CURRENT_TIMESTAMP`
+            );
+            
+            if (result.rowCount > 0) {
+                console.log(`🧹 [Leveling-Bot] Cleaned up ${result.rowCount} expired XP freezes`);
+            }
+        } catch (error) {
+            console.error('[Leveling-Bot] Error cleaning up expired XP freezes:', error);
+        }
+    }
+
+    /**
+     * Turn level up pings on or off for a member
+     */
+    async setLevelUpPing(userId, guildId, enabled) {
+        try {
+            if (enabled) {
+                await this.db.query(
+                    `DELETE FROM ${this.tables.levelupPingOptouts} WHERE user_id = $1 AND guild_id = $2`,
+                    [userId, guildId]
+                );
+            } else {
+                await this.db.query(`
+                    INSERT INTO ${this.tables.levelupPingOptouts} (user_id, guild_id)
+                    VALUES ($1, $2)
+                    ON CONFLICT (user_id, guild_id) DO NOTHING
+                `, [userId, guildId]);
+            }
+            return true;
+        } catch (error) {
+            console.error('Error updating level up ping preference:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Whether a member turned off level up pings
+     */
+    async hasLevelUpPingOptOut(userId, guildId) {
+        try {
+            const result = await this.db.query(
+                `SELECT 1 FROM ${this.tables.levelupPingOptouts} WHERE user_id = $1 AND guild_id = $2`,
+                [userId, guildId]
+            );
+            return result.rows.length > 0;
+        } catch (error) {
+            console.error('Error getting level up ping preference:', error);
+            return false;
+        }
+    }
+
     /**
      * Get daily XP statistics for guild
      */
@@ -595,7 +1606,7 @@ class DatabaseManager {
                 total_message_xp: 0,
                 total_voice_xp: 0,
                 total_reaction_xp: 0,
-                avg_daily_cap: parseInt(process.env.DAILY_XP_CAP) || 15000,
+                avg_daily_cap: config.get('DAILY_XP_CAP'),
                 users_at_cap: 0
             };
         }
@@ -645,7 +1656,7 @@ class DatabaseManager {
             }
 
             // Return default if no record exists
-            const baseCap = parseInt(process.env.DAILY_XP_CAP) || 15000;
+            const baseCap = config.get('DAILY_XP_CAP');
             return {
                 total_xp: 0,
                 message_xp: 0,
@@ -659,7 +1670,7 @@ class DatabaseManager {
             };
         } catch (error) {
             console.error('Error getting user daily progress:', error);
-            const baseCap = parseInt(process.env.DAILY_XP_CAP) || 15000;
+            const baseCap = config.get('DAILY_XP_CAP');
             return {
                 total_xp: 0,
                 message_xp: 0,
@@ -792,22 +1803,23 @@ class DatabaseManager {
     }
 
     /**
-     * Reset all daily XP for new day - SAFE FOR SHARED DATABASE
+     * Reset daily XP for a guild - removes rows before its current day (and the current day itself when includeCurrent)
      */
-    async resetDailyXP() {
+    async resetDailyXP(guildId, currentDay, includeCurrent = false) {
         try {
-            const today = new Date().toISOString().split('T')[0];
+            const operator = includeCurrent ? '<=' : '<';
             
-            // SAFETY: Only counts and deletes from Leveling-Bot prefixed table
-            const countResult = await this.db.query(`SELECT COUNT(*) FROM ${this.tables.dailyXP} WHERE date < $1`, [today]);
-            const recordsToDelete = countResult.rows[0].count;
-            
-            // Delete old records (only from Leveling-Bot table)
-            await this.db.query(`DELETE FROM ${this.tables.dailyXP} WHERE date < $1`, [today]);
+            // SAFETY: Only deletes from Leveling-Bot prefixed table
+            const result = await this.db.query(
+                `DELETE FROM ${this.tables.dailyXP} WHERE guild_id = $1 AND date ${operator} $2`,
+                [guildId, currentDay]
+            );
             
-            console.log(`✅ [Leveling-Bot] Daily XP reset complete - Removed ${recordsToDelete} old records (other bots unaffected)`);
+            console.log(`✅ [Leveling-Bot] Daily XP reset for guild ${guildId} (day ${currentDay}) - Removed ${result.rowCount} records`);
+            return result.rowCount;
         } catch (error) {
             console.error('[Leveling-Bot] Error resetting daily XP:', error);
+            return 0;
         }
     }
 
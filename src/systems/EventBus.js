@@ -0,0 +1,133 @@
+/**
+ * EventBus - Typed in-process events for core systems and plugins
+ * Notification events are emitted after the fact; the xp.grant hook runs before earned XP
+ * is awarded and its handlers can change the amount or veto the grant
+ */
+
+// Event name -> payload fields every emit must provide
+const EVENTS = {
+    'xp.grant': ['userId', 'guildId', 'source', 'amount', 'baseXP', 'member'],
+    'xp.awarded': ['userId', 'guildId', 'source', 'amount', 'totalXP', 'oldLevel', 'newLevel', 'user', 'member'],
+    'level.up': ['userId', 'guildId', 'oldLevel', 'newLevel', 'totalXP', 'source', 'roleReward', 'user', 'member'],
+    'level.down': ['userId', 'guildId', 'oldLevel', 'newLevel', 'totalXP', 'source', 'roleChanges', 'user', 'member'],
+    'cap.reached': ['userId', 'guildId', 'date', 'dailyXP', 'dailyCap', 'tierLevel', 'nextResetAt', 'member'],
+    'voice.session.start': ['userId', 'guildId', 'channelId', 'member'],
+    'voice.session.end': ['userId', 'guildId', 'channelId', 'durationSeconds', 'reason', 'member'],
+    'admin.xp.changed': ['guildId', 'userId', 'actorId', 'action', 'operationId', 'reason', 'before', 'after'],
+    'admin.xp.bulk_changed': ['guildId', 'actorId', 'action', 'reason', 'changes']
+};
+
+// Events whose handlers may modify or veto the payload
+const HOOKS = new Set(['xp.grant']);
+
+class EventBus {
+    constructor() {
+        this.handlers = new Map(Object.keys(EVENTS).map(event => [event, []]));
+    }
+
+    /**
+     * Event names that can be subscribed to
+     */
+    getEventNames() {
+        return Object.keys(EVENTS);
+    }
+
+    /**
+     * Throw for an event name that does not exist (catches typos in plugins early)
+     */
+    assertEvent(event) {
+        if (!this.handlers.has(event)) {
+            throw new TypeError(`Unknown event "${event}". Valid events: ${this.getEventNames().join(', ')}`);
+        }
+    }
+
+    /**
+     * Subscribe to an event - returns a function that unsubscribes
+     */
+    on(event, handler, owner = 'core') {
+        this.assertEvent(event);
+        if (typeof handler !== 'function') {
+            throw new TypeError(`Handler for "${event}" must be a function`);
+        }
+
+        const entry = { handler, owner };
+        this.handlers.get(event).push(entry);
+
+        return () => {
+            const handlers = this.handlers.get(event);
+            const index = handlers.indexOf(entry);
+            if (index !== -1) handlers.splice(index, 1);
+        };
+    }
+
+    /**
+     * Remove every handler registered by an owner (e.g. when a plugin is unloaded)
+     */
+    removeOwner(owner) {
+        for (const [event, handlers] of this.handlers) {
+            this.handlers.set(event, handlers.filter(entry => entry.owner !== owner));
+        }
+    }
+
+    /**
+     * Warn when a payload is missing documented fields
+     */
+    checkPayload(event, payload) {
+        const missing = EVENTS[event].filter(field => !(field in payload));
+        if (missing.length > 0) {
+            console.warn(`[EVENTS] ${event} emitted without: ${missing.join(', ')}`);
+        }
+    }
+
+    /**
+     * Notify every handler in order - a failing handler is logged and never breaks the caller
+     */
+    async emit(event, payload) {
+        this.assertEvent(event);
+        if (HOOKS.has(event)) {
+            throw new TypeError(`"${event}" is a hook - use runHook()`);
+        }
+        this.checkPayload(event, payload);
+
+        for (const { handler, owner } of this.handlers.get(event)) {
+            try {
+                await handler(payload);
+            } catch (error) {
+                console.error(`[EVENTS] ${owner} handler for ${event} failed:`, error);
+            }
+        }
+    }
+
+    /**
+     * Run a hook's handlers in order - each may return false to veto or an object of changed fields
+     * Returns the final payload with vetoed / vetoedBy set
+     */
+    async runHook(event, payload) {
+        this.assertEvent(event);
+        if (!HOOKS.has(event)) {
+            throw new TypeError(`"${event}" is not a hook - use emit()`);
+        }
+        this.checkPayload(event, payload);
+
+        let current = { ...payload, vetoed: false, vetoedBy: null };
+
+        for (const { handler, owner } of this.handlers.get(event)) {
+            try {
+                const result = await handler({ ...current });
+
+                if (result === false) {
+                    return { ...current, vetoed: true, vetoedBy: owner };
+                }
+                if (result && typeof result === 'object') {
+                    current = { ...current, ...result, vetoed: false, vetoedBy: null };
+                }
+            } catch (error) {
+                console.error(`[EVENTS] ${owner} handler for ${event} failed:`, error);
+            }
+        }
+
+        return current;
+    }
+}
+
+module.exports = EventBus;
@@ -0,0 +1,407 @@
+const DatabaseManager = require('./DatabaseManager');
+const PermissionManager = require('./PermissionManager');
+const LevelCalculator = require('../utils/LevelCalculator');
+const GuildConfig = require('../utils/GuildConfig');
+const config = require('../utils/Config');
+const logger = require('../utils/Logger');
+
+const log = logger.child('backup');
+
+/**
+ * GuildBackupManager - Versioned export and restore of a guild's leveling data
+ * Archives hold user_levels, daily_xp, guild_settings and boost roles
+ */
+class GuildBackupManager {
+    constructor(db) {
+        this.db = db;
+        this.dbManager = new DatabaseManager(db);
+        this.permissionManager = new PermissionManager(db);
+        this.guildConfig = new GuildConfig();
+        this.levelCalculator = new LevelCalculator();
+
+        this.archiveFormat = 'leveling-bot-archive';
+        this.archiveVersion = 1;
+
+        // guild_settings columns carried in archives - JSON columns are stored parsed
+        this.settingColumns = {
+            levelup_channel: 'channel',
+            levelup_enabled: 'boolean',
+            xp_log_channel: 'channel',
+            xp_log_enabled: 'boolean',
+            config_overrides: 'json',
+            xp_channel_rules: 'json',
+            no_xp_roles: 'json',
+            admin_roles: 'json',
+            level_roles: 'json'
+        };
+
+        this.userColumns = ['total_xp', 'level', 'messages', 'reactions', 'voice_time'];
+        this.dailyColumns = ['total_xp', 'message_xp', 'voice_xp', 'reaction_xp', 'daily_cap', 'tier_level'];
+    }
+
+    /**
+     * Build an archive object for a guild
+     */
+    async createArchive(guild) {
+        const [userLevels, dailyXP, settings] = await Promise.all([
+            this.dbManager.getAllUserLevels(guild.id),
+            this.dbManager.getAllDailyXP(guild.id),
+            this.dbManager.getGuildSettings(guild.id)
+        ]);
+
+        const guildSettings = {};
+        for (const [column, type] of Object.entries(this.settingColumns)) {
+            const value = settings?.[column] ?? null;
+            guildSettings[column] = type === 'json' && value ? JSON.parse(value) : value;
+        }
+
+        return {
+            format: this.archiveFormat,
+            version: this.archiveVersion,
+            exported_at: new Date().toISOString(),
+            guild: { id: guild.id, name: guild.name },
+            user_levels: userLevels.map(row => ({
+                user_id: row.user_id,
+                total_xp: parseInt(row.total_xp) || 0,
+                level: row.level,
+                messages: row.messages,
+                reactions: row.reactions,
+                voice_time: row.voice_time
+            })),
+            daily_xp: dailyXP.map(row => ({
+                user_id: row.user_id,
+                date: row.date,
+                total_xp: row.total_xp,
+                message_xp: row.message_xp,
+                voice_xp: row.voice_xp,
+                reaction_xp: row.reaction_xp,
+                daily_cap: row.daily_cap,
+                tier_level: row.tier_level,
+                tier_role_id: row.tier_role_id
+            })),
+            guild_settings: guildSettings,
+            boost_roles: settings?.xp_boost_roles ? JSON.parse(settings.xp_boost_roles) : []
+        };
+    }
+
+    /**
+     * Render the data tables of an archive as CSV files - returns { filename: content }
+     */
+    toCSV(archive) {
+        const toCSV = (rows, columns) => [
+            columns.join(','),
+            ...rows.map(row => columns.map(column => {
+                const value = row[column] ?? '';
+                return /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : value;
+            }).join(','))
+        ].join('\n');
+
+        return {
+            'user_levels.csv': toCSV(archive.user_levels, ['user_id', ...this.userColumns]),
+            'daily_xp.csv': toCSV(archive.daily_xp, ['user_id', 'date', ...this.dailyColumns, 'tier_role_id'])
+        };
+    }
+
+    /**
+     * Validate an archive - returns array of error strings (empty when valid)
+     */
+    validateArchive(archive) {
+        const errors = [];
+        const isCount = (value) => Number.isInteger(value) && value >= 0;
+        const isId = (value) => typeof value === 'string' && /^\d{17,20}$/.test(value);
+
+        if (!archive || typeof archive !== 'object' || archive.format !== this.archiveFormat) {
+            return ['Not a Leveling-Bot archive (missing or wrong `format`).'];
+        }
+        if (!Number.isInteger(archive.version) || archive.version < 1) {
+            return ['Archive has no valid `version`.'];
+        }
+        if (archive.version > this.archiveVersion) {
+            return [`Archive version ${archive.version} is newer than this bot supports (${this.archiveVersion}).`];
+        }
+        if (!Array.isArray(archive.user_levels) || !Array.isArray(archive.daily_xp)) {
+            return ['Archive is missing `user_levels` or `daily_xp`.'];
+        }
+
+        const seenUsers = new Set();
+        archive.user_levels.forEach((row, index) => {
+            if (!isId(row?.user_id)) {
+                errors.push(`user_levels[${index}]: invalid user_id`);
+            } else if (seenUsers.has(row.user_id)) {
+                errors.push(`user_levels[${index}]: duplicate user_id ${row.user_id}`);
+            } else {
+                seenUsers.add(row.user_id);
+            }
+            for (const column of this.userColumns) {
+                if (!isCount(row?.[column])) errors.push(`user_levels[${index}]: invalid ${column}`);
+            }
+        });
+
+        archive.daily_xp.forEach((row, index) => {
+            if (!isId(row?.user_id)) errors.push(`daily_xp[${index}]: invalid user_id`);
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(row?.date || '')) errors.push(`daily_xp[${index}]: invalid date`);
+            for (const column of this.dailyColumns) {
+                if (!isCount(row?.[column])) errors.push(`daily_xp[${index}]: invalid ${column}`);
+            }
+        });
+
+        if (archive.guild_settings !== undefined && (!archive.guild_settings || typeof archive.guild_settings !== 'object' || Array.isArray(archive.guild_settings))) {
+            errors.push('guild_settings must be an object');
+        } else if (archive.guild_settings) {
+            errors.push(...this.validateSettings(archive.guild_settings));
+        }
+        if (archive.boost_roles !== undefined && !Array.isArray(archive.boost_roles)) {
+            errors.push('boost_roles must be an array');
+        } else {
+            (archive.boost_roles || []).forEach((boost, index) => {
+                if (!isId(boost?.role_id)) errors.push(`boost_roles[${index}]: invalid role_id`);
+                if (!this.isMultiplier(boost?.multiplier)) errors.push(`boost_roles[${index}]: multiplier must be between 0.1 and 5`);
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate archived guild_settings with the same rules /settings enforces - returns array of error strings
+     */
+    validateSettings(settings) {
+        const errors = [];
+        const isId = (value) => typeof value === 'string' && /^\d{17,20}$/.test(value);
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const checkList = (column, check) => {
+            const list = settings[column];
+            if (list === undefined || list === null) return;
+            if (!Array.isArray(list)) {
+                errors.push(`guild_settings.${column} must be an array`);
+                return;
+            }
+            list.forEach((entry, index) => {
+                const error = check(entry);
+                if (error) errors.push(`guild_settings.${column}[${index}]: ${error}`);
+            });
+        };
+
+        for (const [column, type] of Object.entries(this.settingColumns)) {
+            const value = settings[column];
+            if (value === undefined || value === null) continue;
+
+            if (type === 'boolean' && typeof value !== 'boolean') errors.push(`guild_settings.${column} must be true or false`);
+            if (type === 'channel' && !isId(value)) errors.push(`guild_settings.${column} must be a channel ID`);
+        }
+
+        const overrides = settings.config_overrides;
+        if (overrides !== undefined && overrides !== null) {
+            if (!isObject(overrides)) {
+                errors.push('guild_settings.config_overrides must be an object');
+            } else {
+                for (const [key, value] of Object.entries(overrides)) {
+                    const error = this.checkOverride(key, value);
+                    if (error) errors.push(`guild_settings.config_overrides.${key}: ${error}`);
+                }
+                if (errors.length === 0) {
+                    errors.push(...this.guildConfig.validate(this.guildConfig.resolve(overrides)).map(error => `guild_settings.config_overrides: ${error}`));
+                }
+            }
+        }
+
+        checkList('xp_channel_rules', rule => {
+            if (!isObject(rule) || !isId(rule.channel_id)) return 'invalid channel_id';
+            if (!['blacklist', 'whitelist', 'multiplier'].includes(rule.type)) return 'type must be blacklist, whitelist or multiplier';
+            if (rule.type === 'multiplier' && !this.isMultiplier(rule.multiplier)) return 'multiplier must be between 0.1 and 5';
+            return null;
+        });
+        checkList('no_xp_roles', roleId => (isId(roleId) ? null : 'invalid role ID'));
+        checkList('admin_roles', entry => {
+            if (!isObject(entry) || !isId(entry.role_id)) return 'invalid role_id';
+            if (!this.permissionManager.isValidLevel(entry.level)) return `unknown permission level ${JSON.stringify(entry.level)}`;
+            return null;
+        });
+        checkList('level_roles', entry => {
+            if (!isObject(entry) || !isId(entry.role_id)) return 'invalid role_id';
+            if (!Number.isInteger(entry.level) || entry.level < 0 || entry.level > config.get('MAX_LEVEL')) return `level must be between 0 and ${config.get('MAX_LEVEL')}`;
+            return null;
+        });
+
+        return errors;
+    }
+
+    /**
+     * Check one stored config override through GuildConfig.parseValue - returns an error string or null
+     */
+    checkOverride(key, value) {
+        const def = this.guildConfig.getDefinition(key);
+        if (!def) return 'unknown setting';
+        if (value === null) return null;
+
+        const isList = def.type === 'idList' || def.type === 'levelList';
+        if (isList !== Array.isArray(value) || (typeof value === 'object' && !isList)) {
+            return isList ? 'must be a list' : 'must be a single value';
+        }
+        if (def.type === 'seconds' && (!Number.isInteger(value) || value % 1000 !== 0)) {
+            return 'must be a whole number of seconds (stored in milliseconds)';
+        }
+        if (isList && value.some(entry => typeof entry === 'object')) return 'must be a list of IDs or levels';
+
+        // Stored values are parsed values - turn them back into what an admin would type
+        const raw = def.type === 'seconds' ? value / 1000 : isList ? value.join(',') : value;
+        const parsed = this.guildConfig.parseValue(key, raw);
+        return parsed.valid ? null : parsed.error;
+    }
+
+    /**
+     * Boost roles and multiplier channel rules accept the same range as /settings
+     */
+    isMultiplier(value) {
+        return typeof value === 'number' && value >= 0.1 && value <= 5;
+    }
+
+    /**
+     * Drop channel and role references that do not exist in the target guild - returns { settings, boostRoles, warnings }
+     */
+    remapReferences(archive, guild) {
+        const warnings = [];
+        const hasChannel = (id) => guild.channels.cache.has(id);
+        const hasRole = (id) => guild.roles.cache.has(id);
+        const settings = { ...(archive.guild_settings || {}) };
+
+        for (const column of ['levelup_channel', 'xp_log_channel']) {
+            if (settings[column] && !hasChannel(settings[column])) {
+                warnings.push(`${column} ${settings[column]} not found - cleared`);
+                settings[column] = null;
+                settings[column === 'levelup_channel' ? 'levelup_enabled' : 'xp_log_enabled'] = false;
+            }
+        }
+
+        const filterList = (list, getId, exists, label) => (list || []).filter(entry => {
+            if (exists(getId(entry))) return true;
+            warnings.push(`${label} ${getId(entry)} not found - dropped`);
+            return false;
+        });
+
+        // Only lists present in the archive are touched - a null level_roles keeps meaning "use the environment defaults"
+        if (Array.isArray(settings.xp_channel_rules)) settings.xp_channel_rules = filterList(settings.xp_channel_rules, rule => rule?.channel_id, hasChannel, 'Channel rule target');
+        if (Array.isArray(settings.no_xp_roles)) settings.no_xp_roles = filterList(settings.no_xp_roles, roleId => roleId, hasRole, 'No-XP role');
+        if (Array.isArray(settings.admin_roles)) settings.admin_roles = filterList(settings.admin_roles, entry => entry?.role_id, hasRole, 'Admin role');
+        if (Array.isArray(settings.level_roles)) settings.level_roles = filterList(settings.level_roles, entry => entry?.role_id, hasRole, 'Level role');
+        const boostRoles = filterList(archive.boost_roles, boost => boost?.role_id, hasRole, 'Boost role');
+
+        return { settings, boostRoles, warnings };
+    }
+
+    /**
+     * Convert an archived setting back to its guild_settings column value (empty JSON lists are stored as NULL)
+     * level_roles keeps an empty list, because NULL there means "use the environment defaults"
+     */
+    serializeSetting(column, value) {
+        if (value === undefined || value === null) return null;
+        if (this.settingColumns[column] !== 'json') return value;
+
+        if (column === 'level_roles') return JSON.stringify(value);
+
+        const isEmpty = Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0;
+        return isEmpty ? null : JSON.stringify(value);
+    }
+
+    /**
+     * Compare an archive against the guild's current data (dry-run diff)
+     */
+    async diffArchive(archive, guild) {
+        const current = new Map(
+            (await this.dbManager.getAllUserLevels(guild.id)).map(row => [row.user_id, parseInt(row.total_xp) || 0])
+        );
+
+        const diff = { newUsers: 0, raised: 0, lowered: 0, unchanged: 0, untouched: 0, xpDelta: 0, changes: [] };
+        const archived = new Set();
+
+        for (const row of archive.user_levels) {
+            archived.add(row.user_id);
+            const before = current.get(row.user_id);
+
+            if (before === undefined) {
+                diff.newUsers++;
+            } else if (row.total_xp > before) {
+                diff.raised++;
+            } else if (row.total_xp < before) {
+                diff.lowered++;
+            } else {
+                diff.unchanged++;
+                continue;
+            }
+
+            diff.xpDelta += row.total_xp - (before || 0);
+            diff.changes.push({ userId: row.user_id, before: before || 0, after: row.total_xp });
+        }
+
+        diff.untouched = [...current.keys()].filter(userId => !archived.has(userId)).length;
+        diff.changes.sort((a, b) => Math.abs(b.after - b.before) - Math.abs(a.after - a.before));
+
+        const { settings, boostRoles, warnings } = this.remapReferences(archive, guild);
+        const currentSettings = await this.dbManager.getGuildSettings(guild.id);
+
+        diff.settingsChanged = Object.keys(this.settingColumns).filter(column =>
+            column in settings && String(this.serializeSetting(column, settings[column])) !== String(currentSettings?.[column] ?? null)
+        );
+        if (JSON.stringify(boostRoles) !== (currentSettings?.xp_boost_roles || '[]')) {
+            diff.settingsChanged.push('xp_boost_roles');
+        }
+
+        diff.warnings = warnings;
+        diff.dailyRows = archive.daily_xp.length;
+
+        return diff;
+    }
+
+    /**
+     * Write an archive into a guild - users not in the archive are left untouched
+     */
+    async restoreArchive(archive, guild, actorId) {
+        const diff = await this.diffArchive(archive, guild);
+        const { settings, boostRoles } = this.remapReferences(archive, guild);
+
+        // Levels are recalculated so archives from a different curve stay consistent
+        const userRows = archive.user_levels.map(row => ({
+            ...row,
+            level: this.levelCalculator.calculateLevel(row.total_xp)
+        }));
+
+        // One transaction, so a failure part way through leaves the guild as it was
+        const { usersWritten, dailyWritten } = await this.dbManager.transaction(async (tx) => {
+            const users = await tx.bulkRestoreUserLevels(guild.id, userRows);
+            const daily = await tx.bulkRestoreDailyXP(guild.id, archive.daily_xp);
+
+            for (const column of Object.keys(this.settingColumns)) {
+                if (!(column in settings)) continue;
+                await this.writeSetting(tx, guild.id, column, this.serializeSetting(column, settings[column]));
+            }
+            await this.writeSetting(tx, guild.id, 'xp_boost_roles', JSON.stringify(boostRoles));
+
+            await tx.recordXPTransactionsBulk(diff.changes.map(change => ({
+                userId: change.userId,
+                guildId: guild.id,
+                amount: change.after - change.before,
+                source: 'restore',
+                actorId,
+                reason: `Restored from archive exported ${archive.exported_at || 'unknown'}`,
+                balanceAfter: change.after
+            })));
+
+            return { usersWritten: users, dailyWritten: daily };
+        });
+
+        log.info(`Restored ${usersWritten} users and ${dailyWritten} daily rows into ${guild.name} (${guild.id})`);
+
+        return { diff, usersWritten, dailyWritten };
+    }
+
+    /**
+     * updateGuildSetting reports failures by returning false - turn that into an error inside a transaction
+     */
+    async writeSetting(tx, guildId, column, value) {
+        if (!await tx.updateGuildSetting(guildId, column, value)) {
+            throw new Error(`Failed to restore ${column}`);
+        }
+    }
+}
+
+module.exports = GuildBackupManager;
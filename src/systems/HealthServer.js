@@ -0,0 +1,162 @@
+const http = require('http');
+const metrics = require('../utils/Metrics');
+const config = require('../utils/Config');
+const logger = require('../utils/Logger');
+
+const log = logger.child('http');
+
+/**
+ * HealthServer - Built-in HTTP server for liveness, readiness and Prometheus metrics
+ *   GET /healthz  process is up
+ *   GET /readyz   Discord gateway and Postgres are connected (Redis is reported, not required)
+ *   GET /metrics  Prometheus text format
+ *   GET /api/...  REST API (see ApiRouter), when an api router is given
+ */
+class HealthServer {
+    constructor(client, connectionManager, jobScheduler = null, apiRouter = null) {
+        this.client = client;
+        this.connectionManager = connectionManager;
+        this.jobScheduler = jobScheduler;
+        this.apiRouter = apiRouter;
+        this.port = config.get('PORT');
+        this.server = null;
+        this.startedAt = Date.now();
+
+        metrics.gauge('leveling_up', 'Whether a dependency is connected (1) or not (0)', ['component']);
+        metrics.gauge('leveling_guilds', 'Guilds the bot is serving');
+        metrics.gauge('leveling_discord_ping_seconds', 'Discord gateway heartbeat latency');
+        metrics.gauge('leveling_process_uptime_seconds', 'Process uptime');
+        metrics.gauge('leveling_process_resident_memory_bytes', 'Resident memory size');
+    }
+
+    /**
+     * Start listening - resolves once the port is bound
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => {
+                // Details stay in the log - these endpoints are unauthenticated
+                this.handleRequest(req, res).catch(error => {
+                    log.error(`Error handling ${req.method} ${req.url}:`, error);
+                    this.send(res, 500, { status: 'error', error: 'Internal server error' });
+                });
+            });
+
+            this.server.once('error', reject);
+            this.server.listen(this.port, () => {
+                log.info(`🩺 Health server listening on port ${this.port} (/healthz, /readyz, /metrics${this.apiRouter ? ', /api/v1' : ''})`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Route a request
+     */
+    async handleRequest(req, res) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return this.send(res, 405, { status: 'error', error: 'Method not allowed' });
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        const pathname = url.pathname;
+
+        if (this.apiRouter && pathname.startsWith('/api/')) {
+            return this.apiRouter.handle(req, res, url);
+        }
+
+        switch (pathname) {
+            case '/healthz':
+                return this.send(res, 200, {
+                    status: 'ok',
+                    uptime: Math.floor((Date.now() - this.startedAt) / 1000)
+                });
+
+            case '/readyz': {
+                const readiness = await this.getReadiness();
+                return this.send(res, readiness.ready ? 200 : 503, readiness);
+            }
+
+            case '/metrics':
+                this.updateGauges();
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                return res.end(req.method === 'HEAD' ? undefined : metrics.render());
+
+            default:
+                return this.send(res, 404, { status: 'error', error: 'Not found' });
+        }
+    }
+
+    /**
+     * Readiness from the Discord gateway and ConnectionManager health status
+     */
+    async getReadiness() {
+        const health = this.connectionManager.getHealthStatus();
+        const discordReady = this.client.isReady();
+
+        const readiness = {
+            ready: discordReady && health.postgresql.connected,
+            checks: {
+                discord: { ready: discordReady, ping: discordReady ? Math.round(this.client.ws.ping) : null, required: true },
+                postgresql: { connected: health.postgresql.connected, required: true },
+                redis: { connected: health.redis.connected, fallbackActive: health.redis.fallbackActive, required: false }
+            }
+        };
+
+        if (this.jobScheduler) {
+            try {
+                readiness.jobs = await this.jobScheduler.getStatus();
+            } catch (error) {
+                log.error('Error reading job status for readiness:', error);
+                readiness.jobs = { error: 'Job status unavailable' };
+            }
+        }
+
+        readiness.status = readiness.ready ? 'ready' : 'not_ready';
+        return readiness;
+    }
+
+    /**
+     * Refresh point-in-time gauges before a scrape
+     */
+    updateGauges() {
+        const health = this.connectionManager.getHealthStatus();
+        const discordReady = this.client.isReady();
+
+        metrics.set('leveling_up', { component: 'discord' }, discordReady ? 1 : 0);
+        metrics.set('leveling_up', { component: 'postgresql' }, health.postgresql.connected ? 1 : 0);
+        metrics.set('leveling_up', { component: 'redis' }, health.redis.connected ? 1 : 0);
+        metrics.set('leveling_guilds', {}, discordReady ? this.client.guilds.cache.size : 0);
+        if (discordReady && this.client.ws.ping >= 0) {
+            metrics.set('leveling_discord_ping_seconds', {}, this.client.ws.ping / 1000);
+        }
+        metrics.set('leveling_process_uptime_seconds', {}, Math.floor(process.uptime()));
+        metrics.set('leveling_process_resident_memory_bytes', {}, process.memoryUsage().rss);
+    }
+
+    /**
+     * Send a JSON response
+     */
+    send(res, statusCode, body) {
+        if (res.headersSent) return res.end();
+
+        res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(body));
+    }
+
+    /**
+     * Stop listening
+     */
+    async stop() {
+        if (!this.server) return;
+
+        await new Promise(resolve => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections?.();
+        });
+        this.server = null;
+        log.info('🩺 Health server stopped');
+    }
+}
+
+module.exports = HealthServer;
@@ -0,0 +1,212 @@
+const os = require('os');
+const DatabaseManager = require('./DatabaseManager');
+const config = require('../utils/Config');
+
+// Longest delay setTimeout accepts (~24.8 days)
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * JobScheduler - Recurring background jobs with run state persisted in Postgres
+ * Missed runs are caught up on startup and a pg advisory lock per job keeps
+ * multiple bot instances from running the same job at the same time
+ */
+class JobScheduler {
+    constructor(db) {
+        this.db = db;
+        this.dbManager = new DatabaseManager(db);
+        this.instanceId = config.get('INSTANCE_ID') || `${os.hostname()}:${process.pid}`;
+
+        this.jobs = new Map();
+        this.timers = new Map();
+        this.running = new Set();
+        this.started = false;
+    }
+
+    /**
+     * Register a job
+     * options: { interval (ms) | getNextRun(now, state) -> Date, handler(state) -> new state }
+     */
+    register(name, options) {
+        if (this.jobs.has(name)) {
+            throw new Error(`Job ${name} is already registered`);
+        }
+        if (typeof options.handler !== 'function' || (!options.interval && typeof options.getNextRun !== 'function')) {
+            throw new Error(`Job ${name} needs a handler and an interval or getNextRun()`);
+        }
+
+        this.jobs.set(name, { ...options, name });
+
+        if (this.started) {
+            this.initializeJob(this.jobs.get(name)).catch(error => console.error(`[SCHEDULER] Error starting job ${name}:`, error));
+        }
+    }
+
+    /**
+     * Compute when a job should next run
+     */
+    async computeNextRun(job, state, now = new Date()) {
+        if (job.getNextRun) {
+            return await job.getNextRun(now, state);
+        }
+        return new Date(now.getTime() + job.interval);
+    }
+
+    /**
+     * Load persisted state for every registered job and arm their timers
+     */
+    async start() {
+        this.started = true;
+        console.log(`⏱️ [SCHEDULER] Starting ${this.jobs.size} job(s) on instance ${this.instanceId}`);
+
+        for (const job of this.jobs.values()) {
+            try {
+                await this.initializeJob(job);
+            } catch (error) {
+                console.error(`[SCHEDULER] Error starting job ${job.name}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Create the job row if needed, then run it now if a run was missed (e.g. during a restart) or arm its timer
+     */
+    async initializeJob(job) {
+        const stored = await this.dbManager.ensureScheduledJob(job.name, await this.computeNextRun(job, null));
+        const nextRunAt = stored?.next_run_at ? new Date(stored.next_run_at) : new Date();
+
+        if (nextRunAt.getTime() <= Date.now()) {
+            console.log(`⏱️ [SCHEDULER] Job ${job.name} missed its run at ${nextRunAt.toISOString()} - catching up`);
+            await this.runJob(job.name);
+            return;
+        }
+
+        this.arm(job.name, nextRunAt);
+    }
+
+    /**
+     * Set the timer for a job's next run
+     */
+    arm(name, runAt) {
+        if (!this.started) return;
+
+        clearTimeout(this.timers.get(name));
+
+        const delay = Math.min(Math.max(runAt.getTime() - Date.now(), 0), MAX_TIMEOUT);
+        this.timers.set(name, setTimeout(() => {
+            this.runJob(name).catch(error => console.error(`[SCHEDULER] Error running job ${name}:`, error));
+        }, delay));
+    }
+
+    /**
+     * Run a job if it is due (or forced) and this instance wins the job lock
+     */
+    async runJob(name, force = false) {
+        const job = this.jobs.get(name);
+        if (!job || this.running.has(name)) return false;
+
+        this.running.add(name);
+        let client = null;
+        let locked = false;
+
+        try {
+            client = await this.db.connect();
+            const lockResult = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [`Leveling-Bot_job:${name}`]);
+            locked = lockResult.rows[0].locked;
+
+            // Re-read state under the lock - another instance may already have run it
+            const stored = await this.dbManager.getScheduledJob(name);
+            const nextRunAt = stored?.next_run_at ? new Date(stored.next_run_at) : new Date();
+
+            if (!locked || (!force && nextRunAt.getTime() > Date.now())) {
+                if (!locked) console.log(`⏱️ [SCHEDULER] Job ${name} is running on another instance - skipping`);
+                this.arm(name, locked ? nextRunAt : new Date(Date.now() + 60000));
+                return false;
+            }
+
+            const startedAt = Date.now();
+            let status = 'success';
+            let errorMessage = null;
+            let state = stored?.state ?? null;
+
+            try {
+                const result = await job.handler(state);
+                if (result !== undefined) state = result;
+            } catch (error) {
+                status = 'failed';
+                errorMessage = error.message;
+                console.error(`❌ [SCHEDULER] Job ${name} failed:`, error);
+            }
+
+            const next = await this.computeNextRun(job, state);
+            await this.dbManager.recordScheduledJobRun(name, {
+                status,
+                error: errorMessage,
+                durationMs: Date.now() - startedAt,
+                instanceId: this.instanceId,
+                nextRunAt: next,
+                state
+            });
+
+            this.arm(name, next);
+            return status === 'success';
+
+        } catch (error) {
+            console.error(`[SCHEDULER] Error running job ${name}:`, error);
+            this.arm(name, new Date(Date.now() + 60000));
+            return false;
+        } finally {
+            if (client) {
+                if (locked) {
+                    await client.query('SELECT pg_advisory_unlock(hashtext($1))', [`Leveling-Bot_job:${name}`]).catch(() => {});
+                }
+                client.release();
+            }
+            this.running.delete(name);
+        }
+    }
+
+    /**
+     * Job status for health output
+     */
+    async getStatus() {
+        const stored = new Map((await this.dbManager.getScheduledJobs()).map(row => [row.name, row]));
+
+        return [...this.jobs.keys()].map(name => {
+            const row = stored.get(name);
+            return {
+                name,
+                running: this.running.has(name),
+                lastRunAt: row?.last_run_at || null,
+                nextRunAt: row?.next_run_at || null,
+                lastStatus: row?.last_status || null,
+                lastError: row?.last_error || null,
+                lastDurationMs: row?.last_duration_ms ?? null,
+                lastInstance: row?.last_instance || null,
+                runCount: row?.run_count || 0
+            };
+        });
+    }
+
+    /**
+     * Stop all timers and wait briefly for running jobs to finish
+     */
+    async stop() {
+        this.started = false;
+
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+
+        let attempts = 0;
+        while (this.running.size > 0 && attempts < 10) {
+            console.log(`⏱️ [SCHEDULER] Waiting for ${this.running.size} running job(s)...`);
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            attempts++;
+        }
+
+        console.log('⏱️ [SCHEDULER] Stopped');
+    }
+}
+
+module.exports = JobScheduler;
@@ -2,35 +2,53 @@ const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
 const CanvasGenerator = require('../utils/CanvasGenerator');
 const BountyCalculator = require('../utils/BountyCalculator');
 const DatabaseManager = require('./DatabaseManager');
+const GuildConfig = require('../utils/GuildConfig');
+const LevelUpTemplate = require('../utils/LevelUpTemplate');
+const metrics = require('../utils/Metrics');
+const config = require('../utils/Config');
 
 /**
  * LevelUpHandler - Handles level up events and notifications using guild settings
  */
 class LevelUpHandler {
-    constructor(client, db) {
+    constructor(client, db, events = null, getGuildConfig = null) {
         this.client = client;
         this.db = db;
+        this.events = events;
         this.dbManager = new DatabaseManager(db);
+        this.guildConfig = new GuildConfig();
         this.canvasGenerator = new CanvasGenerator();
         this.bountyCalculator = new BountyCalculator();
+        this.levelUpTemplate = new LevelUpTemplate();
+
+        // Cached effective config lookup (XPManager.getGuildConfig) - falls back to a direct DB read
+        this.getGuildConfig = getGuildConfig;
+
+        // Guilds with a bulk level role sync in progress
+        this.roleSyncs = new Set();
     }
 
     /**
      * Handle level up event with guild settings
+     * channelId is where the qualifying XP was earned (null for admin changes)
      */
-    async handleLevelUp(userId, guildId, oldLevel, newLevel, totalXP, user, member, source) {
+    async handleLevelUp(userId, guildId, oldLevel, newLevel, totalXP, user, member, source, channelId = null) {
         try {
             console.log(`[LEVEL UP] ${user.username}: ${oldLevel} → ${newLevel}`);
+            metrics.inc('leveling_level_ups_total');
 
             // Get guild settings from database
             const guildSettings = await this.dbManager.getGuildSettings(guildId);
+            const guildConfig = await this.resolveGuildConfig(guildId);
 
-            // Award level roles
-            const roleReward = await this.awardLevelRoles(member, newLevel);
+            // Award level roles (members who left, e.g. when an undo raises their level, get none)
+            const roleReward = member ? await this.awardLevelRoles(member, newLevel) : null;
 
             // Send level up notification if enabled
-            if (guildSettings?.levelup_enabled) {
-                await this.sendLevelUpNotification(userId, guildId, oldLevel, newLevel, totalXP, user, member, roleReward, source, guildSettings);
+            if (!member) {
+                console.log('[LEVEL UP] Member is not in the guild, skipping announcement');
+            } else if (guildSettings?.levelup_enabled && guildConfig.levelup_mode !== 'off') {
+                await this.sendLevelUpNotification(userId, guildId, oldLevel, newLevel, totalXP, user, member, roleReward, source, guildSettings, channelId);
             } else {
                 console.log('[LEVEL UP] Level up announcements disabled for this guild');
             }
@@ -40,67 +58,88 @@ class LevelUpHandler {
                 await this.logLevelUp(user, guildId, oldLevel, newLevel, totalXP, roleReward, source, guildSettings);
             }
 
+            if (this.events) {
+                await this.events.emit('level.up', { userId, guildId, oldLevel, newLevel, totalXP, source, roleReward, user, member, channelId });
+            }
+
         } catch (error) {
             console.error('Error handling level up:', error);
         }
     }
 
     /**
-     * Award level roles based on new level
+     * Handle a level going down (admin XP removal, set or reset) - returns the level role changes { added, removed }
+     */
+    async handleLevelDown(userId, guildId, oldLevel, newLevel, totalXP, user, member, source) {
+        let roleChanges = { added: [], removed: [] };
+
+        try {
+            console.log(`[LEVEL DOWN] ${user.username}: ${oldLevel} → ${newLevel}`);
+            metrics.inc('leveling_level_downs_total');
+
+            const guildSettings = await this.dbManager.getGuildSettings(guildId);
+            const guildConfig = await this.resolveGuildConfig(guildId);
+
+            // Members who left keep no roles to fix
+            if (member) {
+                roleChanges = await this.syncMemberLevelRoles(member, newLevel);
+            }
+
+            if (guildSettings?.levelup_enabled && guildConfig.levelup_mode !== 'off' && guildConfig.announce_demotions) {
+                await this.sendLevelDownNotification(userId, oldLevel, newLevel, totalXP, user, member, roleChanges, guildSettings, guildConfig);
+            }
+
+            if (guildSettings?.xp_log_enabled && guildSettings?.xp_log_channel) {
+                await this.logLevelDown(user, guildId, oldLevel, newLevel, totalXP, roleChanges, source, guildSettings);
+            }
+
+            if (this.events) {
+                await this.events.emit('level.down', { userId, guildId, oldLevel, newLevel, totalXP, source, roleChanges, user, member });
+            }
+
+        } catch (error) {
+            console.error('Error handling level down:', error);
+        }
+
+        return roleChanges;
+    }
+
+    /**
+     * Award level roles based on new level - returns the name of the highest role added, or null
+     * Replace mode removes lower rewards, stack mode keeps them; rewards above the level are left alone
      */
     async awardLevelRoles(member, newLevel) {
         try {
-            const levelRoles = [
-                { level: 0, roleId: process.env.LEVEL_0_ROLE },
-                { level: 5, roleId: process.env.LEVEL_5_ROLE },
-                { level: 10, roleId: process.env.LEVEL_10_ROLE },
-                { level: 15, roleId: process.env.LEVEL_15_ROLE },
-                { level: 20, roleId: process.env.LEVEL_20_ROLE },
-                { level: 25, roleId: process.env.LEVEL_25_ROLE },
-                { level: 30, roleId: process.env.LEVEL_30_ROLE },
-                { level: 35, roleId: process.env.LEVEL_35_ROLE },
-                { level: 40, roleId: process.env.LEVEL_40_ROLE },
-                { level: 45, roleId: process.env.LEVEL_45_ROLE },
-                { level: 50, roleId: process.env.LEVEL_50_ROLE }
-            ];
+            const levelRoles = await this.getGuildLevelRoles(member.guild);
+            const mode = await this.getLevelRoleMode(member.guild.id);
+            const targetIds = new Set(this.getTargetLevelRoles(levelRoles, newLevel, mode).map(({ role_id: roleId }) => roleId));
 
             let roleReward = null;
 
-            // Find the highest level role that user qualifies for
-            let targetRole = null;
-            for (const { level, roleId } of levelRoles.reverse()) {
-                if (newLevel >= level && roleId && roleId !== '') {
-                    const role = member.guild.roles.cache.get(roleId);
-                    if (role) {
-                        targetRole = { role, level };
-                        break;
+            if (mode === 'replace') {
+                for (const { level, role_id: roleId } of levelRoles) {
+                    if (level > newLevel || targetIds.has(roleId) || !member.roles.cache.has(roleId)) continue;
+
+                    const oldRole = member.guild.roles.cache.get(roleId);
+                    try {
+                        await member.roles.remove(oldRole);
+                        console.log(`[LEVEL UP] Removed old level role: ${oldRole.name} from ${member.displayName}`);
+                    } catch (error) {
+                        console.error(`[LEVEL UP] Failed to remove old role ${oldRole.name}:`, error);
                     }
                 }
             }
 
-            if (targetRole && !member.roles.cache.has(targetRole.role.id)) {
-                // Remove lower level roles first
-                for (const { roleId } of levelRoles) {
-                    if (roleId && roleId !== '' && roleId !== targetRole.role.id && member.roles.cache.has(roleId)) {
-                        const oldRole = member.guild.roles.cache.get(roleId);
-                        if (oldRole) {
-                            try {
-                                await member.roles.remove(oldRole);
-                                console.log(`[LEVEL UP] Removed old level role: ${oldRole.name} from ${member.displayName}`);
-                            } catch (error) {
-                                console.error(`[LEVEL UP] Failed to remove old role ${oldRole.name}:`, error);
-                            }
-                        }
-                    }
-                }
+            for (const roleId of targetIds) {
+                if (member.roles.cache.has(roleId)) continue;
 
-                // Add new level role
+                const role = member.guild.roles.cache.get(roleId);
                 try {
-                    await member.roles.add(targetRole.role);
-                    roleReward = targetRole.role.name;
-                    console.log(`[LEVEL UP] Awarded level role: ${targetRole.role.name} to ${member.displayName}`);
+                    await member.roles.add(role);
+                    roleReward = role.name;
+                    console.log(`[LEVEL UP] Awarded level role: ${role.name} to ${member.displayName}`);
                 } catch (error) {
-                    console.error(`[LEVEL UP] Failed to add role ${targetRole.role.name}:`, error);
+                    console.error(`[LEVEL UP] Failed to add role ${role.name}:`, error);
                 }
             }
 
@@ -113,35 +152,235 @@ class LevelUpHandler {
     }
 
     /**
-     * Send level up notification with wanted poster
+     * Add and remove level roles so a member matches their level exactly - returns role names { added, removed }
      */
-    async sendLevelUpNotification(userId, guildId, oldLevel, newLevel, totalXP, user, member, roleReward, source, guildSettings) {
-        try {
-            const channelId = guildSettings?.levelup_channel;
-            if (!channelId) {
-                console.log('[LEVEL UP] No level up channel configured');
-                return;
+    async syncMemberLevelRoles(member, level) {
+        const changes = { added: [], removed: [] };
+        const levelRoles = await this.getGuildLevelRoles(member.guild);
+        const { add, remove } = this.getLevelRoleChanges(member, levelRoles, level, await this.getLevelRoleMode(member.guild.id));
+
+        for (const role of remove) {
+            try {
+                await member.roles.remove(role);
+                changes.removed.push(role.name);
+                console.log(`[LEVEL DOWN] Removed level role: ${role.name} from ${member.displayName}`);
+            } catch (error) {
+                console.error(`[LEVEL DOWN] Failed to remove role ${role.name}:`, error);
             }
+        }
 
-            const channel = await this.client.channels.fetch(channelId).catch(() => null);
-            if (!channel || !channel.isTextBased()) {
-                console.log('[LEVEL UP] Level up channel not found or not a text channel');
-                return;
+        for (const role of add) {
+            try {
+                await member.roles.add(role);
+                changes.added.push(role.name);
+            } catch (error) {
+                console.error(`[LEVEL DOWN] Failed to add role ${role.name}:`, error);
             }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Level rewards whose role still exists in the guild, lowest level first
+     */
+    async getGuildLevelRoles(guild) {
+        const levelRoles = await this.dbManager.getLevelRoles(guild.id);
+        return levelRoles.filter(({ role_id: roleId }) => guild.roles.cache.has(roleId));
+    }
+
+    /**
+     * Guild's level role mode - 'replace' (keep only the highest) or 'stack' (keep every earned role)
+     */
+    async getLevelRoleMode(guildId) {
+        const guildConfig = await this.resolveGuildConfig(guildId);
+        return guildConfig.level_role_mode === 'stack' ? 'stack' : 'replace';
+    }
+
+    /**
+     * Effective per-guild config
+     */
+    async resolveGuildConfig(guildId) {
+        return this.getGuildConfig
+            ? await this.getGuildConfig(guildId)
+            : this.guildConfig.resolve(await this.dbManager.getGuildConfigOverrides(guildId));
+    }
 
-            // Check bot permissions in the channel
-            const permissions = channel.permissionsFor(this.client.user);
-            if (!permissions || !permissions.has(['SendMessages', 'EmbedLinks', 'AttachFiles'])) {
-                console.log('[LEVEL UP] Missing permissions in level up channel');
-                return;
+    /**
+     * Rewards a member at this level should hold (levelRoles sorted lowest level first)
+     * Stack mode keeps every earned reward, replace mode only those at the highest earned level
+     */
+    getTargetLevelRoles(levelRoles, level, mode) {
+        const earned = levelRoles.filter(entry => entry.level <= level);
+        if (mode === 'stack' || earned.length === 0) return earned;
+
+        const highest = earned[earned.length - 1].level;
+        return earned.filter(entry => entry.level === highest);
+    }
+
+    /**
+     * Roles to add and remove so a member matches their level - returns { add: [role], remove: [role] }
+     * Unlike awardLevelRoles this also removes rewards above the level
+     */
+    getLevelRoleChanges(member, levelRoles, level, mode) {
+        const targetIds = new Set(this.getTargetLevelRoles(levelRoles, level, mode).map(({ role_id: roleId }) => roleId));
+        const changes = { add: [], remove: [] };
+
+        for (const { role_id: roleId } of levelRoles) {
+            const has = member.roles.cache.has(roleId);
+
+            if (targetIds.has(roleId) && !has) {
+                changes.add.push(member.guild.roles.cache.get(roleId));
+            } else if (!targetIds.has(roleId) && has) {
+                changes.remove.push(member.guild.roles.cache.get(roleId));
             }
+        }
 
-            // Calculate bounty information
-            const oldBounty = this.bountyCalculator.getBountyForLevel(oldLevel);
-            const newBounty = this.bountyCalculator.getBountyForLevel(newLevel);
-            const bountyIncrease = newBounty - oldBounty;
-            const threatLevel = this.bountyCalculator.getThreatLevelName(newLevel);
-            
+        return changes;
+    }
+
+    /**
+     * Why the bot cannot manage a role as a level reward, or null when it can
+     */
+    getLevelRoleIssue(guild, role) {
+        if (role.id === guild.id) return 'The @everyone role cannot be a level reward.';
+        if (role.managed) return `**${role.name}** is managed by an integration and cannot be assigned.`;
+
+        const me = guild.members.me;
+        if (!me) return null;
+
+        if (!me.permissions.has('ManageRoles')) return 'I need the **Manage Roles** permission to assign level roles.';
+        if (role.position >= me.roles.highest.position) return `**${role.name}** is not below my highest role - move my role above it.`;
+
+        return null;
+    }
+
+    /**
+     * Get the configured level role IDs a member currently has
+     */
+    async getMemberLevelRoles(member) {
+        if (!member) return [];
+        const levelRoles = await this.dbManager.getLevelRoles(member.guild.id);
+        return levelRoles
+            .filter(({ role_id: roleId }) => member.roles.cache.has(roleId))
+            .map(({ role_id: roleId }) => roleId);
+    }
+
+    /**
+     * Make a member's level roles match a previous snapshot - non-level roles are untouched
+     */
+    async restoreLevelRoles(member, roleIds) {
+        const changes = { added: [], removed: [] };
+        if (!member) return changes;
+
+        for (const { role_id: roleId } of await this.getGuildLevelRoles(member.guild)) {
+            const role = member.guild.roles.cache.get(roleId);
+            const shouldHave = roleIds.includes(roleId);
+            const has = member.roles.cache.has(roleId);
+
+            try {
+                if (shouldHave && !has) {
+                    await member.roles.add(role);
+                    changes.added.push(role.name);
+                } else if (!shouldHave && has) {
+                    await member.roles.remove(role);
+                    changes.removed.push(role.name);
+                }
+            } catch (error) {
+                console.error(`[LEVEL UP] Failed to restore level role ${role.name}:`, error);
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Send level up notification with wanted poster
+     */
+    async sendLevelUpNotification(userId, guildId, oldLevel, newLevel, totalXP, user, member, roleReward, source, guildSettings, channelId = null) {
+        try {
+            const guildConfig = await this.resolveGuildConfig(guildId);
+            const withPoster = this.shouldAttachPoster(guildConfig, newLevel);
+            const requiredPermissions = withPoster ? ['SendMessages', 'EmbedLinks', 'AttachFiles'] : ['SendMessages', 'EmbedLinks'];
+
+            const destination = await this.getLevelUpDestination(guildSettings, guildConfig, user, channelId, requiredPermissions);
+            if (!destination) return;
+
+            const { embeds, files } = await this.buildLevelUpMessage({
+                userId, oldLevel, newLevel, totalXP, member, roleReward, source, guildConfig
+            });
+
+            // Ping unless the guild turned pings off or the member opted out
+            const pingUser = guildConfig.levelup_ping && !await this.dbManager.hasLevelUpPingOptOut(userId, guildId);
+
+            const sentTo = await this.sendToLevelUpDestination(destination, guildSettings, requiredPermissions, { embeds, files }, pingUser ? `<@${userId}>` : '');
+            if (!sentTo) return;
+
+            console.log(`[LEVEL UP] ✅ Sent level up notification for ${member.displayName} (${oldLevel} → ${newLevel}) via ${sentTo}`);
+
+        } catch (error) {
+            console.error('[LEVEL UP] Error sending level up notification:', error);
+        }
+    }
+
+    /**
+     * Build the level up announcement - the guild's template if one applies, otherwise the Marine report
+     * Returns { embeds, files, milestone, template } (also used by the /settings preview)
+     */
+    async buildLevelUpMessage({ userId, oldLevel, newLevel, totalXP, member, roleReward, source, guildConfig }) {
+        // Calculate bounty information
+        const oldBounty = this.bountyCalculator.getBountyForLevel(oldLevel);
+        const newBounty = this.bountyCalculator.getBountyForLevel(newLevel);
+        const bountyIncrease = newBounty - oldBounty;
+        const threatLevel = this.bountyCalculator.getThreatLevelName(newLevel);
+
+        const milestone = this.isMilestoneLevel(guildConfig, newLevel);
+        const template = (milestone && guildConfig.levelup_milestone_template) || guildConfig.levelup_template || '';
+
+        const embed = new EmbedBuilder()
+            .setAuthor({ 
+                name: '⚠️ MARINE INTELLIGENCE BUREAU - THREAT LEVEL UPDATE'
+            })
+            .setColor(0xFF0000)
+            .setTitle('🚨 BOUNTY INCREASE CONFIRMED 🚨');
+
+        if (template) {
+            const values = await this.getTemplateValues(userId, newLevel, member, roleReward);
+            embed.setDescription(this.levelUpTemplate.render(template, values).slice(0, 4096));
+        } else {
+            embed.setDescription(`\`\`\`diff\n- URGENT: BOUNTY UPDATE REQUIRED\n- Subject: ${member.displayName}\n- Previous Level: ${oldLevel}\n- NEW THREAT LEVEL: ${newLevel}\n- Classification: ${threatLevel}\n- XP Source: ${source.toUpperCase()}\n${roleReward ? `- Marine Rank Assigned: ${roleReward}\n` : ''}\`\`\``)
+                .addFields(
+                    {
+                        name: '💰 BOUNTY ADJUSTMENT',
+                        value: `**Previous Bounty:** ฿${oldBounty.toLocaleString()}\n**NEW BOUNTY:** ฿${newBounty.toLocaleString()}\n**Increase:** +฿${bountyIncrease.toLocaleString()}`,
+                        inline: true
+                    },
+                    {
+                        name: '📊 THREAT ANALYSIS',
+                        value: `**Total XP:** ${totalXP.toLocaleString()}\n**Current Level:** ${newLevel}\n**Threat Class:** ${threatLevel}`,
+                        inline: true
+                    }
+                );
+
+            // Add special message for milestone levels
+            const threatMessage = this.bountyCalculator.getThreatLevelMessage(newLevel);
+            if (threatMessage !== "Bounty increased. Threat level rising.") {
+                embed.addFields({
+                    name: '⚠️ MARINE INTELLIGENCE ASSESSMENT',
+                    value: `\`\`\`diff\n- ${threatMessage}\n\`\`\``,
+                    inline: false
+                });
+            }
+        }
+
+        embed
+            .setFooter({ 
+                text: `⚓ Marine Intelligence Division • Bounty System • Classification: ${threatLevel}`
+            })
+            .setTimestamp();
+
+        const files = [];
+        if (this.shouldAttachPoster(guildConfig, newLevel)) {
             // Create user data for poster
             const userData = {
                 userId: userId,
@@ -157,20 +396,71 @@ class LevelUpHandler {
 
             // Generate wanted poster
             const canvas = await this.canvasGenerator.createWantedPoster(userData, member.guild);
-            const attachment = new AttachmentBuilder(canvas.toBuffer(), { name: `bounty_increase_${userId}.png` });
+            files.push(new AttachmentBuilder(canvas.toBuffer(), { name: `bounty_increase_${userId}.png` }));
+            embed.setImage(`attachment://bounty_increase_${userId}.png`);
+        }
+
+        return { embeds: [embed], files, milestone, template };
+    }
+
+    /**
+     * Placeholder values for a level up template
+     */
+    async getTemplateValues(userId, level, member, roleReward) {
+        const levelRoles = await this.getGuildLevelRoles(member.guild);
+        const earned = levelRoles.filter(reward => reward.level <= level).at(-1);
+        const rank = await this.dbManager.getUserRank(userId, member.guild.id);
+
+        return {
+            user: `<@${userId}>`,
+            level,
+            bounty: `฿${this.bountyCalculator.getBountyForLevel(level).toLocaleString()}`,
+            threat: this.bountyCalculator.getThreatLevelName(level),
+            role: roleReward || (earned ? member.guild.roles.cache.get(earned.role_id)?.name : null) || 'None',
+            rank: rank ? `#${rank}` : 'Unranked',
+            next_bounty: `฿${this.bountyCalculator.getBountyForLevel(level + 1).toLocaleString()}`
+        };
+    }
+
+    /**
+     * Whether a level is one of the guild's milestone levels
+     */
+    isMilestoneLevel(guildConfig, level) {
+        return (guildConfig.levelup_milestones || []).includes(level);
+    }
+
+    /**
+     * Whether the wanted poster goes with this level's announcement (levelup_poster: always, milestones or never)
+     */
+    shouldAttachPoster(guildConfig, level) {
+        if (guildConfig.levelup_poster === 'never') return false;
+        if (guildConfig.levelup_poster === 'milestones') return this.isMilestoneLevel(guildConfig, level);
+        return true;
+    }
+
+    /**
+     * Announce a level down in the level up channel - no poster and no ping
+     */
+    async sendLevelDownNotification(userId, oldLevel, newLevel, totalXP, user, member, roleChanges, guildSettings, guildConfig) {
+        try {
+            const destination = await this.getLevelUpDestination(guildSettings, guildConfig, user, null, ['SendMessages', 'EmbedLinks']);
+            if (!destination) return;
+
+            const oldBounty = this.bountyCalculator.getBountyForLevel(oldLevel);
+            const newBounty = this.bountyCalculator.getBountyForLevel(newLevel);
+            const threatLevel = this.bountyCalculator.getThreatLevelName(newLevel);
 
-            // Create level up embed
             const embed = new EmbedBuilder()
-                .setAuthor({ 
+                .setAuthor({
                     name: '⚠️ MARINE INTELLIGENCE BUREAU - THREAT LEVEL UPDATE'
                 })
-                .setColor(0xFF0000)
-                .setTitle('🚨 BOUNTY INCREASE CONFIRMED 🚨')
-                .setDescription(`\`\`\`diff\n- URGENT: BOUNTY UPDATE REQUIRED\n- Subject: ${member.displayName}\n- Previous Level: ${oldLevel}\n- NEW THREAT LEVEL: ${newLevel}\n- Classification: ${threatLevel}\n- XP Source: ${source.toUpperCase()}\n${roleReward ? `- Marine Rank Assigned: ${roleReward}\n` : ''}\`\`\``)
+                .setColor(0x808080)
+                .setTitle('📉 BOUNTY REDUCED')
+                .setDescription(`\`\`\`diff\n- Subject: ${member?.displayName || user.username}\n- Previous Level: ${oldLevel}\n- NEW THREAT LEVEL: ${newLevel}\n- Classification: ${threatLevel}\n${roleChanges.removed.length > 0 ? `- Marine Rank Revoked: ${roleChanges.removed.join(', ')}\n` : ''}\`\`\``)
                 .addFields(
                     {
                         name: '💰 BOUNTY ADJUSTMENT',
-                        value: `**Previous Bounty:** ฿${oldBounty.toLocaleString()}\n**NEW BOUNTY:** ฿${newBounty.toLocaleString()}\n**Increase:** +฿${bountyIncrease.toLocaleString()}`,
+                        value: `**Previous Bounty:** ฿${oldBounty.toLocaleString()}\n**NEW BOUNTY:** ฿${newBounty.toLocaleString()}\n**Decrease:** -฿${(oldBounty - newBounty).toLocaleString()}`,
                         inline: true
                     },
                     {
@@ -178,39 +468,96 @@ class LevelUpHandler {
                         value: `**Total XP:** ${totalXP.toLocaleString()}\n**Current Level:** ${newLevel}\n**Threat Class:** ${threatLevel}`,
                         inline: true
                     }
-                );
-
-            // Add special message for milestone levels
-            const threatMessage = this.bountyCalculator.getThreatLevelMessage(newLevel);
-            if (threatMessage !== "Bounty increased. Threat level rising.") {
-                embed.addFields({
-                    name: '⚠️ MARINE INTELLIGENCE ASSESSMENT',
-                    value: `\`\`\`diff\n- ${threatMessage}\n\`\`\``,
-                    inline: false
-                });
-            }
-
-            embed.setImage(`attachment://bounty_increase_${userId}.png`)
-                .setFooter({ 
+                )
+                .setFooter({
                     text: `⚓ Marine Intelligence Division • Bounty System • Classification: ${threatLevel}`
                 })
                 .setTimestamp();
 
-            // Send the level up notification
-            const pingUser = process.env.LEVELUP_PING_USER === 'true';
-            const messageContent = pingUser ? `<@${userId}>` : '';
-
-            await channel.send({ 
-                content: messageContent,
-                embeds: [embed], 
-                files: [attachment] 
-            });
+            if (!await this.sendToLevelUpDestination(destination, guildSettings, ['SendMessages', 'EmbedLinks'], { embeds: [embed] }, '')) return;
 
-            console.log(`[LEVEL UP] ✅ Sent level up notification for ${member.displayName} (${oldLevel} → ${newLevel})`);
+            console.log(`[LEVEL DOWN] ✅ Sent level down notification for ${user.username} (${oldLevel} → ${newLevel})`);
 
         } catch (error) {
-            console.error('[LEVEL UP] Error sending level up notification:', error);
+            console.error('[LEVEL DOWN] Error sending level down notification:', error);
+        }
+    }
+
+    /**
+     * Where a level announcement goes (levelup_mode) - returns { type, target } or null when nothing should be sent
+     * fixed: the level up channel, origin: the channel the XP was earned in, dm: the member's DMs, off: nowhere
+     * origin falls back to the level up channel when there is no usable originating channel
+     */
+    async getLevelUpDestination(guildSettings, guildConfig, user, originChannelId, requiredPermissions) {
+        switch (guildConfig.levelup_mode) {
+            case 'off':
+                return null;
+            case 'dm':
+                return { type: 'dm', target: user };
+            case 'origin': {
+                const channel = originChannelId ? await this.getSendableChannel(originChannelId, requiredPermissions) : null;
+                if (channel) return { type: 'origin', target: channel };
+                break;
+            }
+        }
+
+        const channel = await this.getLevelUpChannel(guildSettings, requiredPermissions);
+        return channel ? { type: 'fixed', target: channel } : null;
+    }
+
+    /**
+     * Send an announcement to a destination - returns the destination type used, or null
+     * Closed DMs fall back to the level up channel; mentions are only sent in channels
+     */
+    async sendToLevelUpDestination(destination, guildSettings, requiredPermissions, payload, mention) {
+        if (destination.type === 'dm') {
+            try {
+                await destination.target.send(payload);
+                return 'dm';
+            } catch (error) {
+                console.log(`[LEVEL UP] Could not DM ${destination.target.username} (${error.message}), using the level up channel`);
+
+                const channel = await this.getLevelUpChannel(guildSettings, requiredPermissions);
+                if (!channel) return null;
+                destination = { type: 'fixed', target: channel };
+            }
+        }
+
+        await destination.target.send({ content: mention, ...payload });
+        return destination.type;
+    }
+
+    /**
+     * Configured level up channel if the bot can post there with these permissions, otherwise null
+     */
+    async getLevelUpChannel(guildSettings, requiredPermissions) {
+        const channelId = guildSettings?.levelup_channel;
+        if (!channelId) {
+            console.log('[LEVEL UP] No level up channel configured');
+            return null;
+        }
+
+        return this.getSendableChannel(channelId, requiredPermissions);
+    }
+
+    /**
+     * Text channel the bot can post in with these permissions, otherwise null
+     */
+    async getSendableChannel(channelId, requiredPermissions) {
+        const channel = await this.client.channels.fetch(channelId).catch(() => null);
+        if (!channel || !channel.isTextBased()) {
+            console.log(`[LEVEL UP] Channel ${channelId} not found or not a text channel`);
+            return null;
+        }
+
+        // Check bot permissions in the channel
+        const permissions = channel.permissionsFor(this.client.user);
+        if (!permissions || !permissions.has(requiredPermissions)) {
+            console.log(`[LEVEL UP] Missing permissions in channel ${channelId}`);
+            return null;
         }
+
+        return channel;
     }
 
     /**
@@ -248,56 +595,132 @@ class LevelUpHandler {
     }
 
     /**
-     * Handle bulk level role updates (for maintenance)
+     * Log level down to XP log channel
      */
-    async updateAllLevelRoles(guildId) {
+    async logLevelDown(user, guildId, oldLevel, newLevel, totalXP, roleChanges, source, guildSettings) {
         try {
+            const logChannelId = guildSettings?.xp_log_channel;
+            if (!logChannelId) return;
+
+            const logChannel = await this.client.channels.fetch(logChannelId).catch(() => null);
+            if (!logChannel || !logChannel.isTextBased()) return;
+
             const guild = this.client.guilds.cache.get(guildId);
-            if (!guild) return { success: false, error: 'Guild not found' };
+            const oldBounty = this.bountyCalculator.getBountyForLevel(oldLevel);
+            const newBounty = this.bountyCalculator.getBountyForLevel(newLevel);
 
-            const users = await this.dbManager.getLeaderboard(guildId, 1000);
-            let updated = 0;
-            let errors = 0;
+            const logEmbed = new EmbedBuilder()
+                .setColor(0x808080)
+                .setAuthor({
+                    name: '🔴 MARINE INTELLIGENCE BUREAU',
+                    iconURL: user.displayAvatarURL({ size: 32 })
+                })
+                .setTitle('📉 THREAT LEVEL DECREASED')
+                .setDescription(`\`\`\`diff\n- BOUNTY REDUCTION CONFIRMED\n- SUBJECT: ${user.username} (${user.id})\n- GUILD: ${guild?.name || 'Unknown'}\n- LEVEL CHANGE: ${oldLevel} → ${newLevel}\n- TOTAL XP: ${totalXP.toLocaleString()}\n- OLD BOUNTY: ฿${oldBounty.toLocaleString()}\n- NEW BOUNTY: ฿${newBounty.toLocaleString()}\n- XP SOURCE: ${source.toUpperCase()}\n${roleChanges.removed.length > 0 ? `- ROLES REMOVED: ${roleChanges.removed.join(', ')}\n` : ''}${roleChanges.added.length > 0 ? `- ROLES RESTORED: ${roleChanges.added.join(', ')}\n` : ''}\`\`\``)
+                .setTimestamp()
+                .setFooter({ text: '⚓ Marine Intelligence Division • Level Up System' });
 
-            for (const user of users) {
-                try {
-                    const member = await guild.members.fetch(user.user_id).catch(() => null);
-                    if (member) {
-                        await this.awardLevelRoles(member, user.level);
-                        updated++;
+            await logChannel.send({ embeds: [logEmbed] });
+
+        } catch (error) {
+            console.error('[LEVEL DOWN] Error logging level down:', error);
+        }
+    }
+
+    /**
+     * Bring every member with XP in line with their level roles (for maintenance)
+     * Changes go through a queue one role at a time with `delay` ms between them; dryRun only plans them
+     * onProgress({ phase, done, total }) is called after each member batch is scanned and each change is applied
+     */
+    async updateAllLevelRoles(guildId, { dryRun = false, delay = config.get('ROLE_SYNC_DELAY'), onProgress = null } = {}) {
+        const guild = this.client.guilds.cache.get(guildId);
+        if (!guild) return { success: false, error: 'Guild not found' };
+
+        if (this.roleSyncs.has(guildId)) {
+            return { success: false, error: 'A level role sync is already running for this server.' };
+        }
+
+        this.roleSyncs.add(guildId);
+
+        try {
+            const validation = await this.validateLevelRoles(guildId);
+            const mode = await this.getLevelRoleMode(guildId);
+
+            // Roles the bot cannot assign are reported as issues rather than failing for every member
+            const levelRoles = (await this.getGuildLevelRoles(guild))
+                .filter(({ role_id: roleId }) => !this.getLevelRoleIssue(guild, guild.roles.cache.get(roleId)));
+
+            const users = (await this.dbManager.getAllUserLevels(guildId)).filter(row => parseInt(row.total_xp) > 0);
+            const result = {
+                success: true,
+                dryRun,
+                mode,
+                total: users.length,
+                missing: 0,
+                changes: [],
+                added: 0,
+                removed: 0,
+                errors: 0,
+                issues: validation.issues || []
+            };
+
+            // Fetch members in batches - members who left the server are skipped
+            const queue = [];
+            for (let i = 0; i < users.length; i += 100) {
+                const batch = users.slice(i, i + 100);
+                const members = await guild.members.fetch({ user: batch.map(row => row.user_id) }).catch(() => null);
+
+                for (const row of batch) {
+                    const member = members?.get(row.user_id);
+                    if (!member) {
+                        result.missing++;
+                        continue;
                     }
+
+                    const { add, remove } = this.getLevelRoleChanges(member, levelRoles, row.level, mode);
+                    if (add.length === 0 && remove.length === 0) continue;
+
+                    result.changes.push({
+                        userId: member.id,
+                        name: member.displayName,
+                        level: row.level,
+                        add: add.map(role => role.name),
+                        remove: remove.map(role => role.name)
+                    });
+                    queue.push(...remove.map(role => ({ member, role, action: 'remove' })), ...add.map(role => ({ member, role, action: 'add' })));
+                }
+
+                if (onProgress) await onProgress({ phase: 'scan', done: Math.min(i + 100, users.length), total: users.length });
+            }
+
+            if (dryRun) return result;
+
+            for (const [index, { member, role, action }] of queue.entries()) {
+                try {
+                    await member.roles[action](role);
+                    result[action === 'add' ? 'added' : 'removed']++;
                 } catch (error) {
-                    console.error(`[LEVEL UP] Error updating roles for ${user.user_id}:`, error);
-                    errors++;
+                    console.error(`[LEVEL UP] Failed to ${action} level role ${role.name} for ${member.displayName}:`, error);
+                    result.errors++;
+                }
+
+                if (onProgress) await onProgress({ phase: 'apply', done: index + 1, total: queue.length });
+                if (delay > 0 && index < queue.length - 1) {
+                    await new Promise(resolve => setTimeout(resolve, delay));
                 }
             }
 
-            return { success: true, updated, errors, total: users.length };
+            console.log(`[LEVEL UP] Level role sync for ${guild.name}: ${result.added} added, ${result.removed} removed, ${result.errors} failed`);
+            return result;
 
         } catch (error) {
             console.error('[LEVEL UP] Error in bulk role update:', error);
             return { success: false, error: error.message };
+        } finally {
+            this.roleSyncs.delete(guildId);
         }
     }
 
-    /**
-     * Get level role configuration
-     */
-    getLevelRoleConfig() {
-        const roles = [];
-        
-        for (let level of [0, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50]) {
-            const roleId = process.env[`LEVEL_${level}_ROLE`];
-            if (roleId && roleId !== '') {
-                roles.push({ level, roleId, configured: true });
-            } else {
-                roles.push({ level, roleId: null, configured: false });
-            }
-        }
-        
-        return roles;
-    }
-
     /**
      * Validate level role setup
      */
@@ -307,28 +730,26 @@ class LevelUpHandler {
             if (!guild) return { valid: false, error: 'Guild not found' };
 
             const issues = [];
-            const roleConfig = this.getLevelRoleConfig();
+            const levelRoles = await this.dbManager.getLevelRoles(guildId);
             let validRoles = 0;
 
-            for (const config of roleConfig) {
-                if (config.configured) {
-                    const role = guild.roles.cache.get(config.roleId);
-                    if (!role) {
-                        issues.push(`Level ${config.level} role ID ${config.roleId} not found in guild`);
-                    } else if (role.position >= guild.members.me.roles.highest.position) {
-                        issues.push(`Level ${config.level} role "${role.name}" is higher than bot's highest role`);
-                    } else {
-                        validRoles++;
-                    }
+            for (const { level, role_id: roleId } of levelRoles) {
+                const role = guild.roles.cache.get(roleId);
+                const issue = role ? this.getLevelRoleIssue(guild, role) : `role ID ${roleId} not found in guild`;
+
+                if (issue) {
+                    issues.push(`Level ${level}: ${issue}`);
+                } else {
+                    validRoles++;
                 }
             }
 
             return {
                 valid: issues.length === 0,
                 issues,
-                configuredRoles: roleConfig.filter(r => r.configured).length,
+                configuredRoles: levelRoles.length,
                 validRoles,
-                roleConfig
+                levelRoles
             };
 
         } catch (error) {
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const DatabaseManager = require('./DatabaseManager');
+
+/**
+ * MigrationManager - Applies numbered schema migrations from src/migrations
+ * Files are named NNN_description.js and export async up(db, tables) / down(db, tables)
+ */
+class MigrationManager {
+    constructor(db, migrationsDir = path.join(__dirname, '..', 'migrations')) {
+        this.db = db;
+        this.tables = new DatabaseManager(db).tables;
+        this.migrationsTable = this.tables.schemaMigrations;
+        this.migrationsDir = migrationsDir;
+
+        // Advisory lock key so two bot instances never migrate at the same time
+        this.lockKey = 'Leveling-Bot_schema_migrations';
+    }
+
+    /**
+     * Load and validate migration files in version order
+     */
+    loadMigrations() {
+        const files = fs.readdirSync(this.migrationsDir)
+            .filter(file => /^\d{3}_[\w-]+\.js$/.test(file))
+            .sort();
+
+        const migrations = files.map(file => {
+            const migration = require(path.join(this.migrationsDir, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+
+            return {
+                version: parseInt(file.slice(0, 3)),
+                name: file.replace(/^\d{3}_/, '').replace(/\.js$/, ''),
+                file,
+                up: migration.up,
+                down: migration.down
+            };
+        });
+
+        // Versions must run 1, 2, 3... with no gaps or duplicates
+        migrations.forEach((migration, index) => {
+            if (migration.version !== index + 1) {
+                throw new Error(`Migration numbering is broken at ${migration.file} (expected version ${index + 1})`);
+            }
+        });
+
+        return migrations;
+    }
+
+    /**
+     * Create the migrations tracking table if needed
+     */
+    async ensureMigrationsTable() {
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS ${this.migrationsTable} (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    /**
+     * Get applied migrations in version order
+     */
+    async getAppliedMigrations() {
+        await this.ensureMigrationsTable();
+        const result = await this.db.query(`SELECT version, name, applied_at FROM ${this.migrationsTable} ORDER BY version`);
+        return result.rows;
+    }
+
+    /**
+     * Compare applied migrations against the files on disk
+     */
+    async getStatus() {
+        const migrations = this.loadMigrations();
+        const applied = await this.getAppliedMigrations();
+        const appliedVersions = new Set(applied.map(row => row.version));
+        const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+        return {
+            current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+            latest,
+            applied,
+            pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+            unknown: applied.filter(row => row.version > latest)
+        };
+    }
+
+    /**
+     * Refuse to run against a schema created by a newer version of the bot
+     */
+    async checkCompatibility() {
+        const status = await this.getStatus();
+
+        if (status.unknown.length > 0) {
+            const versions = status.unknown.map(row => `${row.version} (${row.name})`).join(', ');
+            throw new Error(`Database schema is newer than this bot (applied: ${versions}; latest known: ${status.latest}). Update the bot, or roll back with "npm run migrate:down" from the newer version.`);
+        }
+
+        return status;
+    }
+
+    /**
+     * Run a callback inside a transaction on a dedicated client holding the migration lock
+     */
+    async withLockedClient(callback) {
+        const client = await this.db.connect();
+
+        try {
+            await client.query('SELECT pg_advisory_lock(hashtext($1))', [this.lockKey]);
+            return await callback(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock(hashtext($1))', [this.lockKey]).catch(() => {});
+            client.release();
+        }
+    }
+
+    /**
+     * Apply pending migrations up to targetVersion (all by default) - returns applied migrations
+     */
+    async migrate(targetVersion = null) {
+        await this.checkCompatibility();
+
+        return await this.withLockedClient(async (client) => {
+            // Re-read inside the lock in case another instance migrated first
+            const { pending } = await this.getStatus();
+            const toApply = pending.filter(migration => targetVersion === null || migration.version <= targetVersion);
+            const applied = [];
+
+            for (const migration of toApply) {
+                try {
+                    await client.query('BEGIN');
+                    await migration.up(client, this.tables);
+                    await client.query(
+                        `INSERT INTO ${this.migrationsTable} (version, name) VALUES ($1, $2)`,
+                        [migration.version, migration.name]
+                    );
+                    await client.query('COMMIT');
+
+                    console.log(`🗄️ [MIGRATIONS] Applied ${migration.file}`);
+                    applied.push(migration);
+                } catch (error) {
+                    await client.query('ROLLBACK').catch(() => {});
+                    throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+                }
+            }
+
+            return applied;
+        });
+    }
+
+    /**
+     * Roll back the most recent applied migrations - returns rolled back migrations
+     */
+    async rollback(steps = 1) {
+        const migrations = this.loadMigrations();
+        const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+        return await this.withLockedClient(async (client) => {
+            const applied = await this.getAppliedMigrations();
+            const toRollback = applied.slice(-steps).reverse();
+            const rolledBack = [];
+
+            for (const row of toRollback) {
+                const migration = byVersion.get(row.version);
+                if (!migration) {
+                    throw new Error(`Cannot roll back version ${row.version} (${row.name}): migration file not found`);
+                }
+
+                try {
+                    await client.query('BEGIN');
+                    await migration.down(client, this.tables);
+                    await client.query(`DELETE FROM ${this.migrationsTable} WHERE version = $1`, [migration.version]);
+                    await client.query('COMMIT');
+
+                    console.log(`🗄️ [MIGRATIONS] Rolled back ${migration.file}`);
+                    rolledBack.push(migration);
+                } catch (error) {
+                    await client.query('ROLLBACK').catch(() => {});
+                    throw new Error(`Rollback of ${migration.file} failed: ${error.message}`);
+                }
+            }
+
+            return rolledBack;
+        });
+    }
+}
+
+module.exports = MigrationManager;
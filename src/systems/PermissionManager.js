@@ -0,0 +1,96 @@
+const { PermissionFlagsBits } = require('discord.js');
+const DatabaseManager = require('./DatabaseManager');
+const config = require('../utils/Config');
+
+/**
+ * PermissionManager - Resolves bot permission levels from guild admin roles and Discord permissions
+ * Levels are ordered: each level includes everything below it
+ */
+class PermissionManager {
+    constructor(db) {
+        this.db = db;
+        this.dbManager = new DatabaseManager(db);
+
+        // Optional bot owner with full access in every guild
+        this.botOwnerId = config.get('ADMIN_USER_ID');
+
+        this.levels = ['view-stats', 'modify-xp', 'settings'];
+        this.labels = {
+            'view-stats': 'View Stats',
+            'modify-xp': 'Modify XP',
+            'settings': 'Full Settings'
+        };
+    }
+
+    /**
+     * Check whether a string is a known permission level
+     */
+    isValidLevel(level) {
+        return this.levels.includes(level);
+    }
+
+    /**
+     * Human readable name for a permission level
+     */
+    getLevelLabel(level) {
+        return this.labels[level] || level;
+    }
+
+    /**
+     * Rank of a level (0 = no access)
+     */
+    getLevelRank(level) {
+        return this.levels.indexOf(level) + 1;
+    }
+
+    /**
+     * Check whether a user is the configured bot owner
+     */
+    isBotOwner(userId) {
+        return Boolean(this.botOwnerId) && userId === this.botOwnerId;
+    }
+
+    /**
+     * Get the highest permission level a guild member holds (null if none)
+     */
+    async getPermissionLevel(member) {
+        try {
+            if (!member || !member.guild) return null;
+
+            if (this.isBotOwner(member.id)) return 'settings';
+            if (member.guild.ownerId === member.id) return 'settings';
+            if (member.permissions?.has(PermissionFlagsBits.ManageGuild)) return 'settings';
+
+            const adminRoles = await this.dbManager.getAdminRoles(member.guild.id);
+
+            let highest = null;
+            for (const { role_id: roleId, level } of adminRoles) {
+                if (member.roles.cache.has(roleId) && this.getLevelRank(level) > this.getLevelRank(highest)) {
+                    highest = level;
+                }
+            }
+
+            return highest;
+        } catch (error) {
+            console.error('Error resolving permission level:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether a member holds at least the required level
+     */
+    async hasPermission(member, requiredLevel) {
+        const level = await this.getPermissionLevel(member);
+        return this.getLevelRank(level) >= this.getLevelRank(requiredLevel);
+    }
+
+    /**
+     * Standard access denied message for a required level
+     */
+    getDeniedMessage(requiredLevel) {
+        return `❌ **Access Denied**\n\n⚓ **Marine Command Center** requires special authorization.\n\nThis action needs the **${this.getLevelLabel(requiredLevel)}** permission level (granted by Manage Server or a configured admin role).`;
+    }
+}
+
+module.exports = PermissionManager;
@@ -1,3 +1,10 @@
+const metrics = require('../utils/Metrics');
+const logger = require('../utils/Logger');
+const config = require('../utils/Config');
+
+const log = logger.child('cache');
+const preloadLog = logger.child('cache:preload');
+
 /**
  * RedisCacheManager - High-level caching interface for Leveling-Bot
  * ENHANCED: Avatar hash extraction for animated avatars, cache preloading system, and comprehensive debugging
@@ -16,6 +23,10 @@ class RedisCacheManager {
             startTime: null,
             endTime: null
         };
+        
+        // In-memory fallbacks for message quality tracking when Redis is down
+        this.fallbackRecentMessages = new Map();
+        this.fallbackQualityStats = new Map();
     }
 
     /**
@@ -23,9 +34,9 @@ class RedisCacheManager {
      */
     async initialize() {
         if (this.redis || (this.connectionManager && this.connectionManager.isRedisAvailable())) {
-            console.log('✅ Redis cache manager initialized');
+            log.info('✅ Redis cache manager initialized');
         } else {
-            console.log('⚠️ Cache manager initialized in fallback mode');
+            log.warn('⚠️ Cache manager initialized in fallback mode');
         }
         return true;
     }
@@ -35,12 +46,12 @@ class RedisCacheManager {
      */
     async preloadCache(client, databaseManager) {
         if (this.preloadingInProgress) {
-            console.log('[PRELOAD] Cache preloading already in progress');
+            preloadLog.info('Cache preloading already in progress');
             return false;
         }
 
         if (!this.connectionManager?.isRedisAvailable()) {
-            console.log('[PRELOAD] ⚠️ Redis not available, skipping cache preloading');
+            preloadLog.info('⚠️ Redis not available, skipping cache preloading');
             return false;
         }
 
@@ -54,19 +65,19 @@ class RedisCacheManager {
             errors: 0 
         };
 
-        console.log('[PRELOAD] 🚀 Starting ENHANCED cache preloading system...');
+        preloadLog.info('🚀 Starting ENHANCED cache preloading system...');
 
         try {
             const guilds = client.guilds.cache;
-            console.log(`[PRELOAD] Processing ${guilds.size} guilds for cache preloading`);
+            preloadLog.info(`Processing ${guilds.size} guilds for cache preloading`);
 
             for (const [guildId, guild] of guilds) {
-                console.log(`[PRELOAD] ⭐ === Processing guild: ${guild.name} ===`);
+                preloadLog.debug(`⭐ === Processing guild: ${guild.name} ===`);
                 
                 try {
                     await this.preloadGuildCache(guild, databaseManager);
                 } catch (guildError) {
-                    console.error(`[PRELOAD] ❌ Error preloading guild ${guild.name}:`, guildError);
+                    preloadLog.error(`❌ Error preloading guild ${guild.name}:`, guildError);
                     this.preloadStats.errors++;
                 }
 
@@ -74,26 +85,26 @@ class RedisCacheManager {
                 
                 const processedGuilds = Array.from(guilds.keys()).indexOf(guildId) + 1;
                 if (processedGuilds % 5 === 0 || processedGuilds === guilds.size) {
-                    console.log(`[PRELOAD] 📊 Progress: ${processedGuilds}/${guilds.size} guilds, ${this.preloadStats.totalUsers} users, ${this.preloadStats.avatarsPreloaded + this.preloadStats.postersPreloaded} items cached`);
+                    preloadLog.debug(`📊 Progress: ${processedGuilds}/${guilds.size} guilds, ${this.preloadStats.totalUsers} users, ${this.preloadStats.avatarsPreloaded + this.preloadStats.postersPreloaded} items cached`);
                 }
             }
 
             this.preloadStats.endTime = Date.now();
             const duration = (this.preloadStats.endTime - this.preloadStats.startTime) / 1000;
 
-            console.log('[PRELOAD] ✅ ENHANCED cache preloading complete!');
-            console.log(`[PRELOAD] 📊 Final Statistics:`);
-            console.log(`[PRELOAD]   Duration: ${duration.toFixed(2)}s`);
-            console.log(`[PRELOAD]   Total Users: ${this.preloadStats.totalUsers}`);
-            console.log(`[PRELOAD]   Avatars: ${this.preloadStats.avatarsPreloaded}`);
-            console.log(`[PRELOAD]   Posters: ${this.preloadStats.postersPreloaded}`);
-            console.log(`[PRELOAD]   Total Items: ${this.preloadStats.avatarsPreloaded + this.preloadStats.postersPreloaded}`);
-            console.log(`[PRELOAD]   Errors: ${this.preloadStats.errors}`);
+            preloadLog.info('✅ ENHANCED cache preloading complete!');
+            preloadLog.info(`📊 Final Statistics:`);
+            preloadLog.info(`  Duration: ${duration.toFixed(2)}s`);
+            preloadLog.info(`  Total Users: ${this.preloadStats.totalUsers}`);
+            preloadLog.info(`  Avatars: ${this.preloadStats.avatarsPreloaded}`);
+            preloadLog.info(`  Posters: ${this.preloadStats.postersPreloaded}`);
+            preloadLog.info(`  Total Items: ${this.preloadStats.avatarsPreloaded + this.preloadStats.postersPreloaded}`);
+            preloadLog.info(`  Errors: ${this.preloadStats.errors}`);
 
             return true;
 
         } catch (error) {
-            console.error('[PRELOAD] ❌ Critical error in cache preloading:', error);
+            preloadLog.error('❌ Critical error in cache preloading:', error);
             return false;
         } finally {
             this.preloadingInProgress = false;
@@ -105,16 +116,16 @@ class RedisCacheManager {
      */
     async preloadGuildCache(guild, databaseManager) {
         try {
-            console.log(`[PRELOAD] 🏴‍☠️ Processing guild: ${guild.name} (ID: ${guild.id})`);
+            preloadLog.debug(`🏴‍☠️ Processing guild: ${guild.name} (ID: ${guild.id})`);
             
             const topUsers = await databaseManager.getLeaderboard(guild.id, 50);
             
             if (!topUsers || topUsers.length === 0) {
-                console.log(`[PRELOAD] ⚠️ No users found in database for guild ${guild.name}`);
+                preloadLog.debug(`⚠️ No users found in database for guild ${guild.name}`);
                 return;
             }
 
-            console.log(`[PRELOAD] 📊 Found ${topUsers.length} database users in ${guild.name}`);
+            preloadLog.debug(`📊 Found ${topUsers.length} database users in ${guild.name}`);
 
             const batchSize = 3;
             let processedUsers = 0;
@@ -122,7 +133,7 @@ class RedisCacheManager {
             for (let i = 0; i < topUsers.length; i += batchSize) {
                 const batch = topUsers.slice(i, i + batchSize);
                 
-                console.log(`[PRELOAD] 📦 Guild ${guild.name} - Batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(topUsers.length/batchSize)}`);
+                preloadLog.debug(`📦 Guild ${guild.name} - Batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(topUsers.length/batchSize)}`);
                 
                 const batchResults = await Promise.allSettled(
                     batch.map(async (userData) => {
@@ -132,7 +143,7 @@ class RedisCacheManager {
                             await this.preloadUserCache(guild, userData);
                             return { success: true, userId: userData.user_id };
                         } catch (userError) {
-                            console.error(`[PRELOAD] ❌ Error preloading user ${userData.user_id}:`, userError);
+                            preloadLog.error(`❌ Error preloading user ${userData.user_id}:`, userError);
                             this.preloadStats.errors++;
                             return { success: false, userId: userData.user_id };
                         }
@@ -140,17 +151,17 @@ class RedisCacheManager {
                 );
                 
                 const successful = batchResults.filter(r => r.value?.success).length;
-                console.log(`[PRELOAD] 📋 Batch result: ${successful}/${batch.length} successful`);
+                preloadLog.debug(`📋 Batch result: ${successful}/${batch.length} successful`);
 
                 if (i + batchSize < topUsers.length) {
                     await new Promise(resolve => setTimeout(resolve, 800));
                 }
             }
 
-            console.log(`[PRELOAD] ✅ Guild ${guild.name} complete: ${processedUsers} users processed`);
+            preloadLog.debug(`✅ Guild ${guild.name} complete: ${processedUsers} users processed`);
 
         } catch (error) {
-            console.error(`[PRELOAD] ❌ Critical error in guild ${guild.name}:`, error);
+            preloadLog.error(`❌ Critical error in guild ${guild.name}:`, error);
             throw error;
         }
     }
@@ -174,28 +185,28 @@ class RedisCacheManager {
                 return;
             }
 
-            console.log(`[PRELOAD] 🔍 Processing ${member.user.username} (Level ${userData.level})`);
+            preloadLog.debug(`🔍 Processing ${member.user.username} (Level ${userData.level})`);
 
             // PRELOAD AVATAR
             const avatarResult = await this.preloadUserAvatar(member.user);
             if (avatarResult.success) {
                 this.preloadStats.avatarsPreloaded++;
-                console.log(`[PRELOAD] ✅ Avatar cached: ${member.user.username}`);
+                preloadLog.debug(`✅ Avatar cached: ${member.user.username}`);
             } else {
-                console.log(`[PRELOAD] ⚠️ Avatar failed: ${member.user.username} - ${avatarResult.error}`);
+                preloadLog.debug(`⚠️ Avatar failed: ${member.user.username} - ${avatarResult.error}`);
             }
 
             // PRELOAD POSTER
             const posterResult = await this.preloadUserPoster(userData, member, guild);
             if (posterResult.success) {
                 this.preloadStats.postersPreloaded++;
-                console.log(`[PRELOAD] ✅ Poster cached: ${member.user.username}`);
+                preloadLog.debug(`✅ Poster cached: ${member.user.username}`);
             } else {
-                console.log(`[PRELOAD] ⚠️ Poster failed: ${member.user.username} - ${posterResult.error}`);
+                preloadLog.debug(`⚠️ Poster failed: ${member.user.username} - ${posterResult.error}`);
             }
 
         } catch (error) {
-            console.error(`[PRELOAD] ❌ Error preloading user ${userData.user_id}:`, error);
+            preloadLog.error(`❌ Error preloading user ${userData.user_id}:`, error);
             this.preloadStats.errors++;
         }
     }
@@ -205,17 +216,17 @@ class RedisCacheManager {
      */
     async preloadUserAvatar(user) {
         try {
-            console.log(`[PRELOAD] 🖼️ Processing avatar for ${user.username}...`);
+            preloadLog.debug(`🖼️ Processing avatar for ${user.username}...`);
             
             const avatarURL = user.displayAvatarURL({ extension: 'png', size: 512, forceStatic: true });
             const avatarHash = this.extractAvatarHash(avatarURL);
             
             if (!avatarHash) {
-                console.log(`[PRELOAD] ⚠️ No avatar hash for ${user.username}, using default`);
+                preloadLog.debug(`⚠️ No avatar hash for ${user.username}, using default`);
                 return await this.preloadDefaultAvatar(user);
             }
 
-            console.log(`[PRELOAD] 📥 Loading avatar for ${user.username} from ${avatarURL}`);
+            preloadLog.debug(`📥 Loading avatar for ${user.username} from ${avatarURL}`);
             
             const { loadImage, createCanvas } = require('canvas');
             
@@ -239,7 +250,7 @@ class RedisCacheManager {
                 }
                 
             } catch (loadError) {
-                console.log(`[PRELOAD] ⚠️ PNG failed for ${user.username}, trying JPG...`);
+                preloadLog.debug(`⚠️ PNG failed for ${user.username}, trying JPG...`);
                 
                 try {
                     const jpgURL = user.displayAvatarURL({ extension: 'jpg', size: 512, forceStatic: true });
@@ -259,7 +270,7 @@ class RedisCacheManager {
                         return { success: true, cached: true, size: buffer.length };
                     }
                 } catch (jpgError) {
-                    console.log(`[PRELOAD] ⚠️ JPG failed for ${user.username}, trying default`);
+                    preloadLog.debug(`⚠️ JPG failed for ${user.username}, trying default`);
                     return await this.preloadDefaultAvatar(user);
                 }
             }
@@ -267,7 +278,7 @@ class RedisCacheManager {
             return { success: false, error: 'All avatar formats failed' };
 
         } catch (error) {
-            console.error(`[PRELOAD] ❌ Critical error preloading avatar for ${user.username}:`, error);
+            preloadLog.error(`❌ Critical error preloading avatar for ${user.username}:`, error);
             return { success: false, error: error.message };
         }
     }
@@ -277,7 +288,7 @@ class RedisCacheManager {
      */
     async preloadDefaultAvatar(user) {
         try {
-            console.log(`[PRELOAD] 🎭 Loading default avatar for ${user.username}...`);
+            preloadLog.debug(`🎭 Loading default avatar for ${user.username}...`);
             
             const { loadImage, createCanvas } = require('canvas');
             const defaultAvatarURL = `https://cdn.discordapp.com/embed/avatars/${user.discriminator % 5}.png`;
@@ -301,7 +312,7 @@ class RedisCacheManager {
             
             return { success: false, error: 'Default avatar cache failed' };
         } catch (error) {
-            console.log(`[PRELOAD] ❌ Failed to load default avatar for ${user.username}:`, error);
+            preloadLog.debug(`❌ Failed to load default avatar for ${user.username}:`, error);
             return { success: false, error: error.message };
         }
     }
@@ -311,7 +322,7 @@ class RedisCacheManager {
      */
     async preloadUserPoster(userData, member, guild) {
         try {
-            console.log(`[PRELOAD] 🎨 Processing poster for ${member.displayName} (Level ${userData.level})`);
+            preloadLog.debug(`🎨 Processing poster for ${member.displayName} (Level ${userData.level})`);
             
             const BountyCalculator = require('../utils/BountyCalculator');
             const bountyCalculator = new BountyCalculator();
@@ -341,12 +352,12 @@ class RedisCacheManager {
                 }
                 
             } catch (canvasError) {
-                console.error(`[PRELOAD] ❌ Canvas generation failed for ${member.displayName}:`, canvasError);
+                preloadLog.error(`❌ Canvas generation failed for ${member.displayName}:`, canvasError);
                 return { success: false, error: canvasError.message };
             }
 
         } catch (error) {
-            console.error(`[PRELOAD] ❌ Critical error preloading poster for ${member?.displayName}:`, error);
+            preloadLog.error(`❌ Critical error preloading poster for ${member?.displayName}:`, error);
             return { success: false, error: error.message };
         }
     }
@@ -356,7 +367,7 @@ class RedisCacheManager {
      */
     extractAvatarHash(avatarURL) {
         try {
-            console.log(`[CACHE] 🔍 Extracting hash from: ${avatarURL}`);
+            log.debug(`🔍 Extracting hash from: ${avatarURL}`);
             
             const patterns = [
                 // Animated avatars (a_prefix) - ENHANCED PATTERN
@@ -373,36 +384,36 @@ class RedisCacheManager {
                 const pattern = patterns[i];
                 const match = avatarURL.match(pattern);
                 if (match) {
-                    console.log(`[CACHE] ✅ Pattern ${i + 1} matched:`, match);
+                    log.debug(`✅ Pattern ${i + 1} matched:`, match);
                     
                     if (pattern.source.includes('embed')) {
                         // Default avatar
                         const hash = `default_${match[1]}`;
-                        console.log(`[CACHE] ✅ Extracted default avatar hash: ${hash}`);
+                        log.debug(`✅ Extracted default avatar hash: ${hash}`);
                         return hash;
                     } else if (match[2] && match[2].startsWith('a_')) {
                         // Animated avatar (a_prefix)
                         const hash = match[2];
-                        console.log(`[CACHE] ✅ Extracted animated avatar hash: ${hash}`);
+                        log.debug(`✅ Extracted animated avatar hash: ${hash}`);
                         return hash;
                     } else if (match[2]) {
                         // Regular avatar
                         const hash = match[2];
-                        console.log(`[CACHE] ✅ Extracted regular avatar hash: ${hash}`);
+                        log.debug(`✅ Extracted regular avatar hash: ${hash}`);
                         return hash;
                     } else if (match[1] && (match[1].startsWith('a_') || match[1].length >= 32)) {
                         // Fallback pattern match
                         const hash = match[1];
-                        console.log(`[CACHE] ✅ Extracted fallback avatar hash: ${hash}`);
+                        log.debug(`✅ Extracted fallback avatar hash: ${hash}`);
                         return hash;
                     }
                 }
             }
             
-            console.log(`[CACHE] ❌ Could not extract avatar hash from: ${avatarURL}`);
+            log.debug(`❌ Could not extract avatar hash from: ${avatarURL}`);
             return null;
         } catch (error) {
-            console.log(`[CACHE] ❌ Error extracting avatar hash: ${error.message}`);
+            log.debug(`❌ Error extracting avatar hash: ${error.message}`);
             return null;
         }
     }
@@ -415,14 +426,14 @@ class RedisCacheManager {
     async cacheUserAvatar(userId, avatarHash, avatarBuffer) {
         try {
             if (!avatarBuffer || !Buffer.isBuffer(avatarBuffer)) {
-                console.error(`[CACHE] Invalid avatar buffer for user ${userId}`);
+                log.error(`Invalid avatar buffer for user ${userId}`);
                 return false;
             }
 
             const key = `avatar:${userId}:${avatarHash}`;
             const ttl = 43200; // 12 hours
             
-            console.log(`[CACHE] Caching avatar: ${key} (${Math.round(avatarBuffer.length/1024)}KB)`);
+            log.debug(`Caching avatar: ${key} (${Math.round(avatarBuffer.length/1024)}KB)`);
             
             if (this.connectionManager && this.connectionManager.isRedisAvailable()) {
                 const result = await this.connectionManager.setBinaryCache(key, avatarBuffer, ttl);
@@ -431,10 +442,10 @@ class RedisCacheManager {
                     // Verify storage
                     const verification = await this.connectionManager.getBinaryCache(key);
                     if (verification && verification.length === avatarBuffer.length) {
-                        console.log(`[CACHE] ✅ Avatar cached and verified for user ${userId}`);
+                        log.debug(`✅ Avatar cached and verified for user ${userId}`);
                         return true;
                     } else {
-                        console.error(`[CACHE] ❌ Avatar verification failed for user ${userId}`);
+                        log.error(`❌ Avatar verification failed for user ${userId}`);
                         return false;
                     }
                 }
@@ -445,17 +456,17 @@ class RedisCacheManager {
                 
                 const verification = await this.redis.getBuffer(fullKey);
                 if (verification && verification.length === avatarBuffer.length) {
-                    console.log(`[CACHE] ✅ Direct Redis: Avatar cached for user ${userId}`);
+                    log.debug(`✅ Direct Redis: Avatar cached for user ${userId}`);
                     return true;
                 } else {
-                    console.error(`[CACHE] ❌ Direct Redis: Avatar verification failed for user ${userId}`);
+                    log.error(`❌ Direct Redis: Avatar verification failed for user ${userId}`);
                     return false;
                 }
             }
             
             return false;
         } catch (error) {
-            console.error(`[CACHE] ❌ Error caching avatar for user ${userId}:`, error);
+            log.error(`❌ Error caching avatar for user ${userId}:`, error);
             return false;
         }
     }
@@ -468,15 +479,15 @@ class RedisCacheManager {
             const key = `avatar:${userId}:${avatarHash}`;
             
             if (this.connectionManager && this.connectionManager.isRedisAvailable()) {
-                return await this.connectionManager.getBinaryCache(key);
+                return metrics.trackCache('avatar', await this.connectionManager.getBinaryCache(key));
             } else if (this.redis) {
                 const fullKey = `${this.keyPrefix}avatar:${userId}:${avatarHash}`;
-                return await this.redis.getBuffer(fullKey);
+                return metrics.trackCache('avatar', await this.redis.getBuffer(fullKey));
             }
             
             return null;
         } catch (error) {
-            console.error('[CACHE] Error getting cached avatar:', error);
+            log.error('Error getting cached avatar:', error);
             return null;
         }
     }
@@ -489,14 +500,14 @@ class RedisCacheManager {
     async cacheWantedPoster(userId, level, bounty, canvasBuffer) {
         try {
             if (!canvasBuffer || !Buffer.isBuffer(canvasBuffer)) {
-                console.error(`[CACHE] Invalid poster buffer for user ${userId}`);
+                log.error(`Invalid poster buffer for user ${userId}`);
                 return false;
             }
 
             const key = `poster:${userId}:${level}:${bounty}`;
             const ttl = 86400; // 24 hours
             
-            console.log(`[CACHE] Caching poster: ${key} (${Math.round(canvasBuffer.length/1024)}KB)`);
+            log.debug(`Caching poster: ${key} (${Math.round(canvasBuffer.length/1024)}KB)`);
             
             if (this.connectionManager && this.connectionManager.isRedisAvailable()) {
                 const result = await this.connectionManager.setBinaryCache(key, canvasBuffer, ttl);
@@ -505,10 +516,10 @@ class RedisCacheManager {
                     // Verify storage
                     const verification = await this.connectionManager.getBinaryCache(key);
                     if (verification && verification.length === canvasBuffer.length) {
-                        console.log(`[CACHE] ✅ Poster cached and verified for user ${userId} (Level ${level})`);
+                        log.debug(`✅ Poster cached and verified for user ${userId} (Level ${level})`);
                         return true;
                     } else {
-                        console.error(`[CACHE] ❌ Poster verification failed for user ${userId}`);
+                        log.error(`❌ Poster verification failed for user ${userId}`);
                         return false;
                     }
                 }
@@ -519,17 +530,17 @@ class RedisCacheManager {
                 
                 const verification = await this.redis.getBuffer(fullKey);
                 if (verification && verification.length === canvasBuffer.length) {
-                    console.log(`[CACHE] ✅ Direct Redis: Poster cached for user ${userId}`);
+                    log.debug(`✅ Direct Redis: Poster cached for user ${userId}`);
                     return true;
                 } else {
-                    console.error(`[CACHE] ❌ Direct Redis: Poster verification failed for user ${userId}`);
+                    log.error(`❌ Direct Redis: Poster verification failed for user ${userId}`);
                     return false;
                 }
             }
             
             return false;
         } catch (error) {
-            console.error(`[CACHE] ❌ Error caching poster for user ${userId}:`, error);
+            log.error(`❌ Error caching poster for user ${userId}:`, error);
             return false;
         }
     }
@@ -542,15 +553,15 @@ class RedisCacheManager {
             const key = `poster:${userId}:${level}:${bounty}`;
             
             if (this.connectionManager && this.connectionManager.isRedisAvailable()) {
-                return await this.connectionManager.getBinaryCache(key);
+                return metrics.trackCache('poster', await this.connectionManager.getBinaryCache(key));
             } else if (this.redis) {
                 const fullKey = `${this.keyPrefix}poster:${userId}:${level}:${bounty}`;
-                return await this.redis.getBuffer(fullKey);
+                return metrics.trackCache('poster', await this.redis.getBuffer(fullKey));
             }
             
             return null;
         } catch (error) {
-            console.error('[CACHE] Error getting cached poster:', error);
+            log.error('Error getting cached poster:', error);
             return null;
         }
     }
@@ -574,7 +585,7 @@ class RedisCacheManager {
             
             return false;
         } catch (error) {
-            console.error('[CACHE] Error invalidating posters:', error);
+            log.error('Error invalidating posters:', error);
             return false;
         }
     }
@@ -596,7 +607,7 @@ class RedisCacheManager {
             
             return false;
         } catch (error) {
-            console.error('[CACHE] Error caching leaderboard:', error);
+            log.error('Error caching leaderboard:', error);
             return false;
         }
     }
@@ -606,13 +617,13 @@ class RedisCacheManager {
             const key = `leaderboard:${guildId}:${type}`;
             
             if (this.connectionManager && this.connectionManager.isRedisAvailable()) {
-                const data = await this.connectionManager.getCache(key);
+                const data = metrics.trackCache('leaderboard', await this.connectionManager.getCache(key));
                 if (data) {
                     return JSON.parse(data);
                 }
             } else if (this.redis) {
                 const fullKey = `${this.keyPrefix}leaderboard:${guildId}:${type}`;
-                const data = await this.redis.get(fullKey);
+                const data = metrics.trackCache('leaderboard', await this.redis.get(fullKey));
                 if (data) {
                     return JSON.parse(data);
                 }
@@ -620,7 +631,7 @@ class RedisCacheManager {
             
             return null;
         } catch (error) {
-            console.error('[CACHE] Error getting cached leaderboard:', error);
+            log.error('Error getting cached leaderboard:', error);
             return null;
         }
     }
@@ -647,7 +658,7 @@ class RedisCacheManager {
             
             return false;
         } catch (error) {
-            console.error('[CACHE] Error caching validated users:', error);
+            log.error('Error caching validated users:', error);
             return false;
         }
     }
@@ -662,7 +673,7 @@ class RedisCacheManager {
                     const cacheData = JSON.parse(data);
                     const cacheAge = Date.now() - cacheData.cachedAt;
                     if (cacheAge > 480000) { // 8 minutes
-                        console.log(`[CACHE] Validated users cache too old (${Math.round(cacheAge/1000)}s), ignoring`);
+                        log.debug(`Validated users cache too old (${Math.round(cacheAge/1000)}s), ignoring`);
                         return null;
                     }
                     return cacheData.users;
@@ -674,7 +685,7 @@ class RedisCacheManager {
                     const cacheData = JSON.parse(data);
                     const cacheAge = Date.now() - cacheData.cachedAt;
                     if (cacheAge > 480000) { // 8 minutes
-                        console.log(`[CACHE] Validated users cache too old (${Math.round(cacheAge/1000)}s), ignoring`);
+                        log.debug(`Validated users cache too old (${Math.round(cacheAge/1000)}s), ignoring`);
                         return null;
                     }
                     return cacheData.users;
@@ -683,7 +694,7 @@ class RedisCacheManager {
             
             return null;
         } catch (error) {
-            console.error('[CACHE] Error getting cached validated users:', error);
+            log.error('Error getting cached validated users:', error);
             return null;
         }
     }
@@ -696,7 +707,7 @@ class RedisCacheManager {
             const existingData = await this.getCachedValidatedUsers(guildId);
             
             if (existingData) {
-                console.log('[CACHE] Recent cache exists, skipping write to prevent race condition');
+                log.debug('Recent cache exists, skipping write to prevent race condition');
                 return false;
             }
             
@@ -709,7 +720,7 @@ class RedisCacheManager {
                     const timeSinceInvalidation = Date.now() - invalidatedAt;
                     
                     if (timeSinceInvalidation < 30000) { // 30 seconds
-                        console.log(`[CACHE] Cache was recently invalidated (${Math.round(timeSinceInvalidation/1000)}s ago), skipping write`);
+                        log.debug(`Cache was recently invalidated (${Math.round(timeSinceInvalidation/1000)}s ago), skipping write`);
                         return false;
                     }
                 }
@@ -718,7 +729,7 @@ class RedisCacheManager {
             return await this.cacheValidatedUsers(guildId, users);
             
         } catch (error) {
-            console.error('[CACHE] Error in safe cache write:', error);
+            log.error('Error in safe cache write:', error);
             return false;
         }
     }
@@ -742,7 +753,7 @@ class RedisCacheManager {
                 }
                 
                 if (totalCleared > 0) {
-                    console.log(`[CACHE] Invalidated ${totalCleared} guild cache entries for ${guildId}`);
+                    log.debug(`Invalidated ${totalCleared} guild cache entries for ${guildId}`);
                 }
                 
                 return totalCleared > 0;
@@ -762,7 +773,7 @@ class RedisCacheManager {
                 }
                 
                 if (totalCleared > 0) {
-                    console.log(`[CACHE] Invalidated ${totalCleared} guild cache entries for ${guildId}`);
+                    log.debug(`Invalidated ${totalCleared} guild cache entries for ${guildId}`);
                 }
                 
                 return totalCleared > 0;
@@ -770,11 +781,113 @@ class RedisCacheManager {
             
             return false;
         } catch (error) {
-            console.error('[CACHE] Error invalidating guild cache:', error);
+            log.error('Error invalidating guild cache:', error);
+            return false;
+        }
+    }
+
+    // ==================== GUILD CONFIG CACHING ====================
+
+    async cacheGuildConfig(guildId, config) {
+        try {
+            const key = `guildconfig:${guildId}`;
+            const ttl = 600; // 10 minutes
+            
+            if (this.connectionManager && this.connectionManager.isRedisAvailable()) {
+                return await this.connectionManager.setCache(key, config, ttl);
+            } else if (this.redis) {
+                const fullKey = `${this.keyPrefix}guildconfig:${guildId}`;
+                await this.redis.setex(fullKey, ttl, JSON.stringify(config));
+                return true;
+            }
+            
+            return false;
+        } catch (error) {
+            log.error('Error caching guild config:', error);
+            return false;
+        }
+    }
+
+    async getCachedGuildConfig(guildId) {
+        try {
+            const key = `guildconfig:${guildId}`;
+            
+            if (this.connectionManager && this.connectionManager.isRedisAvailable()) {
+                const data = await this.connectionManager.getCache(key);
+                return metrics.trackCache('guild_config', data && typeof data === 'object' ? data : null);
+            } else if (this.redis) {
+                const fullKey = `${this.keyPrefix}guildconfig:${guildId}`;
+                const data = await this.redis.get(fullKey);
+                return metrics.trackCache('guild_config', data ? JSON.parse(data) : null);
+            }
+            
+            return null;
+        } catch (error) {
+            log.error('Error getting cached guild config:', error);
+            return null;
+        }
+    }
+
+    async invalidateGuildConfig(guildId) {
+        try {
+            const key = `guildconfig:${guildId}`;
+            
+            if (this.connectionManager && this.connectionManager.isRedisAvailable()) {
+                await this.connectionManager.deleteCache(key);
+            } else if (this.redis) {
+                await this.redis.del(`${this.keyPrefix}guildconfig:${guildId}`);
+            }
+            
+            return true;
+        } catch (error) {
+            log.error('Error invalidating guild config:', error);
+            return false;
+        }
+    }
+
+    // ==================== API RESPONSE CACHING ====================
+
+    /**
+     * Cache a REST API response body with its ETag
+     */
+    async cacheApiResponse(key, entry, ttl = null) {
+        try {
+            const cacheKey = `api:${key}`;
+            const expiry = ttl || config.get('API_CACHE_TTL');
+
+            if (this.connectionManager && this.connectionManager.isRedisAvailable()) {
+                return await this.connectionManager.setCache(cacheKey, entry, expiry);
+            } else if (this.redis) {
+                await this.redis.setex(`${this.keyPrefix}${cacheKey}`, expiry, JSON.stringify(entry));
+                return true;
+            }
+
+            return false;
+        } catch (error) {
+            log.error('Error caching API response:', error);
             return false;
         }
     }
 
+    async getCachedApiResponse(key) {
+        try {
+            const cacheKey = `api:${key}`;
+
+            if (this.connectionManager && this.connectionManager.isRedisAvailable()) {
+                const data = await this.connectionManager.getCache(cacheKey);
+                return metrics.trackCache('api', data && typeof data === 'object' ? data : null);
+            } else if (this.redis) {
+                const data = await this.redis.get(`${this.keyPrefix}${cacheKey}`);
+                return metrics.trackCache('api', data ? JSON.parse(data) : null);
+            }
+
+            return null;
+        } catch (error) {
+            log.error('Error getting cached API response:', error);
+            return null;
+        }
+    }
+
     // ==================== XP COOLDOWN MANAGEMENT ====================
     
     async setXPCooldown(userId, guildId, source, cooldownMs) {
@@ -792,7 +905,7 @@ class RedisCacheManager {
             
             return false;
         } catch (error) {
-            console.error('[CACHE] Error setting XP cooldown:', error);
+            log.error('Error setting XP cooldown:', error);
             return false;
         }
     }
@@ -812,11 +925,113 @@ class RedisCacheManager {
             
             return false;
         } catch (error) {
-            console.error('[CACHE] Error checking XP cooldown:', error);
+            log.error('Error checking XP cooldown:', error);
+            return false;
+        }
+    }
+
+    // ==================== MESSAGE QUALITY TRACKING ====================
+
+    async getRecentMessages(userId, guildId) {
+        try {
+            const key = `recentmsg:${guildId}:${userId}`;
+            
+            if (this.connectionManager && this.connectionManager.isRedisAvailable()) {
+                return await this.connectionManager.getRedis().lrange(key, 0, -1);
+            }
+            
+            const entry = this.fallbackRecentMessages.get(key);
+            if (entry && Date.now() < entry.expiresAt) {
+                return entry.messages;
+            }
+            
+            return [];
+        } catch (error) {
+            log.error('Error getting recent messages:', error);
+            return [];
+        }
+    }
+
+    async pushRecentMessage(userId, guildId, content, historySize) {
+        try {
+            const key = `recentmsg:${guildId}:${userId}`;
+            const ttl = 3600; // 1 hour
+            
+            if (this.connectionManager && this.connectionManager.isRedisAvailable()) {
+                await this.connectionManager.getRedis()
+                    .multi()
+                    .lpush(key, content)
+                    .ltrim(key, 0, historySize - 1)
+                    .expire(key, ttl)
+                    .exec();
+                return true;
+            }
+            
+            // Prune expired entries so the fallback map can't grow unbounded
+            if (this.fallbackRecentMessages.size > 10000) {
+                const now = Date.now();
+                for (const [entryKey, entry] of this.fallbackRecentMessages) {
+                    if (now >= entry.expiresAt) this.fallbackRecentMessages.delete(entryKey);
+                }
+            }
+            
+            const existing = await this.getRecentMessages(userId, guildId);
+            this.fallbackRecentMessages.set(key, {
+                messages: [content, ...existing].slice(0, historySize),
+                expiresAt: Date.now() + (ttl * 1000)
+            });
+            return true;
+        } catch (error) {
+            log.error('Error storing recent message:', error);
             return false;
         }
     }
 
+    async incrementQualityRejection(guildId, reason) {
+        try {
+            const key = `quality:${guildId}:${this.getCurrentDateKey()}`;
+            
+            if (this.connectionManager && this.connectionManager.isRedisAvailable()) {
+                await this.connectionManager.getRedis()
+                    .multi()
+                    .hincrby(key, reason, 1)
+                    .expire(key, 8 * 86400) // Keep a week of history
+                    .exec();
+                return true;
+            }
+            
+            const stats = this.fallbackQualityStats.get(key) || {};
+            stats[reason] = (stats[reason] || 0) + 1;
+            this.fallbackQualityStats.set(key, stats);
+            return true;
+        } catch (error) {
+            log.error('Error counting quality rejection:', error);
+            return false;
+        }
+    }
+
+    async getQualityRejectionStats(guildId, date = null) {
+        try {
+            const key = `quality:${guildId}:${date || this.getCurrentDateKey()}`;
+            let raw = {};
+            
+            if (this.connectionManager && this.connectionManager.isRedisAvailable()) {
+                raw = await this.connectionManager.getRedis().hgetall(key) || {};
+            } else {
+                raw = this.fallbackQualityStats.get(key) || {};
+            }
+            
+            const stats = {};
+            for (const [reason, count] of Object.entries(raw)) {
+                stats[reason] = parseInt(count) || 0;
+            }
+            return stats;
+        } catch (error) {
+            log.error('Error getting quality rejection stats:', error);
+            return {};
+        }
+    }
+
     // ==================== DAILY PROGRESS CACHING ====================
 
     async invalidateUserDailyProgress(userId, guildId, date) {
@@ -832,7 +1047,7 @@ class RedisCacheManager {
             
             return true;
         } catch (error) {
-            console.error('[CACHE] Error invalidating daily progress:', error);
+            log.error('Error invalidating daily progress:', error);
             return false;
         }
     }
@@ -861,7 +1076,7 @@ class RedisCacheManager {
                 }
             }
         } catch (error) {
-            console.error('[CACHE] Error cleaning invalidation flags:', error);
+            log.error('Error cleaning invalidation flags:', error);
         }
     }
 
@@ -888,7 +1103,7 @@ class RedisCacheManager {
 
             const redis = this.connectionManager.getRedis();
             
-            console.log(`[CACHE STATS] Counting Redis keys with prefix: ${this.keyPrefix}`);
+            log.debug(`Counting Redis keys with prefix: ${this.keyPrefix}`);
             
             const stats = {
                 avatars: await this.countRedisKeysDirect(redis, `avatar:*`),
@@ -897,6 +1112,7 @@ class RedisCacheManager {
                 leaderboards: await this.countRedisKeysDirect(redis, `leaderboard:*`),
                 validated: await this.countRedisKeysDirect(redis, `validated:*`),
                 daily: await this.countRedisKeysDirect(redis, `daily:*`),
+                recentMessages: await this.countRedisKeysDirect(redis, `recentmsg:*`),
                 invalidated: await this.countRedisKeysDirect(redis, `invalidated:*`)
             };
             
@@ -904,20 +1120,20 @@ class RedisCacheManager {
             stats.mode = 'Redis';
             stats.redis = true;
             
-            console.log(`[CACHE STATS] Found: avatars=${stats.avatars}, posters=${stats.posters}, cooldowns=${stats.cooldowns}, total=${stats.total}`);
+            log.debug(`Found: avatars=${stats.avatars}, posters=${stats.posters}, cooldowns=${stats.cooldowns}, total=${stats.total}`);
             
             try {
                 const info = await redis.info('memory');
                 const usedMemory = info.match(/used_memory_human:([^\r\n]+)/)?.[1] || 'Unknown';
                 stats.memoryUsed = usedMemory;
             } catch (error) {
-                console.log('[CACHE STATS] Could not get Redis memory info');
+                log.debug('Could not get Redis memory info');
             }
             
             return stats;
             
         } catch (error) {
-            console.error('[CACHE STATS] Error getting cache stats:', error);
+            log.error('Error getting cache stats:', error);
             return {
                 mode: 'Error',
                 entries: 0,
@@ -934,19 +1150,19 @@ class RedisCacheManager {
         try {
             const fullPattern = `${this.keyPrefix}${pattern}`;
             
-            console.log(`[CACHE STATS] Searching for pattern: ${fullPattern}`);
+            log.debug(`Searching for pattern: ${fullPattern}`);
             
             const keys = await redis.keys(fullPattern);
             
-            console.log(`[CACHE STATS] Pattern "${fullPattern}" found ${keys.length} keys`);
+            log.debug(`Pattern "${fullPattern}" found ${keys.length} keys`);
             if (keys.length > 0 && keys.length <= 5) {
-                console.log(`[CACHE STATS] Sample keys: ${keys.slice(0, 3).join(', ')}`);
+                log.debug(`Sample keys: ${keys.slice(0, 3).join(', ')}`);
             }
             
             return keys.length;
             
         } catch (error) {
-            console.error(`[CACHE STATS] Error counting keys for pattern ${pattern}:`, error);
+            log.error(`Error counting keys for pattern ${pattern}:`, error);
             return 0;
         }
     }
@@ -968,7 +1184,7 @@ class RedisCacheManager {
             return keys.length;
             
         } catch (error) {
-            console.error(`[CACHE] Error counting keys for pattern ${pattern}:`, error);
+            log.error(`Error counting keys for pattern ${pattern}:`, error);
             return 0;
         }
     }
@@ -986,7 +1202,7 @@ class RedisCacheManager {
             }
             return false;
         } catch (error) {
-            console.error('[CACHE] Health check failed:', error);
+            log.error('Health check failed:', error);
             return false;
         }
     }
@@ -1028,7 +1244,7 @@ class RedisCacheManager {
                     await this.redis.del(fullKey);
                 }
             } catch (cleanupError) {
-                console.log('[CACHE] Cleanup error (not critical):', cleanupError.message);
+                log.warn('Cleanup error (not critical):', cleanupError.message);
             }
             
             if (getValue === testValue) {
@@ -1038,7 +1254,7 @@ class RedisCacheManager {
             }
             
         } catch (error) {
-            console.error('[CACHE] Cache test error:', error);
+            log.error('Cache test error:', error);
             return { success: false, error: error.message };
         }
     }
@@ -1066,11 +1282,11 @@ class RedisCacheManager {
                 }
             }
             
-            console.log(`[CACHE] Batch invalidated ${totalCleared} keys across ${patterns.length} patterns`);
+            log.debug(`Batch invalidated ${totalCleared} keys across ${patterns.length} patterns`);
             return totalCleared;
             
         } catch (error) {
-            console.error('[CACHE] Error in batch invalidation:', error);
+            log.error('Error in batch invalidation:', error);
             return 0;
         }
     }
@@ -1100,7 +1316,7 @@ class RedisCacheManager {
             return stats;
             
         } catch (error) {
-            console.error('[CACHE] Error getting memory stats:', error);
+            log.error('Error getting memory stats:', error);
             return { available: false, error: error.message };
         }
     }
@@ -1119,7 +1335,7 @@ class RedisCacheManager {
             }
             return false;
         } catch (error) {
-            console.error('[CACHE] Error setting cache expiry:', error);
+            log.error('Error setting cache expiry:', error);
             return false;
         }
     }
@@ -1138,25 +1354,57 @@ class RedisCacheManager {
             }
             return -1;
         } catch (error) {
-            console.error('[CACHE] Error getting cache TTL:', error);
+            log.error('Error getting cache TTL:', error);
             return -1;
         }
     }
 
     // ==================== DEBUG METHODS ====================
 
+    /**
+     * List raw Redis keys matching a pattern with SCAN (does not block Redis like KEYS)
+     * Returns { keys, truncated } sorted by name, or null when Redis is unavailable
+     */
+    async listKeys(pattern, limit = 1000) {
+        try {
+            if (!this.connectionManager || !this.connectionManager.isRedisAvailable()) {
+                return null;
+            }
+
+            const redis = this.connectionManager.getRedis();
+            const keys = new Set();
+            let cursor = '0';
+
+            do {
+                const [nextCursor, batch] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 250);
+                cursor = String(nextCursor);
+                for (const key of batch) keys.add(key);
+            } while (cursor !== '0' && keys.size < limit);
+
+            const sorted = [...keys].sort();
+            return {
+                keys: sorted.slice(0, limit),
+                truncated: cursor !== '0' || sorted.length > limit
+            };
+
+        } catch (error) {
+            log.error(`Error listing keys for pattern ${pattern}:`, error);
+            return null;
+        }
+    }
+
     /**
      * Debug cache contents
      */
     async debugCacheContents() {
         try {
             if (!this.connectionManager || !this.connectionManager.isRedisAvailable()) {
-                console.log('[CACHE DEBUG] Redis not available for debug');
+                log.info('Redis not available for debug');
                 return false;
             }
 
             const redis = this.connectionManager.getRedis();
-            console.log('[CACHE DEBUG] ================ CACHE CONTENTS DEBUG ================');
+            log.info('================ CACHE CONTENTS DEBUG ================');
             
             const categories = [
                 { name: 'Avatars', pattern: `${this.keyPrefix}avatar:*` },
@@ -1168,7 +1416,7 @@ class RedisCacheManager {
 
             for (const category of categories) {
                 const keys = await redis.keys(category.pattern);
-                console.log(`[CACHE DEBUG] ${category.name}: ${keys.length} keys`);
+                log.info(`${category.name}: ${keys.length} keys`);
                 
                 if (keys.length > 0) {
                     const samples = keys.slice(0, 3);
@@ -1177,23 +1425,23 @@ class RedisCacheManager {
                             const type = await redis.type(key);
                             const ttl = await redis.ttl(key);
                             const size = type === 'string' ? (await redis.strlen(key)) : 'N/A';
-                            console.log(`[CACHE DEBUG]   - ${key} (${type}, TTL: ${ttl}s, Size: ${size})`);
+                            log.info(`  - ${key} (${type}, TTL: ${ttl}s, Size: ${size})`);
                         } catch (keyError) {
-                            console.log(`[CACHE DEBUG]   - ${key} (error getting info)`);
+                            log.info(`  - ${key} (error getting info)`);
                         }
                     }
                     
                     if (keys.length > 3) {
-                        console.log(`[CACHE DEBUG]   - ...and ${keys.length - 3} more`);
+                        log.info(`  - ...and ${keys.length - 3} more`);
                     }
                 }
             }
             
-            console.log('[CACHE DEBUG] ================ END CACHE DEBUG ================');
+            log.info('================ END CACHE DEBUG ================');
             return true;
             
         } catch (error) {
-            console.error('[CACHE DEBUG] Error debugging cache contents:', error);
+            log.error('Error debugging cache contents:', error);
             return false;
         }
     }
@@ -1203,46 +1451,46 @@ class RedisCacheManager {
      */
     async manualCacheTest() {
         try {
-            console.log('[CACHE TEST] Starting comprehensive manual cache test...');
+            log.info('Starting comprehensive manual cache test...');
             
             const testKey = `test:${Date.now()}`;
             const testValue = JSON.stringify({ test: true, timestamp: Date.now() });
             
-            console.log('[CACHE TEST] Testing basic cache operations...');
+            log.info('Testing basic cache operations...');
             if (this.connectionManager && this.connectionManager.isRedisAvailable()) {
                 
                 const setResult = await this.connectionManager.setCache(testKey, testValue, 60);
-                console.log(`[CACHE TEST] Set result: ${setResult}`);
+                log.info(`Set result: ${setResult}`);
                 
                 const getValue = await this.connectionManager.getCache(testKey);
-                console.log(`[CACHE TEST] Get result: ${getValue !== null ? 'SUCCESS' : 'FAILED'}`);
-                console.log(`[CACHE TEST] Retrieved value: ${getValue}`);
+                log.info(`Get result: ${getValue !== null ? 'SUCCESS' : 'FAILED'}`);
+                log.info(`Retrieved value: ${getValue}`);
                 
                 await this.connectionManager.deleteCache(testKey);
                 const deletedValue = await this.connectionManager.getCache(testKey);
-                console.log(`[CACHE TEST] Delete result: ${deletedValue === null ? 'SUCCESS' : 'FAILED'}`);
+                log.info(`Delete result: ${deletedValue === null ? 'SUCCESS' : 'FAILED'}`);
                 
-                console.log('[CACHE TEST] Testing binary cache operations...');
+                log.info('Testing binary cache operations...');
                 const binaryKey = `test:binary:${Date.now()}`;
                 const binaryValue = Buffer.from('test binary data for cache');
                 
                 const binarySetResult = await this.connectionManager.setBinaryCache(binaryKey, binaryValue, 60);
-                console.log(`[CACHE TEST] Binary set result: ${binarySetResult}`);
+                log.info(`Binary set result: ${binarySetResult}`);
                 
                 const binaryGetValue = await this.connectionManager.getBinaryCache(binaryKey);
-                console.log(`[CACHE TEST] Binary get result: ${binaryGetValue && Buffer.isBuffer(binaryGetValue) ? 'SUCCESS' : 'FAILED'}`);
+                log.info(`Binary get result: ${binaryGetValue && Buffer.isBuffer(binaryGetValue) ? 'SUCCESS' : 'FAILED'}`);
                 
                 await this.connectionManager.deleteCache(binaryKey);
                 
             } else {
-                console.log('[CACHE TEST] Redis not available, skipping tests');
+                log.info('Redis not available, skipping tests');
             }
             
-            console.log('[CACHE TEST] Manual cache test complete');
+            log.info('Manual cache test complete');
             return true;
             
         } catch (error) {
-            console.error('[CACHE TEST] Error in manual cache test:', error);
+            log.error('Error in manual cache test:', error);
             return false;
         }
     }
@@ -1252,7 +1500,7 @@ class RedisCacheManager {
      */
     async debugPreloadUser(guild, userId) {
         try {
-            console.log(`[CACHE DEBUG] Force preloading user ${userId} in guild ${guild.name}`);
+            log.info(`Force preloading user ${userId} in guild ${guild.name}`);
             
             let member;
             try {
@@ -1261,12 +1509,12 @@ class RedisCacheManager {
                     member = await guild.members.fetch(userId);
                 }
             } catch (memberError) {
-                console.log(`[CACHE DEBUG] Could not fetch member ${userId}: ${memberError.message}`);
+                log.info(`Could not fetch member ${userId}: ${memberError.message}`);
                 return false;
             }
             
             if (!member) {
-                console.log(`[CACHE DEBUG] Member ${userId} not found in guild`);
+                log.info(`Member ${userId} not found in guild`);
                 return false;
             }
             
@@ -1276,14 +1524,14 @@ class RedisCacheManager {
                 total_xp: 1000
             };
             
-            console.log(`[CACHE DEBUG] Starting preload for ${member.displayName}...`);
+            log.info(`Starting preload for ${member.displayName}...`);
             await this.preloadUserCache(guild, userData);
             
-            console.log(`[CACHE DEBUG] Completed force preload for user ${userId}`);
+            log.info(`Completed force preload for user ${userId}`);
             return true;
             
         } catch (error) {
-            console.error(`[CACHE DEBUG] Error force preloading user ${userId}:`, error);
+            log.error(`Error force preloading user ${userId}:`, error);
             return false;
         }
     }
@@ -1294,7 +1542,7 @@ class RedisCacheManager {
     async debugClearAllCache() {
         try {
             if (!this.connectionManager || !this.connectionManager.isRedisAvailable()) {
-                console.log('[CACHE DEBUG] Redis not available for cache clearing');
+                log.info('Redis not available for cache clearing');
                 return false;
             }
 
@@ -1302,7 +1550,7 @@ class RedisCacheManager {
             
             const keys = await redis.keys(`${this.keyPrefix}*`);
             
-            console.log(`[CACHE DEBUG] Found ${keys.length} cache keys to clear`);
+            log.info(`Found ${keys.length} cache keys to clear`);
             
             if (keys.length > 0) {
                 const batchSize = 100;
@@ -1312,16 +1560,16 @@ class RedisCacheManager {
                     const batch = keys.slice(i, i + batchSize);
                     const result = await redis.del(...batch);
                     totalCleared += result;
-                    console.log(`[CACHE DEBUG] Cleared batch ${Math.floor(i/batchSize) + 1}: ${result} keys`);
+                    log.info(`Cleared batch ${Math.floor(i/batchSize) + 1}: ${result} keys`);
                 }
                 
-                console.log(`[CACHE DEBUG] Total cleared: ${totalCleared} cache keys`);
+                log.info(`Total cleared: ${totalCleared} cache keys`);
                 return totalCleared;
             }
             
             return 0;
         } catch (error) {
-            console.error('[CACHE DEBUG] Error clearing cache:', error);
+            log.error('Error clearing cache:', error);
             return false;
         }
     }
@@ -1355,7 +1603,7 @@ class RedisCacheManager {
             };
             
         } catch (error) {
-            console.error('[CACHE] Error getting cache analysis:', error);
+            log.error('Error getting cache analysis:', error);
             return { error: error.message };
         }
     }
@@ -1365,7 +1613,7 @@ class RedisCacheManager {
      */
     async optimizeCache() {
         try {
-            console.log('[CACHE OPTIMIZE] Starting cache optimization...');
+            log.info('Starting cache optimization...');
             
             let optimized = 0;
             
@@ -1388,11 +1636,11 @@ class RedisCacheManager {
                 }
             }
             
-            console.log(`[CACHE OPTIMIZE] Optimization complete: ${optimized} operations performed`);
+            log.info(`Optimization complete: ${optimized} operations performed`);
             return { success: true, operations: optimized };
             
         } catch (error) {
-            console.error('[CACHE OPTIMIZE] Error optimizing cache:', error);
+            log.error('Error optimizing cache:', error);
             return { success: false, error: error.message };
         }
     }
@@ -1404,7 +1652,7 @@ class RedisCacheManager {
         try {
             // Force process any pending operations
             if (this.preloadingInProgress) {
-                console.log('[CACHE] Waiting for preloading to complete...');
+                log.info('Waiting for preloading to complete...');
                 let attempts = 0;
                 while (this.preloadingInProgress && attempts < 30) {
                     await new Promise(resolve => setTimeout(resolve, 1000));
@@ -1415,9 +1663,12 @@ class RedisCacheManager {
             // Clean up invalidation flags
             await this.cleanupInvalidationFlags();
             
-            console.log('[CACHE] Cache manager cleanup complete');
+            this.fallbackRecentMessages.clear();
+            this.fallbackQualityStats.clear();
+            
+            log.info('Cache manager cleanup complete');
         } catch (error) {
-            console.error('[CACHE] Error during cleanup:', error);
+            log.error('Error during cleanup:', error);
         }
     }
 }
@@ -0,0 +1,358 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const DatabaseManager = require('./DatabaseManager');
+const BountyCalculator = require('../utils/BountyCalculator');
+const metrics = require('../utils/Metrics');
+const config = require('../utils/Config');
+
+// Events a webhook can subscribe to
+const EVENTS = ['level_up', 'milestone', 'daily_cap', 'admin_xp', 'admin_xp_bulk'];
+
+// Addresses webhooks may never reach - loopback, private, link-local (cloud metadata) and unique-local ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * WebhookManager - Per-guild outgoing webhooks with HMAC-signed JSON payloads
+ * Every delivery is queued in Postgres first, tried once right away and then retried with
+ * exponential backoff by the scheduler until it succeeds or becomes a dead letter
+ */
+class WebhookManager {
+    constructor(db) {
+        this.dbManager = new DatabaseManager(db);
+        this.bountyCalculator = new BountyCalculator();
+        this.maxAttempts = config.get('WEBHOOK_MAX_ATTEMPTS');
+        this.retryBaseDelay = config.get('WEBHOOK_RETRY_BASE_DELAY');
+        this.maxRetryDelay = 3600000; // 1 hour
+        this.timeout = config.get('WEBHOOK_TIMEOUT');
+        this.inFlight = new Set();
+
+        metrics.counter('leveling_webhook_deliveries_total', 'Webhook delivery attempts by event and result', ['event', 'result']);
+    }
+
+    /**
+     * Event names webhooks can subscribe to
+     */
+    getEventTypes() {
+        return [...EVENTS];
+    }
+
+    /**
+     * Parse a comma-separated event filter ("all" or empty subscribes to everything)
+     */
+    parseEvents(value) {
+        const requested = String(value ?? '').split(',').map(event => event.trim().toLowerCase()).filter(Boolean);
+        if (requested.length === 0 || requested.includes('all') || requested.includes('*')) {
+            return { valid: true, events: this.getEventTypes() };
+        }
+
+        const unknown = requested.filter(event => !EVENTS.includes(event));
+        if (unknown.length > 0) {
+            return { valid: false, error: `Unknown event(s): ${unknown.join(', ')}. Valid events: ${EVENTS.join(', ')}` };
+        }
+
+        return { valid: true, events: [...new Set(requested)] };
+    }
+
+    /**
+     * Check a webhook target URL - https only, and the host must resolve to public addresses
+     */
+    async validateUrl(value) {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            return { valid: false, error: 'That is not a valid URL.' };
+        }
+
+        if (url.protocol !== 'https:') {
+            return { valid: false, error: 'Webhook URLs must use https.' };
+        }
+
+        const error = await this.checkHost(url.hostname);
+        if (error) {
+            return { valid: false, error };
+        }
+
+        return { valid: true, url: url.toString() };
+    }
+
+    /**
+     * Reject IP literals, localhost and hosts resolving to internal addresses - returns an error string or null
+     * Runs when a webhook is saved and again before every delivery, since DNS can change in between
+     */
+    async checkHost(hostname) {
+        const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+        if (net.isIP(host)) {
+            return 'Webhook URLs must use a host name, not an IP address.';
+        }
+        if (host === 'localhost' || host.endsWith('.localhost')) {
+            return 'Webhook URLs cannot point at localhost.';
+        }
+
+        let addresses;
+        try {
+            addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+        } catch (error) {
+            return `Could not resolve \`${host}\`.`;
+        }
+
+        if (addresses.length === 0 || addresses.some(({ address }) => this.isBlockedAddress(address))) {
+            return `\`${host}\` resolves to a private, loopback or link-local address.`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether an IP address is in a range webhooks may not reach (IPv4-mapped IPv6 is checked as IPv4)
+     */
+    isBlockedAddress(address) {
+        const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+        if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+
+        const family = net.isIP(address);
+        if (family === 0) return true;
+        return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+    }
+
+    /**
+     * Random signing secret for a new webhook
+     */
+    generateSecret() {
+        return crypto.randomBytes(32).toString('hex');
+    }
+
+    /**
+     * HMAC-SHA256 signature over "<timestamp>.<body>"
+     */
+    sign(secret, timestamp, body) {
+        return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+    }
+
+    /**
+     * Delay before the next attempt after a failed one
+     */
+    getRetryDelay(attempts) {
+        return Math.min(this.retryBaseDelay * Math.pow(2, attempts - 1), this.maxRetryDelay);
+    }
+
+    /**
+     * Translate event bus events into webhook events
+     */
+    subscribe(events) {
+        events.on('level.up', async ({ userId, guildId, oldLevel, newLevel, totalXP, source, roleReward, user }) => {
+            await this.emit(guildId, 'level_up', {
+                user_id: userId,
+                username: user.username,
+                old_level: oldLevel,
+                new_level: newLevel,
+                total_xp: totalXP,
+                bounty: this.bountyCalculator.getBountyForLevel(newLevel),
+                role_reward: roleReward,
+                source
+            });
+
+            for (let level = oldLevel + 1; level <= newLevel; level++) {
+                if (!this.bountyCalculator.isMilestone(level)) continue;
+
+                await this.emit(guildId, 'milestone', {
+                    user_id: userId,
+                    username: user.username,
+                    level,
+                    bounty: this.bountyCalculator.getBountyForLevel(level),
+                    threat_level: this.bountyCalculator.getThreatLevelName(level),
+                    message: this.bountyCalculator.getThreatLevelMessage(level)
+                });
+            }
+        }, 'webhooks');
+
+        events.on('cap.reached', async ({ userId, guildId, date, dailyXP, dailyCap, tierLevel, nextResetAt, member }) => {
+            await this.emit(guildId, 'daily_cap', {
+                user_id: userId,
+                username: member?.user.username || null,
+                date,
+                daily_xp: dailyXP,
+                daily_cap: dailyCap,
+                tier: tierLevel > 0 ? `Tier ${tierLevel}` : 'Standard',
+                next_reset_at: nextResetAt.toISOString()
+            });
+        }, 'webhooks');
+
+        events.on('admin.xp.changed', async ({ guildId, userId, actorId, actor, action, operationId, reason, before, after }) => {
+            await this.emit(guildId, 'admin_xp', {
+                action,
+                operation_id: operationId,
+                user_id: userId,
+                actor_id: actorId,
+                actor_username: actor?.username || null,
+                reason,
+                before,
+                after
+            });
+        }, 'webhooks');
+
+        events.on('admin.xp.bulk_changed', async ({ guildId, actorId, actor, action, reason, changes }) => {
+            await this.emit(guildId, 'admin_xp_bulk', {
+                action,
+                actor_id: actorId,
+                actor_username: actor?.username || null,
+                reason,
+                count: changes.length,
+                changes: changes.map(({ userId, before, after }) => ({ user_id: userId, before, after }))
+            });
+        }, 'webhooks');
+    }
+
+    /**
+     * Queue an event for every webhook in the guild subscribed to it and try to deliver right away
+     * Never throws - webhook failures must not break XP handling
+     */
+    async emit(guildId, event, data) {
+        try {
+            const webhooks = (await this.dbManager.getWebhooks(guildId)).filter(webhook => webhook.events.includes(event));
+            if (webhooks.length === 0) return;
+
+            const payload = JSON.stringify({ event, guild_id: guildId, created_at: new Date().toISOString(), data });
+
+            for (const webhook of webhooks) {
+                await this.queue(webhook, event, payload);
+            }
+        } catch (error) {
+            console.error(`[WEBHOOK] Error emitting ${event} for guild ${guildId}:`, error);
+        }
+    }
+
+    /**
+     * Store a delivery and start its first attempt - returns the attempt's promise without waiting on it
+     * The stored retry time covers the case where this process dies mid-attempt
+     */
+    async queue(webhook, event, payload, retry = true) {
+        const id = await this.dbManager.createWebhookDelivery(
+            webhook.id, webhook.guild_id, event, payload, new Date(Date.now() + this.retryBaseDelay)
+        );
+
+        const delivery = { id, webhook_id: webhook.id, guild_id: webhook.guild_id, event, payload, attempts: 0, url: webhook.url, secret: webhook.secret };
+        const attempt = this.deliver(delivery, retry);
+        attempt.catch(error => console.error(`[WEBHOOK] Error delivering #${id}:`, error));
+        return { attempt };
+    }
+
+    /**
+     * Attempt one delivery and record the outcome - without retry a failure is dead-lettered at once
+     * Returns { delivered, statusCode, error }
+     */
+    async deliver(delivery, retry = true) {
+        if (this.inFlight.has(delivery.id)) return { delivered: false, error: 'Delivery already in progress' };
+        this.inFlight.add(delivery.id);
+
+        const attempts = delivery.attempts + 1;
+        let statusCode = null;
+        let errorMessage = null;
+
+        try {
+            // Webhooks saved before this check existed, or whose DNS changed since, are refused here
+            const url = new URL(delivery.url);
+            const hostError = url.protocol === 'https:' ? await this.checkHost(url.hostname) : 'Webhook URLs must use https.';
+            if (hostError) {
+                throw new Error(`Blocked target: ${hostError}`);
+            }
+
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'Leveling-Bot-Webhooks/1.0',
+                    'X-Leveling-Event': delivery.event,
+                    'X-Leveling-Delivery': String(delivery.id),
+                    'X-Leveling-Timestamp': timestamp,
+                    'X-Leveling-Signature': this.sign(delivery.secret, timestamp, delivery.payload)
+                },
+                body: delivery.payload,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.timeout)
+            });
+
+            statusCode = response.status;
+            if (response.ok) {
+                await this.dbManager.updateWebhookDelivery(delivery.id, { status: 'delivered', attempts, statusCode });
+                metrics.inc('leveling_webhook_deliveries_total', { event: delivery.event, result: 'delivered' });
+                return { delivered: true, statusCode };
+            }
+            errorMessage = `HTTP ${response.status}`;
+
+        } catch (error) {
+            errorMessage = error.name === 'TimeoutError' ? `Timed out after ${this.timeout}ms` : error.message;
+        } finally {
+            this.inFlight.delete(delivery.id);
+        }
+
+        if (!retry || attempts >= this.maxAttempts) {
+            console.warn(`[WEBHOOK] Delivery #${delivery.id} (${delivery.event}) failed ${attempts} times - moved to dead letters: ${errorMessage}`);
+            await this.dbManager.updateWebhookDelivery(delivery.id, { status: 'dead', attempts, statusCode, error: errorMessage });
+            metrics.inc('leveling_webhook_deliveries_total', { event: delivery.event, result: 'dead' });
+        } else {
+            const nextAttemptAt = new Date(Date.now() + this.getRetryDelay(attempts));
+            await this.dbManager.updateWebhookDelivery(delivery.id, { status: 'pending', attempts, nextAttemptAt, statusCode, error: errorMessage });
+            metrics.inc('leveling_webhook_deliveries_total', { event: delivery.event, result: 'retry' });
+        }
+
+        return { delivered: false, statusCode, error: errorMessage };
+    }
+
+    /**
+     * Retry every due delivery and prune old delivered rows (scheduler job)
+     */
+    async processRetries() {
+        const due = await this.dbManager.getDueWebhookDeliveries();
+        let delivered = 0;
+
+        for (const delivery of due) {
+            const result = await this.deliver(delivery);
+            if (result.delivered) delivered++;
+        }
+
+        const removed = await this.dbManager.cleanupWebhookDeliveries(config.get('WEBHOOK_DELIVERY_RETENTION_DAYS'));
+
+        if (due.length > 0 || removed > 0) {
+            console.log(`[WEBHOOK] Retried ${due.length} deliveries (${delivered} delivered), pruned ${removed} old deliveries`);
+        }
+    }
+
+    /**
+     * Send a signed test event to one webhook and wait for the result (tests are not retried)
+     */
+    async sendTest(webhook) {
+        const payload = JSON.stringify({
+            event: 'test',
+            guild_id: webhook.guild_id,
+            created_at: new Date().toISOString(),
+            data: { webhook_id: webhook.id, message: 'Test delivery from Leveling-Bot' }
+        });
+
+        const { attempt } = await this.queue(webhook, 'test', payload, false);
+        return await attempt;
+    }
+
+    /**
+     * Register the retry job with the job scheduler
+     */
+    registerJobs(jobScheduler) {
+        jobScheduler.register('webhook-retries', {
+            interval: config.get('WEBHOOK_RETRY_INTERVAL'),
+            handler: async () => {
+                await this.processRetries();
+            }
+        });
+    }
+}
+
+module.exports = WebhookManager;
@@ -3,7 +3,19 @@ const BountyCalculator = require('../utils/BountyCalculator');
 const LevelCalculator = require('../utils/LevelCalculator');
 const DailyCapManager = require('./DailyCapManager');
 const LevelUpHandler = require('./LevelUpHandler');
+const WebhookManager = require('./WebhookManager');
+const EventBus = require('./EventBus');
 const XPLogger = require('../utils/XPLogger');
+const GuildConfig = require('../utils/GuildConfig');
+const MessageQualityFilter = require('../utils/MessageQualityFilter');
+const metrics = require('../utils/Metrics');
+const logger = require('../utils/Logger');
+const config = require('../utils/Config');
+
+const log = logger.child('xp');
+const boostLog = logger.child('xp:boost');
+const voiceLog = logger.child('voice');
+const syncLog = logger.child('voice:sync');
 
 /**
  * XPManager - Main XP tracking and management system
@@ -20,13 +32,20 @@ class XPManager {
         this.dbManager = new DatabaseManager(db);
         this.bountyCalculator = new BountyCalculator();
         this.levelCalculator = new LevelCalculator();
-        this.dailyCapManager = new DailyCapManager(db);
-        this.levelUpHandler = new LevelUpHandler(client, db);
+        this.events = new EventBus();
+        this.webhookManager = new WebhookManager(db);
+        this.webhookManager.subscribe(this.events);
+        this.dailyCapManager = new DailyCapManager(db, (guildId) => this.getGuildConfig(guildId), this.events);
+        this.levelUpHandler = new LevelUpHandler(client, db, this.events, (guildId) => this.getGuildConfig(guildId));
         this.xpLogger = new XPLogger(client);
+        this.guildConfig = new GuildConfig();
+        this.messageQualityFilter = new MessageQualityFilter();
+        
+        // Fallback guild config cache when Redis is unavailable
+        this.guildConfigCache = new Map();
         
         // Track voice processing state
         this.isProcessingVoice = false;
-        this.voiceProcessingInterval = null;
     }
 
     /**
@@ -34,7 +53,7 @@ class XPManager {
      */
     async initialize() {
         try {
-            console.log('⚡ Initializing XP Manager...');
+            log.info('⚡ Initializing XP Manager...');
             
             // Initialize daily cap manager
             await this.dailyCapManager.initialize();
@@ -48,20 +67,14 @@ class XPManager {
             } else {
                 // Wait for ready event
                 this.client.once('ready', async () => {
-                    console.log('🎤 [VOICE SYNC] Client ready, starting voice session sync...');
+                    syncLog.info('Client ready, starting voice session sync...');
                     await this.syncExistingVoiceSessions();
                 });
             }
             
-            // Start voice XP processing interval
-            this.startVoiceXPProcessing();
-            
-            // Start daily reset schedule
-            this.scheduleDailyReset();
-            
-            console.log('✅ XP Manager initialized successfully');
+            log.info('✅ XP Manager initialized successfully');
         } catch (error) {
-            console.error('❌ Error initializing XP Manager:', error);
+            log.error('❌ Error initializing XP Manager:', error);
             throw error;
         }
     }
@@ -71,8 +84,8 @@ class XPManager {
      */
     async syncExistingVoiceSessions() {
         try {
-            console.log('🎤 [VOICE SYNC] ==================== STARTING VOICE SYNC ====================');
-            console.log(`🎤 [VOICE SYNC] Bot connected to ${this.client.guilds.cache.size} guilds`);
+            syncLog.info('==================== STARTING VOICE SYNC ====================');
+            syncLog.debug(`Bot connected to ${this.client.guilds.cache.size} guilds`);
             
             let totalSynced = 0;
             let totalErrors = 0;
@@ -80,7 +93,7 @@ class XPManager {
             // Process each guild
             for (const [guildId, guild] of this.client.guilds.cache) {
                 try {
-                    console.log(`🎤 [VOICE SYNC] === Processing guild: ${guild.name} (${guildId}) ===`);
+                    syncLog.debug(`=== Processing guild: ${guild.name} (${guildId}) ===`);
                     
                     // Get all voice channels in this guild
                     const voiceChannels = guild.channels.cache.filter(channel => 
@@ -89,40 +102,40 @@ class XPManager {
                         channel.members.size > 0
                     );
                     
-                    console.log(`🎤 [VOICE SYNC] Found ${voiceChannels.size} non-empty voice channels`);
+                    syncLog.debug(`Found ${voiceChannels.size} non-empty voice channels`);
                     
                     if (voiceChannels.size === 0) {
-                        console.log(`🎤 [VOICE SYNC] No active voice channels in ${guild.name}, skipping`);
+                        syncLog.debug(`No active voice channels in ${guild.name}, skipping`);
                         continue;
                     }
                     
                     // Process each voice channel with members
                     for (const [channelId, channel] of voiceChannels) {
-                        console.log(`🎤 [VOICE SYNC] --- Processing channel: ${channel.name} (${channelId}) ---`);
+                        syncLog.debug(`--- Processing channel: ${channel.name} (${channelId}) ---`);
                         
                         // Get only human members (filter out bots)
                         const humanMembers = channel.members.filter(member => !member.user.bot);
-                        console.log(`🎤 [VOICE SYNC] Channel has ${humanMembers.size} human members`);
+                        syncLog.debug(`Channel has ${humanMembers.size} human members`);
                         
                         if (humanMembers.size === 0) {
-                            console.log(`🎤 [VOICE SYNC] No human members in ${channel.name}, skipping`);
+                            syncLog.debug(`No human members in ${channel.name}, skipping`);
                             continue;
                         }
                         
                         // Process each human member
                         for (const [userId, member] of humanMembers) {
                             try {
-                                console.log(`🎤 [VOICE SYNC] Processing member: ${member.user.username} (${userId})`);
+                                syncLog.debug(`Processing member: ${member.user.username} (${userId})`);
                                 
                                 // Double-check voice state
                                 const voiceState = member.voice;
                                 if (!voiceState || voiceState.channelId !== channelId) {
-                                    console.log(`🎤 [VOICE SYNC] ❌ ${member.user.username} voice state mismatch, skipping`);
+                                    syncLog.debug(`❌ ${member.user.username} voice state mismatch, skipping`);
                                     continue;
                                 }
                                 
                                 // Create voice session with adjusted timing for immediate XP processing
-                                const cooldownMs = parseInt(process.env.VOICE_COOLDOWN) || 300000; // 5 minutes
+                                const { voice_cooldown: cooldownMs } = await this.getGuildConfig(guildId);
                                 const adjustedTime = new Date(Date.now() - cooldownMs - 10000); // Extra 10 seconds buffer
                                 
                                 const result = await this.dbManager.setVoiceSessionWithTime(
@@ -136,40 +149,40 @@ class XPManager {
                                 
                                 if (result) {
                                     totalSynced++;
-                                    console.log(`🎤 [VOICE SYNC] ✅ Successfully synced: ${member.user.username}`);
+                                    syncLog.debug(`✅ Successfully synced: ${member.user.username}`);
                                 } else {
-                                    console.log(`🎤 [VOICE SYNC] ❌ Failed to sync: ${member.user.username}`);
+                                    syncLog.debug(`❌ Failed to sync: ${member.user.username}`);
                                     totalErrors++;
                                 }
                                 
                             } catch (memberError) {
-                                console.error(`🎤 [VOICE SYNC] ❌ Error processing member ${userId}:`, memberError);
+                                syncLog.error(`❌ Error processing member ${userId}:`, memberError);
                                 totalErrors++;
                             }
                         }
                     }
                     
                 } catch (guildError) {
-                    console.error(`🎤 [VOICE SYNC] ❌ Error processing guild ${guild.name}:`, guildError);
+                    syncLog.error(`❌ Error processing guild ${guild.name}:`, guildError);
                     totalErrors++;
                 }
             }
             
-            console.log(`🎤 [VOICE SYNC] ==================== SYNC COMPLETE ====================`);
-            console.log(`🎤 [VOICE SYNC] ✅ Users synced: ${totalSynced}`);
-            console.log(`🎤 [VOICE SYNC] ⚠️ Errors: ${totalErrors}`);
+            syncLog.info(`==================== SYNC COMPLETE ====================`);
+            syncLog.info(`✅ Users synced: ${totalSynced}`);
+            syncLog.info(`⚠️ Errors: ${totalErrors}`);
             
             // Immediately process XP for synced sessions if any
             if (totalSynced > 0) {
-                console.log(`🎤 [VOICE SYNC] Scheduling immediate XP processing for ${totalSynced} users in 10 seconds...`);
+                syncLog.info(`Scheduling immediate XP processing for ${totalSynced} users in 10 seconds...`);
                 setTimeout(async () => {
-                    console.log(`🎤 [VOICE SYNC] ⚡ Triggering immediate XP processing...`);
+                    syncLog.info(`⚡ Triggering immediate XP processing...`);
                     await this.processVoiceXP();
                 }, 10000);
             }
             
         } catch (error) {
-            console.error('❌ Critical error in voice session sync:', error);
+            syncLog.error('❌ Critical error in voice session sync:', error);
         }
     }
 
@@ -186,6 +199,8 @@ class XPManager {
                 return;
             }
             
+            const config = await this.getGuildConfig(guildId);
+            
             // Check cache-based cooldown first
             if (this.cacheManager) {
                 const isOnCooldown = await this.cacheManager.isOnXPCooldown(userId, guildId, 'message');
@@ -195,8 +210,7 @@ class XPManager {
             } else {
                 // Fallback to memory cooldown
                 const cooldownKey = `${guildId}:${userId}:message`;
-                const cooldownMs = parseInt(process.env.MESSAGE_COOLDOWN) || 60000;
-                if (this.isOnCooldown(cooldownKey, cooldownMs)) {
+                if (this.isOnCooldown(cooldownKey, config.message_cooldown)) {
                     return;
                 }
             }
@@ -205,6 +219,27 @@ class XPManager {
             const member = message.member;
             if (!member) return;
 
+            // Check channel/category XP rules
+            const channelRule = await this.dbManager.calculateChannelXPRule(message.channel, guildId);
+            if (!channelRule.allowed) {
+                return;
+            }
+
+            // Check no-XP roles and XP freezes
+            const restriction = await this.checkXPRestrictions(userId, guildId, member);
+            if (restriction.restricted) {
+                return;
+            }
+
+            // Reject low-effort or repeated messages
+            if (config.message_quality_filter) {
+                const quality = await this.checkMessageQuality(message, config);
+                if (!quality.passed) {
+                    log.debug(`${member.displayName} message rejected: ${quality.reason}`);
+                    return;
+                }
+            }
+
             // Check daily cap BEFORE calculating XP
             const canGainXP = await this.dailyCapManager.canGainXP(userId, guildId, member);
             if (!canGainXP.allowed) {
@@ -212,31 +247,36 @@ class XPManager {
             }
 
             // Calculate base XP
-            const minXP = parseInt(process.env.MESSAGE_XP_MIN) || 75;
-            const maxXP = parseInt(process.env.MESSAGE_XP_MAX) || 100;
+            const minXP = config.message_xp_min;
+            const maxXP = config.message_xp_max;
             const baseXP = Math.floor(Math.random() * (maxXP - minXP + 1)) + minXP;
             
             // Apply XP boost multiplier (from roles) - FIXED CALCULATION
             const boostMultiplier = await this.dbManager.calculateXPMultiplier(member, guildId);
             
-            // Apply global XP multiplier
-            const globalMultiplier = parseFloat(process.env.XP_MULTIPLIER) || 1.0;
+            // Apply guild XP multiplier
+            const globalMultiplier = config.xp_multiplier;
             
-            const calculatedXP = Math.round(baseXP * boostMultiplier * globalMultiplier);
+            const calculatedXP = Math.round(baseXP * boostMultiplier * channelRule.multiplier * globalMultiplier);
 
-            console.log(`[XP BOOST DEBUG] ${member.displayName} message XP: base=${baseXP}, boost=${boostMultiplier.toFixed(2)}x, global=${globalMultiplier}x, final=${calculatedXP}`);
+            boostLog.debug(`${member.displayName} message XP: base=${baseXP}, boost=${boostMultiplier.toFixed(2)}x, channel=${channelRule.multiplier}x, global=${globalMultiplier}x, final=${calculatedXP}`);
+
+            const grantedXP = await this.runXPGrantHook({ userId, guildId, source: 'message', amount: calculatedXP, baseXP, member, channelId: message.channel.id });
 
             // ENFORCE DAILY CAP: Only award XP up to the remaining cap amount
-            const finalXP = Math.min(calculatedXP, canGainXP.remaining);
+            const finalXP = Math.min(grantedXP, canGainXP.remaining);
 
             // Only award if there's XP to award
             if (finalXP > 0) {
-                await this.awardXP(userId, guildId, finalXP, 'message', message.author, member, null);
+                await this.awardXP(userId, guildId, finalXP, 'message', message.author, member, null, {
+                    channelId: message.channel.id,
+                    baseXP,
+                    multipliers: { boost: boostMultiplier, channel: channelRule.multiplier, global: globalMultiplier }
+                });
                 
                 // Set cooldown in cache
                 if (this.cacheManager) {
-                    const cooldownMs = parseInt(process.env.MESSAGE_COOLDOWN) || 60000;
-                    await this.cacheManager.setXPCooldown(userId, guildId, 'message', cooldownMs);
+                    await this.cacheManager.setXPCooldown(userId, guildId, 'message', config.message_cooldown);
                 } else {
                     // Fallback cooldown
                     const cooldownKey = `${guildId}:${userId}:message`;
@@ -245,12 +285,12 @@ class XPManager {
                 
                 // Log boost if applied
                 if (boostMultiplier > 1.0) {
-                    console.log(`[XP BOOST] ${member.displayName} message XP: ${baseXP} → ${calculatedXP} (${boostMultiplier.toFixed(2)}x boost)`);
+                    boostLog.debug(`${member.displayName} message XP: ${baseXP} → ${calculatedXP} (${boostMultiplier.toFixed(2)}x boost)`);
                 }
             }
 
         } catch (error) {
-            console.error('Error handling message XP:', error);
+            log.error('Error handling message XP:', error);
         }
     }
 
@@ -267,6 +307,8 @@ class XPManager {
                 return;
             }
             
+            const config = await this.getGuildConfig(guildId);
+            
             // Check cache-based cooldown first
             if (this.cacheManager) {
                 const isOnCooldown = await this.cacheManager.isOnXPCooldown(userId, guildId, 'reaction');
@@ -276,8 +318,7 @@ class XPManager {
             } else {
                 // Fallback to memory cooldown
                 const cooldownKey = `${guildId}:${userId}:reaction`;
-                const cooldownMs = parseInt(process.env.REACTION_COOLDOWN) || 300000;
-                if (this.isOnCooldown(cooldownKey, cooldownMs)) {
+                if (this.isOnCooldown(cooldownKey, config.reaction_cooldown)) {
                     return;
                 }
             }
@@ -287,6 +328,18 @@ class XPManager {
             const member = await guild.members.fetch(userId).catch(() => null);
             if (!member) return;
 
+            // Check channel/category XP rules
+            const channelRule = await this.dbManager.calculateChannelXPRule(reaction.message.channel, guildId);
+            if (!channelRule.allowed) {
+                return;
+            }
+
+            // Check no-XP roles and XP freezes
+            const restriction = await this.checkXPRestrictions(userId, guildId, member);
+            if (restriction.restricted) {
+                return;
+            }
+
             // Check daily cap BEFORE calculating XP
             const canGainXP = await this.dailyCapManager.canGainXP(userId, guildId, member);
             if (!canGainXP.allowed) {
@@ -294,31 +347,36 @@ class XPManager {
             }
 
             // Calculate base XP
-            const minXP = parseInt(process.env.REACTION_XP_MIN) || 75;
-            const maxXP = parseInt(process.env.REACTION_XP_MAX) || 100;
+            const minXP = config.reaction_xp_min;
+            const maxXP = config.reaction_xp_max;
             const baseXP = Math.floor(Math.random() * (maxXP - minXP + 1)) + minXP;
             
             // Apply XP boost multiplier (from roles) - FIXED CALCULATION
             const boostMultiplier = await this.dbManager.calculateXPMultiplier(member, guildId);
             
-            // Apply global XP multiplier
-            const globalMultiplier = parseFloat(process.env.XP_MULTIPLIER) || 1.0;
+            // Apply guild XP multiplier
+            const globalMultiplier = config.xp_multiplier;
             
-            const calculatedXP = Math.round(baseXP * boostMultiplier * globalMultiplier);
+            const calculatedXP = Math.round(baseXP * boostMultiplier * channelRule.multiplier * globalMultiplier);
+
+            boostLog.debug(`${member.displayName} reaction XP: base=${baseXP}, boost=${boostMultiplier.toFixed(2)}x, channel=${channelRule.multiplier}x, global=${globalMultiplier}x, final=${calculatedXP}`);
 
-            console.log(`[XP BOOST DEBUG] ${member.displayName} reaction XP: base=${baseXP}, boost=${boostMultiplier.toFixed(2)}x, global=${globalMultiplier}x, final=${calculatedXP}`);
+            const grantedXP = await this.runXPGrantHook({ userId, guildId, source: 'reaction', amount: calculatedXP, baseXP, member, channelId: reaction.message.channel.id });
 
             // ENFORCE DAILY CAP: Only award XP up to the remaining cap amount
-            const finalXP = Math.min(calculatedXP, canGainXP.remaining);
+            const finalXP = Math.min(grantedXP, canGainXP.remaining);
 
             // Only award if there's XP to award
             if (finalXP > 0) {
-                await this.awardXP(userId, guildId, finalXP, 'reaction', user, member, null);
+                await this.awardXP(userId, guildId, finalXP, 'reaction', user, member, null, {
+                    channelId: reaction.message.channel.id,
+                    baseXP,
+                    multipliers: { boost: boostMultiplier, channel: channelRule.multiplier, global: globalMultiplier }
+                });
                 
                 // Set cooldown in cache
                 if (this.cacheManager) {
-                    const cooldownMs = parseInt(process.env.REACTION_COOLDOWN) || 300000;
-                    await this.cacheManager.setXPCooldown(userId, guildId, 'reaction', cooldownMs);
+                    await this.cacheManager.setXPCooldown(userId, guildId, 'reaction', config.reaction_cooldown);
                 } else {
                     // Fallback cooldown
                     const cooldownKey = `${guildId}:${userId}:reaction`;
@@ -327,12 +385,12 @@ class XPManager {
                 
                 // Log boost if applied
                 if (boostMultiplier > 1.0) {
-                    console.log(`[XP BOOST] ${member.displayName} reaction XP: ${baseXP} → ${calculatedXP} (${boostMultiplier.toFixed(2)}x boost)`);
+                    boostLog.debug(`${member.displayName} reaction XP: ${baseXP} → ${calculatedXP} (${boostMultiplier.toFixed(2)}x boost)`);
                 }
             }
 
         } catch (error) {
-            console.error('Error handling reaction XP:', error);
+            log.error('Error handling reaction XP:', error);
         }
     }
 
@@ -354,16 +412,16 @@ class XPManager {
             
             // CRITICAL: IGNORE BOTS
             if (member.user.bot) {
-                console.log(`🎤 [VOICE] Ignoring bot voice state change: ${member.user.username}`);
+                voiceLog.debug(`Ignoring bot voice state change: ${member.user.username}`);
                 return;
             }
 
-            console.log(`🎤 [VOICE] Processing voice state update for ${member.user.username}`);
-            console.log(`🎤 [VOICE] Old channel: ${oldState.channelId}, New channel: ${newState.channelId}`);
+            voiceLog.debug(`Processing voice state update for ${member.user.username}`);
+            voiceLog.debug(`Old channel: ${oldState.channelId}, New channel: ${newState.channelId}`);
 
             // User joined a voice channel
             if (!oldState.channelId && newState.channelId) {
-                console.log(`🎤 [VOICE] ${member.user.username} joined ${newState.channel.name}`);
+                voiceLog.debug(`${member.user.username} joined ${newState.channel.name}`);
                 
                 await this.dbManager.setVoiceSession(
                     userId, 
@@ -372,12 +430,14 @@ class XPManager {
                     newState.mute || newState.selfMute,
                     newState.deaf || newState.selfDeaf
                 );
+                await this.events.emit('voice.session.start', { userId, guildId, channelId: newState.channelId, member });
             }
             // User left voice channel
             else if (oldState.channelId && !newState.channelId) {
-                console.log(`🎤 [VOICE] ${member.user.username} left voice channel`);
+                voiceLog.debug(`${member.user.username} left voice channel`);
                 
-                await this.dbManager.removeVoiceSession(userId, guildId);
+                const session = await this.dbManager.removeVoiceSession(userId, guildId);
+                await this.emitVoiceSessionEnd(session, oldState.channelId, 'left', member);
             }
             // User moved channels or mute/deafen state changed
             else if (oldState.channelId && newState.channelId) {
@@ -388,8 +448,11 @@ class XPManager {
                 
                 // If moved channels, reset the session
                 if (oldState.channelId !== newState.channelId) {
-                    console.log(`🎤 [VOICE] ${member.user.username} moved to ${newState.channel.name}`);
+                    voiceLog.debug(`${member.user.username} moved to ${newState.channel.name}`);
                     
+                    const previousSession = await this.dbManager.getVoiceSession(userId, guildId);
+                    await this.emitVoiceSessionEnd(previousSession, oldState.channelId, 'moved', member);
+
                     await this.dbManager.setVoiceSession(
                         userId, 
                         guildId, 
@@ -397,33 +460,67 @@ class XPManager {
                         newMuted,
                         newDeafened
                     );
+                    await this.events.emit('voice.session.start', { userId, guildId, channelId: newState.channelId, member });
                 }
                 // Just mute/deafen state changed
                 else if (oldMuted !== newMuted || oldDeafened !== newDeafened) {
-                    console.log(`🎤 [VOICE] ${member.user.username} mute/deafen state changed`);
+                    voiceLog.debug(`${member.user.username} mute/deafen state changed`);
                     await this.dbManager.updateVoiceSession(userId, guildId, newMuted, newDeafened);
                 }
             }
 
         } catch (error) {
-            console.error('Error handling voice state update:', error);
+            log.error('Error handling voice state update:', error);
         }
     }
 
+    /**
+     * Emit voice.session.end for a session that was just closed
+     */
+    async emitVoiceSessionEnd(session, channelId, reason, member) {
+        const durationSeconds = session?.join_time
+            ? Math.max(0, Math.floor((Date.now() - new Date(session.join_time).getTime()) / 1000))
+            : 0;
+
+        await this.events.emit('voice.session.end', {
+            userId: member.id,
+            guildId: member.guild.id,
+            channelId,
+            durationSeconds,
+            reason,
+            member
+        });
+    }
+
+    /**
+     * Run the xp.grant hook so plugins can change or veto earned XP - returns the amount to award (0 when vetoed)
+     */
+    async runXPGrantHook(grant) {
+        const result = await this.events.runHook('xp.grant', grant);
+
+        if (result.vetoed) {
+            log.info(`${grant.source} XP for ${grant.userId} vetoed by ${result.vetoedBy}`);
+            return 0;
+        }
+
+        return Math.max(0, Math.round(Number(result.amount)) || 0);
+    }
+
     /**
      * Process voice XP for all active sessions
      */
     async processVoiceXP() {
         // Prevent multiple simultaneous voice processing
         if (this.isProcessingVoice) {
-            console.log(`🎤 [VOICE DEBUG] Voice XP processing already in progress, skipping...`);
+            voiceLog.debug(`Voice XP processing already in progress, skipping...`);
             return;
         }
 
         this.isProcessingVoice = true;
+        const stopTimer = metrics.startTimer('leveling_voice_processing_seconds');
         
         try {
-            console.log(`🎤 [VOICE DEBUG] ================ STARTING VOICE XP PROCESSING ================`);
+            voiceLog.debug(`================ STARTING VOICE XP PROCESSING ================`);
             
             let totalSessionsChecked = 0;
             let totalXPAwarded = 0;
@@ -433,7 +530,7 @@ class XPManager {
             // Process each guild
             for (const [guildId, guild] of this.client.guilds.cache) {
                 const sessions = await this.dbManager.getVoiceSessions(guildId);
-                console.log(`🎤 [VOICE DEBUG] Guild ${guild.name}: Processing ${sessions.length} voice sessions`);
+                voiceLog.debug(`Guild ${guild.name}: Processing ${sessions.length} voice sessions`);
                 
                 if (sessions.length === 0) continue;
                 
@@ -444,25 +541,26 @@ class XPManager {
                     if (result.xpAwarded > 0) {
                         totalXPAwarded += result.xpAwarded;
                         totalUsersAwarded++;
-                        console.log(`🎤 [VOICE DEBUG] ✅ Awarded ${result.xpAwarded} XP to user ${session.user_id}`);
+                        voiceLog.debug(`✅ Awarded ${result.xpAwarded} XP to user ${session.user_id}`);
                     } else if (result.reason === 'session_removed') {
                         totalSessionsRemoved++;
-                        console.log(`🎤 [VOICE DEBUG] 🗑️ Removed invalid session for user ${session.user_id}: ${result.reason}`);
+                        voiceLog.debug(`🗑️ Removed invalid session for user ${session.user_id}: ${result.reason}`);
                     } else {
-                        console.log(`🎤 [VOICE DEBUG] ❌ No XP for user ${session.user_id}: ${result.reason}`);
+                        voiceLog.debug(`❌ No XP for user ${session.user_id}: ${result.reason}`);
                     }
                 }
             }
             
-            console.log(`🎤 [VOICE DEBUG] ================ VOICE XP PROCESSING COMPLETE ================`);
-            console.log(`🎤 [VOICE DEBUG] Sessions checked: ${totalSessionsChecked}`);
-            console.log(`🎤 [VOICE DEBUG] Users awarded XP: ${totalUsersAwarded}`);
-            console.log(`🎤 [VOICE DEBUG] Total XP awarded: ${totalXPAwarded}`);
-            console.log(`🎤 [VOICE DEBUG] Invalid sessions removed: ${totalSessionsRemoved}`);
+            voiceLog.debug(`================ VOICE XP PROCESSING COMPLETE ================`);
+            voiceLog.debug(`Sessions checked: ${totalSessionsChecked}`);
+            voiceLog.debug(`Users awarded XP: ${totalUsersAwarded}`);
+            voiceLog.debug(`Total XP awarded: ${totalXPAwarded}`);
+            voiceLog.debug(`Invalid sessions removed: ${totalSessionsRemoved}`);
             
         } catch (error) {
-            console.error('🎤 [VOICE DEBUG] ❌ Critical error in voice XP processing:', error);
+            voiceLog.error('❌ Critical error in voice XP processing:', error);
         } finally {
+            stopTimer();
             this.isProcessingVoice = false;
         }
     }
@@ -473,17 +571,18 @@ class XPManager {
     async processUserVoiceXP(session, guild) {
         try {
             const now = Date.now();
-            const cooldownMs = parseInt(process.env.VOICE_COOLDOWN) || 300000; // 5 minutes
-            const minMembers = parseInt(process.env.VOICE_MIN_MEMBERS) || 2;
-            const antiAFK = process.env.VOICE_ANTI_AFK === 'true';
+            const config = await this.getGuildConfig(session.guild_id);
+            const cooldownMs = config.voice_cooldown;
+            const minMembers = config.voice_min_members;
+            const antiAFK = config.voice_anti_afk;
             
-            console.log(`🎤 [VOICE USER] Processing user ${session.user_id} in channel ${session.channel_id}`);
+            voiceLog.debug(`Processing user ${session.user_id} in channel ${session.channel_id}`);
             
             // Validate session timing
             const lastXPTime = new Date(session.last_xp_time).getTime();
             const timeSinceLastXP = now - lastXPTime;
             
-            console.log(`🎤 [VOICE USER] Time since last XP: ${Math.round(timeSinceLastXP/1000)}s (required: ${cooldownMs/1000}s)`);
+            voiceLog.debug(`Time since last XP: ${Math.round(timeSinceLastXP/1000)}s (required: ${cooldownMs/1000}s)`);
             
             if (timeSinceLastXP < cooldownMs) {
                 return { xpAwarded: 0, reason: 'cooldown_not_met' };
@@ -492,7 +591,7 @@ class XPManager {
             // Validate channel still exists and get current members
             const channel = guild.channels.cache.get(session.channel_id);
             if (!channel || channel.type !== 2) {
-                console.log(`🎤 [VOICE USER] Channel ${session.channel_id} no longer exists or not voice channel, removing session`);
+                voiceLog.debug(`Channel ${session.channel_id} no longer exists or not voice channel, removing session`);
                 await this.dbManager.removeVoiceSession(session.user_id, session.guild_id);
                 return { xpAwarded: 0, reason: 'session_removed' };
             }
@@ -500,14 +599,14 @@ class XPManager {
             // Get member and validate they exist and are not a bot
             const member = await guild.members.fetch(session.user_id).catch(() => null);
             if (!member) {
-                console.log(`🎤 [VOICE USER] Member ${session.user_id} no longer in guild, removing session`);
+                voiceLog.debug(`Member ${session.user_id} no longer in guild, removing session`);
                 await this.dbManager.removeVoiceSession(session.user_id, session.guild_id);
                 return { xpAwarded: 0, reason: 'session_removed' };
             }
 
             // CRITICAL: Double-check not a bot
             if (member.user.bot) {
-                console.log(`🎤 [VOICE USER] ⚠️ Found bot in voice sessions, removing: ${member.user.username}`);
+                voiceLog.debug(`⚠️ Found bot in voice sessions, removing: ${member.user.username}`);
                 await this.dbManager.removeVoiceSession(session.user_id, session.guild_id);
                 return { xpAwarded: 0, reason: 'session_removed' };
             }
@@ -515,13 +614,13 @@ class XPManager {
             // Validate member is actually in the expected voice channel
             const memberVoiceState = member.voice;
             if (!memberVoiceState.channelId) {
-                console.log(`🎤 [VOICE USER] Member ${member.user.username} not in any voice channel, removing session`);
+                voiceLog.debug(`Member ${member.user.username} not in any voice channel, removing session`);
                 await this.dbManager.removeVoiceSession(session.user_id, session.guild_id);
                 return { xpAwarded: 0, reason: 'session_removed' };
             }
 
             if (memberVoiceState.channelId !== session.channel_id) {
-                console.log(`🎤 [VOICE USER] Member ${member.user.username} in different channel (${memberVoiceState.channelId} vs ${session.channel_id}), removing session`);
+                voiceLog.debug(`Member ${member.user.username} in different channel (${memberVoiceState.channelId} vs ${session.channel_id}), removing session`);
                 await this.dbManager.removeVoiceSession(session.user_id, session.guild_id);
                 return { xpAwarded: 0, reason: 'session_removed' };
             }
@@ -529,40 +628,57 @@ class XPManager {
             // Count human members in channel (exclude bots)
             const humanMembers = channel.members.filter(m => !m.user.bot);
             const memberCount = humanMembers.size;
-            console.log(`🎤 [VOICE USER] Channel ${channel.name}: ${memberCount} human members (${channel.members.size} total with bots)`);
+            voiceLog.debug(`Channel ${channel.name}: ${memberCount} human members (${channel.members.size} total with bots)`);
             
             if (memberCount < minMembers) {
-                console.log(`🎤 [VOICE USER] Not enough human members (${memberCount}/${minMembers}), no XP awarded`);
+                voiceLog.debug(`Not enough human members (${memberCount}/${minMembers}), no XP awarded`);
                 return { xpAwarded: 0, reason: 'insufficient_human_members' };
             }
 
+            // Check channel/category XP rules
+            const channelRule = await this.dbManager.calculateChannelXPRule(channel, session.guild_id);
+            if (!channelRule.allowed) {
+                voiceLog.debug(`XP disabled in ${channel.name} by channel rules, no XP awarded`);
+                return { xpAwarded: 0, reason: 'channel_blocked' };
+            }
+
+            // Check no-XP roles and XP freezes
+            const restriction = await this.checkXPRestrictions(session.user_id, session.guild_id, member);
+            if (restriction.restricted) {
+                voiceLog.debug(`${member.user.username} cannot earn XP (${restriction.reason}), no XP awarded`);
+                return { xpAwarded: 0, reason: restriction.reason };
+            }
+
             // Check daily cap BEFORE calculating XP
             const canGainXP = await this.dailyCapManager.canGainXP(session.user_id, session.guild_id, member);
             if (!canGainXP.allowed) {
-                console.log(`🎤 [VOICE USER] ${member.user.username} has reached daily XP cap (${canGainXP.currentXP}/${canGainXP.dailyCap})`);
+                voiceLog.debug(`${member.user.username} has reached daily XP cap (${canGainXP.currentXP}/${canGainXP.dailyCap})`);
                 return { xpAwarded: 0, reason: 'daily_cap_reached' };
             }
 
             // Calculate XP with all modifiers
-            const minXP = parseInt(process.env.VOICE_XP_MIN) || 250;
-            const maxXP = parseInt(process.env.VOICE_XP_MAX) || 350;
-            let baseXP = Math.floor(Math.random() * (maxXP - minXP + 1)) + minXP;
+            const minXP = config.voice_xp_min;
+            const maxXP = config.voice_xp_max;
+            const rolledXP = Math.floor(Math.random() * (maxXP - minXP + 1)) + minXP;
+            let baseXP = rolledXP;
+            let afkMultiplier = 1.0;
 
-            console.log(`🎤 [VOICE USER] Base XP calculated: ${baseXP} (range: ${minXP}-${maxXP})`);
+            voiceLog.debug(`Base XP calculated: ${baseXP} (range: ${minXP}-${maxXP})`);
 
             // Apply AFK penalty if enabled and user is muted/deafened
             if (antiAFK && (memberVoiceState.mute || memberVoiceState.selfMute || memberVoiceState.deaf || memberVoiceState.selfDeaf)) {
-                const exemptUsers = (process.env.VOICE_MUTE_EXEMPT_USERS || '').split(',').filter(id => id.trim());
-                const exemptRoles = (process.env.VOICE_MUTE_EXEMPT_ROLES || '').split(',').filter(id => id.trim());
-                const exemptMultiplier = parseFloat(process.env.VOICE_MUTE_EXEMPT_MULTIPLIER) || 1.0;
+                const exemptUsers = config.voice_mute_exempt_users;
+                const exemptRoles = config.voice_mute_exempt_roles;
+                const exemptMultiplier = config.voice_mute_exempt_multiplier;
                 
                 let isExempt = false;
                 
                 // Check user exemption
                 if (exemptUsers.includes(session.user_id)) {
                     isExempt = true;
+                    afkMultiplier = exemptMultiplier;
                     baseXP = Math.round(baseXP * exemptMultiplier);
-                    console.log(`🎤 [VOICE USER] User exempt from AFK penalty, XP: ${baseXP}`);
+                    voiceLog.debug(`User exempt from AFK penalty, XP: ${baseXP}`);
                 }
                 
                 // Check role exemption
@@ -570,8 +686,9 @@ class XPManager {
                     for (const roleId of exemptRoles) {
                         if (member.roles.cache.has(roleId.trim())) {
                             isExempt = true;
+                            afkMultiplier = exemptMultiplier;
                             baseXP = Math.round(baseXP * exemptMultiplier);
-                            console.log(`🎤 [VOICE USER] Role exempt from AFK penalty, XP: ${baseXP}`);
+                            voiceLog.debug(`Role exempt from AFK penalty, XP: ${baseXP}`);
                             break;
                         }
                     }
@@ -579,24 +696,27 @@ class XPManager {
                 
                 // Apply penalty if not exempt
                 if (!isExempt) {
-                    baseXP = Math.round(baseXP * 0.25); // 25% XP when muted/deafened
-                    console.log(`🎤 [VOICE USER] AFK penalty applied (muted/deafened), XP reduced to: ${baseXP}`);
+                    afkMultiplier = config.voice_afk_multiplier;
+                    baseXP = Math.round(baseXP * config.voice_afk_multiplier);
+                    voiceLog.debug(`AFK penalty applied (muted/deafened, ${config.voice_afk_multiplier}x), XP reduced to: ${baseXP}`);
                 }
             }
 
             // Apply XP boost multiplier (from roles) - FIXED CALCULATION
             const boostMultiplier = await this.dbManager.calculateXPMultiplier(member, session.guild_id);
             
-            // Apply global multiplier
-            const globalMultiplier = parseFloat(process.env.XP_MULTIPLIER) || 1.0;
-            const calculatedXP = Math.round(baseXP * boostMultiplier * globalMultiplier);
+            // Apply guild XP multiplier
+            const globalMultiplier = config.xp_multiplier;
+            const calculatedXP = Math.round(baseXP * boostMultiplier * channelRule.multiplier * globalMultiplier);
+
+            voiceLog.debug(`${member.displayName} voice XP: base=${baseXP}, boost=${boostMultiplier.toFixed(2)}x, channel=${channelRule.multiplier}x, global=${globalMultiplier}x, final=${calculatedXP}`);
 
-            console.log(`🎤 [VOICE USER DEBUG] ${member.displayName} voice XP: base=${baseXP}, boost=${boostMultiplier.toFixed(2)}x, global=${globalMultiplier}x, final=${calculatedXP}`);
+            const grantedXP = await this.runXPGrantHook({ userId: session.user_id, guildId: session.guild_id, source: 'voice', amount: calculatedXP, baseXP: rolledXP, member, channelId: channel.id });
 
             // ENFORCE DAILY CAP: Only award XP up to the remaining cap amount
-            const finalXP = Math.min(calculatedXP, canGainXP.remaining);
+            const finalXP = Math.min(grantedXP, canGainXP.remaining);
 
-            console.log(`🎤 [VOICE USER] Final XP (after cap): ${finalXP} (remaining: ${canGainXP.remaining})`);
+            voiceLog.debug(`Final XP (after cap): ${finalXP} (remaining: ${canGainXP.remaining})`);
 
             // Only award if there's XP to award
             if (finalXP > 0) {
@@ -611,6 +731,10 @@ class XPManager {
                     {
                         name: channel.name,
                         id: channel.id
+                    },
+                    {
+                        baseXP: rolledXP,
+                        multipliers: { afk: afkMultiplier, boost: boostMultiplier, channel: channelRule.multiplier, global: globalMultiplier }
                     }
                 );
 
@@ -624,26 +748,88 @@ class XPManager {
 
                 // Log boost if applied
                 if (boostMultiplier > 1.0) {
-                    console.log(`[XP BOOST] ${member.displayName} voice XP: ${baseXP} → ${calculatedXP} (${boostMultiplier.toFixed(2)}x boost)`);
+                    boostLog.debug(`${member.displayName} voice XP: ${baseXP} → ${calculatedXP} (${boostMultiplier.toFixed(2)}x boost)`);
                 }
 
-                console.log(`🎤 [VOICE USER] ✅ Successfully awarded ${finalXP} XP to ${member.user.username}`);
+                voiceLog.debug(`✅ Successfully awarded ${finalXP} XP to ${member.user.username}`);
                 return { xpAwarded: finalXP, reason: 'success' };
             } else {
-                console.log(`🎤 [VOICE USER] ❌ No XP to award (would exceed daily cap)`);
+                voiceLog.debug(`❌ No XP to award (would exceed daily cap)`);
                 return { xpAwarded: 0, reason: 'daily_cap_would_exceed' };
             }
 
         } catch (error) {
-            console.error(`🎤 [VOICE USER] ❌ Error processing voice XP for ${session.user_id}:`, error);
+            voiceLog.error(`❌ Error processing voice XP for ${session.user_id}:`, error);
             return { xpAwarded: 0, reason: 'error' };
         }
     }
 
+    /**
+     * Check no-XP roles and admin XP freezes for a member
+     * Returns { restricted, reason, freeze }
+     */
+    async checkXPRestrictions(userId, guildId, member) {
+        try {
+            const noXPRoles = await this.dbManager.getNoXPRoles(guildId);
+            if (member && noXPRoles.some(roleId => member.roles.cache.has(roleId))) {
+                return { restricted: true, reason: 'no_xp_role', freeze: null };
+            }
+
+            const freeze = await this.dbManager.getUserFreeze(userId, guildId);
+            if (freeze) {
+                return { restricted: true, reason: 'xp_frozen', freeze };
+            }
+
+            return { restricted: false, reason: null, freeze: null };
+        } catch (error) {
+            log.error('Error checking XP restrictions:', error);
+            return { restricted: false, reason: null, freeze: null };
+        }
+    }
+
+    /**
+     * Run the message quality filter, tracking recent messages and rejection counts in cache
+     */
+    async checkMessageQuality(message, config) {
+        try {
+            const userId = message.author.id;
+            const guildId = message.guild.id;
+            
+            const recentMessages = this.cacheManager && config.message_similarity_history > 0
+                ? await this.cacheManager.getRecentMessages(userId, guildId)
+                : [];
+
+            const result = this.messageQualityFilter.evaluate(message, config, recentMessages);
+
+            // Remember this message (even if rejected) so repeated spam keeps being caught
+            if (this.cacheManager && config.message_similarity_history > 0 && result.normalized) {
+                await this.cacheManager.pushRecentMessage(userId, guildId, result.normalized, config.message_similarity_history);
+            }
+
+            if (!result.passed && this.cacheManager) {
+                await this.cacheManager.incrementQualityRejection(guildId, result.reason);
+            }
+
+            return result;
+        } catch (error) {
+            log.error('Error checking message quality:', error);
+            return { passed: true, reason: null };
+        }
+    }
+
+    /**
+     * Get today's quality filter rejection counts for a guild
+     */
+    async getQualityFilterStats(guildId) {
+        if (!this.cacheManager) return {};
+        return await this.cacheManager.getQualityRejectionStats(guildId);
+    }
+
     /**
      * Award XP and handle level ups - NO DOUBLE GLOBAL MULTIPLIER
+     * transaction carries ledger details: channelId, baseXP, multipliers, actorId, reason
      */
-    async awardXP(userId, guildId, xpAmount, source, user, member, channelInfo = null) {
+    async awardXP(userId, guildId, xpAmount, source, user, member, channelInfo = null, transaction = {}) {
         try {
             // DON'T apply global multiplier here - it's already applied in the individual handlers
             const finalXP = xpAmount;
@@ -651,6 +837,11 @@ class XPManager {
             // Update daily cap tracking
             await this.dailyCapManager.addXP(userId, guildId, finalXP, source, member);
 
+            // Earned XP is only awarded below the cap, so reaching it here is the crossing award
+            if (source !== 'admin') {
+                await this.dailyCapManager.checkAndLogDailyCap(userId, guildId, member, this.xpLogger);
+            }
+
             // Get current user data
             const currentData = await this.dbManager.getUserXP(userId, guildId);
             const oldLevel = currentData?.level || 0;
@@ -658,25 +849,27 @@ class XPManager {
             // Update user XP
             const result = await this.dbManager.updateUserXP(userId, guildId, finalXP, source);
             if (!result) return;
+            metrics.inc('leveling_xp_awarded_total', { source }, finalXP);
+
+            // Record in the XP ledger
+            await this.dbManager.recordXPTransaction({
+                userId,
+                guildId,
+                amount: finalXP,
+                source,
+                channelId: transaction.channelId || channelInfo?.id || null,
+                baseXP: transaction.baseXP ?? null,
+                multipliers: transaction.multipliers || null,
+                actorId: transaction.actorId || null,
+                reason: transaction.reason || null,
+                balanceAfter: result.total_xp
+            });
 
             // Calculate new level
             const newLevel = this.levelCalculator.calculateLevel(result.total_xp);
             
             // Update level if changed and invalidate poster cache
-            if (newLevel !== oldLevel) {
-                await this.dbManager.updateUserLevel(userId, guildId, newLevel);
-                
-                // Invalidate poster cache when level changes
-                if (this.cacheManager) {
-                    await this.cacheManager.invalidateUserPosters(userId);
-                    console.log(`[CACHE] ✅ Invalidated poster cache for ${user.username} (level ${oldLevel} → ${newLevel})`);
-                }
-                
-                // Handle level up with guild settings
-                await this.levelUpHandler.handleLevelUp(
-                    userId, guildId, oldLevel, newLevel, result.total_xp, user, member, source
-                );
-            }
+            await this.handleLevelChange(userId, guildId, oldLevel, newLevel, result.total_xp, user, member, source, transaction.channelId || channelInfo?.id || null);
 
             // Prepare additional info for logging
             const additionalInfo = {
@@ -696,8 +889,153 @@ class XPManager {
             // Log XP activity with proper channel info
             await this.xpLogger.logXPActivity(source, user, guildId, finalXP, additionalInfo);
 
+            await this.events.emit('xp.awarded', {
+                userId,
+                guildId,
+                source,
+                amount: finalXP,
+                totalXP: result.total_xp,
+                oldLevel,
+                newLevel,
+                user,
+                member,
+                channelId: transaction.channelId || channelInfo?.id || null
+            });
+
         } catch (error) {
-            console.error('Error awarding XP:', error);
+            log.error('Error awarding XP:', error);
+        }
+    }
+
+    /**
+     * Store a new level and run the level up or level down pipeline
+     * channelId is where the XP was earned, for announcements in the originating channel
+     * Returns the level role changes { added, removed } (empty when the level is unchanged)
+     */
+    async handleLevelChange(userId, guildId, oldLevel, newLevel, totalXP, user, member, source, channelId = null) {
+        const roleChanges = { added: [], removed: [] };
+        if (newLevel === oldLevel) return roleChanges;
+
+        await this.dbManager.updateUserLevel(userId, guildId, newLevel);
+
+        // Invalidate poster cache when level changes
+        if (this.cacheManager) {
+            await this.cacheManager.invalidateUserPosters(userId);
+            log.debug(`✅ Invalidated poster cache for ${user.username} (level ${oldLevel} → ${newLevel})`);
+        }
+
+        if (newLevel > oldLevel) {
+            // Handle level up with guild settings
+            await this.levelUpHandler.handleLevelUp(userId, guildId, oldLevel, newLevel, totalXP, user, member, source, channelId);
+            return roleChanges;
+        }
+
+        return this.levelUpHandler.handleLevelDown(userId, guildId, oldLevel, newLevel, totalXP, user, member, source);
+    }
+
+    /**
+     * Snapshot a user's totals, counters and level roles (used for admin undo)
+     */
+    async getUserStateSnapshot(userId, guildId, member = null) {
+        const userData = await this.dbManager.getUserXP(userId, guildId);
+
+        return {
+            total_xp: parseInt(userData?.total_xp) || 0,
+            level: userData?.level || 0,
+            messages: userData?.messages || 0,
+            reactions: userData?.reactions || 0,
+            voice_time: userData?.voice_time || 0,
+            level_roles: await this.levelUpHandler.getMemberLevelRoles(member)
+        };
+    }
+
+    /**
+     * Undo an admin XP operation - XP earned since the operation is kept
+     * Refuses if a later admin operation is still active or XP was removed since
+     */
+    async undoAdminOperation(operation, actorId, member = null) {
+        try {
+            if (operation.undone_at) {
+                return { success: false, error: `Operation #${operation.id} was already undone.` };
+            }
+
+            const { user_id: userId, guild_id: guildId, before_state: before, after_state: after } = operation;
+
+            const laterOperation = await this.dbManager.getLatestAdminOperation(userId, guildId, operation.id);
+            if (laterOperation) {
+                return { success: false, error: `Operation #${laterOperation.id} (${laterOperation.action}) changed this user afterwards. Undo it first.` };
+            }
+
+            const current = await this.getUserStateSnapshot(userId, guildId, member);
+            if (current.total_xp < after.total_xp) {
+                return { success: false, error: `This user's XP dropped from ${after.total_xp.toLocaleString()} to ${current.total_xp.toLocaleString()} since the operation.` };
+            }
+
+            // Carry over anything earned normally since the operation
+            const restoredXP = before.total_xp + (current.total_xp - after.total_xp);
+            const restored = {
+                total_xp: restoredXP,
+                level: this.levelCalculator.calculateLevel(restoredXP),
+                messages: before.messages + Math.max(0, current.messages - after.messages),
+                reactions: before.reactions + Math.max(0, current.reactions - after.reactions),
+                voice_time: before.voice_time + Math.max(0, current.voice_time - after.voice_time)
+            };
+
+            if (!await this.dbManager.markAdminOperationUndone(operation.id, actorId)) {
+                return { success: false, error: `Operation #${operation.id} was already undone.` };
+            }
+
+            const updated = await this.dbManager.restoreUserState(userId, guildId, restored, current.total_xp);
+            if (!updated) {
+                await this.dbManager.clearAdminOperationUndone(operation.id);
+                return { success: false, error: 'This user gained or lost XP while undoing. Please try again.' };
+            }
+
+            await this.dbManager.recordXPTransaction({
+                userId,
+                guildId,
+                amount: restoredXP - current.total_xp,
+                source: 'admin_undo',
+                actorId,
+                reason: `Undo of operation #${operation.id} (${operation.action})`,
+                balanceAfter: restoredXP
+            });
+
+            // An XP grant also counted toward today's daily cap - give that back
+            if (operation.action === 'add-xp' && after.total_xp > before.total_xp) {
+                await this.dailyCapManager.removeXP(userId, guildId, after.total_xp - before.total_xp, operation.created_at);
+            }
+
+            // Same level up / level down pipeline as the other admin actions (roles, announcements, XP log, events)
+            const rolesBefore = await this.levelUpHandler.getMemberLevelRoles(member);
+            const user = member?.user || await this.client.users.fetch(userId).catch(() => null);
+            if (user) {
+                await this.handleLevelChange(userId, guildId, current.level, restored.level, restoredXP, user, member, 'admin_undo');
+            }
+
+            // Back at the old level - put back the exact level roles from the snapshot
+            if (member && restored.level === before.level) {
+                await this.levelUpHandler.restoreLevelRoles(member, before.level_roles || []);
+            }
+
+            const rolesAfter = await this.levelUpHandler.getMemberLevelRoles(member);
+            const roleName = (roleId) => member.guild.roles.cache.get(roleId)?.name || roleId;
+            const roleChanges = {
+                added: rolesAfter.filter(roleId => !rolesBefore.includes(roleId)).map(roleName),
+                removed: rolesBefore.filter(roleId => !rolesAfter.includes(roleId)).map(roleName)
+            };
+
+            if (this.cacheManager) {
+                await this.cacheManager.invalidateUserPosters(userId);
+            }
+
+            log.info(`Operation #${operation.id} (${operation.action}) undone by ${actorId}: ${current.total_xp} → ${restoredXP} XP`);
+
+            return { success: true, previous: current, restored, roleChanges };
+
+        } catch (error) {
+            log.error('Error undoing admin operation:', error);
+            return { success: false, error: 'An unexpected error occurred while undoing.' };
         }
     }
 
@@ -720,7 +1058,7 @@ class XPManager {
                     member = await guild.members.fetch(userId);
                 }
             } catch (error) {
-                console.log('Could not fetch member for stats');
+                log.debug('Could not fetch member for stats');
             }
 
             // Get daily stats
@@ -733,7 +1071,7 @@ class XPManager {
                 dailyStats
             };
         } catch (error) {
-            console.error('Error getting user stats:', error);
+            log.error('Error getting user stats:', error);
             return null;
         }
     }
@@ -750,84 +1088,75 @@ class XPManager {
                 bounty: this.bountyCalculator.getBountyForLevel(user.level)
             }));
         } catch (error) {
-            console.error('Error getting leaderboard:', error);
+            log.error('Error getting leaderboard:', error);
             return [];
         }
     }
 
     /**
-     * Start voice XP processing interval
+     * Register voice XP processing and daily resets with the job scheduler
      */
-    startVoiceXPProcessing() {
-        const interval = parseInt(process.env.VOICE_PROCESSING_INTERVAL) || 300000; // 5 minutes
-        
-        console.log(`🎤 Starting voice XP processing with ${interval / 1000}s intervals`);
-        
-        // Process immediately after a short delay to handle synced sessions
-        setTimeout(() => {
-            console.log(`🎤 [VOICE DEBUG] Initial voice XP processing (startup)`);
-            this.processVoiceXP().catch(console.error);
-        }, 15000); // 15 seconds after startup
-        
-        // Set up regular interval
-        this.voiceProcessingInterval = setInterval(() => {
-            console.log(`🎤 [VOICE DEBUG] Regular voice XP processing interval triggered`);
-            this.processVoiceXP().catch(console.error);
-        }, interval);
+    registerJobs(jobScheduler) {
+        const voiceInterval = config.get('VOICE_PROCESSING_INTERVAL');
+
+        jobScheduler.register('voice-xp', {
+            interval: voiceInterval,
+            handler: async () => {
+                await this.processVoiceXP();
+            }
+        });
 
-        console.log(`🎤 Voice XP processing started (${interval / 1000}s interval)`);
+        jobScheduler.register('daily-reset', {
+            // First run records each guild's current day straight away
+            getNextRun: (now, state) => state ? this.getNextDailyResetCheck(now) : now,
+            handler: (state) => this.runDailyResets(state)
+        });
+
+        voiceLog.info(`🎤 Voice XP processing scheduled (${voiceInterval / 1000}s interval)`);
     }
 
     /**
-     * Schedule daily reset
+     * Next time any guild reaches its daily reset (re-checked at least hourly so schedule changes and new guilds are picked up)
      */
-    scheduleDailyReset() {
-        const scheduleNext = () => {
-            const now = new Date();
-            const resetHour = parseInt(process.env.DAILY_RESET_HOUR_EDT) || 19;
-            const resetMinute = parseInt(process.env.DAILY_RESET_MINUTE_EDT) || 35;
-            
-            // Calculate next reset time in EDT
-            const edtOffset = this.isEDT(now) ? -4 : -5;
-            const edtNow = new Date(now.getTime() + (edtOffset * 60 * 60 * 1000));
-            
-            let nextReset = new Date(edtNow);
-            nextReset.setHours(resetHour, resetMinute, 0, 0);
-            
-            // If reset time has passed today, schedule for tomorrow
-            if (edtNow.getTime() >= nextReset.getTime()) {
-                nextReset.setDate(nextReset.getDate() + 1);
-            }
-            
-            // Convert back to UTC
-            const utcReset = new Date(nextReset.getTime() - (edtOffset * 60 * 60 * 1000));
-            const timeUntilReset = utcReset.getTime() - now.getTime();
-            
-            const hoursUntil = Math.floor(timeUntilReset / (1000 * 60 * 60));
-            const minutesUntil = Math.floor((timeUntilReset % (1000 * 60 * 60)) / (1000 * 60));
-            
-            console.log(`🔄 Next daily reset in ${hoursUntil}h ${minutesUntil}m (${resetHour}:${resetMinute.toString().padStart(2, '0')} EDT)`);
-            
-            setTimeout(async () => {
-                console.log('🚨 Daily reset triggered!');
-                await this.dailyCapManager.resetDaily();
-                scheduleNext();
-            }, timeUntilReset);
-        };
-        
-        scheduleNext();
+    async getNextDailyResetCheck(now = new Date()) {
+        const resetSchedule = this.dailyCapManager.resetSchedule;
+        let nextCheck = now.getTime() + 60 * 60 * 1000;
+
+        for (const guildId of this.client.guilds.cache.keys()) {
+            const schedule = await this.dailyCapManager.getResetSchedule(guildId);
+            nextCheck = Math.min(nextCheck, resetSchedule.getNextReset(schedule, now).getTime());
+        }
+
+        // Run just after the boundary so the new day is already current
+        return new Date(nextCheck + 1000);
     }
 
     /**
-     * Check if date is EDT (Eastern Daylight Time)
+     * Reset every guild whose daily-cap day changed since the last run
+     * state.guildDays is persisted by the scheduler, so resets missed during downtime still happen
      */
-    isEDT(date) {
-        const year = date.getFullYear();
-        const marchSecondSunday = new Date(year, 2, 8);
-        marchSecondSunday.setDate(marchSecondSunday.getDate() + (7 - marchSecondSunday.getDay()));
-        const novemberFirstSunday = new Date(year, 10, 1);
-        novemberFirstSunday.setDate(novemberFirstSunday.getDate() + (7 - novemberFirstSunday.getDay()));
-        return date >= marchSecondSunday && date < novemberFirstSunday;
+    async runDailyResets(state) {
+        const resetSchedule = this.dailyCapManager.resetSchedule;
+        const guildDays = { ...(state?.guildDays || {}) };
+        let resetCount = 0;
+
+        for (const guildId of this.client.guilds.cache.keys()) {
+            const schedule = await this.dailyCapManager.getResetSchedule(guildId);
+            const currentDay = resetSchedule.getCurrentDay(schedule);
+
+            if (guildDays[guildId] && guildDays[guildId] !== currentDay) {
+                log.info(`🚨 Daily reset triggered for guild ${guildId} (${resetSchedule.describe(schedule)})`);
+                await this.dailyCapManager.resetDaily(guildId);
+                resetCount++;
+            }
+            guildDays[guildId] = currentDay;
+        }
+
+        if (resetCount > 0) {
+            await this.dailyCapManager.cleanupOldRecords();
+        }
+
+        return { guildDays };
     }
 
     /**
@@ -850,11 +1179,53 @@ class XPManager {
         try {
             return await this.dbManager.getGuildSettings(guildId);
         } catch (error) {
-            console.error('Error getting guild settings:', error);
+            log.error('Error getting guild settings:', error);
             return null;
         }
     }
 
+    /**
+     * Get effective XP configuration for a guild (env defaults + guild overrides) with caching
+     */
+    async getGuildConfig(guildId) {
+        try {
+            let cached = this.cacheManager ? await this.cacheManager.getCachedGuildConfig(guildId) : null;
+            
+            if (!cached) {
+                const memoryEntry = this.guildConfigCache.get(guildId);
+                if (memoryEntry && Date.now() - memoryEntry.cachedAt < 600000) {
+                    cached = memoryEntry.config;
+                }
+            }
+            
+            if (cached) return cached;
+
+            const overrides = await this.dbManager.getGuildConfigOverrides(guildId);
+            const config = this.guildConfig.resolve(overrides);
+
+            const storedInRedis = this.cacheManager ? await this.cacheManager.cacheGuildConfig(guildId, config) : false;
+            if (!storedInRedis) {
+                this.guildConfigCache.set(guildId, { config, cachedAt: Date.now() });
+            }
+
+            return config;
+        } catch (error) {
+            log.error('Error getting guild XP config:', error);
+            return this.guildConfig.getDefaults();
+        }
+    }
+
+    /**
+     * Drop cached XP configuration after a guild changes its settings
+     */
+    async invalidateGuildConfig(guildId) {
+        this.guildConfigCache.delete(guildId);
+        
+        if (this.cacheManager) {
+            await this.cacheManager.invalidateGuildConfig(guildId);
+        }
+    }
+
     /**
      * Update guild setting
      */
@@ -862,7 +1233,7 @@ class XPManager {
         try {
             return await this.dbManager.updateGuildSetting(guildId, settingName, settingValue);
         } catch (error) {
-            console.error('Error updating guild setting:', error);
+            log.error('Error updating guild setting:', error);
             return false;
         }
     }
@@ -872,13 +1243,13 @@ class XPManager {
      */
     async cleanupOrphanedVoiceSessions() {
         try {
-            console.log('🧹 [VOICE CLEANUP] Starting cleanup of orphaned voice sessions...');
+            voiceLog.info('Starting cleanup of orphaned voice sessions...');
             
             await this.dbManager.cleanupOrphanedVoiceSessions(this.client);
             
-            console.log('🧹 [VOICE CLEANUP] Cleanup complete');
+            voiceLog.info('Cleanup complete');
         } catch (error) {
-            console.error('Error cleaning up orphaned voice sessions:', error);
+            log.error('Error cleaning up orphaned voice sessions:', error);
         }
     }
 
@@ -886,9 +1257,9 @@ class XPManager {
      * Force process voice XP for all sessions (manual trigger)
      */
     async forceProcessVoiceXP() {
-        console.log('🎤 [MANUAL] Force processing voice XP...');
+        voiceLog.info('Force processing voice XP...');
         await this.processVoiceXP();
-        console.log('🎤 [MANUAL] Force voice XP processing complete');
+        voiceLog.info('Force voice XP processing complete');
     }
 
     /**
@@ -929,7 +1300,7 @@ class XPManager {
 
             return stats;
         } catch (error) {
-            console.error('Error getting voice session stats:', error);
+            log.error('Error getting voice session stats:', error);
             return null;
         }
     }
@@ -938,59 +1309,59 @@ class XPManager {
      * Debug: List all current voice sessions
      */
     async debugListVoiceSessions() {
-        console.log('🔍 [DEBUG] ================ CURRENT VOICE SESSIONS ================');
+        voiceLog.info('================ CURRENT VOICE SESSIONS ================');
         
         for (const [guildId, guild] of this.client.guilds.cache) {
             const sessions = await this.dbManager.getVoiceSessions(guildId);
-            console.log(`🔍 [DEBUG] Guild ${guild.name} (${guildId}): ${sessions.length} sessions`);
+            voiceLog.info(`Guild ${guild.name} (${guildId}): ${sessions.length} sessions`);
             
             for (const session of sessions) {
                 const member = await guild.members.fetch(session.user_id).catch(() => null);
                 const channel = guild.channels.cache.get(session.channel_id);
                 
-                console.log(`🔍 [DEBUG]   User: ${member?.user.username || 'Unknown'} (${session.user_id})`);
-                console.log(`🔍 [DEBUG]   Channel: ${channel?.name || 'Unknown'} (${session.channel_id})`);
-                console.log(`🔍 [DEBUG]   Join Time: ${session.join_time}`);
-                console.log(`🔍 [DEBUG]   Last XP: ${session.last_xp_time}`);
-                console.log(`🔍 [DEBUG]   Muted: ${session.is_muted}, Deafened: ${session.is_deafened}`);
-                console.log(`🔍 [DEBUG]   Is Bot: ${member?.user.bot || 'Unknown'}`);
-                console.log(`🔍 [DEBUG]   In Channel: ${member?.voice.channelId === session.channel_id}`);
-                console.log(`🔍 [DEBUG]   ---`);
+                voiceLog.info(`  User: ${member?.user.username || 'Unknown'} (${session.user_id})`);
+                voiceLog.info(`  Channel: ${channel?.name || 'Unknown'} (${session.channel_id})`);
+                voiceLog.info(`  Join Time: ${session.join_time}`);
+                voiceLog.info(`  Last XP: ${session.last_xp_time}`);
+                voiceLog.info(`  Muted: ${session.is_muted}, Deafened: ${session.is_deafened}`);
+                voiceLog.info(`  Is Bot: ${member?.user.bot || 'Unknown'}`);
+                voiceLog.info(`  In Channel: ${member?.voice.channelId === session.channel_id}`);
+                voiceLog.info(`  ---`);
             }
         }
         
-        console.log('🔍 [DEBUG] ================ END VOICE SESSIONS ================');
+        voiceLog.info('================ END VOICE SESSIONS ================');
     }
 
     /**
      * Debug: List all users currently in voice channels
      */
     async debugListVoiceUsers() {
-        console.log('🔍 [DEBUG] ================ USERS IN VOICE CHANNELS ================');
+        voiceLog.info('================ USERS IN VOICE CHANNELS ================');
         
         for (const [guildId, guild] of this.client.guilds.cache) {
-            console.log(`🔍 [DEBUG] Guild ${guild.name} (${guildId}):`);
+            voiceLog.info(`Guild ${guild.name} (${guildId}):`);
             
             const voiceChannels = guild.channels.cache.filter(channel => 
                 channel.type === 2 && channel.members && channel.members.size > 0
             );
             
             if (voiceChannels.size === 0) {
-                console.log(`🔍 [DEBUG]   No active voice channels`);
+                voiceLog.info(`  No active voice channels`);
                 continue;
             }
             
             for (const [channelId, channel] of voiceChannels) {
-                console.log(`🔍 [DEBUG]   Channel: ${channel.name} (${channelId}) - ${channel.members.size} members`);
+                voiceLog.info(`  Channel: ${channel.name} (${channelId}) - ${channel.members.size} members`);
                 
                 for (const [userId, member] of channel.members) {
-                    console.log(`🔍 [DEBUG]     ${member.user.username} (${userId}) - Bot: ${member.user.bot}`);
-                    console.log(`🔍 [DEBUG]       Voice State: muted=${member.voice.mute || member.voice.selfMute}, deafened=${member.voice.deaf || member.voice.selfDeaf}`);
+                    voiceLog.info(`    ${member.user.username} (${userId}) - Bot: ${member.user.bot}`);
+                    voiceLog.info(`      Voice State: muted=${member.voice.mute || member.voice.selfMute}, deafened=${member.voice.deaf || member.voice.selfDeaf}`);
                 }
             }
         }
         
-        console.log('🔍 [DEBUG] ================ END VOICE USERS ================');
+        voiceLog.info('================ END VOICE USERS ================');
     }
 
     /**
@@ -1022,7 +1393,7 @@ class XPManager {
                 roles: memberBoostRoles
             };
         } catch (error) {
-            console.error('Error getting XP boost info:', error);
+            log.error('Error getting XP boost info:', error);
             return { hasBoost: false, multiplier: 1.0, roles: [] };
         }
     }
@@ -1063,19 +1434,12 @@ class XPManager {
      */
     async cleanup() {
         try {
-            console.log('🧹 Cleaning up XP Manager...');
-            
-            // Clear voice processing interval
-            if (this.voiceProcessingInterval) {
-                clearInterval(this.voiceProcessingInterval);
-                this.voiceProcessingInterval = null;
-                console.log('🧹 Cleared voice processing interval');
-            }
+            log.info('🧹 Cleaning up XP Manager...');
             
             // Wait for any ongoing voice processing to complete
             let attempts = 0;
             while (this.isProcessingVoice && attempts < 10) {
-                console.log('🧹 Waiting for voice processing to complete...');
+                log.info('🧹 Waiting for voice processing to complete...');
                 await new Promise(resolve => setTimeout(resolve, 1000));
                 attempts++;
             }
@@ -1088,9 +1452,10 @@ class XPManager {
             await this.cleanupOrphanedVoiceSessions();
             
             this.cooldowns.clear();
-            console.log('✅ XP Manager cleanup complete');
+            this.guildConfigCache.clear();
+            log.info('✅ XP Manager cleanup complete');
         } catch (error) {
-            console.error('Error during XP Manager cleanup:', error);
+            log.error('Error during XP Manager cleanup:', error);
         }
     }
 }
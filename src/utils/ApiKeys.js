@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+/**
+ * ApiKeys - Generate and hash per-guild REST API keys
+ * Only the SHA-256 hash is stored; the plain key is shown once when it is created
+ */
+class ApiKeys {
+    constructor() {
+        this.keyPrefix = 'lvl_';
+    }
+
+    /**
+     * Create a new random key - returns { key, hash, prefix }
+     */
+    generate() {
+        const key = `${this.keyPrefix}${crypto.randomBytes(24).toString('base64url')}`;
+        return { key, hash: this.hash(key), prefix: key.slice(0, 12) };
+    }
+
+    /**
+     * SHA-256 hash of a key as stored in the database
+     */
+    hash(key) {
+        return crypto.createHash('sha256').update(String(key)).digest('hex');
+    }
+}
+
+module.exports = ApiKeys;
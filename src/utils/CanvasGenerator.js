@@ -1,6 +1,8 @@
 const { createCanvas, loadImage, registerFont } = require('canvas');
 const path = require('path');
 const BountyCalculator = require('./BountyCalculator');
+const metrics = require('./Metrics');
+const log = require('./Logger').child('canvas');
 
 /**
  * CanvasGenerator - Handles all canvas/image generation for wanted posters
@@ -24,10 +26,10 @@ class CanvasGenerator {
             registerFont(path.join(fontsPath, 'Cinzel-Bold.otf'), { family: 'Cinzel' });
             registerFont(path.join(fontsPath, 'Times New Normal Regular.ttf'), { family: 'TimesNewNormal' });
             
-            console.log('[CANVAS] ✅ Successfully registered custom fonts');
+            log.info('✅ Successfully registered custom fonts');
         } catch (error) {
-            console.error('[CANVAS] ❌ Failed to register custom fonts:', error.message);
-            console.log('[CANVAS] Falling back to system fonts');
+            log.error('❌ Failed to register custom fonts:', error.message);
+            log.warn('Falling back to system fonts');
         }
     }
 
@@ -39,12 +41,12 @@ class CanvasGenerator {
         const height = 900;
 
         try {
-            console.log(`[CANVAS] 🎨 Starting poster generation for user ${userData.userId} (Level ${userData.level})`);
+            log.debug(`🎨 Starting poster generation for user ${userData.userId} (Level ${userData.level})`);
             
             // Check cache first
             const cacheKey = this.getPosterCacheKey(userData);
             if (this.cacheManager && cacheKey) {
-                console.log(`[CANVAS] 🔍 Checking cache for poster: ${cacheKey}`);
+                log.debug(`🔍 Checking cache for poster: ${cacheKey}`);
                 const cachedBuffer = await this.cacheManager.getCachedPoster(
                     userData.userId, 
                     userData.level, 
@@ -52,7 +54,7 @@ class CanvasGenerator {
                 );
                 
                 if (cachedBuffer) {
-                    console.log(`[CANVAS] ✅ Using cached poster for user ${userData.userId}`);
+                    log.debug(`✅ Using cached poster for user ${userData.userId}`);
                     // Convert buffer back to canvas for return
                     const cachedCanvas = createCanvas(width, height);
                     const cachedCtx = cachedCanvas.getContext('2d');
@@ -62,7 +64,8 @@ class CanvasGenerator {
                 }
             }
 
-            console.log(`[CANVAS] 🎨 Generating new poster for user ${userData.userId} (Level ${userData.level})`);
+            log.debug(`🎨 Generating new poster for user ${userData.userId} (Level ${userData.level})`);
+            const stopTimer = metrics.startTimer('leveling_poster_render_seconds');
             
             const canvas = createCanvas(width, height);
             const ctx = canvas.getContext('2d');
@@ -94,6 +97,8 @@ class CanvasGenerator {
             // Draw "MARINE" text
             this.drawMarineText(ctx, width, height);
 
+            stopTimer();
+
             // Cache the completed poster
             if (this.cacheManager && cacheKey) {
                 try {
@@ -104,17 +109,17 @@ class CanvasGenerator {
                         userData.bounty, 
                         buffer
                     );
-                    console.log(`[CANVAS] ✅ Cached new poster for user ${userData.userId}`);
+                    log.debug(`✅ Cached new poster for user ${userData.userId}`);
                 } catch (cacheError) {
-                    console.error('[CANVAS] ⚠️ Failed to cache poster:', cacheError);
+                    log.error('⚠️ Failed to cache poster:', cacheError);
                 }
             }
             
-            console.log(`[CANVAS] ✅ Completed poster generation for user ${userData.userId}`);
+            log.debug(`✅ Completed poster generation for user ${userData.userId}`);
             return canvas;
             
         } catch (error) {
-            console.error('[CANVAS] ❌ Error creating wanted poster:', error);
+            log.error('❌ Error creating wanted poster:', error);
             
             // Return simple fallback canvas
             return this.createFallbackCanvas(userData, width, height);
@@ -139,9 +144,9 @@ class CanvasGenerator {
             const texturePath = path.join(__dirname, '../../assets/scroll_texture.jpg');
             const texture = await loadImage(texturePath);
             ctx.drawImage(texture, 0, 0, width, height);
-            console.log('[CANVAS] ✅ Loaded scroll texture background');
+            log.debug('✅ Loaded scroll texture background');
         } catch (error) {
-            console.log('[CANVAS] ⚠️ Scroll texture not found, using fallback color');
+            log.debug('⚠️ Scroll texture not found, using fallback color');
             ctx.fillStyle = '#f5e6c5';
             ctx.fillRect(0, 0, width, height);
         }
@@ -190,7 +195,7 @@ class CanvasGenerator {
         const photoX = ((50/100) * width) - (photoSize/2);
         const photoY = height * (1 - 65/100) - (photoSize/2);
         
-        console.log(`[CANVAS] 📷 Starting photo section for user ${userData.userId}`);
+        log.debug(`📷 Starting photo section for user ${userData.userId}`);
         
         // Draw photo frame
         ctx.strokeStyle = '#000000';
@@ -213,7 +218,7 @@ class CanvasGenerator {
         const avatarLoaded = await this.loadAndDrawAvatar(ctx, userData, guild, avatarArea);
         
         if (!avatarLoaded) {
-            console.log(`[CANVAS] ⚠️ No avatar loaded for user ${userData.userId}, showing placeholder`);
+            log.debug(`⚠️ No avatar loaded for user ${userData.userId}, showing placeholder`);
             // Draw placeholder avatar
             this.drawAvatarPlaceholder(ctx, avatarArea, userData);
         }
@@ -227,7 +232,7 @@ class CanvasGenerator {
         let avatarBuffer = null;
         
         try {
-            console.log(`[CANVAS] 👤 Attempting to fetch member ${userData.userId}...`);
+            log.debug(`👤 Attempting to fetch member ${userData.userId}...`);
             
             if (guild && userData.userId) {
                 // Try to get member from cache first, then fetch
@@ -237,40 +242,40 @@ class CanvasGenerator {
                 }
                 
                 if (member) {
-                    console.log(`[CANVAS] ✅ Found member: ${member.user.username}`);
+                    log.debug(`✅ Found member: ${member.user.username}`);
                     
                     // Strategy 1: Try PNG format first (most reliable)
                     avatarBuffer = await this.tryLoadAvatarFormat(member.user, 'png');
                     
                     // Strategy 2: Try JPEG if PNG failed
                     if (!avatarBuffer) {
-                        console.log('[CANVAS] 🔄 PNG failed, trying JPEG...');
+                        log.debug('🔄 PNG failed, trying JPEG...');
                         avatarBuffer = await this.tryLoadAvatarFormat(member.user, 'jpg');
                     }
                     
                     // Strategy 3: Try WEBP if JPEG failed
                     if (!avatarBuffer) {
-                        console.log('[CANVAS] 🔄 JPEG failed, trying WEBP...');
+                        log.debug('🔄 JPEG failed, trying WEBP...');
                         avatarBuffer = await this.tryLoadAvatarFormat(member.user, 'webp');
                     }
                     
                     // Strategy 4: Try default avatar
                     if (!avatarBuffer) {
-                        console.log('[CANVAS] 🔄 Custom avatar failed, trying default...');
+                        log.debug('🔄 Custom avatar failed, trying default...');
                         avatarBuffer = await this.tryLoadDefaultAvatar(member.user);
                     }
                 } else {
-                    console.log(`[CANVAS] ❌ Could not fetch member ${userData.userId}`);
+                    log.debug(`❌ Could not fetch member ${userData.userId}`);
                 }
             }
         } catch (error) {
-            console.error(`[CANVAS] ❌ Error fetching member ${userData.userId}:`, error.message);
+            log.error(`❌ Error fetching member ${userData.userId}:`, error.message);
         }
         
         // Draw avatar if we got one
         if (avatarBuffer) {
             try {
-                console.log(`[CANVAS] 🎨 Drawing avatar for user ${userData.userId}...`);
+                log.debug(`🎨 Drawing avatar for user ${userData.userId}...`);
                 
                 const avatar = await loadImage(avatarBuffer);
                 
@@ -287,10 +292,10 @@ class CanvasGenerator {
                 
                 ctx.restore();
                 
-                console.log(`[CANVAS] ✅ Successfully drew avatar for user ${userData.userId}`);
+                log.debug(`✅ Successfully drew avatar for user ${userData.userId}`);
                 return true;
             } catch (drawError) {
-                console.error(`[CANVAS] ❌ Could not draw avatar for user ${userData.userId}:`, drawError.message);
+                log.error(`❌ Could not draw avatar for user ${userData.userId}:`, drawError.message);
             }
         }
         
@@ -302,7 +307,7 @@ class CanvasGenerator {
      */
     async tryLoadAvatarFormat(user, format) {
         try {
-            console.log(`[CANVAS] 🔍 Trying ${format.toUpperCase()} format for ${user.username}...`);
+            log.debug(`🔍 Trying ${format.toUpperCase()} format for ${user.username}...`);
             
             const avatarURL = user.displayAvatarURL({ 
                 extension: format, 
@@ -310,23 +315,23 @@ class CanvasGenerator {
                 forceStatic: true 
             });
             
-            console.log(`[CANVAS] 📡 Avatar URL: ${avatarURL}`);
+            log.debug(`📡 Avatar URL: ${avatarURL}`);
             
             // Extract avatar hash for caching
             const avatarHash = this.extractAvatarHash(avatarURL);
             
             // Check cache first
             if (this.cacheManager && avatarHash) {
-                console.log(`[CANVAS] 🔍 Checking avatar cache for user ${user.id} (${format})...`);
+                log.debug(`🔍 Checking avatar cache for user ${user.id} (${format})...`);
                 const cachedAvatar = await this.cacheManager.getCachedAvatar(user.id, avatarHash);
                 if (cachedAvatar) {
-                    console.log(`[CANVAS] ✅ Found cached avatar for user ${user.id} (${format})`);
+                    log.debug(`✅ Found cached avatar for user ${user.id} (${format})`);
                     return cachedAvatar;
                 }
             }
             
             // Load from URL
-            console.log(`[CANVAS] 📥 Loading avatar from URL for user ${user.id} (${format})...`);
+            log.debug(`📥 Loading avatar from URL for user ${user.id} (${format})...`);
             const avatar = await loadImage(avatarURL);
             
             // Convert to buffer for consistency
@@ -338,14 +343,14 @@ class CanvasGenerator {
             // Cache the avatar
             if (this.cacheManager && avatarHash) {
                 await this.cacheManager.cacheUserAvatar(user.id, avatarHash, buffer);
-                console.log(`[CANVAS] ✅ Cached avatar for user ${user.id} (${format})`);
+                log.debug(`✅ Cached avatar for user ${user.id} (${format})`);
             }
             
-            console.log(`[CANVAS] ✅ Successfully loaded ${format.toUpperCase()} avatar for ${user.username}`);
+            log.debug(`✅ Successfully loaded ${format.toUpperCase()} avatar for ${user.username}`);
             return buffer;
             
         } catch (error) {
-            console.log(`[CANVAS] ❌ Failed to load ${format.toUpperCase()} avatar: ${error.message}`);
+            log.debug(`❌ Failed to load ${format.toUpperCase()} avatar: ${error.message}`);
             return null;
         }
     }
@@ -355,11 +360,11 @@ class CanvasGenerator {
      */
     async tryLoadDefaultAvatar(user) {
         try {
-            console.log(`[CANVAS] 🔄 Trying default avatar for ${user.username}...`);
+            log.debug(`🔄 Trying default avatar for ${user.username}...`);
             
             // Use default avatar URL
             const defaultAvatarURL = `https://cdn.discordapp.com/embed/avatars/${user.discriminator % 5}.png`;
-            console.log(`[CANVAS] 📡 Default avatar URL: ${defaultAvatarURL}`);
+            log.debug(`📡 Default avatar URL: ${defaultAvatarURL}`);
             
             const avatar = await loadImage(defaultAvatarURL);
             
@@ -369,11 +374,11 @@ class CanvasGenerator {
             tempCtx.drawImage(avatar, 0, 0, 512, 512);
             const buffer = tempCanvas.toBuffer();
             
-            console.log(`[CANVAS] ✅ Successfully loaded default avatar for ${user.username}`);
+            log.debug(`✅ Successfully loaded default avatar for ${user.username}`);
             return buffer;
             
         } catch (error) {
-            console.log(`[CANVAS] ❌ Failed to load default avatar: ${error.message}`);
+            log.debug(`❌ Failed to load default avatar: ${error.message}`);
             return null;
         }
     }
@@ -382,7 +387,7 @@ class CanvasGenerator {
      * Draw avatar placeholder when no avatar can be loaded
      */
     drawAvatarPlaceholder(ctx, avatarArea, userData) {
-        console.log(`[CANVAS] 🎭 Drawing placeholder for user ${userData.userId}`);
+        log.debug(`🎭 Drawing placeholder for user ${userData.userId}`);
         
         // Gray background
         ctx.fillStyle = '#cccccc';
@@ -405,7 +410,7 @@ class CanvasGenerator {
             avatarArea.y + avatarArea.height / 2
         );
         
-        console.log(`[CANVAS] ✅ Drew placeholder "${placeholderText}" for user ${userData.userId}`);
+        log.debug(`✅ Drew placeholder "${placeholderText}" for user ${userData.userId}`);
     }
 
     /**
@@ -413,7 +418,7 @@ class CanvasGenerator {
      */
     extractAvatarHash(avatarURL) {
         try {
-            console.log(`[CANVAS] 🔍 Extracting hash from: ${avatarURL}`);
+            log.debug(`🔍 Extracting hash from: ${avatarURL}`);
             
             const patterns = [
                 // Animated avatars (a_prefix) - FIXED PATTERN
@@ -430,36 +435,36 @@ class CanvasGenerator {
                 const pattern = patterns[i];
                 const match = avatarURL.match(pattern);
                 if (match) {
-                    console.log(`[CANVAS] ✅ Pattern ${i + 1} matched:`, match);
+                    log.debug(`✅ Pattern ${i + 1} matched:`, match);
                     
                     if (pattern.source.includes('embed')) {
                         // Default avatar
                         const hash = `default_${match[1]}`;
-                        console.log(`[CANVAS] ✅ Extracted default avatar hash: ${hash}`);
+                        log.debug(`✅ Extracted default avatar hash: ${hash}`);
                         return hash;
                     } else if (match[2] && match[2].startsWith('a_')) {
                         // Animated avatar (a_prefix)
                         const hash = match[2];
-                        console.log(`[CANVAS] ✅ Extracted animated avatar hash: ${hash}`);
+                        log.debug(`✅ Extracted animated avatar hash: ${hash}`);
                         return hash;
                     } else if (match[2]) {
                         // Regular avatar
                         const hash = match[2];
-                        console.log(`[CANVAS] ✅ Extracted regular avatar hash: ${hash}`);
+                        log.debug(`✅ Extracted regular avatar hash: ${hash}`);
                         return hash;
                     } else if (match[1] && (match[1].startsWith('a_') || match[1].length >= 32)) {
                         // Fallback pattern match
                         const hash = match[1];
-                        console.log(`[CANVAS] ✅ Extracted fallback avatar hash: ${hash}`);
+                        log.debug(`✅ Extracted fallback avatar hash: ${hash}`);
                         return hash;
                     }
                 }
             }
             
-            console.log(`[CANVAS] ❌ Could not extract avatar hash from: ${avatarURL}`);
+            log.debug(`❌ Could not extract avatar hash from: ${avatarURL}`);
             return null;
         } catch (error) {
-            console.log(`[CANVAS] ❌ Error extracting avatar hash: ${error.message}`);
+            log.debug(`❌ Error extracting avatar hash: ${error.message}`);
             return null;
         }
     }
@@ -522,7 +527,7 @@ class CanvasGenerator {
         const bountyAmount = this.bountyCalculator.getBountyForLevel(userData.level, isPirateKingData);
         const bountyStr = bountyAmount.toLocaleString();
         
-        console.log(`[CANVAS] 💰 Level ${userData.level}${isPirateKingData ? ' (PIRATE KING)' : ''} = Bounty ฿${bountyStr}`);
+        log.debug(`💰 Level ${userData.level}${isPirateKingData ? ' (PIRATE KING)' : ''} = Bounty ฿${bountyStr}`);
         
         // Set up bounty text
         ctx.font = '54px Cinzel, Georgia, serif';
@@ -547,9 +552,9 @@ class CanvasGenerator {
         try {
             const berryPath = path.join(__dirname, '../../assets/berry.png');
             berryImg = await loadImage(berryPath);
-            console.log('[CANVAS] ✅ Loaded berry symbol');
+            log.debug('✅ Loaded berry symbol');
         } catch (error) {
-            console.log('[CANVAS] ⚠️ Berry image not found, creating fallback symbol');
+            log.debug('⚠️ Berry image not found, creating fallback symbol');
             // Create fallback berry symbol
             const berryCanvas = createCanvas(berrySize, berrySize);
             const berryCtx = berryCanvas.getContext('2d');
@@ -591,9 +596,9 @@ class CanvasGenerator {
             ctx.globalAlpha = 1.0;
             ctx.filter = 'none';
             
-            console.log('[CANVAS] ✅ Drew One Piece logo');
+            log.debug('✅ Drew One Piece logo');
         } catch (error) {
-            console.log('[CANVAS] ⚠️ One Piece logo not found, skipping');
+            log.debug('⚠️ One Piece logo not found, skipping');
         }
     }
 
@@ -617,7 +622,7 @@ class CanvasGenerator {
      * Create fallback canvas if main generation fails
      */
     createFallbackCanvas(userData, width, height) {
-        console.log(`[CANVAS] 🛡️ Creating fallback canvas for user ${userData.userId}`);
+        log.debug(`🛡️ Creating fallback canvas for user ${userData.userId}`);
         
         const canvas = createCanvas(width, height);
         const ctx = canvas.getContext('2d');
@@ -649,7 +654,7 @@ class CanvasGenerator {
             ctx.fillText(userData.member.displayName.toUpperCase(), width / 2, height * 0.6);
         }
         
-        console.log(`[CANVAS] ✅ Created fallback canvas for user ${userData.userId}`);
+        log.debug(`✅ Created fallback canvas for user ${userData.userId}`);
         return canvas;
     }
 
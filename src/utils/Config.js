@@ -0,0 +1,447 @@
+const ResetSchedule = require('./ResetSchedule');
+
+const resetSchedule = new ResetSchedule();
+
+const TIERS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+const LEVEL_ROLE_LEVELS = [0, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50];
+
+// Unknown variables with these prefixes are reported as likely typos
+const TYPO_PREFIXES = ['MESSAGE_', 'REACTION_', 'VOICE_', 'DAILY_', 'TIER_', 'LEVEL_', 'XP_', 'FORMULA_', 'EARLY_', 'CACHE_', 'WEBHOOK_', 'LOG_', 'REDIS_', 'HEALTH_'];
+
+// Old Eastern time reset settings, still honoured when DAILY_RESET_TIMEZONE/DAILY_RESET_TIME are unset
+const LEGACY_RESET = {
+    hour: { name: 'DAILY_RESET_HOUR_EDT', type: 'integer', default: 19, min: 0, max: 23 },
+    minute: { name: 'DAILY_RESET_MINUTE_EDT', type: 'integer', default: 35, min: 0, max: 59 }
+};
+
+/**
+ * Declared environment settings: type, default and allowed range
+ * Types: string, integer, integerList, number, boolean, enum, snowflake, snowflakeList, url, timezone, time
+ */
+const SCHEMA = {
+    // Bot
+    DISCORD_TOKEN: { type: 'string', required: true, secret: true },
+    CLIENT_ID: { type: 'snowflake', required: true },
+    DATABASE_URL: { type: 'url', required: true, secret: true, protocols: ['postgres:', 'postgresql:'] },
+    NODE_ENV: { type: 'enum', values: ['development', 'production', 'test'], default: 'development' },
+    DEBUG: { type: 'boolean', default: false },
+    ADMIN_USER_ID: { type: 'snowflake' },
+    COMMANDS_CHANNEL: { type: 'snowflake' },
+    BOT_TYPE: { type: 'enum', values: ['xp', 'leveling', 'verification', 'verify', 'gacha', 'quiz', 'music', 'moderation', 'economy', 'utility'], default: 'xp' },
+    INSTANCE_ID: { type: 'string' },
+    PLUGINS_DIR: { type: 'string' },
+    AUTO_MIGRATE: { type: 'boolean', default: true },
+    DB_CONNECTION_TIMEOUT: { type: 'integer', default: 10000, min: 1000, max: 120000 },
+
+    // Logging (read by Logger when it loads, validated here so typos are reported)
+    LOG_LEVEL: { type: 'enum', values: ['error', 'warn', 'info', 'debug', 'trace'] },
+    LOG_LEVELS: { type: 'string' },
+    LOG_FORMAT: { type: 'enum', values: ['pretty', 'json'], default: 'pretty' },
+    LOG_REDACT: { type: 'string', default: 'tokens' },
+
+    // Redis
+    REDIS_URL: { type: 'url', secret: true, protocols: ['redis:', 'rediss:'] },
+    REDIS_HOST: { type: 'string' },
+    REDISHOST: { type: 'string' },
+    REDIS_PORT: { type: 'integer', min: 1, max: 65535 },
+    REDISPORT: { type: 'integer', min: 1, max: 65535 },
+    REDIS_PASSWORD: { type: 'string', secret: true },
+    REDIS_DB: { type: 'integer', min: 0, max: 15 },
+    REDIS_KEY_PREFIX: { type: 'string' },
+    REDIS_RETRY_ATTEMPTS: { type: 'integer', default: 3, min: 0, max: 20 },
+    REDIS_RETRY_DELAY: { type: 'integer', default: 5000, min: 100, max: 600000 },
+    REDIS_MAX_RETRIES_PER_REQUEST: { type: 'integer', default: 2, min: 0, max: 20 },
+    REDIS_CONNECTION_TIMEOUT: { type: 'integer', default: 10000, min: 1000, max: 120000 },
+    REDIS_ENABLE_OFFLINE_QUEUE: { type: 'boolean', default: false },
+    CACHE_AVATAR_TTL: { type: 'integer', default: 43200, min: 60, max: 2592000 },
+    CACHE_POSTER_TTL: { type: 'integer', default: 86400, min: 60, max: 2592000 },
+    CACHE_LEADERBOARD_TTL: { type: 'integer', default: 300, min: 10, max: 86400 },
+    API_CACHE_TTL: { type: 'integer', default: 60, min: 1, max: 3600 },
+
+    // XP defaults (servers can override these with /settings)
+    MESSAGE_XP_MIN: { type: 'integer', default: 75, min: 0, max: 10000 },
+    MESSAGE_XP_MAX: { type: 'integer', default: 100, min: 0, max: 10000 },
+    MESSAGE_COOLDOWN: { type: 'integer', default: 60000, min: 0, max: 86400000 },
+    REACTION_XP_MIN: { type: 'integer', default: 75, min: 0, max: 10000 },
+    REACTION_XP_MAX: { type: 'integer', default: 100, min: 0, max: 10000 },
+    REACTION_COOLDOWN: { type: 'integer', default: 300000, min: 0, max: 86400000 },
+    VOICE_XP_MIN: { type: 'integer', default: 250, min: 0, max: 10000 },
+    VOICE_XP_MAX: { type: 'integer', default: 350, min: 0, max: 10000 },
+    VOICE_COOLDOWN: { type: 'integer', default: 300000, min: 60000, max: 86400000 },
+    VOICE_MIN_MEMBERS: { type: 'integer', default: 2, min: 1, max: 99 },
+    VOICE_ANTI_AFK: { type: 'boolean', default: false },
+    VOICE_AFK_MULTIPLIER: { type: 'number', default: 0.25, min: 0, max: 1 },
+    VOICE_MUTE_EXEMPT_USERS: { type: 'snowflakeList', default: [] },
+    VOICE_MUTE_EXEMPT_ROLES: { type: 'snowflakeList', default: [] },
+    VOICE_MUTE_EXEMPT_MULTIPLIER: { type: 'number', default: 1.0, min: 0, max: 5 },
+    VOICE_PROCESSING_INTERVAL: { type: 'integer', default: 300000, min: 60000, max: 3600000 },
+    MESSAGE_QUALITY_FILTER: { type: 'boolean', default: false },
+    MESSAGE_MIN_LENGTH: { type: 'integer', default: 3, min: 0, max: 500 },
+    MESSAGE_MIN_WORDS: { type: 'integer', default: 1, min: 0, max: 50 },
+    MESSAGE_ALLOW_EMOJI_ONLY: { type: 'boolean', default: false },
+    MESSAGE_ALLOW_LINK_ONLY: { type: 'boolean', default: false },
+    MESSAGE_ALLOW_ATTACHMENT_ONLY: { type: 'boolean', default: false },
+    MESSAGE_SIMILARITY_THRESHOLD: { type: 'number', default: 0.85, min: 0.5, max: 1 },
+    MESSAGE_SIMILARITY_HISTORY: { type: 'integer', default: 5, min: 0, max: 20 },
+    XP_MULTIPLIER: { type: 'number', default: 1.0, min: 0.1, max: 10 },
+    DAILY_RESET_TIMEZONE: { type: 'timezone', default: 'America/New_York' },
+    DAILY_RESET_TIME: { type: 'time', default: '19:35' },
+
+    // Daily cap
+    DAILY_XP_CAP: { type: 'integer', default: 15000, min: 100, max: 10000000 },
+
+    // Level formula
+    FORMULA_CURVE: { type: 'enum', values: ['exponential', 'linear', 'logarithmic'], default: 'exponential' },
+    FORMULA_BASE_XP: { type: 'integer', default: 500, min: 1, max: 1000000 },
+    FORMULA_MULTIPLIER: { type: 'number', default: 1.75, min: 0.1, max: 10 },
+    MAX_LEVEL: { type: 'integer', default: 50, min: 1, max: 1000 },
+    EARLY_LEVEL_PENALTY: { type: 'number', default: 1.8, min: 0.1, max: 10 },
+    EARLY_LEVEL_THRESHOLD: { type: 'integer', default: 10, min: 0, max: 1000 },
+    LEADERBOARD_EXCLUDE_ROLE: { type: 'snowflake' },
+    LEVELUP_PING_USER: { type: 'boolean', default: false },
+    LEVELUP_MODE: { type: 'enum', values: ['fixed', 'origin', 'dm', 'off'], default: 'fixed' },
+    ANNOUNCE_DEMOTIONS: { type: 'boolean', default: false },
+    LEVELUP_TEMPLATE: { type: 'string', default: '' },
+    LEVELUP_MILESTONE_TEMPLATE: { type: 'string', default: '' },
+    LEVELUP_MILESTONES: { type: 'integerList', min: 0, max: 1000, default: [5, 10, 15, 20, 25, 30, 35, 40, 45, 50] },
+    LEVELUP_POSTER: { type: 'enum', values: ['always', 'milestones', 'never'], default: 'always' },
+    LEVEL_ROLE_MODE: { type: 'enum', values: ['replace', 'stack'], default: 'replace' },
+    ROLE_SYNC_DELAY: { type: 'integer', default: 1000, min: 0, max: 60000 },
+
+    // XP activity log channel
+    XP_LOG_ENABLED: { type: 'boolean', default: false },
+    XP_LOG_CHANNEL: { type: 'snowflake' },
+    XP_LOG_MESSAGES: { type: 'boolean', default: false },
+    XP_LOG_VOICE: { type: 'boolean', default: false },
+    XP_LOG_REACTIONS: { type: 'boolean', default: false },
+    XP_LOG_LEVELUP: { type: 'boolean', default: false },
+    XP_TRANSACTION_RETENTION_DAYS: { type: 'integer', default: 90, min: 1, max: 3650 },
+    XP_TRANSACTION_ADMIN_RETENTION_DAYS: { type: 'integer', default: 365, min: 1, max: 3650 },
+
+    // HTTP server, jobs and webhooks
+    PORT: { type: 'integer', default: 3000, min: 1, max: 65535 },
+    HEALTH_SERVER_ENABLED: { type: 'boolean', default: true },
+    API_ENABLED: { type: 'boolean', default: true },
+    HEALTH_CHECK_INTERVAL: { type: 'integer', default: 1800000, min: 60000, max: 86400000 },
+    WEBHOOK_MAX_ATTEMPTS: { type: 'integer', default: 6, min: 1, max: 20 },
+    WEBHOOK_RETRY_BASE_DELAY: { type: 'integer', default: 30000, min: 1000, max: 3600000 },
+    WEBHOOK_RETRY_INTERVAL: { type: 'integer', default: 60000, min: 10000, max: 3600000 },
+    WEBHOOK_TIMEOUT: { type: 'integer', default: 10000, min: 1000, max: 60000 },
+    WEBHOOK_DELIVERY_RETENTION_DAYS: { type: 'integer', default: 7, min: 1, max: 365 }
+};
+
+for (const tier of TIERS) {
+    SCHEMA[`TIER_${tier}_ROLE`] = { type: 'snowflake' };
+    SCHEMA[`TIER_${tier}_XP_CAP`] = { type: 'integer', min: 100, max: 10000000 };
+}
+
+for (const level of LEVEL_ROLE_LEVELS) {
+    SCHEMA[`LEVEL_${level}_ROLE`] = { type: 'snowflake' };
+}
+
+/**
+ * Config - Single source for environment settings
+ * Every value is parsed and validated once against SCHEMA; invalid values are reported
+ * and replaced by their default so nothing silently runs with a typo.
+ */
+class Config {
+    constructor() {
+        this.schema = SCHEMA;
+        this.tiers = TIERS;
+        this.levelRoleLevels = LEVEL_ROLE_LEVELS;
+        this.load();
+    }
+
+    /**
+     * Parse and validate every setting - returns the report
+     */
+    load(env = process.env) {
+        this.values = {};
+        this.provided = new Set();
+        this.errors = [];
+        this.warnings = [];
+
+        for (const [name, def] of Object.entries(this.schema)) {
+            const raw = typeof env[name] === 'string' ? env[name].trim() : env[name];
+
+            if (raw === undefined || raw === null || raw === '') {
+                if (def.required) {
+                    this.errors.push({ name, message: 'is required but not set' });
+                }
+                this.values[name] = def.default !== undefined ? def.default : null;
+                continue;
+            }
+
+            const result = this.parse(def, String(raw));
+            if (result.error) {
+                this.errors.push({ name, message: `${result.error} (got "${def.secret ? '***' : raw}")` });
+                this.values[name] = def.default !== undefined ? def.default : null;
+            } else {
+                this.values[name] = result.value;
+                this.provided.add(name);
+            }
+        }
+
+        this.applyLegacyReset(env);
+        this.checkRules();
+        this.checkUnknown(env);
+
+        return this.getReport();
+    }
+
+    /**
+     * Parse one raw string - returns { value } or { error }
+     */
+    parse(def, raw) {
+        switch (def.type) {
+            case 'string':
+                return { value: raw };
+            case 'integer': {
+                if (!/^-?\d+$/.test(raw)) return { error: 'must be a whole number' };
+                return this.checkRange(def, parseInt(raw, 10));
+            }
+            case 'integerList': {
+                const parts = raw.split(',').map(part => part.trim()).filter(part => part);
+                const invalid = parts.filter(part => !/^\d+$/.test(part));
+                if (invalid.length > 0) return { error: `contains invalid whole numbers: ${invalid.join(', ')}` };
+                const values = [...new Set(parts.map(part => parseInt(part, 10)))].sort((a, b) => a - b);
+                const outOfRange = values.find(value => this.checkRange(def, value).error);
+                if (outOfRange !== undefined) return { error: `values must be between ${def.min} and ${def.max}` };
+                return { value: values };
+            }
+            case 'number': {
+                if (!/^-?(\d+\.?\d*|\.\d+)$/.test(raw)) return { error: 'must be a number' };
+                return this.checkRange(def, parseFloat(raw));
+            }
+            case 'boolean': {
+                const lowered = raw.toLowerCase();
+                if (['true', '1', 'yes', 'on'].includes(lowered)) return { value: true };
+                if (['false', '0', 'no', 'off'].includes(lowered)) return { value: false };
+                return { error: 'must be true or false' };
+            }
+            case 'enum': {
+                const lowered = raw.toLowerCase();
+                if (!def.values.includes(lowered)) return { error: `must be one of ${def.values.join(', ')}` };
+                return { value: lowered };
+            }
+            case 'snowflake':
+                return /^\d{17,20}$/.test(raw) ? { value: raw } : { error: 'must be a Discord ID (17-20 digits)' };
+            case 'snowflakeList': {
+                const ids = raw.split(',').map(id => id.trim()).filter(id => id);
+                const invalid = ids.filter(id => !/^\d{17,20}$/.test(id));
+                if (invalid.length > 0) return { error: `contains invalid Discord IDs: ${invalid.join(', ')}` };
+                return { value: [...new Set(ids)] };
+            }
+            case 'url': {
+                try {
+                    const url = new URL(raw);
+                    if (def.protocols && !def.protocols.includes(url.protocol)) {
+                        return { error: `must be a ${def.protocols.map(protocol => protocol.replace(':', '://')).join(' or ')} URL` };
+                    }
+                    return { value: raw };
+                } catch (error) {
+                    return { error: 'must be a valid URL' };
+                }
+            }
+            case 'timezone':
+                if (!resetSchedule.isValidTimezone(raw)) return { error: 'must be an IANA timezone such as Europe/Berlin' };
+                return { value: new Intl.DateTimeFormat('en-US', { timeZone: raw }).resolvedOptions().timeZone };
+            case 'time': {
+                const time = resetSchedule.parseTime(raw);
+                if (!time) return { error: 'must be a 24-hour time like 19:35' };
+                return { value: `${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}` };
+            }
+            default:
+                return { error: `has unknown type ${def.type}` };
+        }
+    }
+
+    /**
+     * Range check for numeric settings
+     */
+    checkRange(def, value) {
+        if (def.min !== undefined && value < def.min) return { error: `must be at least ${def.min}` };
+        if (def.max !== undefined && value > def.max) return { error: `must be at most ${def.max}` };
+        return { value };
+    }
+
+    /**
+     * Map DAILY_RESET_HOUR_EDT/DAILY_RESET_MINUTE_EDT onto the timezone based reset settings
+     */
+    applyLegacyReset(env) {
+        const legacy = Object.values(LEGACY_RESET).filter(({ name }) => typeof env[name] === 'string' && env[name].trim() !== '');
+        if (legacy.length === 0) return;
+
+        if (this.provided.has('DAILY_RESET_TIMEZONE') || this.provided.has('DAILY_RESET_TIME')) {
+            for (const { name } of legacy) {
+                this.warnings.push({ name, message: 'is deprecated and ignored because DAILY_RESET_TIMEZONE/DAILY_RESET_TIME is set' });
+            }
+            return;
+        }
+
+        const parts = {};
+        for (const [part, def] of Object.entries(LEGACY_RESET)) {
+            const raw = typeof env[def.name] === 'string' ? env[def.name].trim() : '';
+            const result = raw ? this.parse(def, raw) : { value: def.default };
+            if (result.error) {
+                this.errors.push({ name: def.name, message: `${result.error} (got "${raw}")` });
+                return;
+            }
+            parts[part] = result.value;
+        }
+
+        this.values.DAILY_RESET_TIMEZONE = 'America/New_York';
+        this.values.DAILY_RESET_TIME = `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
+
+        for (const { name } of legacy) {
+            this.warnings.push({ name, message: `is deprecated - use DAILY_RESET_TIMEZONE=America/New_York and DAILY_RESET_TIME=${this.values.DAILY_RESET_TIME} instead` });
+        }
+    }
+
+    /**
+     * Rules that involve more than one setting
+     */
+    checkRules() {
+        for (const prefix of ['MESSAGE', 'REACTION', 'VOICE']) {
+            const min = `${prefix}_XP_MIN`;
+            const max = `${prefix}_XP_MAX`;
+            if (this.values[min] > this.values[max]) {
+                this.errors.push({ name: min, message: `(${this.values[min]}) cannot be greater than ${max} (${this.values[max]})` });
+            }
+        }
+
+        const baseCap = this.values.DAILY_XP_CAP;
+        let previous = null;
+        for (const tier of this.tiers) {
+            const roleId = this.values[`TIER_${tier}_ROLE`];
+            const cap = this.values[`TIER_${tier}_XP_CAP`];
+
+            if (roleId && !cap) {
+                this.errors.push({ name: `TIER_${tier}_ROLE`, message: `is set but TIER_${tier}_XP_CAP is missing, so the tier does nothing` });
+            } else if (!roleId && cap) {
+                this.warnings.push({ name: `TIER_${tier}_XP_CAP`, message: `is set but TIER_${tier}_ROLE is missing, so the tier does nothing` });
+            } else if (roleId && cap) {
+                if (cap <= baseCap) {
+                    this.errors.push({ name: `TIER_${tier}_XP_CAP`, message: `(${cap}) must be higher than DAILY_XP_CAP (${baseCap})` });
+                }
+                if (previous && cap < previous.cap) {
+                    this.warnings.push({ name: `TIER_${tier}_XP_CAP`, message: `(${cap}) is lower than Tier ${previous.tier} (${previous.cap}); members with both roles get Tier ${tier}` });
+                }
+                previous = { tier, cap };
+            }
+        }
+
+        if (this.values.XP_TRANSACTION_ADMIN_RETENTION_DAYS < this.values.XP_TRANSACTION_RETENTION_DAYS) {
+            this.warnings.push({ name: 'XP_TRANSACTION_ADMIN_RETENTION_DAYS', message: `is shorter than XP_TRANSACTION_RETENTION_DAYS, so admin history is deleted first` });
+        }
+
+        if (this.values.XP_LOG_ENABLED && !this.values.XP_LOG_CHANNEL) {
+            this.warnings.push({ name: 'XP_LOG_ENABLED', message: 'is on but XP_LOG_CHANNEL is not set, so nothing is logged' });
+        }
+
+        if (this.values.REDIS_URL && (this.values.REDIS_HOST || this.values.REDIS_PORT)) {
+            this.warnings.push({ name: 'REDIS_URL', message: 'is set, so REDIS_HOST/REDIS_PORT are ignored' });
+        }
+    }
+
+    /**
+     * Warn about variables that look like ours but are not in the schema (usually typos)
+     */
+    checkUnknown(env) {
+        const names = Object.keys(this.schema);
+
+        for (const name of Object.keys(env)) {
+            if (this.schema[name] || Object.values(LEGACY_RESET).some(def => def.name === name) || !TYPO_PREFIXES.some(prefix => name.startsWith(prefix))) continue;
+
+            const suggestion = names.find(known => this.distance(known, name) <= 2);
+            this.warnings.push({ name, message: suggestion ? `is not a known setting - did you mean ${suggestion}?` : 'is not a known setting and is ignored' });
+        }
+    }
+
+    /**
+     * Edit distance between two names (for typo suggestions)
+     */
+    distance(a, b) {
+        if (Math.abs(a.length - b.length) > 2) return Infinity;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Validated value of a setting (its default when unset or invalid)
+     */
+    get(name) {
+        if (!Object.prototype.hasOwnProperty.call(this.schema, name)) {
+            throw new RangeError(`Unknown config setting "${name}"`);
+        }
+        return this.values[name];
+    }
+
+    /**
+     * Whether a setting was provided with a valid value (rather than defaulted)
+     */
+    isSet(name) {
+        return this.provided.has(name);
+    }
+
+    /**
+     * Configured daily cap tiers (role and cap both set), lowest tier first
+     */
+    getTiers() {
+        return this.tiers
+            .map(tier => ({ tier, roleId: this.values[`TIER_${tier}_ROLE`], cap: this.values[`TIER_${tier}_XP_CAP`] }))
+            .filter(({ roleId, cap }) => roleId && cap);
+    }
+
+    /**
+     * Level role IDs from LEVEL_N_ROLE, keyed by level (unset levels are null)
+     * Only used as the default for guilds that have not stored their own level roles
+     */
+    getLevelRoles() {
+        return Object.fromEntries(this.levelRoleLevels.map(level => [level, this.values[`LEVEL_${level}_ROLE`]]));
+    }
+
+    /**
+     * Summary of the last load
+     */
+    getReport() {
+        return {
+            valid: this.errors.length === 0,
+            errors: [...this.errors],
+            warnings: [...this.warnings],
+            provided: this.provided.size
+        };
+    }
+
+    /**
+     * Print the report through a logger - returns true when the config is valid
+     */
+    printReport(log) {
+        const report = this.getReport();
+
+        for (const { name, message } of report.warnings) {
+            log.warn(`⚠️ ${name} ${message}`);
+        }
+        for (const { name, message } of report.errors) {
+            log.error(`❌ ${name} ${message}`);
+        }
+
+        if (report.valid) {
+            log.info(`✅ Configuration valid (${report.provided} settings from environment, ${report.warnings.length} warning(s))`);
+        } else {
+            log.error(`❌ Configuration has ${report.errors.length} error(s) - fix the values above and restart`);
+        }
+
+        return report.valid;
+    }
+}
+
+module.exports = new Config();
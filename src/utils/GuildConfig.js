@@ -0,0 +1,246 @@
+const ResetSchedule = require('./ResetSchedule');
+const LevelUpTemplate = require('./LevelUpTemplate');
+const config = require('./Config');
+
+const resetSchedule = new ResetSchedule();
+const levelUpTemplate = new LevelUpTemplate();
+
+/**
+ * GuildConfig - Per-guild XP configuration with environment variable defaults
+ * Guild overrides are stored as JSON in guild_settings.config_overrides
+ */
+class GuildConfig {
+    constructor() {
+        // Every configurable key, its env default and validation range
+        this.definitions = {
+            message_xp_min: { env: 'MESSAGE_XP_MIN', type: 'integer', min: 0, max: 10000, category: 'message', label: 'Message XP (min)' },
+            message_xp_max: { env: 'MESSAGE_XP_MAX', type: 'integer', min: 0, max: 10000, category: 'message', label: 'Message XP (max)' },
+            message_cooldown: { env: 'MESSAGE_COOLDOWN', type: 'seconds', min: 0, max: 86400, category: 'message', label: 'Message cooldown' },
+            reaction_xp_min: { env: 'REACTION_XP_MIN', type: 'integer', min: 0, max: 10000, category: 'reaction', label: 'Reaction XP (min)' },
+            reaction_xp_max: { env: 'REACTION_XP_MAX', type: 'integer', min: 0, max: 10000, category: 'reaction', label: 'Reaction XP (max)' },
+            reaction_cooldown: { env: 'REACTION_COOLDOWN', type: 'seconds', min: 0, max: 86400, category: 'reaction', label: 'Reaction cooldown' },
+            voice_xp_min: { env: 'VOICE_XP_MIN', type: 'integer', min: 0, max: 10000, category: 'voice', label: 'Voice XP (min)' },
+            voice_xp_max: { env: 'VOICE_XP_MAX', type: 'integer', min: 0, max: 10000, category: 'voice', label: 'Voice XP (max)' },
+            voice_cooldown: { env: 'VOICE_COOLDOWN', type: 'seconds', min: 60, max: 86400, category: 'voice', label: 'Voice XP interval' },
+            voice_min_members: { env: 'VOICE_MIN_MEMBERS', type: 'integer', min: 1, max: 99, category: 'voice', label: 'Voice min members' },
+            voice_anti_afk: { env: 'VOICE_ANTI_AFK', type: 'boolean', category: 'voice', label: 'Voice anti-AFK' },
+            voice_afk_multiplier: { env: 'VOICE_AFK_MULTIPLIER', type: 'number', min: 0, max: 1, category: 'voice', label: 'Muted/deafened multiplier' },
+            voice_mute_exempt_users: { env: 'VOICE_MUTE_EXEMPT_USERS', type: 'idList', category: 'voice', label: 'AFK exempt users' },
+            voice_mute_exempt_roles: { env: 'VOICE_MUTE_EXEMPT_ROLES', type: 'idList', category: 'voice', label: 'AFK exempt roles' },
+            voice_mute_exempt_multiplier: { env: 'VOICE_MUTE_EXEMPT_MULTIPLIER', type: 'number', min: 0, max: 5, category: 'voice', label: 'AFK exempt multiplier' },
+            message_quality_filter: { env: 'MESSAGE_QUALITY_FILTER', type: 'boolean', category: 'quality', label: 'Message quality filter' },
+            message_min_length: { env: 'MESSAGE_MIN_LENGTH', type: 'integer', min: 0, max: 500, category: 'quality', label: 'Minimum message length' },
+            message_min_words: { env: 'MESSAGE_MIN_WORDS', type: 'integer', min: 0, max: 50, category: 'quality', label: 'Minimum word count' },
+            message_allow_emoji_only: { env: 'MESSAGE_ALLOW_EMOJI_ONLY', type: 'boolean', category: 'quality', label: 'Allow emoji-only messages' },
+            message_allow_link_only: { env: 'MESSAGE_ALLOW_LINK_ONLY', type: 'boolean', category: 'quality', label: 'Allow link-only messages' },
+            message_allow_attachment_only: { env: 'MESSAGE_ALLOW_ATTACHMENT_ONLY', type: 'boolean', category: 'quality', label: 'Allow attachment-only messages' },
+            message_similarity_threshold: { env: 'MESSAGE_SIMILARITY_THRESHOLD', type: 'number', min: 0.5, max: 1, format: 'percent', category: 'quality', label: 'Similarity rejection threshold' },
+            message_similarity_history: { env: 'MESSAGE_SIMILARITY_HISTORY', type: 'integer', min: 0, max: 20, category: 'quality', label: 'Recent messages compared' },
+            xp_multiplier: { env: 'XP_MULTIPLIER', type: 'number', min: 0.1, max: 10, category: 'global', label: 'Global XP multiplier' },
+            reset_timezone: { env: 'DAILY_RESET_TIMEZONE', type: 'timezone', category: 'reset', label: 'Daily reset timezone' },
+            reset_time: { env: 'DAILY_RESET_TIME', type: 'time', category: 'reset', label: 'Daily reset time' },
+            level_role_mode: { env: 'LEVEL_ROLE_MODE', type: 'enum', values: ['replace', 'stack'], category: 'roles', label: 'Level role mode (replace or stack)' },
+            levelup_mode: { env: 'LEVELUP_MODE', type: 'enum', values: ['fixed', 'origin', 'dm', 'off'], category: 'announce', label: 'Level up destination (fixed, origin, dm or off)' },
+            levelup_ping: { env: 'LEVELUP_PING_USER', type: 'boolean', category: 'announce', label: 'Ping members in level ups' },
+            announce_demotions: { env: 'ANNOUNCE_DEMOTIONS', type: 'boolean', category: 'announce', label: 'Announce level downs' },
+            levelup_template: { env: 'LEVELUP_TEMPLATE', type: 'template', category: 'announce', label: 'Level up message template' },
+            levelup_milestone_template: { env: 'LEVELUP_MILESTONE_TEMPLATE', type: 'template', category: 'announce', label: 'Milestone level up template' },
+            levelup_milestones: { env: 'LEVELUP_MILESTONES', type: 'levelList', min: 0, max: 1000, category: 'announce', label: 'Milestone levels' },
+            levelup_poster: { env: 'LEVELUP_POSTER', type: 'enum', values: ['always', 'milestones', 'never'], category: 'announce', label: 'Wanted poster (always, milestones or never)' }
+        };
+
+        // Pairs that must satisfy min <= max after merging
+        this.rangePairs = [
+            ['message_xp_min', 'message_xp_max'],
+            ['reaction_xp_min', 'reaction_xp_max'],
+            ['voice_xp_min', 'voice_xp_max']
+        ];
+    }
+
+    /**
+     * Get all configurable keys
+     */
+    getKeys() {
+        return Object.keys(this.definitions);
+    }
+
+    /**
+     * Get definition for a key
+     */
+    getDefinition(key) {
+        return this.definitions[key] || null;
+    }
+
+    /**
+     * Get process-wide defaults from the validated environment config
+     */
+    getDefaults() {
+        const defaults = {};
+
+        for (const [key, def] of Object.entries(this.definitions)) {
+            const value = config.get(def.env);
+            defaults[key] = Array.isArray(value) ? [...value] : value;
+        }
+
+        return defaults;
+    }
+
+    /**
+     * Merge guild overrides on top of environment defaults
+     */
+    resolve(overrides = {}) {
+        const config = this.getDefaults();
+
+        for (const [key, value] of Object.entries(overrides || {})) {
+            if (this.definitions[key] && value !== null && value !== undefined) {
+                config[key] = value;
+            }
+        }
+
+        return config;
+    }
+
+    /**
+     * Parse a raw value entered by an admin - returns { valid, value, error }
+     */
+    parseValue(key, rawValue) {
+        const def = this.definitions[key];
+        if (!def) {
+            return { valid: false, error: `Unknown setting \`${key}\`.` };
+        }
+
+        const raw = String(rawValue ?? '').trim();
+
+        switch (def.type) {
+            case 'integer':
+            case 'seconds': {
+                if (!/^\d+$/.test(raw)) {
+                    return { valid: false, error: `\`${key}\` must be a whole number${def.type === 'seconds' ? ' of seconds' : ''}.` };
+                }
+                const value = parseInt(raw);
+                if (value < def.min || value > def.max) {
+                    return { valid: false, error: `\`${key}\` must be between ${def.min} and ${def.max}.` };
+                }
+                // Cooldowns are entered in seconds but stored in milliseconds like the env vars
+                return { valid: true, value: def.type === 'seconds' ? value * 1000 : value };
+            }
+            case 'number': {
+                const value = parseFloat(raw);
+                if (isNaN(value) || !/^\d*\.?\d+$/.test(raw)) {
+                    return { valid: false, error: `\`${key}\` must be a number.` };
+                }
+                if (value < def.min || value > def.max) {
+                    return { valid: false, error: `\`${key}\` must be between ${def.min} and ${def.max}.` };
+                }
+                return { valid: true, value };
+            }
+            case 'boolean': {
+                const lowered = raw.toLowerCase();
+                if (['true', 'on', 'yes', 'enable', 'enabled'].includes(lowered)) return { valid: true, value: true };
+                if (['false', 'off', 'no', 'disable', 'disabled'].includes(lowered)) return { valid: true, value: false };
+                return { valid: false, error: `\`${key}\` must be \`true\` or \`false\`.` };
+            }
+            case 'idList': {
+                if (raw === '' || raw.toLowerCase() === 'none') {
+                    return { valid: true, value: [] };
+                }
+                // Accept raw IDs or mentions like <@123> / <@&123>, separated by commas or spaces
+                const ids = raw.split(/[\s,]+/).map(part => part.replace(/[<@&!>]/g, '')).filter(id => id);
+                const invalid = ids.filter(id => !/^\d{17,20}$/.test(id));
+                if (invalid.length > 0) {
+                    return { valid: false, error: `Invalid ID(s) for \`${key}\`: ${invalid.join(', ')}` };
+                }
+                return { valid: true, value: [...new Set(ids)] };
+            }
+            case 'levelList': {
+                if (raw === '' || raw.toLowerCase() === 'none') {
+                    return { valid: true, value: [] };
+                }
+                const parts = raw.split(/[\s,]+/).filter(part => part);
+                const invalid = parts.filter(part => !/^\d+$/.test(part) || parseInt(part) < def.min || parseInt(part) > def.max);
+                if (invalid.length > 0) {
+                    return { valid: false, error: `\`${key}\` must be levels between ${def.min} and ${def.max} (invalid: ${invalid.join(', ')}).` };
+                }
+                return { valid: true, value: [...new Set(parts.map(part => parseInt(part)))].sort((a, b) => a - b) };
+            }
+            case 'template': {
+                // "default" (or "none") falls back to the built-in Marine report
+                if (raw === '' || ['default', 'none'].includes(raw.toLowerCase())) {
+                    return { valid: true, value: '' };
+                }
+                if (raw.length > levelUpTemplate.maxLength) {
+                    return { valid: false, error: `\`${key}\` must be at most ${levelUpTemplate.maxLength} characters.` };
+                }
+                const unknown = levelUpTemplate.getUnknownPlaceholders(raw);
+                if (unknown.length > 0) {
+                    return { valid: false, error: `Unknown placeholder(s) ${unknown.map(name => `\`{${name}}\``).join(', ')}. Available: ${Object.keys(levelUpTemplate.placeholders).map(name => `\`{${name}}\``).join(', ')}` };
+                }
+                return { valid: true, value: raw };
+            }
+            case 'enum': {
+                const lowered = raw.toLowerCase();
+                if (!def.values.includes(lowered)) {
+                    return { valid: false, error: `\`${key}\` must be one of ${def.values.map(value => `\`${value}\``).join(', ')}.` };
+                }
+                return { valid: true, value: lowered };
+            }
+            case 'timezone': {
+                if (!resetSchedule.isValidTimezone(raw)) {
+                    return { valid: false, error: `\`${key}\` must be an IANA timezone such as \`Europe/Berlin\` or \`America/New_York\`.` };
+                }
+                // Store the canonical spelling (e.g. "europe/berlin" -> "Europe/Berlin")
+                return { valid: true, value: new Intl.DateTimeFormat('en-US', { timeZone: raw }).resolvedOptions().timeZone };
+            }
+            case 'time': {
+                const time = resetSchedule.parseTime(raw);
+                if (!time) {
+                    return { valid: false, error: `\`${key}\` must be a 24-hour time like \`00:00\` or \`19:35\`.` };
+                }
+                return { valid: true, value: `${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}` };
+            }
+            default:
+                return { valid: false, error: `\`${key}\` cannot be edited.` };
+        }
+    }
+
+    /**
+     * Validate cross-field rules on a merged config - returns array of error strings
+     */
+    validate(config) {
+        const errors = [];
+
+        for (const [minKey, maxKey] of this.rangePairs) {
+            if (config[minKey] > config[maxKey]) {
+                errors.push(`\`${minKey}\` (${config[minKey]}) cannot be greater than \`${maxKey}\` (${config[maxKey]}).`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Format a stored value for display
+     */
+    formatValue(key, value) {
+        const def = this.definitions[key];
+        if (!def) return String(value);
+
+        switch (def.type) {
+            case 'seconds':
+                return `${Math.round(value / 1000)}s`;
+            case 'number':
+                return def.format === 'percent' ? `${Math.round(value * 100)}%` : `${value}x`;
+            case 'boolean':
+                return value ? 'On' : 'Off';
+            case 'idList':
+            case 'levelList':
+                return value.length > 0 ? value.join(', ') : 'None';
+            case 'template':
+                return value ? `\`${value.length > 60 ? `${value.slice(0, 57)}...` : value}\`` : 'Built-in report';
+            default:
+                return String(value);
+        }
+    }
+}
+
+module.exports = GuildConfig;
@@ -1,14 +1,16 @@
 /**
  * LevelCalculator - Handles level calculations based on XP
  */
+const config = require('./Config');
+
 class LevelCalculator {
     constructor() {
-        this.baseXP = parseInt(process.env.FORMULA_BASE_XP) || 500;
-        this.multiplier = parseFloat(process.env.FORMULA_MULTIPLIER) || 1.75;
-        this.curve = process.env.FORMULA_CURVE || 'exponential';
-        this.maxLevel = parseInt(process.env.MAX_LEVEL) || 50;
-        this.earlyLevelPenalty = parseFloat(process.env.EARLY_LEVEL_PENALTY) || 1.8;
-        this.earlyLevelThreshold = parseInt(process.env.EARLY_LEVEL_THRESHOLD) || 10;
+        this.baseXP = config.get('FORMULA_BASE_XP');
+        this.multiplier = config.get('FORMULA_MULTIPLIER');
+        this.curve = config.get('FORMULA_CURVE');
+        this.maxLevel = config.get('MAX_LEVEL');
+        this.earlyLevelPenalty = config.get('EARLY_LEVEL_PENALTY');
+        this.earlyLevelThreshold = config.get('EARLY_LEVEL_THRESHOLD');
     }
 
     /**
@@ -0,0 +1,233 @@
+const LevelCalculator = require('./LevelCalculator');
+
+/**
+ * LevelImporter - Parses MEE6/Arcane/Tatsu style exports and maps them onto this bot's level curve
+ * Accepts JSON (array, { players: [...] }, { users: [...] } or { userId: {...} }) and CSV with a header row
+ */
+class LevelImporter {
+    constructor() {
+        this.levelCalculator = new LevelCalculator();
+
+        // Column/property names used by common leveling bots
+        this.fieldAliases = {
+            userId: ['id', 'user_id', 'userid', 'user', 'discord_id', 'member_id', 'memberid', 'uid'],
+            xp: ['xp', 'exp', 'total_xp', 'totalxp', 'experience', 'score', 'points'],
+            level: ['level', 'lvl'],
+            messages: ['message_count', 'messages', 'msgs', 'msg_count']
+        };
+    }
+
+    /**
+     * Parse file contents - returns { format, source, rows: [{ userId, xp, level, messages }], skipped: [{ line, reason }] }
+     */
+    parse(content, filename = '') {
+        const text = String(content || '').replace(/^\uFEFF/, '').trim();
+        const looksLikeJSON = filename.toLowerCase().endsWith('.json') || text.startsWith('{') || text.startsWith('[');
+
+        const records = looksLikeJSON ? this.parseJSON(text) : this.parseCSV(text);
+        const rows = [];
+        const skipped = [];
+        const seen = new Set();
+
+        records.forEach((record, index) => {
+            const line = looksLikeJSON ? index + 1 : index + 2; // CSV line numbers account for the header
+            const row = this.normalizeRecord(record);
+
+            if (!row.userId || !/^\d{17,20}$/.test(row.userId)) {
+                skipped.push({ line, reason: 'missing or invalid user ID' });
+                return;
+            }
+            if (row.xp === null && row.level === null) {
+                skipped.push({ line, reason: 'no XP or level value' });
+                return;
+            }
+            if (seen.has(row.userId)) {
+                skipped.push({ line, reason: 'duplicate user ID' });
+                return;
+            }
+
+            seen.add(row.userId);
+            rows.push(row);
+        });
+
+        return {
+            format: looksLikeJSON ? 'json' : 'csv',
+            source: this.detectSource(records),
+            rows,
+            skipped
+        };
+    }
+
+    /**
+     * Extract the list of records from the supported JSON shapes
+     */
+    parseJSON(text) {
+        const data = JSON.parse(text);
+
+        if (Array.isArray(data)) return data;
+        if (Array.isArray(data.players)) return data.players; // MEE6 leaderboard API
+        if (Array.isArray(data.users)) return data.users;
+        if (Array.isArray(data.members)) return data.members;
+        if (Array.isArray(data.rankings)) return data.rankings;
+
+        // Keyed by user ID: { "123...": { xp, level } }
+        return Object.entries(data).map(([id, value]) => (
+            typeof value === 'object' && value !== null ? { id, ...value } : { id, xp: value }
+        ));
+    }
+
+    /**
+     * Parse CSV with a header row (comma or semicolon separated, quoted values allowed)
+     */
+    parseCSV(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length < 2) return [];
+
+        const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+        const headers = this.splitCSVLine(lines[0], delimiter).map(header => header.trim().toLowerCase());
+
+        return lines.slice(1).map(line => {
+            const values = this.splitCSVLine(line, delimiter);
+            const record = {};
+            headers.forEach((header, i) => {
+                record[header] = values[i] !== undefined ? values[i].trim() : '';
+            });
+            return record;
+        });
+    }
+
+    /**
+     * Split one CSV line, honouring double-quoted values
+     */
+    splitCSVLine(line, delimiter) {
+        const values = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"') {
+                if (inQuotes && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else {
+                    inQuotes = !inQuotes;
+                }
+            } else if (char === delimiter && !inQuotes) {
+                values.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        values.push(current);
+
+        return values;
+    }
+
+    /**
+     * Map a raw record onto { userId, xp, level, messages } using the field aliases
+     */
+    normalizeRecord(record) {
+        const lowered = {};
+        for (const [key, value] of Object.entries(record || {})) {
+            lowered[key.toLowerCase()] = value;
+        }
+
+        const pick = (field) => {
+            for (const alias of this.fieldAliases[field]) {
+                if (lowered[alias] !== undefined && lowered[alias] !== null && lowered[alias] !== '') {
+                    return lowered[alias];
+                }
+            }
+            return null;
+        };
+
+        const toNumber = (value) => {
+            if (value === null) return null;
+            const parsed = parseInt(String(value).replace(/[,_\s]/g, ''));
+            return isNaN(parsed) || parsed < 0 ? null : parsed;
+        };
+
+        // Some exports nest the user object: { user: { id } }
+        let userId = pick('userId');
+        if (userId && typeof userId === 'object') userId = userId.id;
+
+        return {
+            userId: userId ? String(userId).trim() : null,
+            xp: toNumber(pick('xp')),
+            level: toNumber(pick('level')),
+            messages: toNumber(pick('messages'))
+        };
+    }
+
+    /**
+     * Guess which bot produced the export from its field names
+     */
+    detectSource(records) {
+        const keys = new Set(Object.keys(records[0] || {}).map(key => key.toLowerCase()));
+
+        if (keys.has('detailed_xp') || keys.has('message_count')) return 'MEE6';
+        if (keys.has('score')) return 'Tatsu';
+        if (keys.has('xp') && keys.has('level')) return 'Arcane/Generic';
+        return 'Generic';
+    }
+
+    /**
+     * Map parsed rows onto this bot's curve
+     * mode 'level' keeps each member's level, 'xp' keeps raw XP and recalculates the level
+     */
+    mapToCurve(rows, mode = 'level') {
+        const maxLevel = this.levelCalculator.maxLevel;
+
+        return rows.map(row => {
+            let totalXP;
+
+            if (mode === 'xp' && row.xp !== null) {
+                totalXP = row.xp;
+            } else if (row.level !== null) {
+                totalXP = this.getMinimumXPForLevel(Math.min(row.level, maxLevel));
+            } else {
+                totalXP = row.xp;
+            }
+
+            return {
+                userId: row.userId,
+                totalXP,
+                level: this.levelCalculator.calculateLevel(totalXP),
+                externalLevel: row.level,
+                messages: row.messages || 0
+            };
+        });
+    }
+
+    /**
+     * Smallest XP that calculateLevel maps to at least the given level
+     * (per-level requirements are not monotonic around the early level threshold)
+     */
+    getMinimumXPForLevel(level) {
+        let requiredXP = 0;
+        for (let current = 1; current <= level; current++) {
+            requiredXP = Math.max(requiredXP, this.levelCalculator.getXPForLevel(current));
+        }
+        return requiredXP;
+    }
+
+    /**
+     * Count members per 5-level bracket for previews
+     */
+    getDistribution(mapped) {
+        const buckets = new Map();
+
+        for (const { level } of mapped) {
+            const start = Math.floor(level / 5) * 5;
+            buckets.set(start, (buckets.get(start) || 0) + 1);
+        }
+
+        return [...buckets.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([start, count]) => ({ range: `${start}-${start + 4}`, count }));
+    }
+}
+
+module.exports = LevelImporter;
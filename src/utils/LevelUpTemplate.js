@@ -0,0 +1,41 @@
+/**
+ * LevelUpTemplate - Placeholder templates for level up announcements
+ * An empty template means the built-in Marine report embed is used
+ */
+class LevelUpTemplate {
+    constructor() {
+        this.placeholders = {
+            user: 'Member mention',
+            level: 'New level',
+            bounty: 'New bounty',
+            threat: 'Threat classification',
+            role: 'Highest level role earned',
+            rank: 'Server leaderboard rank',
+            next_bounty: 'Bounty at the next level'
+        };
+
+        this.maxLength = 1500;
+    }
+
+    /**
+     * Placeholder names used in a template that are not supported
+     */
+    getUnknownPlaceholders(template) {
+        const unknown = [...String(template).matchAll(/\{(\w+)\}/g)]
+            .map(match => match[1])
+            .filter(name => !Object.hasOwn(this.placeholders, name));
+
+        return [...new Set(unknown)];
+    }
+
+    /**
+     * Replace placeholders with values - a literal \n becomes a line break (slash command options are single line)
+     */
+    render(template, values) {
+        return String(template)
+            .replace(/\\n/g, '\n')
+            .replace(/\{(\w+)\}/g, (match, name) => (Object.hasOwn(values, name) ? String(values[name]) : match));
+    }
+}
+
+module.exports = LevelUpTemplate;
@@ -0,0 +1,200 @@
+const util = require('util');
+
+// Lower number = more important
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3, trace: 4 };
+
+// Secret environment values that are always masked when token redaction is on
+const SECRET_ENV = ['DISCORD_TOKEN', 'DATABASE_URL', 'REDIS_URL', 'REDIS_PASSWORD'];
+
+// [pattern, replacement]
+const TOKEN_PATTERNS = [
+    [/[\w-]{23,28}\.[\w-]{6,7}\.[\w-]{27,40}/g, '[REDACTED]'],         // Discord bot tokens
+    [/\blvl_[\w-]{16,}/g, '[REDACTED]'],                               // API keys from /settings
+    [/(Bearer\s+)[\w.~+/=-]+/gi, '$1[REDACTED]'],                       // Authorization headers
+    [/(\/\/[^:/\s]+:)[^@\s]+@/g, '$1[REDACTED]@']                       // Credentials in connection URLs
+];
+
+const ID_PATTERN = /\b(\d{13,16})(\d{4})\b/g;
+
+/**
+ * Logger - Leveled, namespaced logging for the whole bot
+ * One shared instance is exported; subsystems take a child logger for their namespace.
+ * Namespaces nest with ':' so an override for "cache" also covers "cache:preload".
+ */
+class Logger {
+    constructor() {
+        this.levels = Object.keys(LEVELS);
+        this.configure();
+    }
+
+    /**
+     * (Re)read LOG_LEVEL, LOG_LEVELS, LOG_FORMAT and LOG_REDACT
+     */
+    configure(env = process.env) {
+        const fallback = env.DEBUG === 'true' ? 'debug' : 'info';
+        this.level = this.isValidLevel(env.LOG_LEVEL) ? env.LOG_LEVEL.toLowerCase() : fallback;
+        this.format = (env.LOG_FORMAT || '').toLowerCase() === 'json' ? 'json' : 'pretty';
+
+        // "voice=debug,cache:preload=warn"
+        this.namespaceLevels = new Map();
+        for (const entry of (env.LOG_LEVELS || '').split(',')) {
+            const [namespace, level] = entry.split('=').map(part => part && part.trim());
+            if (namespace && this.isValidLevel(level)) {
+                this.namespaceLevels.set(namespace, level.toLowerCase());
+            }
+        }
+
+        // "tokens", "ids", "all" or "none"
+        const redact = (env.LOG_REDACT || 'tokens').toLowerCase().split(',').map(part => part.trim());
+        this.redactTokens = !redact.includes('none') && (redact.includes('tokens') || redact.includes('all') || redact.includes('true'));
+        this.redactIds = !redact.includes('none') && (redact.includes('ids') || redact.includes('all') || redact.includes('true'));
+        this.secrets = SECRET_ENV.map(name => env[name]).filter(value => value && value.length >= 8);
+
+        return this;
+    }
+
+    /**
+     * Check whether a string is a known level
+     */
+    isValidLevel(level) {
+        return typeof level === 'string' && Object.prototype.hasOwnProperty.call(LEVELS, level.toLowerCase());
+    }
+
+    /**
+     * Change the level at runtime - for the whole bot, or one namespace when given
+     */
+    setLevel(level, namespace = null) {
+        if (!this.isValidLevel(level)) {
+            throw new RangeError(`Unknown log level "${level}". Valid levels: ${this.levels.join(', ')}`);
+        }
+
+        if (namespace) {
+            this.namespaceLevels.set(namespace, level.toLowerCase());
+        } else {
+            this.level = level.toLowerCase();
+        }
+    }
+
+    /**
+     * Remove a namespace override so it follows the bot-wide level again
+     */
+    clearLevel(namespace) {
+        return this.namespaceLevels.delete(namespace);
+    }
+
+    /**
+     * Effective level for a namespace (closest configured parent wins)
+     */
+    getLevel(namespace = null) {
+        let current = namespace;
+        while (current) {
+            if (this.namespaceLevels.has(current)) return this.namespaceLevels.get(current);
+            const separator = current.lastIndexOf(':');
+            current = separator === -1 ? null : current.slice(0, separator);
+        }
+        return this.level;
+    }
+
+    /**
+     * Bot-wide level plus namespace overrides
+     */
+    getLevels() {
+        return { level: this.level, namespaces: Object.fromEntries(this.namespaceLevels) };
+    }
+
+    /**
+     * Whether a message at this level would be written
+     */
+    isEnabled(level, namespace = null) {
+        return LEVELS[level] <= LEVELS[this.getLevel(namespace)];
+    }
+
+    /**
+     * Logger bound to a namespace
+     */
+    child(namespace) {
+        const write = (level) => (...args) => this.write(level, namespace, args);
+
+        return {
+            namespace,
+            error: write('error'),
+            warn: write('warn'),
+            info: write('info'),
+            debug: write('debug'),
+            trace: write('trace'),
+            isEnabled: (level) => this.isEnabled(level, namespace),
+            child: (name) => this.child(`${namespace}:${name}`)
+        };
+    }
+
+    /**
+     * Format and print one entry - arguments work like console.log
+     */
+    write(level, namespace, args) {
+        if (!this.isEnabled(level, namespace)) return;
+
+        const line = this.format === 'json'
+            ? this.formatJSON(level, namespace, args)
+            : `${level.toUpperCase().padEnd(5)} [${namespace}] ${util.format(...args)}`;
+
+        const output = this.redact(line);
+        if (level === 'error') console.error(output);
+        else if (level === 'warn') console.warn(output);
+        else console.log(output);
+    }
+
+    /**
+     * Single-line JSON entry; errors and objects are kept as fields instead of inlined
+     */
+    formatJSON(level, namespace, args) {
+        const entry = { time: new Date().toISOString(), level, namespace };
+        const text = [];
+        const data = [];
+
+        for (const arg of args) {
+            if (arg instanceof Error) {
+                entry.error = { name: arg.name, message: arg.message, code: arg.code, stack: arg.stack };
+            } else if (arg !== null && typeof arg === 'object') {
+                data.push(arg);
+            } else {
+                text.push(String(arg));
+            }
+        }
+
+        entry.msg = text.join(' ');
+        if (data.length > 0) entry.data = data.length === 1 ? data[0] : data;
+
+        try {
+            return JSON.stringify(entry);
+        } catch (error) {
+            // Circular or BigInt payloads - fall back to inspect output
+            entry.data = util.inspect(entry.data, { depth: 2 });
+            return JSON.stringify(entry);
+        }
+    }
+
+    /**
+     * Mask tokens and/or Discord IDs according to LOG_REDACT
+     */
+    redact(text) {
+        let output = text;
+
+        if (this.redactTokens) {
+            for (const secret of this.secrets) {
+                output = output.split(secret).join('[REDACTED]');
+            }
+            for (const [pattern, replacement] of TOKEN_PATTERNS) {
+                output = output.replace(pattern, replacement);
+            }
+        }
+
+        if (this.redactIds) {
+            // Keep the last 4 digits so entries for the same user can still be correlated
+            output = output.replace(ID_PATTERN, '…$2');
+        }
+
+        return output;
+    }
+}
+
+module.exports = new Logger();
@@ -0,0 +1,127 @@
+/**
+ * MessageQualityFilter - Decides whether a message is substantial enough to earn XP
+ * Rejects short, emoji/link/attachment-only and near-duplicate messages
+ */
+class MessageQualityFilter {
+    constructor() {
+        this.urlPattern = /https?:\/\/\S+/gi;
+        this.customEmojiPattern = /<a?:\w+:\d+>/g;
+        this.unicodeEmojiPattern = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{FE0F}\u{200D}\u{20E3}]/gu;
+        this.mentionPattern = /<(@[!&]?|#)\d+>/g;
+    }
+
+    /**
+     * Evaluate a message against the guild config
+     * Returns { passed, reason, normalized }
+     */
+    evaluate(message, config, recentMessages = []) {
+        const content = message.content || '';
+        const hasAttachments = (message.attachments?.size || 0) > 0 || (message.stickers?.size || 0) > 0;
+        const hasLinks = this.urlPattern.test(content);
+        this.urlPattern.lastIndex = 0;
+
+        // Text that is left once links, emoji and mentions are removed
+        const text = content
+            .replace(this.urlPattern, ' ')
+            .replace(this.customEmojiPattern, ' ')
+            .replace(this.unicodeEmojiPattern, ' ')
+            .replace(this.mentionPattern, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        const normalized = this.normalize(text);
+
+        if (text.length === 0) {
+            if (content.trim().length === 0 && hasAttachments) {
+                return config.message_allow_attachment_only
+                    ? { passed: true, reason: null, normalized }
+                    : { passed: false, reason: 'attachment_only', normalized };
+            }
+
+            if (hasLinks) {
+                return config.message_allow_link_only
+                    ? { passed: true, reason: null, normalized }
+                    : { passed: false, reason: 'link_only', normalized };
+            }
+
+            return config.message_allow_emoji_only
+                ? { passed: true, reason: null, normalized }
+                : { passed: false, reason: 'emoji_only', normalized };
+        }
+
+        if (text.length < config.message_min_length) {
+            return { passed: false, reason: 'too_short', normalized };
+        }
+
+        const wordCount = text.split(' ').filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+        if (wordCount < config.message_min_words) {
+            return { passed: false, reason: 'too_few_words', normalized };
+        }
+
+        if (config.message_similarity_history > 0 && normalized.length > 0) {
+            for (const previous of recentMessages.slice(0, config.message_similarity_history)) {
+                if (this.similarity(normalized, previous) >= config.message_similarity_threshold) {
+                    return { passed: false, reason: 'too_similar', normalized };
+                }
+            }
+        }
+
+        return { passed: true, reason: null, normalized };
+    }
+
+    /**
+     * Normalize text for similarity comparison
+     */
+    normalize(text) {
+        return text
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s]/gu, '')
+            .replace(/(.)\1{2,}/g, '$1$1') // "looooool" -> "lool"
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Dice coefficient over character bigrams (0 = different, 1 = identical)
+     */
+    similarity(a, b) {
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+        if (a.length < 2 || b.length < 2) return 0;
+
+        const bigrams = new Map();
+        for (let i = 0; i < a.length - 1; i++) {
+            const bigram = a.substring(i, i + 2);
+            bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+        }
+
+        let overlap = 0;
+        for (let i = 0; i < b.length - 1; i++) {
+            const bigram = b.substring(i, i + 2);
+            const count = bigrams.get(bigram) || 0;
+            if (count > 0) {
+                bigrams.set(bigram, count - 1);
+                overlap++;
+            }
+        }
+
+        return (2 * overlap) / (a.length + b.length - 2);
+    }
+
+    /**
+     * Human readable names for rejection reasons
+     */
+    getReasonLabel(reason) {
+        const labels = {
+            too_short: 'Too short',
+            too_few_words: 'Too few words',
+            emoji_only: 'Emoji only',
+            link_only: 'Link only',
+            attachment_only: 'Attachment only',
+            too_similar: 'Repeated/similar text'
+        };
+        return labels[reason] || reason;
+    }
+}
+
+module.exports = MessageQualityFilter;
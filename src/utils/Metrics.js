@@ -0,0 +1,165 @@
+/**
+ * Metrics - Minimal in-process Prometheus registry (counters, gauges, histograms)
+ * One shared instance is exported so every subsystem records into the same registry
+ */
+class Metrics {
+    constructor() {
+        this.metrics = new Map();
+
+        // Default histogram buckets in seconds
+        this.defaultBuckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+        this.counter('leveling_xp_awarded_total', 'XP awarded to members', ['source']);
+        this.counter('leveling_level_ups_total', 'Level ups processed');
+        this.counter('leveling_level_downs_total', 'Level downs processed (XP removed by admins)');
+        this.counter('leveling_cache_requests_total', 'Cache lookups by cache and result', ['cache', 'result']);
+        this.histogram('leveling_poster_render_seconds', 'Wanted poster render time (cache misses only)', [], [0.1, 0.25, 0.5, 1, 2, 5, 10]);
+        this.histogram('leveling_voice_processing_seconds', 'Duration of a voice XP processing run');
+    }
+
+    /**
+     * Register a counter
+     */
+    counter(name, help, labelNames = []) {
+        const metric = this.register(name, { type: 'counter', help, labelNames });
+
+        // Unlabelled counters are exported as 0 before their first increment
+        if (labelNames.length === 0 && metric.values.size === 0) {
+            metric.values.set('[]', 0);
+        }
+        return metric;
+    }
+
+    /**
+     * Register a gauge
+     */
+    gauge(name, help, labelNames = []) {
+        return this.register(name, { type: 'gauge', help, labelNames });
+    }
+
+    /**
+     * Register a histogram
+     */
+    histogram(name, help, labelNames = [], buckets = this.defaultBuckets) {
+        return this.register(name, { type: 'histogram', help, labelNames, buckets: [...buckets].sort((a, b) => a - b) });
+    }
+
+    /**
+     * Store a metric definition (re-registering returns the existing metric)
+     */
+    register(name, definition) {
+        if (!this.metrics.has(name)) {
+            this.metrics.set(name, { ...definition, name, values: new Map() });
+        }
+        return this.metrics.get(name);
+    }
+
+    /**
+     * Stable key for a label set
+     */
+    labelKey(metric, labels = {}) {
+        return JSON.stringify(metric.labelNames.map(label => String(labels[label] ?? '')));
+    }
+
+    /**
+     * Increment a counter or gauge
+     */
+    inc(name, labels = {}, value = 1) {
+        const metric = this.metrics.get(name);
+        if (!metric) return;
+
+        const key = this.labelKey(metric, labels);
+        metric.values.set(key, (metric.values.get(key) || 0) + value);
+    }
+
+    /**
+     * Set a gauge value
+     */
+    set(name, labels = {}, value) {
+        const metric = this.metrics.get(name);
+        if (!metric) return;
+
+        metric.values.set(this.labelKey(metric, labels), value);
+    }
+
+    /**
+     * Record a histogram observation (seconds)
+     */
+    observe(name, labels = {}, value) {
+        const metric = this.metrics.get(name);
+        if (!metric) return;
+
+        const key = this.labelKey(metric, labels);
+        let entry = metric.values.get(key);
+        if (!entry) {
+            entry = { buckets: metric.buckets.map(() => 0), sum: 0, count: 0 };
+            metric.values.set(key, entry);
+        }
+
+        metric.buckets.forEach((bound, index) => {
+            if (value <= bound) entry.buckets[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    /**
+     * Start a timer - call the returned function to observe the elapsed seconds
+     */
+    startTimer(name, labels = {}) {
+        const start = process.hrtime.bigint();
+        return () => this.observe(name, labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+
+    /**
+     * Record a cache lookup - returns the value so calls can wrap a lookup inline
+     */
+    trackCache(cache, value) {
+        this.inc('leveling_cache_requests_total', { cache, result: value ? 'hit' : 'miss' });
+        return value;
+    }
+
+    /**
+     * Render a label set in exposition format
+     */
+    formatLabels(labelNames, values, extra = {}) {
+        const pairs = labelNames.map((label, index) => [label, values[index]]);
+        pairs.push(...Object.entries(extra));
+        if (pairs.length === 0) return '';
+
+        const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+        return `{${pairs.map(([label, value]) => `${label}="${escape(value)}"`).join(',')}}`;
+    }
+
+    /**
+     * Render every metric in the Prometheus text exposition format
+     */
+    render() {
+        const lines = [];
+
+        for (const metric of this.metrics.values()) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+            for (const [key, value] of metric.values) {
+                const labelValues = JSON.parse(key);
+
+                if (metric.type !== 'histogram') {
+                    lines.push(`${metric.name}${this.formatLabels(metric.labelNames, labelValues)} ${value}`);
+                    continue;
+                }
+
+                metric.buckets.forEach((bound, index) => {
+                    lines.push(`${metric.name}_bucket${this.formatLabels(metric.labelNames, labelValues, { le: bound })} ${value.buckets[index]}`);
+                });
+                lines.push(`${metric.name}_bucket${this.formatLabels(metric.labelNames, labelValues, { le: '+Inf' })} ${value.count}`);
+                lines.push(`${metric.name}_sum${this.formatLabels(metric.labelNames, labelValues)} ${value.sum}`);
+                lines.push(`${metric.name}_count${this.formatLabels(metric.labelNames, labelValues)} ${value.count}`);
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = new Metrics();
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./Config');
+
+/**
+ * Load plugins from the plugins directory
+ * A plugin exports { name, setup(context) } - setup may subscribe to context.events and use the core systems
+ * Files starting with "_" are skipped (examples, shared helpers)
+ */
+async function loadPlugins(context) {
+    const pluginsPath = config.get('PLUGINS_DIR')
+        ? path.resolve(config.get('PLUGINS_DIR'))
+        : path.join(__dirname, '../../plugins');
+    const loaded = [];
+
+    try {
+        if (!fs.existsSync(pluginsPath)) {
+            console.log('🧩 No plugins directory found, skipping plugins');
+            return loaded;
+        }
+
+        const pluginFiles = fs.readdirSync(pluginsPath)
+            .filter(file => file.endsWith('.js') && !file.startsWith('_'))
+            .sort();
+
+        for (const file of pluginFiles) {
+            const filePath = path.join(pluginsPath, file);
+
+            try {
+                const plugin = require(filePath);
+
+                if (typeof plugin.setup !== 'function') {
+                    console.warn(`⚠️ Plugin at ${filePath} is missing a setup() function`);
+                    continue;
+                }
+
+                const name = plugin.name || path.basename(file, '.js');
+                if (loaded.includes(name)) {
+                    console.warn(`⚠️ Plugin ${name} (${file}) has the same name as an already loaded plugin, skipping`);
+                    continue;
+                }
+
+                // Handlers are registered under the plugin name so failures and vetoes are attributed to it
+                const events = {
+                    on: (event, handler) => context.events.on(event, handler, name),
+                    getEventNames: () => context.events.getEventNames()
+                };
+
+                try {
+                    await plugin.setup({ ...context, events });
+                } catch (error) {
+                    context.events.removeOwner(name);
+                    throw error;
+                }
+
+                loaded.push(name);
+                console.log(`🧩 Loaded plugin: ${name}`);
+            } catch (error) {
+                console.error(`❌ Error loading plugin ${file}:`, error.message);
+            }
+        }
+
+        console.log(`✅ Successfully loaded ${loaded.length} plugins`);
+
+    } catch (error) {
+        console.error('❌ Error loading plugins:', error);
+    }
+
+    return loaded;
+}
+
+module.exports = {
+    loadPlugins
+};
@@ -0,0 +1,146 @@
+/**
+ * ResetSchedule - Daily reset boundaries for an IANA timezone and local reset time
+ * Shared by daily caps, the reset timer and admin commands so they always agree
+ */
+class ResetSchedule {
+    constructor() {
+        this.formatters = new Map();
+    }
+
+    /**
+     * Check whether a string is an IANA timezone supported by this runtime
+     */
+    isValidTimezone(timeZone) {
+        if (!timeZone || typeof timeZone !== 'string') return false;
+
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Parse a 24h "HH:MM" string - returns { hour, minute } or null
+     */
+    parseTime(value) {
+        const match = String(value ?? '').trim().match(/^(\d{1,2}):(\d{2})$/);
+        if (!match) return null;
+
+        const hour = parseInt(match[1]);
+        const minute = parseInt(match[2]);
+        if (hour > 23 || minute > 59) return null;
+
+        return { hour, minute };
+    }
+
+    /**
+     * Wall-clock date and time parts of an instant in a timezone
+     */
+    getZonedParts(date, timeZone) {
+        let formatter = this.formatters.get(timeZone);
+        if (!formatter) {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+            this.formatters.set(timeZone, formatter);
+        }
+
+        const parts = {};
+        for (const { type, value } of formatter.formatToParts(date)) {
+            if (type !== 'literal') parts[type] = parseInt(value);
+        }
+
+        return parts;
+    }
+
+    /**
+     * Offset of a timezone from UTC at an instant, in milliseconds
+     */
+    getOffset(date, timeZone) {
+        const parts = this.getZonedParts(date, timeZone);
+        const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+    }
+
+    /**
+     * Convert a wall-clock time in a timezone to a Date
+     * Times skipped by a DST change are shifted forward by the gap
+     */
+    zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+        // Two passes settle the offset on either side of a DST change
+        let instant = wallClock - this.getOffset(new Date(wallClock), timeZone);
+        instant = wallClock - this.getOffset(new Date(instant), timeZone);
+
+        return new Date(instant);
+    }
+
+    /**
+     * Normalise a { timezone, time } pair, falling back to UTC 00:00 on bad input
+     */
+    normalize(schedule = {}) {
+        const timezone = this.isValidTimezone(schedule.timezone) ? schedule.timezone : 'UTC';
+        const { hour, minute } = this.parseTime(schedule.time) || { hour: 0, minute: 0 };
+
+        return { timezone, hour, minute };
+    }
+
+    /**
+     * Current daily-cap day (YYYY-MM-DD) - before the reset time it is still the previous day
+     */
+    getCurrentDay(schedule, now = new Date()) {
+        const { timezone, hour, minute } = this.normalize(schedule);
+        const local = this.getZonedParts(now, timezone);
+
+        const day = new Date(Date.UTC(local.year, local.month - 1, local.day));
+        if (local.hour < hour || (local.hour === hour && local.minute < minute)) {
+            day.setUTCDate(day.getUTCDate() - 1);
+        }
+
+        return day.toISOString().split('T')[0];
+    }
+
+    /**
+     * Next reset instant strictly after now
+     */
+    getNextReset(schedule, now = new Date()) {
+        const { timezone, hour, minute } = this.normalize(schedule);
+        const local = this.getZonedParts(now, timezone);
+
+        // Walk forward by local calendar days so DST changes keep the wall-clock time
+        for (let offset = 0; offset <= 2; offset++) {
+            const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+            const reset = this.zonedTimeToDate(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), hour, minute, timezone);
+            if (reset.getTime() > now.getTime()) return reset;
+        }
+
+        return new Date(now.getTime() + 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Next reset as a Unix timestamp (seconds) for Discord <t:...> formatting
+     */
+    getNextResetTimestamp(schedule, now = new Date()) {
+        return Math.floor(this.getNextReset(schedule, now).getTime() / 1000);
+    }
+
+    /**
+     * Human readable schedule, e.g. "00:00 Europe/Berlin"
+     */
+    describe(schedule) {
+        const { timezone, hour, minute } = this.normalize(schedule);
+        return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')} ${timezone}`;
+    }
+}
+
+module.exports = ResetSchedule;
@@ -1,4 +1,5 @@
 const { EmbedBuilder } = require('discord.js');
+const config = require('./Config');
 
 /**
  * XPLogger - Enhanced XP activity logging with batching and daily cap progression
@@ -22,7 +23,7 @@ class XPLogger {
                 return;
             }
 
-            const channelId = process.env.XP_LOG_CHANNEL;
+            const channelId = config.get('XP_LOG_CHANNEL');
             if (!channelId) return;
 
             const channel = await this.client.channels.fetch(channelId).catch(() => null);
@@ -336,15 +337,15 @@ class XPLogger {
      * Check if logging is enabled for specific type
      */
     isLoggingEnabled(type) {
-        if (process.env.XP_LOG_ENABLED !== 'true') {
+        if (!config.get('XP_LOG_ENABLED')) {
             return false;
         }
 
         const typeSettings = {
-            message: process.env.XP_LOG_MESSAGES === 'true',
-            voice: process.env.XP_LOG_VOICE === 'true',
-            reaction: process.env.XP_LOG_REACTIONS === 'true',
-            levelup: process.env.XP_LOG_LEVELUP === 'true'
+            message: config.get('XP_LOG_MESSAGES'),
+            voice: config.get('XP_LOG_VOICE'),
+            reaction: config.get('XP_LOG_REACTIONS'),
+            levelup: config.get('XP_LOG_LEVELUP')
         };
 
         return typeSettings[type] || false;
@@ -386,7 +387,7 @@ class XPLogger {
         try {
             if (!this.isLoggingEnabled('voice')) return;
 
-            const channelId = process.env.XP_LOG_CHANNEL;
+            const channelId = config.get('XP_LOG_CHANNEL');
             if (!channelId) return;
 
             const channel = await this.client.channels.fetch(channelId).catch(() => null);
@@ -417,7 +418,7 @@ class XPLogger {
      */
     async logAdminXPModification(adminUser, targetUser, guildId, xpChange, reason, newTotal, newLevel) {
         try {
-            const channelId = process.env.XP_LOG_CHANNEL;
+            const channelId = config.get('XP_LOG_CHANNEL');
             if (!channelId) return;
 
             const channel = await this.client.channels.fetch(channelId).catch(() => null);
@@ -448,24 +449,25 @@ class XPLogger {
      */
     async logDailyReset(guildId, resetStats = {}) {
         try {
-            if (process.env.XP_LOG_ENABLED !== 'true') return;
+            if (!config.get('XP_LOG_ENABLED')) return;
 
-            const channelId = process.env.XP_LOG_CHANNEL;
+            const channelId = config.get('XP_LOG_CHANNEL');
             if (!channelId) return;
 
             const channel = await this.client.channels.fetch(channelId).catch(() => null);
             if (!channel || !channel.isTextBased()) return;
 
             const guild = this.client.guilds.cache.get(guildId);
+            const timeZone = resetStats.timezone || 'UTC';
             const resetTime = new Date().toLocaleString('en-US', { 
-                timeZone: 'America/New_York',
+                timeZone,
                 hour12: false 
             });
 
             const embed = new EmbedBuilder()
                 .setColor(0x00FF00)
                 .setTitle('🌅 DAILY XP RESET COMPLETE')
-                .setDescription(`\`\`\`diff\n+ Daily XP caps have been reset\n+ All users can now gain XP again\n+ Reset Time: ${resetTime} EDT\n+ Guild: ${guild?.name || 'Unknown'}\n${resetStats.affectedUsers ? `+ Users Affected: ${resetStats.affectedUsers}\n` : ''}\`\`\``)
+                .setDescription(`\`\`\`diff\n+ Daily XP caps have been reset\n+ All users can now gain XP again\n+ Reset Time: ${resetTime} ${timeZone}\n+ Guild: ${guild?.name || 'Unknown'}\n${resetStats.affectedUsers ? `+ Users Affected: ${resetStats.affectedUsers}\n` : ''}\`\`\``)
                 .setTimestamp()
                 .setFooter({ text: '⚓ Marine Intelligence Division • Daily Reset System' });
 
@@ -486,7 +488,7 @@ class XPLogger {
         }
 
         if (this.voiceLogBatch.size > 0) {
-            const channelId = process.env.XP_LOG_CHANNEL;
+            const channelId = config.get('XP_LOG_CHANNEL');
             if (channelId) {
                 const channel = await this.client.channels.fetch(channelId).catch(() => null);
                 if (channel) {
@@ -501,14 +503,14 @@ class XPLogger {
      */
     getLoggingConfig() {
         return {
-            enabled: process.env.XP_LOG_ENABLED === 'true',
-            channel: process.env.XP_LOG_CHANNEL || null,
+            enabled: config.get('XP_LOG_ENABLED'),
+            channel: config.get('XP_LOG_CHANNEL'),
             batchInterval: this.batchInterval / 1000, // Convert to seconds for display
             types: {
-                messages: process.env.XP_LOG_MESSAGES === 'true',
-                voice: process.env.XP_LOG_VOICE === 'true',
-                reactions: process.env.XP_LOG_REACTIONS === 'true',
-                levelup: process.env.XP_LOG_LEVELUP === 'true'
+                messages: config.get('XP_LOG_MESSAGES'),
+                voice: config.get('XP_LOG_VOICE'),
+                reactions: config.get('XP_LOG_REACTIONS'),
+                levelup: config.get('XP_LOG_LEVELUP')
             }
         };
     }
@@ -0,0 +1,431 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, createMember, createUser, createRole, createTextChannel, createInteraction, createAttachment, withEnv, runCommand } = require('./helpers');
+const admin = require('../src/commands/Admin');
+const logger = require('../src/utils/Logger');
+
+describe('/admin', () => {
+    let bot;
+    let actor;
+    let target;
+
+    async function totalXP(member = target) {
+        const user = await bot.databaseManager.getUserXP(member.id, bot.guild.id);
+        return user ? Number(user.total_xp) : null;
+    }
+
+    function text(reply) {
+        return [reply.content, ...reply.embeds.map(embed => JSON.stringify(embed))].join('\n');
+    }
+
+    beforeEach(async () => {
+        bot = await createTestBot();
+        actor = createMember(bot.guild, { user: createUser({ username: 'Garp' }), manageGuild: true });
+        target = createMember(bot.guild, { user: createUser({ username: 'Luffy' }) });
+    });
+
+    describe('permissions and validation', () => {
+        it('denies members without a permission level', async () => {
+            const interaction = await runCommand(admin, bot, { action: 'add-xp', user: target.user, amount: 100 }, createMember(bot.guild));
+
+            assert.match(interaction.lastReply().content, /Access Denied/);
+            assert.equal(await totalXP(), null);
+        });
+
+        it('lets a view-stats admin role read stats but not change XP', async () => {
+            const viewer = createRole(bot.guild, { name: 'Marine Clerk' });
+            await bot.databaseManager.updateGuildSetting(bot.guild.id, 'admin_roles', JSON.stringify([{ role_id: viewer.id, level: 'view-stats' }]));
+            const clerk = createMember(bot.guild, { roles: [viewer] });
+            await runCommand(admin, bot, { action: 'set-xp', user: target.user, amount: 100 }, actor);
+
+            assert.match(text((await runCommand(admin, bot, { action: 'user-stats', user: target.user }, clerk)).lastReply()), /DOSSIER/);
+            assert.match((await runCommand(admin, bot, { action: 'add-xp', user: target.user, amount: 100 }, clerk)).lastReply().content, /Modify XP/);
+        });
+
+        it('requires a human target for user actions', async () => {
+            assert.match((await runCommand(admin, bot, { action: 'add-xp', amount: 100 }, actor)).lastReply().content, /Missing Target User/);
+            assert.match((await runCommand(admin, bot, { action: 'add-xp', user: createUser({ bot: true }), amount: 100 }, actor)).lastReply().content, /Invalid Target/);
+        });
+
+        it('rejects out of range amounts', async () => {
+            assert.match((await runCommand(admin, bot, { action: 'add-xp', user: target.user, amount: 20000 }, actor)).lastReply().content, /Invalid Amount/);
+            assert.match((await runCommand(admin, bot, { action: 'remove-xp', user: target.user, amount: 0 }, actor)).lastReply().content, /Invalid Amount/);
+            assert.match((await runCommand(admin, bot, { action: 'set-xp', user: target.user }, actor)).lastReply().content, /Invalid Amount/);
+        });
+    });
+
+    describe('XP changes', () => {
+        it('add-xp awards XP, records the operation and emits admin.xp.changed', async () => {
+            const changes = [];
+            bot.xpManager.events.on('admin.xp.changed', payload => changes.push(payload));
+
+            const interaction = await runCommand(admin, bot, { action: 'add-xp', user: target.user, amount: 5000, reason: 'Defeated Crocodile' }, actor);
+
+            assert.equal(await totalXP(), 5000);
+            assert.match(text(interaction.lastReply()), /XP AWARDED SUCCESSFULLY/);
+            assert.match(text(interaction.lastReply()), /Level Up Detected/);
+
+            assert.equal(changes.length, 1);
+            assert.equal(changes[0].action, 'add-xp');
+            assert.equal(changes[0].actorId, actor.id);
+            assert.equal(changes[0].reason, 'Defeated Crocodile');
+            assert.deepEqual(changes[0].before, { total_xp: 0, level: 0 });
+            assert.deepEqual(changes[0].after, { total_xp: 5000, level: 2 });
+
+            const [transaction] = await bot.databaseManager.getXPTransactions(bot.guild.id, { userId: target.id });
+            assert.equal(transaction.source, 'admin');
+            assert.equal(transaction.actor_id, actor.id);
+        });
+
+        it('remove-xp never goes below zero', async () => {
+            await runCommand(admin, bot, { action: 'add-xp', user: target.user, amount: 1000 }, actor);
+
+            await runCommand(admin, bot, { action: 'remove-xp', user: target.user, amount: 300 }, actor);
+            assert.equal(await totalXP(), 700);
+
+            await runCommand(admin, bot, { action: 'remove-xp', user: target.user, amount: 5000 }, actor);
+            assert.equal(await totalXP(), 0);
+        });
+
+        it('remove-xp reports members without XP', async () => {
+            const interaction = await runCommand(admin, bot, { action: 'remove-xp', user: target.user, amount: 100 }, actor);
+
+            assert.match(interaction.lastReply().content, /User Not Found/);
+        });
+
+        it('set-xp sets the total and level', async () => {
+            await runCommand(admin, bot, { action: 'add-xp', user: target.user, amount: 700 }, actor);
+            await runCommand(admin, bot, { action: 'set-xp', user: target.user, amount: 5000 }, actor);
+
+            const user = await bot.databaseManager.getUserXP(target.id, bot.guild.id);
+            assert.equal(Number(user.total_xp), 5000);
+            assert.equal(user.level, 2);
+        });
+
+        it('reset-user clears XP and level', async () => {
+            await runCommand(admin, bot, { action: 'add-xp', user: target.user, amount: 5000 }, actor);
+            const interaction = await runCommand(admin, bot, { action: 'reset-user', user: target.user }, actor);
+
+            const user = await bot.databaseManager.getUserXP(target.id, bot.guild.id);
+            assert.equal(Number(user.total_xp), 0);
+            assert.equal(user.level, 0);
+            assert.match(text(interaction.lastReply()), /USER RESET SUCCESSFULLY/);
+        });
+
+        it('undo restores the state before the latest operation', async () => {
+            await runCommand(admin, bot, { action: 'add-xp', user: target.user, amount: 1000 }, actor);
+            await runCommand(admin, bot, { action: 'set-xp', user: target.user, amount: 9000 }, actor);
+
+            const interaction = await runCommand(admin, bot, { action: 'undo', user: target.user }, actor);
+            assert.match(text(interaction.lastReply()), /UNDONE/);
+            assert.equal(await totalXP(), 1000);
+
+            const latest = await bot.databaseManager.getLatestAdminOperation(target.id, bot.guild.id);
+            assert.equal(latest.action, 'add-xp');
+        });
+
+        it('undo of an XP grant gives back today\'s daily cap usage', async () => {
+            const dailyXP = async () => (await bot.xpManager.dailyCapManager.getUserDailyXP(target.id, bot.guild.id)).total_xp;
+            await bot.xpManager.dailyCapManager.addXP(target.id, bot.guild.id, 300, 'message', target);
+            await runCommand(admin, bot, { action: 'add-xp', user: target.user, amount: 1000 }, actor);
+            assert.equal(await dailyXP(), 1300);
+
+            await runCommand(admin, bot, { action: 'undo', user: target.user }, actor);
+            assert.equal(await dailyXP(), 300);
+        });
+
+        it('undo refuses unknown operations and the wrong user', async () => {
+            assert.match((await runCommand(admin, bot, { action: 'undo' }, actor)).lastReply().content, /Missing Operation/);
+            assert.match((await runCommand(admin, bot, { action: 'undo', operation: 999 }, actor)).lastReply().content, /Operation Not Found/);
+
+            await runCommand(admin, bot, { action: 'add-xp', user: target.user, amount: 1000 }, actor);
+            const operation = await bot.databaseManager.getLatestAdminOperation(target.id, bot.guild.id);
+            const other = createMember(bot.guild);
+            assert.match((await runCommand(admin, bot, { action: 'undo', operation: operation.id, user: other.user }, actor)).lastReply().content, /Wrong User/);
+        });
+    });
+
+    describe('reports', () => {
+        it('user-stats shows XP and daily progress', async () => {
+            await runCommand(admin, bot, { action: 'add-xp', user: target.user, amount: 1234 }, actor);
+            const reply = (await runCommand(admin, bot, { action: 'user-stats', user: target.user }, actor)).lastReply();
+
+            assert.match(text(reply), /MARINE INTELLIGENCE DOSSIER/);
+            assert.match(text(reply), /1,234/);
+            assert.match(text(reply), /Daily Progress/);
+        });
+
+        it('user-stats reports members without XP', async () => {
+            assert.match((await runCommand(admin, bot, { action: 'user-stats', user: target.user }, actor)).lastReply().content, /No Data Found/);
+        });
+
+        it('xp-history lists the ledger for a user and the server', async () => {
+            await runCommand(admin, bot, { action: 'add-xp', user: target.user, amount: 500, reason: 'Event prize' }, actor);
+            await runCommand(admin, bot, { action: 'remove-xp', user: target.user, amount: 200 }, actor);
+
+            const userHistory = text((await runCommand(admin, bot, { action: 'xp-history', user: target.user }, actor)).lastReply());
+            assert.match(userHistory, /HISTORY FOR LUFFY/);
+            assert.match(userHistory, /\+500 XP/);
+            assert.match(userHistory, /-200 XP/);
+            assert.match(userHistory, /Event prize/);
+
+            const serverHistory = text((await runCommand(admin, bot, { action: 'xp-history' }, actor)).lastReply());
+            assert.match(serverHistory, /RECENT SERVER ACTIVITY/);
+            assert.ok(serverHistory.includes(`<@${target.id}>`));
+        });
+
+        it('daily-reset clears today\'s daily XP', async () => {
+            await bot.xpManager.awardXP(target.id, bot.guild.id, 800, 'message', target.user, target);
+            const interaction = await runCommand(admin, bot, { action: 'daily-reset' }, actor);
+
+            assert.match(text(interaction.lastReply()), /DAILY RESET COMPLETE/);
+            assert.equal((await bot.xpManager.dailyCapManager.getUserDailyXP(target.id, bot.guild.id)).total_xp, 0);
+            assert.equal(await totalXP(), 800);
+        });
+    });
+
+    describe('freezes', () => {
+        it('freeze blocks earned XP until unfreeze', async () => {
+            const interaction = await runCommand(admin, bot, { action: 'freeze', user: target.user, duration: '2h', reason: 'Spamming' }, actor);
+            assert.match(text(interaction.lastReply()), /XP FROZEN/);
+
+            const freeze = await bot.databaseManager.getUserFreeze(target.id, bot.guild.id);
+            const hours = (new Date(freeze.expires_at).getTime() - Date.now()) / 3600000;
+            assert.ok(hours > 1.9 && hours <= 2, `expires in ${hours}h`);
+            assert.equal((await bot.xpManager.checkXPRestrictions(target.id, bot.guild.id, target)).reason, 'xp_frozen');
+
+            const list = text((await runCommand(admin, bot, { action: 'list-frozen' }, actor)).lastReply());
+            assert.match(list, /1 ACTIVE FREEZE/);
+            assert.ok(list.includes(`<@${target.id}>`));
+
+            assert.match(text((await runCommand(admin, bot, { action: 'unfreeze', user: target.user }, actor)).lastReply()), /XP FREEZE LIFTED/);
+            assert.equal(await bot.databaseManager.getUserFreeze(target.id, bot.guild.id), null);
+            assert.match((await runCommand(admin, bot, { action: 'unfreeze', user: target.user }, actor)).lastReply().content, /Not Frozen/);
+        });
+
+        it('freeze rejects invalid durations', async () => {
+            assert.match((await runCommand(admin, bot, { action: 'freeze', user: target.user, duration: 'soon' }, actor)).lastReply().content, /Invalid Duration/);
+            assert.equal(admin.parseDuration('30m'), 1800);
+            assert.equal(admin.parseDuration('2w'), 1209600);
+            assert.equal(admin.parseDuration('400d'), null);
+        });
+
+        it('list-frozen reports when nobody is frozen', async () => {
+            assert.match(text((await runCommand(admin, bot, { action: 'list-frozen' }, actor)).lastReply()), /No users currently have frozen XP/);
+        });
+    });
+
+    describe('import, export and restore', () => {
+        it('import previews without writing, then applies and never lowers progress', async () => {
+            const newcomer = createMember(bot.guild);
+            await runCommand(admin, bot, { action: 'set-xp', user: target.user, amount: 90000 }, actor);
+            const file = createAttachment('mee6.json', JSON.stringify({
+                players: [
+                    { id: newcomer.id, level: 3, xp: 12000, message_count: 40 },
+                    { id: target.id, level: 1, xp: 100, message_count: 2 },
+                    { id: 'not-a-user', level: 5 }
+                ]
+            }));
+
+            const preview = text((await runCommand(admin, bot, { action: 'import', file }, actor)).lastReply());
+            assert.match(preview, /PREVIEW ONLY/);
+            assert.match(preview, /Skipped rows:\*\* 1/);
+            assert.equal(await totalXP(newcomer), null);
+
+            const bulk = [];
+            bot.xpManager.events.on('admin.xp.bulk_changed', payload => bulk.push(payload));
+
+            const applied = text((await runCommand(admin, bot, { action: 'import', file, apply: true }, actor)).lastReply());
+            assert.match(applied, /IMPORT APPLIED/);
+            assert.match(applied, /Rows written:\*\* 1/);
+            assert.equal((await bot.databaseManager.getUserXP(newcomer.id, bot.guild.id)).level, 3);
+            assert.equal(await totalXP(), 90000);
+
+            assert.equal(bulk.length, 1);
+            assert.equal(bulk[0].action, 'import');
+            assert.equal(bulk[0].actorId, actor.id);
+            assert.deepEqual(bulk[0].changes.map(change => [change.userId, change.before.level, change.after.level]), [[newcomer.id, 0, 3]]);
+        });
+
+        it('import rejects unsupported files', async () => {
+            assert.match((await runCommand(admin, bot, { action: 'import' }, actor)).lastReply().content, /Missing File/);
+            assert.match((await runCommand(admin, bot, { action: 'import', file: createAttachment('levels.xlsx', 'binary') }, actor)).lastReply().content, /Invalid File/);
+        });
+
+        it('export produces an archive that restore can read back', async () => {
+            await runCommand(admin, bot, { action: 'set-xp', user: target.user, amount: 5000 }, actor);
+
+            const exported = (await runCommand(admin, bot, { action: 'export', format: 'csv' }, actor)).lastReply();
+            assert.equal(exported.files.length, 3);
+            const archive = JSON.parse(exported.files[0].attachment.toString());
+            assert.deepEqual(archive.user_levels.map(row => [row.user_id, row.total_xp]), [[target.id, 5000]]);
+
+            await runCommand(admin, bot, { action: 'reset-user', user: target.user }, actor);
+            const file = createAttachment('archive.json', JSON.stringify(archive));
+
+            const dryRun = text((await runCommand(admin, bot, { action: 'restore', file }, actor)).lastReply());
+            assert.match(dryRun, /DRY RUN/);
+            assert.equal(await totalXP(), 0);
+
+            const bulk = [];
+            bot.xpManager.events.on('admin.xp.bulk_changed', payload => bulk.push(payload));
+
+            const restored = text((await runCommand(admin, bot, { action: 'restore', file, apply: true }, actor)).lastReply());
+            assert.match(restored, /ARCHIVE RESTORED/);
+            assert.equal(await totalXP(), 5000);
+            assert.equal(bulk.length, 1);
+            assert.equal(bulk[0].action, 'restore');
+            assert.deepEqual(bulk[0].changes, [{ userId: target.id, before: { total_xp: 0, level: 0 }, after: { total_xp: 5000, level: 2 } }]);
+        });
+
+        it('restore rejects files that are not archives', async () => {
+            const file = createAttachment('archive.json', JSON.stringify({ hello: 'world' }));
+
+            assert.match((await runCommand(admin, bot, { action: 'restore', file }, actor)).lastReply().content, /Invalid Archive/);
+        });
+    });
+
+    describe('level downs', () => {
+        let roles;
+
+        beforeEach(async () => {
+            roles = {
+                recruit: createRole(bot.guild, { name: 'Recruit' }),
+                captain: createRole(bot.guild, { name: 'Captain' })
+            };
+            await bot.databaseManager.updateGuildSetting(bot.guild.id, 'level_roles', JSON.stringify([
+                { level: 1, role_id: roles.recruit.id },
+                { level: 2, role_id: roles.captain.id }
+            ]));
+        });
+
+        it('remove-xp takes away level roles the member no longer qualifies for', async () => {
+            const downs = [];
+            bot.xpManager.events.on('level.down', payload => downs.push(payload));
+            await runCommand(admin, bot, { action: 'set-xp', user: target.user, amount: 5000 }, actor);
+            assert.deepEqual([...target.roles.cache.keys()], [roles.captain.id]);
+
+            const interaction = await runCommand(admin, bot, { action: 'remove-xp', user: target.user, amount: 4000 }, actor);
+
+            assert.deepEqual([...target.roles.cache.keys()], [roles.recruit.id]);
+            assert.match(text(interaction.lastReply()), /Level Down Detected/);
+            assert.match(text(interaction.lastReply()), /Roles removed:\*\* Captain/);
+            assert.equal(downs.length, 1);
+            assert.equal(downs[0].source, 'admin_remove');
+            assert.deepEqual(downs[0].roleChanges, { added: ['Recruit'], removed: ['Captain'] });
+        });
+
+        it('undo that lands on a new lower level runs the level down pipeline', async () => {
+            const downs = [];
+            bot.xpManager.events.on('level.down', payload => downs.push(payload));
+            await runCommand(admin, bot, { action: 'set-xp', user: target.user, amount: 5000 }, actor);
+            await bot.xpManager.awardXP(target.id, bot.guild.id, 1000, 'message', target.user, target);
+
+            const interaction = await runCommand(admin, bot, { action: 'undo', user: target.user }, actor);
+
+            assert.equal(await totalXP(), 1000);
+            assert.deepEqual([...target.roles.cache.keys()], [roles.recruit.id]);
+            assert.match(text(interaction.lastReply()), /- Captain/);
+            assert.equal(downs.length, 1);
+            assert.equal(downs[0].source, 'admin_undo');
+        });
+
+        it('reset-user removes every level role and undo gives them back', async () => {
+            await runCommand(admin, bot, { action: 'set-xp', user: target.user, amount: 5000 }, actor);
+            await runCommand(admin, bot, { action: 'reset-user', user: target.user }, actor);
+            assert.equal(target.roles.cache.size, 0);
+
+            await runCommand(admin, bot, { action: 'undo', user: target.user }, actor);
+            assert.deepEqual([...target.roles.cache.keys()], [roles.captain.id]);
+        });
+    });
+
+    describe('sync-roles', () => {
+        let roles;
+        let restoreEnv;
+
+        beforeEach(async () => {
+            restoreEnv = withEnv({ ROLE_SYNC_DELAY: 0 });
+            roles = {
+                recruit: createRole(bot.guild, { name: 'Recruit' }),
+                captain: createRole(bot.guild, { name: 'Captain' })
+            };
+            await bot.databaseManager.updateGuildSetting(bot.guild.id, 'level_roles', JSON.stringify([
+                { level: 1, role_id: roles.recruit.id },
+                { level: 10, role_id: roles.captain.id }
+            ]));
+        });
+
+        afterEach(() => restoreEnv());
+
+        it('previews drifted roles, then fixes them in both directions', async () => {
+            const demoted = createMember(bot.guild, { roles: [roles.captain] });
+            await bot.databaseManager.bulkSetUserXP(bot.guild.id, [
+                { userId: target.id, totalXP: 50000, level: 12 },
+                { userId: demoted.id, totalXP: 1000, level: 2 },
+                { userId: createUser().id, totalXP: 1000, level: 2 }
+            ]);
+
+            const preview = text((await runCommand(admin, bot, { action: 'sync-roles' }, actor)).lastReply());
+            assert.match(preview, /PREVIEW ONLY/);
+            assert.match(preview, /Left the server:\*\* 1/);
+            assert.match(preview, /Luffy\*\* \(Lv 12\): \+Captain/);
+            assert.equal(target.roles.cache.size, 0);
+
+            const applied = text((await runCommand(admin, bot, { action: 'sync-roles', apply: true }, actor)).lastReply());
+            assert.match(applied, /SYNC COMPLETE/);
+            assert.match(applied, /Roles added:\*\* 2/);
+            assert.deepEqual([...target.roles.cache.keys()], [roles.captain.id]);
+            assert.deepEqual([...demoted.roles.cache.keys()], [roles.recruit.id]);
+
+            assert.match(text((await runCommand(admin, bot, { action: 'sync-roles' }, actor)).lastReply()), /already has the right level roles/);
+        });
+
+        it('posts the result in the channel once the interaction token has expired', async () => {
+            await bot.databaseManager.bulkSetUserXP(bot.guild.id, [{ userId: target.id, totalXP: 50000, level: 12 }]);
+            const interaction = createInteraction({ guild: bot.guild, member: actor, options: { action: 'sync-roles', apply: true } });
+            interaction.createdTimestamp = Date.now() - 15 * 60 * 1000;
+            interaction.channel = createTextChannel(bot.guild);
+
+            await admin.execute(interaction, bot.context);
+
+            assert.equal(interaction.replies.filter(reply => reply.type === 'edit').length, 0);
+            assert.equal(interaction.channel.sent.length, 1);
+            assert.match(interaction.channel.sent[0].content, new RegExp(`<@${actor.id}>`));
+            assert.match(JSON.stringify(interaction.channel.sent[0].embeds[0].toJSON()), /SYNC COMPLETE/);
+            assert.deepEqual([...target.roles.cache.keys()], [roles.captain.id]);
+        });
+
+        it('needs the full settings permission level', async () => {
+            const moderator = createRole(bot.guild, { name: 'Marine Officer' });
+            await bot.databaseManager.updateGuildSetting(bot.guild.id, 'admin_roles', JSON.stringify([{ role_id: moderator.id, level: 'modify-xp' }]));
+
+            const interaction = await runCommand(admin, bot, { action: 'sync-roles', apply: true }, createMember(bot.guild, { roles: [moderator] }));
+            assert.match(interaction.lastReply().content, /Full Settings/);
+        });
+    });
+
+    describe('log-level', () => {
+        it('is limited to the bot owner', async () => {
+            assert.match((await runCommand(admin, bot, { action: 'log-level', level: 'debug' }, actor)).lastReply().content, /Bot Owner Only/);
+        });
+
+        it('sets and resets levels for the owner', async () => {
+            bot.permissionManager.botOwnerId = actor.id;
+
+            try {
+                const set = text((await runCommand(admin, bot, { action: 'log-level', level: 'debug', namespace: 'Voice' }, actor)).lastReply());
+                assert.match(set, /voice level set to DEBUG/);
+                assert.equal(logger.getLevel('voice:sync'), 'debug');
+
+                const reset = text((await runCommand(admin, bot, { action: 'log-level', level: 'reset', namespace: 'voice' }, actor)).lastReply());
+                assert.match(reset, /voice now follows the bot-wide level/);
+                assert.equal(logger.getLevel('voice'), logger.getLevel());
+
+                assert.match((await runCommand(admin, bot, { action: 'log-level', level: 'reset' }, actor)).lastReply().content, /Missing Namespace/);
+            } finally {
+                logger.configure();
+            }
+        });
+    });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BountyCalculator = require('../src/utils/BountyCalculator');
+
+describe('BountyCalculator', () => {
+    const calculator = new BountyCalculator();
+
+    it('reads bounties from the ladder', () => {
+        assert.equal(calculator.getBountyForLevel(0), 0);
+        assert.equal(calculator.getBountyForLevel(1), 1000000);
+        assert.equal(calculator.getBountyForLevel(10), 81000000);
+        assert.equal(calculator.getBountyForLevel(50), 3000000000);
+    });
+
+    it('raises the bounty with every level', () => {
+        for (let level = 1; level <= 50; level++) {
+            assert.ok(calculator.getBountyForLevel(level) > calculator.getBountyForLevel(level - 1), `level ${level}`);
+        }
+    });
+
+    it('clamps levels outside 0-50 and gives the Pirate King his own bounty', () => {
+        assert.equal(calculator.getBountyForLevel(75), 3000000000);
+        assert.equal(calculator.getBountyForLevel(-3), 0);
+        assert.equal(calculator.getBountyForLevel(12, true), 4600000000);
+        assert.equal(calculator.getThreatLevelName(12, true), 'PIRATE KING');
+    });
+
+    it('names the threat level for each band of levels', () => {
+        assert.equal(calculator.getThreatLevelName(0), 'MONITORING');
+        assert.equal(calculator.getThreatLevelName(4), 'MONITORING');
+        assert.equal(calculator.getThreatLevelName(5), 'CONFIRMED CRIMINAL');
+        assert.equal(calculator.getThreatLevelName(24), 'DANGEROUS');
+        assert.equal(calculator.getThreatLevelName(49), 'EXTRAORDINARY');
+        assert.equal(calculator.getThreatLevelName(50), 'EMPEROR CLASS');
+    });
+
+    it('computes bounty increases and reverse lookups', () => {
+        assert.equal(calculator.getBountyIncrease(4, 5), 22000000);
+        assert.equal(calculator.getLevelForBounty(81000000), 10);
+        assert.equal(calculator.getLevelForBounty(82000000), 10);
+    });
+
+    it('formats bounties in berries', () => {
+        assert.equal(calculator.formatBounty(999), '฿999');
+        assert.equal(calculator.formatBounty(1500), '฿1.5K');
+        assert.equal(calculator.formatBounty(30000000), '฿30.0M');
+        assert.equal(calculator.formatBounty(3000000000), '฿3.0B');
+    });
+
+    it('knows the milestone levels', () => {
+        assert.deepEqual(calculator.getMilestoneLevels(), [0, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50]);
+        assert.equal(calculator.isMilestone(25), true);
+        assert.equal(calculator.isMilestone(26), false);
+        assert.equal(calculator.getNextMilestone(5), 10);
+        assert.equal(calculator.getNextMilestone(50), null);
+        assert.match(calculator.getThreatLevelMessage(5), /East Blue/);
+        assert.equal(calculator.getThreatLevelMessage(6), 'Bounty increased. Threat level rising.');
+    });
+});
@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, createMember, createRole, createTextChannel, createMessage, withEnv } = require('./helpers');
+
+describe('DailyCapManager', () => {
+    let bot;
+    let dailyCapManager;
+    let restoreEnv;
+
+    beforeEach(async () => {
+        restoreEnv = withEnv({ DAILY_XP_CAP: 1000 });
+        bot = await createTestBot();
+        dailyCapManager = bot.xpManager.dailyCapManager;
+    });
+
+    afterEach(() => restoreEnv());
+
+    it('uses DAILY_XP_CAP as the base cap', async () => {
+        const member = createMember(bot.guild);
+        const progress = await dailyCapManager.canGainXP(member.id, bot.guild.id, member);
+
+        assert.equal(progress.allowed, true);
+        assert.equal(progress.dailyCap, 1000);
+        assert.equal(progress.remaining, 1000);
+        assert.equal(progress.tierLevel, 0);
+    });
+
+    it('blocks XP once the day\'s total reaches the cap', async () => {
+        const member = createMember(bot.guild);
+
+        await dailyCapManager.addXP(member.id, bot.guild.id, 600, 'message', member);
+        let progress = await dailyCapManager.canGainXP(member.id, bot.guild.id, member);
+        assert.equal(progress.allowed, true);
+        assert.equal(progress.remaining, 400);
+
+        await dailyCapManager.addXP(member.id, bot.guild.id, 400, 'voice', member);
+        progress = await dailyCapManager.canGainXP(member.id, bot.guild.id, member);
+        assert.equal(progress.allowed, false);
+        assert.equal(progress.currentXP, 1000);
+        assert.equal(progress.remaining, 0);
+        assert.deepEqual(progress.breakdown, { messageXP: 600, voiceXP: 400, reactionXP: 0 });
+    });
+
+    it('gives the highest tier role\'s cap', async () => {
+        const tier1 = createRole(bot.guild, { name: 'Tier 1' });
+        const tier3 = createRole(bot.guild, { name: 'Tier 3' });
+        restoreEnv = withEnv({
+            DAILY_XP_CAP: 1000,
+            TIER_1_ROLE: tier1.id,
+            TIER_1_XP_CAP: 2000,
+            TIER_3_ROLE: tier3.id,
+            TIER_3_XP_CAP: 5000
+        });
+
+        const both = createMember(bot.guild, { roles: [tier1, tier3] });
+        const progress = await dailyCapManager.canGainXP(both.id, bot.guild.id, both);
+        assert.equal(progress.dailyCap, 5000);
+        assert.equal(progress.tierLevel, 3);
+        assert.equal(progress.tierRoleId, tier3.id);
+
+        const single = createMember(bot.guild, { roles: [tier1] });
+        const stats = await dailyCapManager.getDailyStats(single.id, bot.guild.id, single);
+        assert.equal(stats.dailyCap, 2000);
+        assert.equal(stats.tierName, 'Tier 1');
+    });
+
+    it('raises the cap when a tier role is gained mid-day', async () => {
+        const tier2 = createRole(bot.guild, { name: 'Tier 2' });
+        restoreEnv = withEnv({ DAILY_XP_CAP: 1000, TIER_2_ROLE: tier2.id, TIER_2_XP_CAP: 3000 });
+        const member = createMember(bot.guild);
+
+        await dailyCapManager.addXP(member.id, bot.guild.id, 1000, 'message', member);
+        assert.equal((await dailyCapManager.canGainXP(member.id, bot.guild.id, member)).allowed, false);
+
+        await member.roles.add(tier2);
+        const progress = await dailyCapManager.canGainXP(member.id, bot.guild.id, member);
+        assert.equal(progress.allowed, true);
+        assert.equal(progress.dailyCap, 3000);
+        assert.equal(progress.remaining, 2000);
+    });
+
+    it('clamps earned XP to what is left of the cap', async () => {
+        await bot.configure({ message_xp_min: 100, message_xp_max: 100, message_quality_filter: false });
+        const member = createMember(bot.guild);
+        const channel = createTextChannel(bot.guild);
+
+        await dailyCapManager.addXP(member.id, bot.guild.id, 950, 'voice', member);
+        await bot.xpManager.handleMessageXP(createMessage(member, channel));
+
+        const user = await bot.databaseManager.getUserXP(member.id, bot.guild.id);
+        assert.equal(Number(user.total_xp), 50);
+        assert.equal((await dailyCapManager.getUserDailyXP(member.id, bot.guild.id)).total_xp, 1000);
+    });
+
+    it('awards nothing to a member already at the cap', async () => {
+        await bot.configure({ message_quality_filter: false });
+        const member = createMember(bot.guild);
+        const channel = createTextChannel(bot.guild);
+
+        await dailyCapManager.addXP(member.id, bot.guild.id, 1000, 'voice', member);
+        await bot.xpManager.handleMessageXP(createMessage(member, channel));
+
+        assert.equal(await bot.databaseManager.getUserXP(member.id, bot.guild.id), null);
+    });
+
+    it('emits cap.reached when earned XP hits the cap, but not for admin XP', async () => {
+        const reached = [];
+        bot.xpManager.events.on('cap.reached', payload => reached.push(payload));
+        const member = createMember(bot.guild);
+
+        await bot.xpManager.awardXP(member.id, bot.guild.id, 1000, 'admin', member.user, member);
+        assert.equal(reached.length, 0);
+
+        const other = createMember(bot.guild);
+        await bot.xpManager.awardXP(other.id, bot.guild.id, 1000, 'message', other.user, other);
+        assert.equal(reached.length, 1);
+        assert.equal(reached[0].userId, other.id);
+        assert.equal(reached[0].dailyXP, 1000);
+        assert.equal(reached[0].dailyCap, 1000);
+        assert.ok(reached[0].nextResetAt > new Date());
+    });
+
+    it('starts caps over after a manual daily reset', async () => {
+        const member = createMember(bot.guild);
+        await dailyCapManager.addXP(member.id, bot.guild.id, 1000, 'message', member);
+
+        const reset = await dailyCapManager.resetDaily(bot.guild.id, true);
+        assert.equal(reset.removed, 1);
+
+        const progress = await dailyCapManager.canGainXP(member.id, bot.guild.id, member);
+        assert.equal(progress.allowed, true);
+        assert.equal(progress.currentXP, 0);
+    });
+});
@@ -0,0 +1,31 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, createMember, runCommand } = require('./helpers');
+const debug = require('../src/commands/Debug');
+
+describe('/debug', () => {
+    let bot;
+    let admin;
+
+    beforeEach(async () => {
+        bot = await createTestBot();
+        admin = createMember(bot.guild, { manageGuild: true });
+    });
+
+    it('keeps cross-server cache actions to the bot owner', async () => {
+        for (const subcommand of ['keys', 'clear-cache', 'cache-contents', 'preload']) {
+            assert.match((await runCommand(debug, bot, { subcommand }, admin)).lastReply().content, /Bot Owner Only/, subcommand);
+        }
+    });
+
+    it('lets server admins preload a single member', async () => {
+        const reply = (await runCommand(debug, bot, { subcommand: 'preload', user: admin.user }, admin)).lastReply();
+        assert.doesNotMatch(reply.content || '', /Bot Owner Only/);
+    });
+
+    it('lets the bot owner list keys', async () => {
+        bot.permissionManager.botOwnerId = admin.id;
+        const reply = (await runCommand(debug, bot, { subcommand: 'keys' }, admin)).lastReply();
+        assert.doesNotMatch(reply.content || '', /Bot Owner Only/);
+    });
+});
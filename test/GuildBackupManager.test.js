@@ -0,0 +1,118 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, createMember, createRole, createTextChannel, snowflake } = require('./helpers');
+const GuildBackupManager = require('../src/systems/GuildBackupManager');
+
+describe('GuildBackupManager', () => {
+    let bot;
+    let backups;
+    let members;
+    let role;
+
+    beforeEach(async () => {
+        bot = await createTestBot();
+        backups = new GuildBackupManager(bot.db);
+        members = [createMember(bot.guild), createMember(bot.guild), createMember(bot.guild)];
+        role = createRole(bot.guild, { name: 'Captain' });
+
+        await bot.databaseManager.bulkSetUserXP(bot.guild.id, [
+            { userId: members[0].id, totalXP: 5000, level: 2 },
+            { userId: members[1].id, totalXP: 1000, level: 1 }
+        ]);
+        await bot.databaseManager.updateGuildSetting(bot.guild.id, 'levelup_channel', createTextChannel(bot.guild).id);
+        await bot.databaseManager.updateGuildSetting(bot.guild.id, 'admin_roles', JSON.stringify([{ role_id: role.id, level: 'modify-xp' }]));
+        await bot.configure({ xp_multiplier: 1.5, reset_timezone: 'Europe/Berlin' });
+    });
+
+    describe('validateArchive', () => {
+        it('accepts an archive it exported', async () => {
+            const archive = await backups.createArchive(bot.guild);
+
+            assert.equal(archive.user_levels.length, 2);
+            assert.deepEqual(backups.validateArchive(JSON.parse(JSON.stringify(archive))), []);
+        });
+
+        it('applies the /settings rules to archived settings', async () => {
+            const archive = await backups.createArchive(bot.guild);
+            archive.guild_settings.levelup_enabled = 'yes';
+            archive.guild_settings.config_overrides = { xp_multiplier: 1e9, reset_timezone: 'Mars/Olympus', made_up: 1 };
+            archive.guild_settings.admin_roles = [{ role_id: role.id, level: 'owner' }, null];
+            archive.guild_settings.xp_channel_rules = [{ channel_id: snowflake(), type: 'multiplier', multiplier: 50 }];
+
+            const errors = backups.validateArchive(archive);
+
+            assert.deepEqual(errors.map(error => error.split(':')[0]), [
+                'guild_settings.levelup_enabled must be true or false',
+                'guild_settings.config_overrides.xp_multiplier',
+                'guild_settings.config_overrides.reset_timezone',
+                'guild_settings.config_overrides.made_up',
+                'guild_settings.xp_channel_rules[0]',
+                'guild_settings.admin_roles[0]',
+                'guild_settings.admin_roles[1]'
+            ]);
+        });
+
+        it('rejects malformed rows', () => {
+            const errors = backups.validateArchive({
+                format: 'leveling-bot-archive',
+                version: 1,
+                user_levels: [{ user_id: 'abc', total_xp: -5, level: 0, messages: 0, reactions: 0, voice_time: 0 }],
+                daily_xp: [],
+                boost_roles: [null]
+            });
+
+            assert.deepEqual(errors, ['user_levels[0]: invalid user_id', 'user_levels[0]: invalid total_xp', 'boost_roles[0]: invalid role_id', 'boost_roles[0]: multiplier must be between 0.1 and 5']);
+            assert.equal(backups.validateArchive({ format: 'other' }).length, 1);
+        });
+    });
+
+    describe('diffArchive and restoreArchive', () => {
+        let archive;
+
+        beforeEach(async () => {
+            archive = await backups.createArchive(bot.guild);
+            archive.user_levels[0].total_xp = 1000;
+            archive.user_levels.push({ user_id: members[2].id, total_xp: 5000, level: 0, messages: 3, reactions: 0, voice_time: 0 });
+            archive.guild_settings.no_xp_roles = [snowflake()];
+            archive.guild_settings.config_overrides = { xp_multiplier: 2 };
+        });
+
+        it('reports the changes without writing anything', async () => {
+            const diff = await backups.diffArchive(archive, bot.guild);
+
+            assert.equal(diff.newUsers, 1);
+            assert.equal(diff.lowered, 1);
+            assert.equal(diff.unchanged, 1);
+            assert.equal(diff.xpDelta, 1000);
+            assert.deepEqual(diff.settingsChanged, ['config_overrides']);
+            assert.match(diff.warnings[0], /No-XP role .* not found - dropped/);
+            assert.equal(Number((await bot.databaseManager.getUserXP(members[0].id, bot.guild.id)).total_xp), 5000);
+        });
+
+        it('writes users, settings and ledger entries', async () => {
+            const { usersWritten } = await backups.restoreArchive(archive, bot.guild, members[0].id);
+
+            assert.equal(usersWritten, 3);
+            const restored = await bot.databaseManager.getUserXP(members[2].id, bot.guild.id);
+            assert.equal(Number(restored.total_xp), 5000);
+            assert.equal(restored.level, 2);
+            assert.equal(Number((await bot.databaseManager.getUserXP(members[0].id, bot.guild.id)).total_xp), 1000);
+            assert.deepEqual(await bot.databaseManager.getGuildConfigOverrides(bot.guild.id), { xp_multiplier: 2 });
+            assert.equal((await bot.databaseManager.getGuildSettings(bot.guild.id)).no_xp_roles, null);
+
+            const ledger = await bot.databaseManager.getXPTransactions(bot.guild.id, { source: 'restore' });
+            assert.deepEqual(ledger.map(entry => Number(entry.amount)).sort((a, b) => a - b), [-4000, 5000]);
+        });
+
+        it('rolls the whole restore back when a write fails', async () => {
+            archive.daily_xp = [{ user_id: members[2].id, date: '2026-13-45', total_xp: 10, message_xp: 10, voice_xp: 0, reaction_xp: 0, daily_cap: 15000, tier_level: 0, tier_role_id: null }];
+
+            await assert.rejects(backups.restoreArchive(archive, bot.guild, members[0].id));
+
+            assert.equal(await bot.databaseManager.getUserXP(members[2].id, bot.guild.id), null);
+            assert.equal(Number((await bot.databaseManager.getUserXP(members[0].id, bot.guild.id)).total_xp), 5000);
+            assert.deepEqual(await bot.databaseManager.getGuildConfigOverrides(bot.guild.id), { xp_multiplier: 1.5, reset_timezone: 'Europe/Berlin' });
+            assert.deepEqual(await bot.databaseManager.getXPTransactions(bot.guild.id, { source: 'restore' }), []);
+        });
+    });
+});
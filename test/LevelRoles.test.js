@@ -0,0 +1,90 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, createMember, createUser, createRole, withEnv, runCommand } = require('./helpers');
+const settings = require('../src/commands/Settings');
+
+describe('Level role rewards', () => {
+    let bot;
+    let handler;
+    let roles;
+
+    function roleNames(member) {
+        return [...member.roles.cache.values()].map(role => role.name).sort();
+    }
+
+    beforeEach(async () => {
+        bot = await createTestBot();
+        handler = bot.xpManager.levelUpHandler;
+        roles = {
+            recruit: createRole(bot.guild, { name: 'Recruit', position: 1 }),
+            captain: createRole(bot.guild, { name: 'Captain', position: 2 }),
+            admiral: createRole(bot.guild, { name: 'Admiral', position: 3 }),
+            bot: createRole(bot.guild, { name: 'Leveling-Bot', position: 10 })
+        };
+        bot.guild.members.me = createMember(bot.guild, { user: createUser({ bot: true }), roles: [roles.bot], manageGuild: true });
+
+        await bot.databaseManager.updateGuildSetting(bot.guild.id, 'level_roles', JSON.stringify([
+            { level: 20, role_id: roles.admiral.id },
+            { level: 1, role_id: roles.recruit.id },
+            { level: 7, role_id: roles.captain.id }
+        ]));
+    });
+
+    it('keeps only the highest earned role in replace mode', async () => {
+        const member = createMember(bot.guild, { roles: [roles.recruit] });
+
+        assert.equal(await handler.awardLevelRoles(member, 8), 'Captain');
+        assert.deepEqual(roleNames(member), ['Captain']);
+    });
+
+    it('keeps every earned role in stack mode', async () => {
+        await bot.configure({ level_role_mode: 'stack' });
+        const member = createMember(bot.guild);
+
+        assert.equal(await handler.awardLevelRoles(member, 25), 'Admiral');
+        assert.deepEqual(roleNames(member), ['Admiral', 'Captain', 'Recruit']);
+    });
+
+    it('leaves rewards above the level alone and skips deleted roles', async () => {
+        const member = createMember(bot.guild, { roles: [roles.admiral] });
+        bot.guild.roles.cache.delete(roles.captain.id);
+
+        assert.equal(await handler.awardLevelRoles(member, 9), 'Recruit');
+        assert.deepEqual(roleNames(member), ['Admiral', 'Recruit']);
+    });
+
+    it('falls back to LEVEL_N_ROLE until the guild stores its own rewards', async () => {
+        const restore = withEnv({ LEVEL_5_ROLE: roles.captain.id });
+        try {
+            await bot.databaseManager.updateGuildSetting(bot.guild.id, 'level_roles', null);
+            assert.deepEqual(await bot.databaseManager.getLevelRoles(bot.guild.id), [{ level: 5, role_id: roles.captain.id }]);
+
+            await bot.databaseManager.updateGuildSetting(bot.guild.id, 'level_roles', '[]');
+            assert.deepEqual(await bot.databaseManager.getLevelRoles(bot.guild.id), []);
+        } finally {
+            restore();
+        }
+    });
+
+    it('adds, lists and removes rewards through /settings', async () => {
+        const navigator = createRole(bot.guild, { name: 'Navigator', position: 2 });
+
+        assert.match(JSON.stringify((await runCommand(settings, bot, { action: 'add-level-role', role: navigator, level: 12 })).lastReply().embeds), /Level 12/);
+        assert.match((await runCommand(settings, bot, { action: 'add-level-role', role: navigator, level: 15 })).lastReply().content, /already the reward for level 12/);
+
+        const listed = JSON.stringify((await runCommand(settings, bot, { action: 'view-level-roles' })).lastReply().embeds);
+        assert.ok(listed.indexOf(roles.captain.id) < listed.indexOf(navigator.id) && listed.indexOf(navigator.id) < listed.indexOf(roles.admiral.id));
+
+        await runCommand(settings, bot, { action: 'remove-level-role', level: 12 });
+        assert.equal((await bot.databaseManager.getLevelRoles(bot.guild.id)).length, 3);
+    });
+
+    it('refuses reward roles the bot cannot assign', async () => {
+        const above = createRole(bot.guild, { name: 'Fleet Admiral', position: 11 });
+        const managed = createRole(bot.guild, { name: 'Server Booster', position: 2, managed: true });
+
+        assert.match((await runCommand(settings, bot, { action: 'add-level-role', role: above, level: 30 })).lastReply().content, /not below my highest role/);
+        assert.match((await runCommand(settings, bot, { action: 'add-level-role', role: managed, level: 30 })).lastReply().content, /managed by an integration/);
+        assert.equal((await bot.databaseManager.getLevelRoles(bot.guild.id)).length, 3);
+    });
+});
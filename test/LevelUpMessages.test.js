@@ -0,0 +1,160 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, createMember, createUser, createRole, createTextChannel, createInteraction, runCommand } = require('./helpers');
+const settings = require('../src/commands/Settings');
+const levelUpPings = require('../src/commands/LevelUpPings');
+
+describe('Level up message templates', () => {
+    let bot;
+    let handler;
+    let member;
+
+    async function build(level, roleReward = null) {
+        return handler.buildLevelUpMessage({
+            userId: member.id,
+            oldLevel: level - 1,
+            newLevel: level,
+            totalXP: 1000,
+            member,
+            roleReward,
+            source: 'message',
+            guildConfig: await bot.xpManager.getGuildConfig(bot.guild.id)
+        });
+    }
+
+    beforeEach(async () => {
+        bot = await createTestBot();
+        handler = bot.xpManager.levelUpHandler;
+        member = createMember(bot.guild, { user: createUser({ username: 'Zoro' }), manageGuild: true });
+    });
+
+    it('uses the built-in report with a poster until a template is set', async () => {
+        const message = await build(3);
+
+        assert.equal(message.template, '');
+        assert.match(JSON.stringify(message.embeds[0].toJSON()), /BOUNTY ADJUSTMENT/);
+        assert.equal(message.files.length, 1);
+    });
+
+    it('fills placeholders and picks the milestone template at milestone levels', async () => {
+        const captain = createRole(bot.guild, { name: 'Captain' });
+        await bot.databaseManager.updateGuildSetting(bot.guild.id, 'level_roles', JSON.stringify([{ level: 2, role_id: captain.id }]));
+        await bot.xpManager.awardXP(member.id, bot.guild.id, 100, 'message', member.user, member);
+        await bot.configure({
+            levelup_template: '{user} reached {level} as {role} ({threat}, rank {rank}): {bounty}\\nNext: {next_bounty}',
+            levelup_milestone_template: 'MILESTONE {level}',
+            levelup_milestones: [10]
+        });
+
+        const regular = (await build(3)).embeds[0].toJSON().description;
+        assert.equal(regular, `<@${member.id}> reached 3 as Captain (MONITORING, rank #1): ฿${bot.xpManager.levelUpHandler.bountyCalculator.getBountyForLevel(3).toLocaleString()}\nNext: ฿${bot.xpManager.levelUpHandler.bountyCalculator.getBountyForLevel(4).toLocaleString()}`);
+
+        const milestone = await build(10);
+        assert.equal(milestone.milestone, true);
+        assert.equal(milestone.embeds[0].toJSON().description, 'MILESTONE 10');
+    });
+
+    it('attaches the poster always, only at milestones or never', async () => {
+        await bot.configure({ levelup_poster: 'milestones', levelup_milestones: [10] });
+        assert.equal((await build(3)).files.length, 0);
+        assert.equal((await build(10)).files.length, 1);
+
+        await bot.configure({ levelup_poster: 'never', levelup_milestones: [10] });
+        assert.equal((await build(10)).files.length, 0);
+        assert.equal((await build(10)).embeds[0].toJSON().image, undefined);
+    });
+
+    it('rejects unknown placeholders when setting a template', async () => {
+        const interaction = await runCommand(settings, bot, { action: 'set-config', key: 'levelup_template', value: 'GG {user}, you hit {lvl}!' }, member);
+
+        assert.match(interaction.lastReply().content, /Unknown placeholder\(s\) `\{lvl\}`/);
+        assert.deepEqual(await bot.databaseManager.getGuildConfigOverrides(bot.guild.id), {});
+
+        const inherited = await runCommand(settings, bot, { action: 'set-config', key: 'levelup_template', value: '{user} {constructor} {toString}' }, member);
+        assert.match(inherited.lastReply().content, /Unknown placeholder\(s\) `\{constructor\}`, `\{toString\}`/);
+    });
+
+    it('previews the announcement privately through /settings', async () => {
+        await runCommand(settings, bot, { action: 'set-config', key: 'levelup_template', value: 'Wanted: {user} at level {level}' }, member);
+
+        const interaction = await runCommand(settings, bot, { action: 'preview-levelup', level: 7 }, member);
+        const reply = interaction.lastReply();
+        assert.equal(interaction.replies[0].ephemeral, true);
+        assert.match(reply.content, /Preview - Level 7.*custom template, with poster/);
+        assert.equal(reply.embeds[0].description, `Wanted: <@${member.id}> at level 7`);
+        assert.equal(reply.files.length, 1);
+    });
+});
+
+describe('Level up routing', () => {
+    let bot;
+    let member;
+    let announcements;
+    let general;
+
+    async function levelUp(channelId = general.id) {
+        await bot.xpManager.awardXP(member.id, bot.guild.id, 1000, 'message', member.user, member, null, { channelId });
+    }
+
+    beforeEach(async () => {
+        bot = await createTestBot();
+        member = createMember(bot.guild, { user: createUser({ username: 'Nami' }) });
+        announcements = createTextChannel(bot.guild, { name: 'bounties' });
+        general = createTextChannel(bot.guild, { name: 'general' });
+
+        await bot.databaseManager.updateGuildSetting(bot.guild.id, 'levelup_channel', announcements.id);
+        await bot.databaseManager.updateGuildSetting(bot.guild.id, 'levelup_enabled', true);
+        await bot.configure({ levelup_ping: true, levelup_poster: 'never' });
+    });
+
+    it('posts in the level up channel by default', async () => {
+        await levelUp();
+
+        assert.equal(announcements.sent.length, 1);
+        assert.equal(announcements.sent[0].content, `<@${member.id}>`);
+        assert.equal(general.sent.length, 0);
+    });
+
+    it('posts where the XP was earned in origin mode, falling back to the level up channel', async () => {
+        await bot.configure({ levelup_ping: true, levelup_poster: 'never', levelup_mode: 'origin' });
+
+        await levelUp();
+        assert.equal(general.sent.length, 1);
+        assert.equal(announcements.sent.length, 0);
+
+        await bot.xpManager.awardXP(member.id, bot.guild.id, 5000, 'admin', member.user, member);
+        assert.equal(announcements.sent.length, 1);
+    });
+
+    it('sends DMs without a mention and uses the level up channel when DMs are closed', async () => {
+        await bot.configure({ levelup_ping: true, levelup_poster: 'never', levelup_mode: 'dm' });
+
+        await levelUp();
+        assert.equal(member.user.dms.length, 1);
+        assert.equal(member.user.dms[0].content, undefined);
+        assert.equal(announcements.sent.length, 0);
+
+        const closed = createMember(bot.guild, { user: createUser({ dmsOpen: false }) });
+        await bot.xpManager.awardXP(closed.id, bot.guild.id, 1000, 'message', closed.user, closed, null, { channelId: general.id });
+        assert.equal(announcements.sent.length, 1);
+    });
+
+    it('sends nothing in off mode without touching the announcement switch', async () => {
+        const admin = createMember(bot.guild, { manageGuild: true });
+        await runCommand(settings, bot, { action: 'set-config', key: 'levelup_mode', value: 'off' }, admin);
+
+        assert.equal((await bot.databaseManager.getGuildSettings(bot.guild.id)).levelup_enabled, true);
+        await levelUp();
+        assert.equal(announcements.sent.length + general.sent.length, 0);
+    });
+
+    it('lets members opt out of pings with /levelup-pings', async () => {
+        const interaction = createInteraction({ guild: bot.guild, member, options: { enabled: false } });
+        await levelUpPings.execute(interaction, bot.context);
+        assert.match(JSON.stringify(interaction.lastReply().embeds), /Pings Off/);
+
+        await levelUp();
+        assert.equal(announcements.sent[0].content, '');
+        assert.equal(announcements.sent[0].embeds.length, 1);
+    });
+});
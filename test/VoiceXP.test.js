@@ -0,0 +1,185 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, createMember, createUser, createRole, createVoiceChannel, setVoiceState, withEnv } = require('./helpers');
+
+describe('Voice XP', () => {
+    let bot;
+    let channel;
+    let restoreEnv;
+
+    /**
+     * Put a member in the channel with a session whose last XP was minutesAgo
+     */
+    async function joinWithSession(member, { minutesAgo = 10, state = {} } = {}) {
+        setVoiceState(member, channel, state);
+        await bot.databaseManager.setVoiceSessionWithTime(
+            member.id, bot.guild.id, channel.id,
+            state.mute || state.selfMute || false,
+            state.deaf || state.selfDeaf || false,
+            new Date(Date.now() - minutesAgo * 60000)
+        );
+        return await bot.databaseManager.getVoiceSession(member.id, bot.guild.id);
+    }
+
+    beforeEach(async () => {
+        restoreEnv = withEnv({ DAILY_XP_CAP: 15000 });
+        bot = await createTestBot();
+        await bot.configure({ voice_xp_min: 300, voice_xp_max: 300 });
+        channel = createVoiceChannel(bot.guild, { name: 'Thousand Sunny' });
+    });
+
+    afterEach(() => restoreEnv());
+
+    it('awards voice XP once the interval has passed with enough members', async () => {
+        const member = createMember(bot.guild);
+        const session = await joinWithSession(member);
+        await joinWithSession(createMember(bot.guild));
+
+        const result = await bot.xpManager.processUserVoiceXP(session, bot.guild);
+        assert.deepEqual(result, { xpAwarded: 300, reason: 'success' });
+
+        const user = await bot.databaseManager.getUserXP(member.id, bot.guild.id);
+        assert.equal(Number(user.total_xp), 300);
+        assert.equal(user.voice_time, 1);
+
+        // The session clock restarts after an award
+        const updated = await bot.databaseManager.getVoiceSession(member.id, bot.guild.id);
+        assert.equal((await bot.xpManager.processUserVoiceXP(updated, bot.guild)).reason, 'cooldown_not_met');
+    });
+
+    it('waits for the voice interval', async () => {
+        const member = createMember(bot.guild);
+        const session = await joinWithSession(member, { minutesAgo: 1 });
+        await joinWithSession(createMember(bot.guild));
+
+        assert.deepEqual(await bot.xpManager.processUserVoiceXP(session, bot.guild), { xpAwarded: 0, reason: 'cooldown_not_met' });
+    });
+
+    it('needs the minimum number of human members - bots do not count', async () => {
+        const member = createMember(bot.guild);
+        const session = await joinWithSession(member);
+        setVoiceState(createMember(bot.guild, { user: createUser({ bot: true }) }), channel);
+
+        assert.equal((await bot.xpManager.processUserVoiceXP(session, bot.guild)).reason, 'insufficient_human_members');
+
+        await bot.configure({ voice_xp_min: 300, voice_xp_max: 300, voice_min_members: 1 });
+        assert.equal((await bot.xpManager.processUserVoiceXP(session, bot.guild)).xpAwarded, 300);
+    });
+
+    it('reduces XP for muted or deafened members when anti-AFK is on', async () => {
+        await bot.configure({ voice_xp_min: 300, voice_xp_max: 300, voice_anti_afk: true, voice_afk_multiplier: 0.25 });
+        const muted = createMember(bot.guild);
+        const session = await joinWithSession(muted, { state: { selfMute: true } });
+        const deafened = createMember(bot.guild);
+        const deafenedSession = await joinWithSession(deafened, { state: { deaf: true } });
+
+        assert.equal((await bot.xpManager.processUserVoiceXP(session, bot.guild)).xpAwarded, 75);
+        assert.equal((await bot.xpManager.processUserVoiceXP(deafenedSession, bot.guild)).xpAwarded, 75);
+    });
+
+    it('leaves muted members alone when anti-AFK is off', async () => {
+        const member = createMember(bot.guild);
+        const session = await joinWithSession(member, { state: { selfMute: true, selfDeaf: true } });
+        await joinWithSession(createMember(bot.guild));
+
+        assert.equal((await bot.xpManager.processUserVoiceXP(session, bot.guild)).xpAwarded, 300);
+    });
+
+    it('uses the exempt multiplier for AFK-exempt users and roles', async () => {
+        const exemptRole = createRole(bot.guild, { name: 'Musician' });
+        const exemptUser = createMember(bot.guild);
+        const roleMember = createMember(bot.guild, { roles: [exemptRole] });
+        await bot.configure({
+            voice_xp_min: 300,
+            voice_xp_max: 300,
+            voice_anti_afk: true,
+            voice_mute_exempt_users: [exemptUser.id],
+            voice_mute_exempt_roles: [exemptRole.id],
+            voice_mute_exempt_multiplier: 0.5
+        });
+
+        const userSession = await joinWithSession(exemptUser, { state: { selfMute: true } });
+        const roleSession = await joinWithSession(roleMember, { state: { selfDeaf: true } });
+
+        assert.equal((await bot.xpManager.processUserVoiceXP(userSession, bot.guild)).xpAwarded, 150);
+        assert.equal((await bot.xpManager.processUserVoiceXP(roleSession, bot.guild)).xpAwarded, 150);
+    });
+
+    it('removes sessions for members who left, moved or are bots', async () => {
+        const left = createMember(bot.guild);
+        const leftSession = await joinWithSession(left);
+        setVoiceState(left, null);
+
+        const moved = createMember(bot.guild);
+        const movedSession = await joinWithSession(moved);
+        setVoiceState(moved, createVoiceChannel(bot.guild, { name: 'Going Merry' }));
+
+        const botMember = createMember(bot.guild, { user: createUser({ bot: true }) });
+        const botSession = await joinWithSession(botMember);
+
+        for (const [member, session] of [[left, leftSession], [moved, movedSession], [botMember, botSession]]) {
+            assert.equal((await bot.xpManager.processUserVoiceXP(session, bot.guild)).reason, 'session_removed');
+            assert.equal(await bot.databaseManager.getVoiceSession(member.id, bot.guild.id), null);
+        }
+    });
+
+    it('respects channel rules, no-XP roles and XP freezes', async () => {
+        const blocked = createMember(bot.guild);
+        const session = await joinWithSession(blocked);
+        await joinWithSession(createMember(bot.guild));
+
+        await bot.databaseManager.updateGuildSetting(bot.guild.id, 'xp_channel_rules', JSON.stringify([{ channel_id: channel.id, type: 'blacklist' }]));
+        assert.equal((await bot.xpManager.processUserVoiceXP(session, bot.guild)).reason, 'channel_blocked');
+        await bot.databaseManager.updateGuildSetting(bot.guild.id, 'xp_channel_rules', null);
+
+        const noXP = createRole(bot.guild, { name: 'Muted' });
+        await blocked.roles.add(noXP);
+        await bot.databaseManager.updateGuildSetting(bot.guild.id, 'no_xp_roles', JSON.stringify([noXP.id]));
+        assert.equal((await bot.xpManager.processUserVoiceXP(session, bot.guild)).reason, 'no_xp_role');
+        await blocked.roles.remove(noXP);
+
+        await bot.databaseManager.freezeUser(blocked.id, bot.guild.id, 'admin', 'Testing', 3600);
+        assert.equal((await bot.xpManager.processUserVoiceXP(session, bot.guild)).reason, 'xp_frozen');
+    });
+
+    it('never awards more than what is left of the daily cap', async () => {
+        restoreEnv = withEnv({ DAILY_XP_CAP: 1000 });
+        const member = createMember(bot.guild);
+        const session = await joinWithSession(member);
+        await joinWithSession(createMember(bot.guild));
+        await bot.xpManager.dailyCapManager.addXP(member.id, bot.guild.id, 900, 'message', member);
+
+        assert.equal((await bot.xpManager.processUserVoiceXP(session, bot.guild)).xpAwarded, 100);
+
+        const next = { ...session, last_xp_time: new Date(Date.now() - 600000) };
+        assert.equal((await bot.xpManager.processUserVoiceXP(next, bot.guild)).reason, 'daily_cap_reached');
+    });
+
+    it('tracks sessions from voice state updates', async () => {
+        const member = createMember(bot.guild);
+        const events = [];
+        bot.xpManager.events.on('voice.session.start', ({ channelId }) => events.push(['start', channelId]));
+        bot.xpManager.events.on('voice.session.end', ({ channelId, reason }) => events.push(['end', channelId, reason]));
+
+        const other = createVoiceChannel(bot.guild, { name: 'Going Merry' });
+        const outside = { id: member.id, guild: bot.guild, channelId: null };
+
+        await bot.xpManager.handleVoiceStateUpdate(outside, setVoiceState(member, channel));
+        assert.equal((await bot.databaseManager.getVoiceSession(member.id, bot.guild.id)).channel_id, channel.id);
+
+        const inFirst = { ...member.voice };
+        await bot.xpManager.handleVoiceStateUpdate(inFirst, setVoiceState(member, other));
+        assert.equal((await bot.databaseManager.getVoiceSession(member.id, bot.guild.id)).channel_id, other.id);
+
+        const inSecond = { ...member.voice };
+        await bot.xpManager.handleVoiceStateUpdate(inSecond, setVoiceState(member, null));
+        assert.equal(await bot.databaseManager.getVoiceSession(member.id, bot.guild.id), null);
+
+        assert.deepEqual(events, [
+            ['start', channel.id],
+            ['end', channel.id, 'moved'],
+            ['start', other.id],
+            ['end', other.id, 'left']
+        ]);
+    });
+});
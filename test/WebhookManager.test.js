@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const WebhookManager = require('../src/systems/WebhookManager');
+
+describe('WebhookManager URL checks', () => {
+    const webhooks = new WebhookManager(null);
+
+    it('only accepts https URLs with a host name', async () => {
+        assert.match((await webhooks.validateUrl('http://example.com/hook')).error, /must use https/);
+        assert.match((await webhooks.validateUrl('https://169.254.169.254/latest/meta-data')).error, /not an IP address/);
+        assert.match((await webhooks.validateUrl('https://[::1]:3000/')).error, /not an IP address/);
+        assert.match((await webhooks.validateUrl('https://localhost:3000/')).error, /localhost/);
+        assert.match((await webhooks.validateUrl('not a url')).error, /not a valid URL/);
+    });
+
+    it('blocks loopback, private, link-local and unique-local addresses', () => {
+        for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd12::1', 'fe80::1', '::ffff:127.0.0.1']) {
+            assert.equal(webhooks.isBlockedAddress(address), true, address);
+        }
+        for (const address of ['93.184.216.34', '2606:2800:220:1::1']) {
+            assert.equal(webhooks.isBlockedAddress(address), false, address);
+        }
+    });
+
+    it('refuses to deliver to a stored URL that now fails the check', async () => {
+        const updates = [];
+        webhooks.dbManager = { updateWebhookDelivery: async (id, update) => updates.push(update) };
+
+        const result = await webhooks.deliver({ id: 1, event: 'test', payload: '{}', attempts: 0, url: 'http://127.0.0.1:3000/', secret: 'secret' }, false);
+
+        assert.equal(result.delivered, false);
+        assert.match(result.error, /Blocked target/);
+        assert.equal(updates[0].status, 'dead');
+    });
+});
@@ -0,0 +1,68 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, createMember, createRole, createTextChannel, createMessage } = require('./helpers');
+
+describe('XP boost roles', () => {
+    let bot;
+    let boosts;
+
+    beforeEach(async () => {
+        bot = await createTestBot();
+        boosts = {
+            supporter: createRole(bot.guild, { name: 'Supporter' }),
+            booster: createRole(bot.guild, { name: 'Server Booster' }),
+            event: createRole(bot.guild, { name: 'Event Winner' })
+        };
+        await bot.setBoostRoles([
+            { role: boosts.supporter, multiplier: 1.5 },
+            { role: boosts.booster, multiplier: 2.0 },
+            { role: boosts.event, multiplier: 1.25 }
+        ]);
+    });
+
+    it('is 1x without boost roles', async () => {
+        const member = createMember(bot.guild);
+
+        assert.equal(await bot.databaseManager.calculateXPMultiplier(member, bot.guild.id), 1.0);
+        assert.equal(await bot.databaseManager.calculateXPMultiplier(null, bot.guild.id), 1.0);
+    });
+
+    it('applies a single boost role', async () => {
+        const member = createMember(bot.guild, { roles: [boosts.supporter] });
+
+        assert.equal(await bot.databaseManager.calculateXPMultiplier(member, bot.guild.id), 1.5);
+    });
+
+    it('stacks boost roles additively', async () => {
+        const member = createMember(bot.guild, { roles: [boosts.supporter, boosts.booster, boosts.event] });
+
+        // 1 + 0.5 + 1.0 + 0.25, not 1.5 * 2.0 * 1.25
+        assert.equal(await bot.databaseManager.calculateXPMultiplier(member, bot.guild.id), 2.75);
+    });
+
+    it('ignores boost roles configured in another guild', async () => {
+        const other = await createTestBot();
+        const member = createMember(other.guild, { roles: [boosts.booster] });
+
+        assert.equal(await other.databaseManager.calculateXPMultiplier(member, other.guild.id), 1.0);
+    });
+
+    it('combines boosts with channel and global multipliers on message XP', async () => {
+        await bot.configure({ message_xp_min: 100, message_xp_max: 100, message_quality_filter: false, xp_multiplier: 2 });
+        const channel = createTextChannel(bot.guild);
+        await bot.databaseManager.updateGuildSetting(bot.guild.id, 'xp_channel_rules', JSON.stringify([
+            { channel_id: channel.id, type: 'multiplier', multiplier: 1.5 }
+        ]));
+        const member = createMember(bot.guild, { roles: [boosts.supporter, boosts.event] });
+
+        await bot.xpManager.handleMessageXP(createMessage(member, channel));
+
+        // 100 base * 1.75 boost * 1.5 channel * 2 global
+        const user = await bot.databaseManager.getUserXP(member.id, bot.guild.id);
+        assert.equal(Number(user.total_xp), 525);
+
+        const [transaction] = await bot.databaseManager.getXPTransactions(bot.guild.id, { userId: member.id });
+        assert.equal(transaction.base_xp, 100);
+        assert.deepEqual(transaction.multipliers, { boost: 1.75, channel: 1.5, global: 2 });
+    });
+});
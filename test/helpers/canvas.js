@@ -0,0 +1,37 @@
+const Module = require('module');
+
+/**
+ * Fake canvas module - tests never render posters, so the native canvas build is not needed
+ * install() must run before anything requires CanvasGenerator
+ */
+function createContext() {
+    return new Proxy({}, {
+        get: (target, property) => property in target ? target[property] : () => ({ width: 0 })
+    });
+}
+
+const fakeCanvas = {
+    createCanvas: (width, height) => ({
+        width,
+        height,
+        getContext: () => createContext(),
+        toBuffer: () => Buffer.from('fake-png')
+    }),
+    loadImage: async () => ({ width: 1, height: 1 }),
+    registerFont: () => {}
+};
+
+let installed = false;
+
+function install() {
+    if (installed) return;
+    installed = true;
+
+    const load = Module._load;
+    Module._load = function (request, ...args) {
+        if (request === 'canvas') return fakeCanvas;
+        return load.call(this, request, ...args);
+    };
+}
+
+module.exports = { install, fakeCanvas };
@@ -0,0 +1,92 @@
+const { newDb, DataType } = require('pg-mem');
+const DatabaseManager = require('../../src/systems/DatabaseManager');
+
+/**
+ * In-memory Postgres (pg-mem) with the real migrations applied
+ * Returns a pg-compatible Pool plus a DatabaseManager using it
+ */
+async function createDatabase() {
+    const memory = newDb({ noAstCoverageCheck: true });
+
+    // Functions the migration lock uses - a single test process never contends for it
+    memory.public.registerFunction({ name: 'hashtext', args: [DataType.text], returns: DataType.integer, implementation: () => 1 });
+    memory.public.registerFunction({ name: 'pg_advisory_lock', args: [DataType.integer], returns: DataType.text, implementation: () => '', impure: true });
+    memory.public.registerFunction({ name: 'pg_advisory_unlock', args: [DataType.integer], returns: DataType.bool, implementation: () => true, impure: true });
+    memory.public.registerFunction({ name: 'pg_try_advisory_lock', args: [DataType.integer], returns: DataType.bool, implementation: () => true, impure: true });
+
+    // Built-ins the queries use that pg-mem does not ship
+    memory.public.registerFunction({ name: 'round', args: [DataType.float, DataType.integer], returns: DataType.float, implementation: (value, digits) => Number(value.toFixed(digits)) });
+
+    // ($1::int * INTERVAL '1 day') - intervals are { days: 1 } style objects
+    memory.public.registerOperator({
+        operator: '*',
+        left: DataType.integer,
+        right: DataType.interval,
+        returns: DataType.interval,
+        implementation: (count, interval) => Object.fromEntries(Object.entries(interval).map(([unit, value]) => [unit, value * count]))
+    });
+
+    memory.public.registerFunction({
+        name: 'to_char',
+        args: [DataType.date, DataType.text],
+        returns: DataType.text,
+        implementation: (date, format) => {
+            if (format !== 'YYYY-MM-DD') throw new Error(`to_char format ${format} is not supported in tests`);
+            return new Date(date).toISOString().slice(0, 10);
+        }
+    });
+
+    const { Pool } = memory.adapters.createPg();
+    const db = new Pool();
+    const query = db.query.bind(db);
+    db.query = (text, params) => query(...expandUnnest(text, params));
+    // pg-mem commits every statement on its own - emulate BEGIN/ROLLBACK on clients with a snapshot
+    const connect = db.connect.bind(db);
+    db.connect = async () => {
+        const client = await connect();
+        const clientQuery = client.query.bind(client);
+        let snapshot = null;
+        client.query = async (text, params) => {
+            switch (typeof text === 'string' ? text.trim().toUpperCase() : null) {
+                case 'BEGIN':
+                    snapshot = memory.backup();
+                    return { rows: [], rowCount: 0 };
+                case 'COMMIT':
+                    snapshot = null;
+                    return { rows: [], rowCount: 0 };
+                case 'ROLLBACK':
+                    snapshot?.restore();
+                    snapshot = null;
+                    return { rows: [], rowCount: 0 };
+                default:
+                    return clientQuery(...expandUnnest(text, params));
+            }
+        };
+        return client;
+    };
+    const databaseManager = new DatabaseManager(db);
+    await databaseManager.initializeTables();
+
+    return { db, databaseManager, memory };
+}
+
+/**
+ * pg-mem only supports single-array unnest - rewrite the bulk
+ * unnest($1::a[], $2::b[], ...) form into an equivalent VALUES list
+ */
+function expandUnnest(text, params) {
+    const match = typeof text === 'string' && text.match(/unnest\(((?:\s*\$\d+::\w+\[\]\s*,?)+)\)(\s*AS\s+\w+\s*\([^)]*\))?/i);
+    if (!match) return [text, params];
+
+    const columns = [...match[1].matchAll(/\$(\d+)::(\w+)\[\]/g)].map(([, index, type]) => ({ values: params[index - 1], type }));
+    const names = match[2] ? match[2].match(/\(([^)]*)\)/)[1] : columns.map((column, i) => `column${i + 1}`).join(', ');
+    const values = [...params];
+    const rows = columns[0].values.map((_, row) => `(${columns.map(column => {
+        values.push(column.values[row]);
+        return `$${values.length}::${column.type}`;
+    }).join(', ')})`);
+
+    return [text.replace(match[0], `(VALUES ${rows.join(', ')}) AS t(${names})`), values];
+}
+
+module.exports = { createDatabase };
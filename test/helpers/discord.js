@@ -0,0 +1,256 @@
+const { Collection } = require('discord.js');
+
+/**
+ * Stub discord.js objects - only the surface the bot's systems and commands touch
+ */
+let nextId = 100000000000000000n;
+
+function snowflake() {
+    return String(nextId++);
+}
+
+function createUser({ id = snowflake(), username = `user${id.slice(-4)}`, bot = false, dmsOpen = true } = {}) {
+    const user = {
+        id,
+        username,
+        bot,
+        tag: username,
+        dms: [],
+        displayAvatarURL: () => `https://cdn.discordapp.com/avatars/${id}/avatar.png`,
+        toString: () => `<@${id}>`,
+        // Rejects like discord.js when the member has DMs closed
+        send: async (payload) => {
+            if (!dmsOpen) throw new Error('Cannot send messages to this user');
+            user.dms.push(payload);
+            return payload;
+        }
+    };
+
+    return user;
+}
+
+function createRole(guild, { id = snowflake(), name = `role${id.slice(-4)}`, position = 1, managed = false } = {}) {
+    const role = { id, name, guild, position, managed, toString: () => `<@&${id}>` };
+    guild.roles.cache.set(id, role);
+    return role;
+}
+
+function createGuild({ id = snowflake(), name = 'Grand Line', ownerId = null } = {}) {
+    const guild = {
+        id,
+        name,
+        ownerId,
+        roles: { cache: new Collection() },
+        channels: { cache: new Collection() },
+        members: { cache: new Collection() }
+    };
+
+    // Resolves like discord.js: a single ID rejects when missing, { user: [...] } returns a Collection
+    guild.members.fetch = async (options) => {
+        if (typeof options === 'string') {
+            const member = guild.members.cache.get(options);
+            if (!member) throw new Error('Unknown Member');
+            return member;
+        }
+        if (options?.user) {
+            return guild.members.cache.filter(member => options.user.includes(member.id));
+        }
+        return guild.members.cache;
+    };
+
+    return guild;
+}
+
+function createMember(guild, { user = createUser(), roles = [], nickname = null, manageGuild = false } = {}) {
+    const roleCache = new Collection(roles.map(role => [role.id, role]));
+
+    const member = {
+        id: user.id,
+        user,
+        guild,
+        displayName: nickname || user.username,
+        roles: {
+            cache: roleCache,
+            add: async (role) => { roleCache.set(role.id, role); },
+            remove: async (role) => { roleCache.delete(role.id); },
+            get highest() {
+                return roleCache.reduce((highest, role) => role.position > highest.position ? role : highest, { position: 0 });
+            }
+        },
+        permissions: { has: () => manageGuild },
+        voice: { channelId: null, mute: false, selfMute: false, deaf: false, selfDeaf: false },
+        displayAvatarURL: () => user.displayAvatarURL(),
+        toString: () => `<@${user.id}>`
+    };
+
+    guild.members.cache.set(member.id, member);
+    return member;
+}
+
+function createTextChannel(guild, { id = snowflake(), name = 'general', parentId = null } = {}) {
+    const channel = {
+        id,
+        name,
+        type: 0,
+        parentId,
+        guild,
+        sent: [],
+        send: async (payload) => { channel.sent.push(payload); return payload; },
+        isThread: () => false,
+        isTextBased: () => true,
+        permissionsFor: () => ({ has: () => true })
+    };
+
+    guild.channels.cache.set(id, channel);
+    return channel;
+}
+
+function createVoiceChannel(guild, { id = snowflake(), name = 'Voice', parentId = null } = {}) {
+    const channel = {
+        id,
+        name,
+        type: 2,
+        parentId,
+        guild,
+        isThread: () => false,
+        // Members are whoever's voice state points at this channel, as in discord.js
+        get members() {
+            return guild.members.cache.filter(member => member.voice.channelId === id);
+        }
+    };
+
+    guild.channels.cache.set(id, channel);
+    return channel;
+}
+
+/**
+ * Put a member into (or out of, with null) a voice channel
+ */
+function setVoiceState(member, channel, state = {}) {
+    member.voice = {
+        channelId: channel ? channel.id : null,
+        channel,
+        guild: member.guild,
+        member,
+        id: member.id,
+        mute: false,
+        selfMute: false,
+        deaf: false,
+        selfDeaf: false,
+        ...state
+    };
+    return member.voice;
+}
+
+function createClient(guilds = []) {
+    return {
+        user: createUser({ username: 'Leveling-Bot', bot: true }),
+        guilds: { cache: new Collection(guilds.map(guild => [guild.id, guild])) },
+        channels: {
+            cache: new Collection(),
+            // Looks through every guild's channels, rejecting like discord.js when none matches
+            fetch: async (id) => {
+                const channel = guilds.map(guild => guild.channels.cache.get(id)).find(Boolean);
+                if (!channel) throw new Error('Unknown Channel');
+                return channel;
+            }
+        },
+        users: {
+            cache: new Collection(),
+            fetch: async (id) => {
+                const member = guilds.map(guild => guild.members.cache.get(id)).find(Boolean);
+                if (!member) throw new Error('Unknown User');
+                return member.user;
+            }
+        },
+        isReady: () => true,
+        once: () => {},
+        on: () => {}
+    };
+}
+
+/**
+ * Chat input interaction - options maps option names to values, replies are recorded in order
+ */
+function createInteraction({ guild, member, options = {} }) {
+    const interaction = {
+        guild,
+        guildId: guild.id,
+        member,
+        user: member.user,
+        channel: null,
+        replied: false,
+        deferred: false,
+        replies: [],
+        options: {
+            getString: (name) => options[name] ?? null,
+            getInteger: (name) => options[name] ?? null,
+            getNumber: (name) => options[name] ?? null,
+            getBoolean: (name) => options[name] ?? null,
+            getUser: (name) => options[name] ?? null,
+            getRole: (name) => options[name] ?? null,
+            getChannel: (name) => options[name] ?? null,
+            getAttachment: (name) => options[name] ?? null,
+            getSubcommand: () => options.subcommand ?? null
+        },
+        async reply(payload) {
+            interaction.replied = true;
+            interaction.replies.push({ type: 'reply', ...normalize(payload) });
+        },
+        async deferReply(payload = {}) {
+            interaction.deferred = true;
+            interaction.replies.push({ type: 'defer', ...normalize(payload) });
+        },
+        async editReply(payload) {
+            interaction.replies.push({ type: 'edit', ...normalize(payload) });
+        },
+        async followUp(payload) {
+            interaction.replies.push({ type: 'followUp', ...normalize(payload) });
+        },
+
+        /**
+         * Last visible response as { content, embeds, files, ephemeral }
+         */
+        lastReply() {
+            return interaction.replies.filter(reply => reply.type !== 'defer').at(-1) || null;
+        }
+    };
+
+    return interaction;
+}
+
+function normalize(payload) {
+    if (typeof payload === 'string') return { content: payload, embeds: [], files: [] };
+    return {
+        content: payload.content || null,
+        embeds: (payload.embeds || []).map(embed => embed.toJSON ? embed.toJSON() : embed),
+        files: payload.files || [],
+        ephemeral: payload.ephemeral || false
+    };
+}
+
+/**
+ * Attachment whose URL serves the content (fetch understands data: URLs)
+ */
+function createAttachment(name, content) {
+    const body = Buffer.from(content);
+    return {
+        name,
+        size: body.length,
+        url: `data:application/octet-stream;base64,${body.toString('base64')}`
+    };
+}
+
+module.exports = {
+    snowflake,
+    createUser,
+    createRole,
+    createGuild,
+    createMember,
+    createTextChannel,
+    createVoiceChannel,
+    setVoiceState,
+    createClient,
+    createInteraction,
+    createAttachment
+};
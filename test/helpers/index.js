@@ -0,0 +1,116 @@
+const canvas = require('./canvas');
+const discord = require('./discord');
+const { createDatabase } = require('./database');
+const { createRedis, createCacheManager } = require('./redis');
+const config = require('../../src/utils/Config');
+
+// CanvasGenerator is required by XPManager -> LevelUpHandler, so swap canvas before anything loads it
+canvas.install();
+
+// The bot logs every XP decision - keep test output readable unless TEST_VERBOSE is set
+if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.warn = () => {};
+}
+
+const XPManager = require('../../src/systems/XPManager');
+const PermissionManager = require('../../src/systems/PermissionManager');
+
+/**
+ * A bot wired like index.js on top of pg-mem, ioredis-mock and one stub guild
+ * context is what CommandLoader passes to command execute()
+ */
+async function createTestBot({ redis = true } = {}) {
+    const { db, databaseManager } = await createDatabase();
+    const cacheManager = redis ? createCacheManager() : null;
+    const guild = discord.createGuild();
+    const client = discord.createClient([guild]);
+    const xpManager = new XPManager(client, db, cacheManager);
+    const permissionManager = new PermissionManager(db);
+
+    return {
+        db,
+        databaseManager,
+        cacheManager,
+        client,
+        guild,
+        xpManager,
+        permissionManager,
+        context: { xpManager, databaseManager, cacheManager, permissionManager, connectionManager: null },
+
+        /**
+         * Store guild config overrides (e.g. fixed XP ranges) and drop the cached config
+         */
+        async configure(overrides) {
+            await databaseManager.setGuildConfigOverrides(guild.id, overrides);
+            await xpManager.invalidateGuildConfig(guild.id);
+        },
+
+        /**
+         * Store the guild's XP boost roles as [{ role, multiplier }]
+         */
+        async setBoostRoles(boosts) {
+            await databaseManager.updateGuildSetting(guild.id, 'xp_boost_roles', JSON.stringify(
+                boosts.map(({ role, multiplier }) => ({ role_id: role.id, multiplier }))
+            ));
+        }
+    };
+}
+
+/**
+ * Message from a member in a channel, as handleMessageXP receives it
+ */
+function createMessage(member, channel, content = 'Setting sail for the Grand Line today') {
+    return {
+        id: discord.snowflake(),
+        content,
+        author: member.user,
+        member,
+        guild: member.guild,
+        channel,
+        attachments: new Map(),
+        stickers: new Map(),
+        embeds: []
+    };
+}
+
+/**
+ * Run a slash command as a member (a new member with Manage Server by default) - returns the interaction with its recorded replies
+ */
+async function runCommand(command, bot, options, member = discord.createMember(bot.guild, { manageGuild: true })) {
+    const interaction = discord.createInteraction({ guild: bot.guild, member, options });
+    await command.execute(interaction, bot.context);
+    return interaction;
+}
+
+/**
+ * Set environment variables for one test and reload the config - returns a function restoring the previous values
+ */
+function withEnv(values) {
+    const previous = {};
+    for (const [key, value] of Object.entries(values)) {
+        previous[key] = process.env[key];
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = String(value);
+    }
+    config.load();
+
+    return () => {
+        for (const [key, value] of Object.entries(previous)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+        config.load();
+    };
+}
+
+module.exports = {
+    ...discord,
+    createDatabase,
+    createRedis,
+    createCacheManager,
+    createTestBot,
+    createMessage,
+    runCommand,
+    withEnv
+};
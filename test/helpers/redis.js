@@ -0,0 +1,18 @@
+const RedisMock = require('ioredis-mock');
+const RedisCacheManager = require('../../src/systems/RedisCacheManager');
+
+/**
+ * Fake ioredis client and a cache manager that talks to it directly
+ * ioredis-mock shares data per host:port, so each client gets its own port to stay isolated
+ */
+let nextPort = 16379;
+
+function createRedis() {
+    return new RedisMock({ port: nextPort++ });
+}
+
+function createCacheManager(redis = createRedis()) {
+    return new RedisCacheManager(redis);
+}
+
+module.exports = { createRedis, createCacheManager };